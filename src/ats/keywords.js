@@ -0,0 +1,252 @@
+// Keywords applicant tracking systems look for, by job category name. Each
+// keyword is a term or [term, ...aliases]; earlier keywords matter more and
+// are suggested first. Categories without an entry here use GENERIC_KEYWORDS
+// plus the words of the category name.
+
+const CATEGORY_KEYWORDS = {
+  "software engineer": [
+    ["javascript", "js", "typescript", "ts"],
+    ["rest api", "rest apis", "restful", "api design"],
+    "git",
+    ["sql", "postgresql", "mysql"],
+    ["unit testing", "unit tests", "test-driven development", "tdd"],
+    ["cloud", "aws", "azure", "gcp"],
+    ["microservices", "microservice"],
+    ["ci/cd", "continuous integration", "continuous delivery"],
+    ["agile", "scrum"],
+    ["node.js", "nodejs", "node"],
+    ["python", "java", "c#", "golang"],
+    ["react", "angular", "vue"],
+    "docker",
+    ["code review", "code reviews"],
+    ["data structures", "algorithms"],
+    ["system design", "software architecture"],
+    "debugging",
+    ["performance", "optimization", "optimisation"],
+  ],
+  "devops engineer": [
+    ["ci/cd", "continuous integration", "continuous delivery"],
+    "docker",
+    ["kubernetes", "k8s"],
+    ["terraform", "infrastructure as code", "iac"],
+    ["aws", "azure", "gcp", "cloud"],
+    "linux",
+    ["monitoring", "observability", "prometheus", "grafana"],
+    ["bash", "shell scripting"],
+    ["python", "golang"],
+    ["ansible", "chef", "puppet"],
+    ["jenkins", "github actions", "gitlab ci"],
+    "git",
+    ["networking", "dns", "load balancing"],
+    ["security", "devsecops"],
+    ["incident response", "on-call", "sre"],
+    ["high availability", "disaster recovery"],
+    ["automation", "automated"],
+  ],
+  "data analyst": [
+    "sql",
+    ["excel", "spreadsheets"],
+    ["tableau", "power bi", "looker"],
+    "python",
+    ["data visualization", "data visualisation", "dashboards", "dashboard"],
+    ["statistics", "statistical analysis"],
+    ["data cleaning", "data wrangling", "data quality"],
+    ["reporting", "reports"],
+    ["kpi", "kpis", "metrics"],
+    ["a/b testing", "experimentation"],
+    ["etl", "data pipelines"],
+    ["pandas", "numpy"],
+    ["r programming", "rstudio"],
+    ["stakeholders", "stakeholder management"],
+    ["forecasting", "trend analysis"],
+    ["data modeling", "data modelling"],
+  ],
+  "product manager": [
+    ["product roadmap", "roadmap", "roadmaps"],
+    ["product strategy", "product vision"],
+    ["stakeholders", "stakeholder management"],
+    ["user research", "customer research", "customer discovery"],
+    ["agile", "scrum"],
+    ["kpi", "kpis", "metrics", "okrs"],
+    ["prioritization", "prioritisation", "backlog"],
+    ["go-to-market", "product launch", "launches"],
+    ["a/b testing", "experimentation"],
+    ["user stories", "requirements", "prd"],
+    ["cross-functional", "cross functional"],
+    ["market research", "competitive analysis"],
+    ["analytics", "data-driven"],
+    ["jira", "confluence"],
+    ["ux", "user experience"],
+    ["revenue", "growth", "retention"],
+  ],
+  "ux/ui designer": [
+    "figma",
+    ["user research", "usability testing"],
+    ["wireframes", "wireframing"],
+    ["prototypes", "prototyping"],
+    ["design systems", "design system"],
+    ["user experience", "ux"],
+    ["user interface", "ui"],
+    ["interaction design", "micro-interactions"],
+    ["accessibility", "wcag", "a11y"],
+    ["user flows", "journey maps", "customer journey"],
+    ["personas", "persona"],
+    "information architecture",
+    ["sketch", "adobe xd"],
+    ["responsive design", "mobile-first"],
+    ["visual design", "typography"],
+    ["design thinking", "human-centered design"],
+  ],
+  "qa engineer": [
+    ["test automation", "automated testing", "automation"],
+    ["selenium", "cypress", "playwright"],
+    ["test cases", "test plans", "test scenarios"],
+    ["regression testing", "regression"],
+    ["api testing", "postman"],
+    ["manual testing", "exploratory testing"],
+    ["bug tracking", "defect tracking", "jira"],
+    ["performance testing", "load testing", "jmeter"],
+    ["ci/cd", "continuous integration"],
+    ["agile", "scrum"],
+    ["sql", "database testing"],
+    ["java", "python", "javascript"],
+    ["integration testing", "end-to-end testing", "e2e"],
+    ["quality assurance", "qa"],
+    ["bdd", "cucumber", "gherkin"],
+  ],
+  "project manager": [
+    ["project planning", "project plans"],
+    ["stakeholders", "stakeholder management"],
+    ["budget", "budgets", "budgeting"],
+    ["risk management", "risks"],
+    ["agile", "scrum", "kanban"],
+    ["waterfall", "prince2"],
+    ["pmp", "project management professional"],
+    ["schedule", "timelines", "milestones"],
+    ["resource planning", "resource allocation"],
+    ["scope management", "scope"],
+    ["jira", "ms project", "asana"],
+    ["cross-functional", "cross functional"],
+    ["status reports", "reporting"],
+    ["vendor management", "vendors"],
+    "change management",
+    ["delivered on time", "on time and on budget"],
+  ],
+  "digital marketing specialist": [
+    ["seo", "search engine optimization", "search engine optimisation"],
+    ["sem", "ppc", "google ads"],
+    ["social media", "social media marketing"],
+    ["content marketing", "content strategy"],
+    ["google analytics", "ga4", "analytics"],
+    ["email marketing", "mailchimp", "hubspot"],
+    ["conversion rate", "cro", "conversions"],
+    ["campaigns", "campaign management"],
+    ["roi", "roas"],
+    ["a/b testing", "experimentation"],
+    ["lead generation", "leads"],
+    ["facebook ads", "meta ads", "linkedin ads"],
+    "copywriting",
+    ["marketing automation", "crm"],
+    ["brand awareness", "branding"],
+    ["kpi", "kpis", "metrics"],
+  ],
+  "business analyst": [
+    ["requirements gathering", "requirements", "requirements analysis"],
+    ["stakeholders", "stakeholder management"],
+    ["process improvement", "process mapping", "bpmn"],
+    "sql",
+    ["user stories", "use cases"],
+    ["gap analysis", "impact analysis"],
+    ["data analysis", "analysis"],
+    ["excel", "spreadsheets"],
+    ["power bi", "tableau"],
+    ["agile", "scrum"],
+    ["uat", "user acceptance testing"],
+    ["business case", "cost-benefit analysis"],
+    ["documentation", "brd", "functional specifications"],
+    ["jira", "confluence"],
+    ["workshops", "facilitation"],
+    ["kpi", "kpis", "metrics"],
+  ],
+  "cybersecurity analyst": [
+    ["siem", "splunk", "qradar"],
+    ["incident response", "incident handling"],
+    ["vulnerability management", "vulnerability assessment"],
+    ["penetration testing", "pentesting", "pen testing"],
+    ["threat intelligence", "threat hunting"],
+    ["firewalls", "firewall"],
+    ["ids", "ips", "intrusion detection"],
+    ["nist", "iso 27001", "cis controls"],
+    ["risk assessment", "risk management"],
+    ["network security", "endpoint security"],
+    ["soc", "security operations"],
+    ["malware analysis", "forensics"],
+    ["iam", "identity and access management"],
+    ["compliance", "gdpr", "pci dss"],
+    ["cissp", "security+", "ceh", "oscp"],
+    ["encryption", "pki"],
+  ],
+};
+
+// Used for categories without an entry above
+const GENERIC_KEYWORDS = [
+  ["communication", "communicated"],
+  ["teamwork", "collaboration", "collaborated", "cross-functional"],
+  ["problem solving", "problem-solving"],
+  ["leadership", "led", "mentored"],
+  ["stakeholders", "stakeholder management"],
+  ["project management", "projects"],
+  ["analysis", "analytical"],
+  ["customer", "customers", "clients"],
+  ["process improvement", "improved"],
+  ["reporting", "reports"],
+  ["microsoft office", "excel"],
+  ["time management", "deadlines"],
+];
+
+// Words in category names that say nothing about the job
+const NAME_STOP_WORDS = new Set([
+  "and",
+  "of",
+  "the",
+  "for",
+  "specialist",
+  "senior",
+  "junior",
+  "assistant",
+  "officer",
+  "worker",
+  "staff",
+]);
+
+function normalizeCategory(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Keywords for a job category
+ * @param {string} categoryName - JobCategory.job_category
+ * @returns {{ keywords: string[][], catalog: "category"|"generic" }} Each
+ *   keyword as [term, ...aliases]
+ */
+function keywordsForCategory(categoryName) {
+  const key = normalizeCategory(categoryName);
+  const known = CATEGORY_KEYWORDS[key];
+  const toList = (entries) =>
+    entries.map((entry) => (Array.isArray(entry) ? entry : [entry]));
+  if (known) return { keywords: toList(known), catalog: "category" };
+
+  const nameWords = key
+    .split(/[^a-z0-9+#]+/)
+    .filter((word) => word.length > 2 && !NAME_STOP_WORDS.has(word))
+    .map((word) => [word]);
+  return {
+    keywords: [...nameWords, ...toList(GENERIC_KEYWORDS)],
+    catalog: "generic",
+  };
+}
+
+module.exports = { CATEGORY_KEYWORDS, keywordsForCategory };
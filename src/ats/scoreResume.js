@@ -0,0 +1,566 @@
+const { keywordsForCategory } = require("./keywords");
+
+// ATS compatibility score (0-100) of a resume for a job category. Works on a
+// plain document built by services/atsScore.service.js from the profile, a
+// targeted resume or the text of an uploaded file:
+// {
+//   text: string,                        everything a parser would read
+//   sections: { summary, experience, education, skills }, booleans
+//   contact: { email, phone },           booleans
+//   experience: [{ title, start_date, end_date, description }],
+//   education: [{ title, start_date, end_date }],
+// }
+
+const WEIGHTS = {
+  keywords: 35,
+  sections: 20,
+  length: 15,
+  dates: 15,
+  action_verbs: 15,
+};
+
+const SECTION_POINTS = { summary: 4, experience: 6, education: 3, skills: 4 };
+const EMAIL_POINTS = 2;
+const PHONE_POINTS = 1;
+
+// Full keyword points at 60% coverage
+const KEYWORD_TARGET = 0.6;
+const SUGGESTED_KEYWORDS = 6;
+
+const IDEAL_WORDS = { min: 400, max: 900 };
+const MIN_WORDS = 150;
+const MAX_WORDS = 1400;
+
+const DATE_ERROR_PENALTY = 4;
+const DATE_WARNING_PENALTY = 2;
+const MAX_GAP_MONTHS = 6;
+
+// Full points when 70% of bullets start with an action verb and 40% carry a
+// number
+const VERB_TARGET = 0.7;
+const QUANTIFIED_TARGET = 0.4;
+const VERB_POINTS = 11;
+const QUANTIFIED_POINTS = 4;
+
+const RATINGS = [
+  { min: 80, rating: "strong" },
+  { min: 60, rating: "good" },
+  { min: 40, rating: "needs_work" },
+  { min: 0, rating: "weak" },
+];
+
+const ACTION_VERBS = new Set([
+  "accelerated",
+  "achieved",
+  "analyzed",
+  "analysed",
+  "architected",
+  "automated",
+  "built",
+  "championed",
+  "coached",
+  "collaborated",
+  "configured",
+  "consolidated",
+  "coordinated",
+  "created",
+  "cut",
+  "debugged",
+  "decreased",
+  "defined",
+  "delivered",
+  "deployed",
+  "designed",
+  "developed",
+  "directed",
+  "doubled",
+  "drove",
+  "enabled",
+  "engineered",
+  "established",
+  "executed",
+  "expanded",
+  "facilitated",
+  "generated",
+  "grew",
+  "guided",
+  "identified",
+  "implemented",
+  "improved",
+  "increased",
+  "initiated",
+  "integrated",
+  "introduced",
+  "launched",
+  "led",
+  "maintained",
+  "managed",
+  "mentored",
+  "migrated",
+  "modernized",
+  "monitored",
+  "negotiated",
+  "optimized",
+  "optimised",
+  "orchestrated",
+  "organized",
+  "owned",
+  "planned",
+  "produced",
+  "programmed",
+  "reduced",
+  "redesigned",
+  "refactored",
+  "resolved",
+  "restructured",
+  "revamped",
+  "saved",
+  "scaled",
+  "secured",
+  "shipped",
+  "simplified",
+  "spearheaded",
+  "standardized",
+  "streamlined",
+  "supervised",
+  "tested",
+  "trained",
+  "transformed",
+  "tripled",
+  "wrote",
+]);
+
+// Phrases that describe duties instead of results, with a stronger opening
+const WEAK_PHRASES = [
+  { phrase: "responsible for", instead: "Led, Owned or Managed" },
+  { phrase: "duties included", instead: "Delivered or Handled" },
+  { phrase: "tasked with", instead: "Delivered or Executed" },
+  { phrase: "worked on", instead: "Built, Developed or Delivered" },
+  { phrase: "helped with", instead: "Supported or Contributed to" },
+  { phrase: "involved in", instead: "Contributed to or Drove" },
+  { phrase: "participated in", instead: "Contributed to" },
+  { phrase: "assisted with", instead: "Supported or Co-led" },
+];
+
+const ISO_DATE = /^\d{4}-\d{2}(-\d{2})?$/;
+const ONGOING = /^(present|current|now|ongoing|today)$/i;
+const QUANTIFIED = /\d|%|\$|€|£/;
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Whole-term match; terms may contain symbols (c#, ci/cd, node.js)
+function containsTerm(text, term) {
+  return new RegExp(
+    `(^|[^a-z0-9+#])${escapeRegExp(term.toLowerCase())}(?=$|[^a-z0-9+#])`
+  ).test(text);
+}
+
+function countWords(text) {
+  return (String(text || "").match(/[\p{L}\p{N}][\p{L}\p{N}'’+#.-]*/gu) || [])
+    .length;
+}
+
+function ratingFor(score) {
+  return RATINGS.find((r) => score >= r.min).rating;
+}
+
+function scoreKeywords(document, categoryName) {
+  const { keywords, catalog } = keywordsForCategory(categoryName);
+  const text = String(document.text || "").toLowerCase();
+  const matched = [];
+  const missing = [];
+  for (const [term, ...aliases] of keywords) {
+    const found = [term, ...aliases].some((t) => containsTerm(text, t));
+    (found ? matched : missing).push(term);
+  }
+
+  const needed = Math.max(1, Math.ceil(keywords.length * KEYWORD_TARGET));
+  const suggestions = [];
+  if (missing.length) {
+    const coverage = matched.length / keywords.length;
+    suggestions.push({
+      area: "keywords",
+      priority: coverage < KEYWORD_TARGET / 2 ? "high" : "medium",
+      message: `Mention keywords ${
+        categoryName || "employers"
+      } postings ask for, where they reflect your real experience: ${missing
+        .slice(0, SUGGESTED_KEYWORDS)
+        .join(", ")}`,
+    });
+  }
+  return {
+    result: {
+      score: Math.round(
+        WEIGHTS.keywords * Math.min(1, matched.length / needed)
+      ),
+      max: WEIGHTS.keywords,
+      catalog,
+      coverage: keywords.length
+        ? Math.round((matched.length / keywords.length) * 100)
+        : 0,
+      matched,
+      missing,
+    },
+    suggestions,
+  };
+}
+
+const SECTION_ADVICE = {
+  summary: {
+    priority: "medium",
+    message:
+      "Add a short summary (2-4 sentences) naming your target role, years of experience and strongest skills",
+  },
+  experience: {
+    priority: "high",
+    message:
+      "Add a work experience section with job title, company, dates and what you achieved in each role",
+  },
+  education: {
+    priority: "medium",
+    message:
+      "Add an education section; many ATS filters check for a degree or certification",
+  },
+  skills: {
+    priority: "high",
+    message:
+      "Add a skills section listing the tools and technologies you use; ATS keyword searches weigh it heavily",
+  },
+};
+
+function scoreSections(document) {
+  const present = [];
+  const missing = [];
+  let score = 0;
+  for (const [section, points] of Object.entries(SECTION_POINTS)) {
+    if (document.sections?.[section]) {
+      present.push(section);
+      score += points;
+    } else {
+      missing.push(section);
+    }
+  }
+  if (document.contact?.email) score += EMAIL_POINTS;
+  else missing.push("email");
+  if (document.contact?.phone) score += PHONE_POINTS;
+  else missing.push("phone");
+
+  const suggestions = missing.map((section) =>
+    SECTION_ADVICE[section]
+      ? { area: "sections", ...SECTION_ADVICE[section] }
+      : {
+          area: "sections",
+          priority: section === "email" ? "high" : "low",
+          message: `Add your ${
+            section === "email" ? "email address" : "phone number"
+          } so recruiters can contact you`,
+        }
+  );
+  return {
+    result: { score, max: WEIGHTS.sections, present, missing },
+    suggestions,
+  };
+}
+
+function scoreLength(document) {
+  const words = countWords(document.text);
+  let ratio;
+  if (words < MIN_WORDS) {
+    ratio = (words / MIN_WORDS) * 0.4;
+  } else if (words < IDEAL_WORDS.min) {
+    ratio =
+      0.4 + ((words - MIN_WORDS) / (IDEAL_WORDS.min - MIN_WORDS)) * 0.6;
+  } else if (words <= IDEAL_WORDS.max) {
+    ratio = 1;
+  } else if (words <= MAX_WORDS) {
+    ratio =
+      1 - ((words - IDEAL_WORDS.max) / (MAX_WORDS - IDEAL_WORDS.max)) * 0.4;
+  } else {
+    ratio = 0.5;
+  }
+
+  const suggestions = [];
+  if (words < IDEAL_WORDS.min) {
+    suggestions.push({
+      area: "length",
+      priority: words < MIN_WORDS ? "high" : "medium",
+      message: `Your resume has about ${words} words; aim for ${IDEAL_WORDS.min}-${IDEAL_WORDS.max} by describing your responsibilities and results in each role`,
+    });
+  } else if (words > IDEAL_WORDS.max) {
+    suggestions.push({
+      area: "length",
+      priority: words > MAX_WORDS ? "medium" : "low",
+      message: `Your resume has about ${words} words; trim it towards ${IDEAL_WORDS.max} by cutting older or less relevant roles`,
+    });
+  }
+  return {
+    result: {
+      score: Math.round(WEIGHTS.length * ratio),
+      max: WEIGHTS.length,
+      words,
+      ideal_min: IDEAL_WORDS.min,
+      ideal_max: IDEAL_WORDS.max,
+    },
+    suggestions,
+  };
+}
+
+function toDate(value) {
+  const text = String(value || "").trim();
+  if (!ISO_DATE.test(text)) return null;
+  const date = new Date(text.length === 7 ? `${text}-01` : text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function isOngoing(value) {
+  return !value || ONGOING.test(String(value).trim());
+}
+
+function monthsBetween(from, to) {
+  return (
+    (to.getUTCFullYear() - from.getUTCFullYear()) * 12 +
+    (to.getUTCMonth() - from.getUTCMonth())
+  );
+}
+
+function entryLabel(entry, index, kind) {
+  return entry.title || `${kind} entry ${index + 1}`;
+}
+
+// Missing, unreadable, reversed and future dates; entries without problems
+// are returned for the order and gap checks
+function checkEntryDates(entries, kind, now, { requireStart }) {
+  const issues = [];
+  const dated = [];
+  entries.forEach((entry, index) => {
+    const label = entryLabel(entry, index, kind);
+    const issue = (message) =>
+      issues.push({ severity: "error", entry: label, message });
+
+    if (!entry.start_date) {
+      if (requireStart) issue(`Add a start date to "${label}"`);
+      return;
+    }
+    const start = toDate(entry.start_date);
+    if (!start) {
+      issue(`Fix the start date of "${label}"; it is not a valid date`);
+      return;
+    }
+    const ongoing = isOngoing(entry.end_date);
+    const end = ongoing ? now : toDate(entry.end_date);
+    const before = issues.length;
+    if (!end) {
+      issue(
+        `Fix the end date of "${label}"; use a valid date, or leave it empty for a current role`
+      );
+    } else if (end < start) {
+      issue(`Fix the dates of "${label}"; it ends before it starts`);
+    }
+    if (start > now) {
+      issue(`Fix the start date of "${label}"; it is in the future`);
+    }
+    if (issues.length === before) dated.push({ label, start, end });
+  });
+  return { issues, dated };
+}
+
+function scoreDates(document, { now, checkOrder }) {
+  const experience = checkEntryDates(
+    document.experience || [],
+    "Experience",
+    now,
+    { requireStart: true }
+  );
+  const education = checkEntryDates(
+    document.education || [],
+    "Education",
+    now,
+    { requireStart: false }
+  );
+  const issues = [...experience.issues, ...education.issues];
+
+  const dated = experience.dated;
+  if (checkOrder) {
+    const outOfOrder = dated.some(
+      (entry, i) => i > 0 && entry.start > dated[i - 1].start
+    );
+    if (outOfOrder) {
+      issues.push({
+        severity: "warning",
+        entry: null,
+        message:
+          "List your experience in reverse-chronological order, most recent role first",
+      });
+    }
+  }
+
+  const byStart = [...dated].sort((a, b) => a.start - b.start);
+  let latest = byStart[0];
+  for (const entry of byStart.slice(1)) {
+    const gap = monthsBetween(latest.end, entry.start);
+    if (gap > MAX_GAP_MONTHS) {
+      issues.push({
+        severity: "warning",
+        entry: entry.label,
+        message: `There is a ${gap}-month gap before "${entry.label}"; a one-line note (study, freelance work, relocation) avoids questions`,
+      });
+    }
+    if (entry.end > latest.end) latest = entry;
+  }
+
+  let score;
+  if (!dated.length) {
+    score = 0;
+    if (!issues.length) {
+      issues.push({
+        severity: "error",
+        entry: null,
+        message: "Add start and end dates to your work experience",
+      });
+    }
+  } else {
+    const errors = issues.filter((i) => i.severity === "error").length;
+    const warnings = issues.length - errors;
+    score = Math.max(
+      0,
+      WEIGHTS.dates -
+        errors * DATE_ERROR_PENALTY -
+        warnings * DATE_WARNING_PENALTY
+    );
+  }
+
+  return {
+    result: { score, max: WEIGHTS.dates, issues },
+    suggestions: issues.map((issue) => ({
+      area: "dates",
+      priority: issue.severity === "error" ? "high" : "low",
+      message: issue.message,
+    })),
+  };
+}
+
+// Description lines and sentences with at least three words
+function bulletsOf(description) {
+  return String(description || "")
+    .split(/\n|(?<=[.;])\s+/)
+    .map((line) => line.replace(/^[\s•●▪‣◦*·–—-]+/, "").trim())
+    .filter((line) => countWords(line) >= 3);
+}
+
+function scoreActionVerbs(document) {
+  const bullets = (document.experience || []).flatMap((entry) =>
+    bulletsOf(entry.description)
+  );
+  const firstWord = (line) =>
+    line
+      .split(/\s+/)[0]
+      .toLowerCase()
+      .replace(/[^a-z-]/g, "");
+  const strong = bullets.filter((line) => ACTION_VERBS.has(firstWord(line)));
+  const quantified = bullets.filter((line) => QUANTIFIED.test(line));
+  const text = bullets.join("\n").toLowerCase();
+  const weak = WEAK_PHRASES.filter(({ phrase }) => text.includes(phrase));
+
+  let score = 0;
+  if (bullets.length) {
+    const verbRatio = strong.length / bullets.length;
+    const quantifiedRatio = quantified.length / bullets.length;
+    score = Math.max(
+      0,
+      Math.round(
+        VERB_POINTS * Math.min(1, verbRatio / VERB_TARGET) +
+          QUANTIFIED_POINTS * Math.min(1, quantifiedRatio / QUANTIFIED_TARGET)
+      ) - weak.length
+    );
+  }
+
+  const suggestions = [];
+  if (!bullets.length) {
+    suggestions.push({
+      area: "action_verbs",
+      priority: "high",
+      message:
+        "Describe each role in a few bullet points that start with an action verb (Led, Built, Improved)",
+    });
+  } else {
+    if (strong.length / bullets.length < VERB_TARGET) {
+      suggestions.push({
+        area: "action_verbs",
+        priority: "medium",
+        message: `Start experience bullet points with an action verb such as Led, Built or Improved; ${strong.length} of ${bullets.length} do now`,
+      });
+    }
+    if (quantified.length / bullets.length < QUANTIFIED_TARGET) {
+      suggestions.push({
+        area: "action_verbs",
+        priority: "medium",
+        message: `Quantify results with numbers (users, revenue, time saved, %); ${quantified.length} of ${bullets.length} bullet points do now`,
+      });
+    }
+  }
+  for (const { phrase, instead } of weak) {
+    suggestions.push({
+      area: "action_verbs",
+      priority: "low",
+      message: `Replace "${phrase}" with a verb that shows impact, such as ${instead}`,
+    });
+  }
+
+  return {
+    result: {
+      score,
+      max: WEIGHTS.action_verbs,
+      bullets: bullets.length,
+      action_verb_bullets: strong.length,
+      quantified_bullets: quantified.length,
+      weak_phrases: weak.map(({ phrase }) => phrase),
+    },
+    suggestions,
+  };
+}
+
+/**
+ * Score a resume document for a job category
+ * @param {Object} document - See the shape at the top of this file
+ * @param {Object} [options]
+ * @param {string} [options.categoryName] - Job category the resume targets
+ * @param {boolean} [options.checkOrder=false] - Expect experience newest
+ *   first (true for uploaded files; the generator orders profile entries)
+ * @param {Date} [options.now]
+ * @returns {{ score: number, rating: string, breakdown: Object,
+ *   suggestions: { area: string, priority: string, message: string }[] }}
+ *   breakdown has keywords, sections, length, dates and action_verbs, each
+ *   with score and max; suggestions are ordered high priority first
+ */
+function scoreResume(
+  document,
+  { categoryName, checkOrder = false, now = new Date() } = {}
+) {
+  const parts = {
+    keywords: scoreKeywords(document, categoryName),
+    sections: scoreSections(document),
+    length: scoreLength(document),
+    dates: scoreDates(document, { now, checkOrder }),
+    action_verbs: scoreActionVerbs(document),
+  };
+
+  const breakdown = {};
+  let score = 0;
+  const suggestions = [];
+  for (const [name, part] of Object.entries(parts)) {
+    breakdown[name] = part.result;
+    score += part.result.score;
+    suggestions.push(...part.suggestions);
+  }
+  suggestions.sort(
+    (a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority]
+  );
+
+  return { score, rating: ratingFor(score), breakdown, suggestions };
+}
+
+module.exports = { WEIGHTS, scoreResume };
@@ -8,10 +8,18 @@ const makeProfileObject = (profile) => {
   const picture = Array.isArray(profile.photos)
     ? profile.photos[0] && (profile.photos[0].value || profile.photos[0].url)
     : undefined;
+  const email = profile.emails?.[0]?.value;
   return {
+    provider: profile.provider,
     id: profile.id,
     name: profile.displayName,
-    email: profile.emails?.[0]?.value,
+    email,
+    // Google reports verification explicitly; Facebook and LinkedIn only return confirmed addresses
+    email_verified: email
+      ? profile.provider === "google"
+        ? profile._json?.email_verified !== false
+        : true
+      : false,
     photos: profile.photos,
     picture,
   };
@@ -0,0 +1,55 @@
+// Admin roles and the permissions each one grants.
+// Permissions are "<resource>:<action>" strings checked by requirePermission().
+
+const ROLES = ["super_admin", "support", "finance"];
+
+const ROLE_PERMISSIONS = {
+  // super_admin is granted everything, including permissions added later
+  super_admin: ["*"],
+  support: [
+    "dashboard:read",
+    "candidates:read",
+    "candidates:impersonate",
+    "plans:read",
+    "subscriptions:read",
+    "countries:write",
+    "employers:read",
+    "lockouts:manage",
+    "resume_templates:manage",
+  ],
+  finance: [
+    "dashboard:read",
+    "plans:read",
+    "plans:write",
+    "subscriptions:read",
+    "subscriptions:cancel",
+    "ai_usage:read",
+  ],
+};
+
+/**
+ * List the permissions granted to a role
+ * @param {string} role
+ * @returns {string[]}
+ */
+function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  const granted = permissionsForRole(role);
+  return granted.includes("*") || granted.includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  permissionsForRole,
+  hasPermission,
+};
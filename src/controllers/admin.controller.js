@@ -1,6 +1,11 @@
 const db = require("../models");
 const logger = require("../config/logger");
 const candidateService = require("../services/candidate.service");
+const authThrottleService = require("../services/authThrottle.service");
+const auditService = require("../services/audit.service");
+const impersonationService = require("../services/impersonation.service");
+const { validateImpersonationStart } = require("../validations/user.validation");
+const { getValidationErrorMessage } = require("../utils/errorHelper");
 
 // Sequelize helpers
 const { Op, fn, col, literal } = db.Sequelize;
@@ -351,7 +356,7 @@ async function getAdminCandidateDetail(req, res) {
 
     // Remove sensitive fields if present
     const json = candidate.toJSON?.() || candidate;
-    const { password, api_token, ...safe } = json;
+    const { password, ...safe } = json;
 
     return res.status(200).json({
       success: true,
@@ -368,4 +373,253 @@ async function getAdminCandidateDetail(req, res) {
   }
 }
 
-module.exports = { getDashboardStats, getAdminCandidates, getAdminCandidateDetail };
+/**
+ * GET /api/admin/lockouts
+ * Paginated login lockouts (active by default; ?active=false lists all throttle records)
+ */
+async function getLockouts(req, res) {
+  try {
+    const { page, limit, search, sortBy, sortOrder, action, key_type, active } = req.query;
+
+    const result = await authThrottleService.listLockouts({
+      page,
+      limit,
+      search,
+      sortBy,
+      sortOrder,
+      action,
+      key_type,
+      active,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Lockouts retrieved successfully",
+      ...result,
+    });
+  } catch (error) {
+    logger?.error?.("getLockouts error", { error: error.message });
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve lockouts",
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * DELETE /api/admin/lockouts/:throttleId
+ * Unlock an account or IP and reset its failure count
+ */
+async function deleteLockout(req, res) {
+  try {
+    await authThrottleService.clearLockout(req.params.throttleId);
+    await auditService.recordAuditEvent({
+      req,
+      action: "lockout.clear",
+      entityType: "auth_throttle",
+      entityId: req.params.throttleId,
+    });
+    return res.status(200).json({ success: true, message: "Lockout cleared" });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) logger?.error?.("deleteLockout error", { error: error.message });
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Failed to clear lockout" : error.message,
+      error: status === 500 ? error.message : undefined,
+    });
+  }
+}
+
+/**
+ * GET /api/admin/audit
+ * Paginated audit trail. Filters: actor_type, actor_id, action (exact, or prefix ending in "."),
+ * entity_type, entity_id, request_id, from, to, search (actor email / job name)
+ */
+async function getAuditEvents(req, res) {
+  try {
+    const {
+      page,
+      limit,
+      search,
+      sortOrder,
+      actor_type,
+      actor_id,
+      action,
+      entity_type,
+      entity_id,
+      request_id,
+      from,
+      to,
+    } = req.query;
+
+    const result = await auditService.listAuditEvents({
+      page,
+      limit,
+      search,
+      sortOrder,
+      actor_type,
+      actor_id,
+      action,
+      entity_type,
+      entity_id,
+      request_id,
+      from,
+      to,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Audit events retrieved successfully",
+      ...result,
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) logger?.error?.("getAuditEvents error", { error: error.message });
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Failed to retrieve audit events" : error.message,
+      error: status === 500 ? error.message : undefined,
+    });
+  }
+}
+
+/**
+ * POST /api/admin/candidates/:candidateId/impersonate
+ * Issue a short-lived token to act as the candidate (read-only unless mode is read_write)
+ */
+async function startImpersonation(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateImpersonationStart(
+      req.body || {}
+    );
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const { impersonation, token, expiresIn, candidate } =
+      await impersonationService.startImpersonation({
+        admin: req.admin,
+        candidateId: req.params.candidateId,
+        mode: cleaned.mode,
+        reason: cleaned.reason,
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
+    await auditService.recordAuditEvent({
+      req,
+      action: "candidate.impersonate_start",
+      entityType: "candidate",
+      entityId: candidate.candidate_id,
+      metadata: {
+        impersonation_id: impersonation.impersonation_id,
+        mode: impersonation.mode,
+        reason: impersonation.reason,
+      },
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Impersonation started",
+      data: {
+        impersonation_id: impersonation.impersonation_id,
+        mode: impersonation.mode,
+        token,
+        expires_in: expiresIn,
+        expires_at: impersonation.expires_at,
+        candidate: {
+          candidate_id: candidate.candidate_id,
+          email: candidate.email,
+          full_name: candidate.full_name,
+        },
+      },
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) logger?.error?.("startImpersonation error", { error: error.message });
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Failed to start impersonation" : error.message,
+      error: status === 500 ? error.message : undefined,
+    });
+  }
+}
+
+/**
+ * GET /api/admin/impersonations
+ * Paginated impersonation sessions. Filters: user_id, candidate_id, active
+ */
+async function getImpersonations(req, res) {
+  try {
+    const { page, limit, sortOrder, user_id, candidate_id, active } = req.query;
+
+    const result = await impersonationService.listImpersonations({
+      page,
+      limit,
+      sortOrder,
+      user_id,
+      candidate_id,
+      active,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Impersonations retrieved successfully",
+      ...result,
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) logger?.error?.("getImpersonations error", { error: error.message });
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Failed to retrieve impersonations" : error.message,
+      error: status === 500 ? error.message : undefined,
+    });
+  }
+}
+
+/**
+ * DELETE /api/admin/impersonations/:impersonationId
+ * End an impersonation session; its token stops working immediately
+ */
+async function stopImpersonation(req, res) {
+  try {
+    const impersonation = await impersonationService.stopImpersonation(
+      req.params.impersonationId,
+      { admin: req.admin }
+    );
+    await auditService.recordAuditEvent({
+      req,
+      action: "candidate.impersonate_stop",
+      entityType: "candidate",
+      entityId: impersonation.candidate_id,
+      metadata: { impersonation_id: impersonation.impersonation_id },
+    });
+    return res
+      .status(200)
+      .json({ success: true, message: "Impersonation ended" });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) logger?.error?.("stopImpersonation error", { error: error.message });
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Failed to end impersonation" : error.message,
+      error: status === 500 ? error.message : undefined,
+    });
+  }
+}
+
+module.exports = {
+  getDashboardStats,
+  getAdminCandidates,
+  getAdminCandidateDetail,
+  getLockouts,
+  deleteLockout,
+  getAuditEvents,
+  startImpersonation,
+  getImpersonations,
+  stopImpersonation,
+};
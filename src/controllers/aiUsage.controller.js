@@ -0,0 +1,64 @@
+const aiUsageService = require("../services/aiUsage.service");
+const {
+  validateAiUsageReportQuery,
+} = require("../validations/aiUsage.validation");
+const {
+  getValidationErrorMessage,
+  sendError,
+} = require("../utils/errorHelper");
+
+// GET /api/candidate/ai-usage
+async function getCandidateAiUsage(req, res) {
+  try {
+    const quotas = await aiUsageService.listAiQuotas(
+      req.candidate.candidate_id
+    );
+    return res.status(200).json({
+      success: true,
+      message: "AI usage retrieved successfully",
+      data: quotas,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "getCandidateAiUsage",
+      "Failed to retrieve AI usage"
+    );
+  }
+}
+
+/**
+ * GET /api/admin/ai-usage
+ * Token usage and estimated spend by feature and by day (UTC). Filters: from,
+ * to (ISO dates, default the last 30 days) and feature
+ */
+async function getAiUsageReport(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateAiUsageReportQuery(req.query);
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const report = await aiUsageService.getAiUsageReport(cleaned);
+    return res.status(200).json({
+      success: true,
+      message: "AI usage report retrieved successfully",
+      data: report,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "getAiUsageReport",
+      "Failed to retrieve AI usage report"
+    );
+  }
+}
+
+module.exports = {
+  getCandidateAiUsage,
+  getAiUsageReport,
+};
@@ -0,0 +1,90 @@
+const atsScoreService = require("../services/atsScore.service");
+const {
+  validateAtsScoreRequest,
+  validateAtsScoreListQuery,
+} = require("../validations/atsScore.validation");
+const {
+  getValidationErrorMessage,
+  sendError,
+} = require("../utils/errorHelper");
+
+// POST /api/candidate/ats-score
+async function createAtsScore(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateAtsScoreRequest(req.body);
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const score = await atsScoreService.scoreCandidateResume(
+      req.candidate.candidate_id,
+      cleaned
+    );
+    return res.status(201).json({
+      success: true,
+      message: "Resume scored successfully",
+      data: score,
+    });
+  } catch (error) {
+    return sendError(res, error, "createAtsScore", "Failed to score resume");
+  }
+}
+
+// GET /api/candidate/ats-score/history?page=&limit=&resume_id=
+async function getAtsScoreHistory(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateAtsScoreListQuery(req.query);
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const result = await atsScoreService.listAtsScores(
+      req.candidate.candidate_id,
+      cleaned
+    );
+    return res.status(200).json({
+      success: true,
+      message: "ATS scores retrieved successfully",
+      ...result,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "getAtsScoreHistory",
+      "Failed to retrieve ATS scores"
+    );
+  }
+}
+
+// GET /api/candidate/ats-score/:scoreId
+async function getAtsScore(req, res) {
+  try {
+    const score = await atsScoreService.getAtsScore(
+      req.candidate.candidate_id,
+      req.params.scoreId
+    );
+    return res.status(200).json({
+      success: true,
+      message: "ATS score retrieved successfully",
+      data: score,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "getAtsScore",
+      "Failed to retrieve ATS score"
+    );
+  }
+}
+
+module.exports = {
+  createAtsScore,
+  getAtsScoreHistory,
+  getAtsScore,
+};
@@ -1,40 +1,142 @@
-const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
+const passport = require("passport");
 const {
   findCandidateByEmail,
-  createCandidate,
-  createCandidateWithPassword,
-  saveApiToken,
-  revokeApiToken,
+  findCandidateById,
 } = require("../services/candidate.service");
+const { findUserByEmail, findUserById } = require("../services/user.service");
 const {
-  findUserByEmail,
-  saveApiToken: saveUserApiToken,
-  revokeApiToken: revokeUserApiToken,
-} = require("../services/user.service");
-const { sendVerificationEmail } = require("../services/email.service");
+  createSession,
+  rotateRefreshToken,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require("../services/session.service");
+const {
+  requestPasswordReset,
+  confirmPasswordReset,
+} = require("../services/passwordReset.service");
+const {
+  startRegistration,
+  resendVerification,
+  completeRegistration,
+} = require("../services/registration.service");
 const {
   validateOAuthProfile,
+  validateOAuthEmail,
   validateFormRegister,
   validateFormLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateResendVerification,
+  validateMagicLinkRequest,
+  validateMagicLinkVerify,
+  validateSecondFactor,
+  validateTwoFactorCode,
+  validateTwoFactorChallenge,
+  validateAdminTwoFactorLogin,
 } = require("../validations/auth.validation");
+const {
+  isTwoFactorEnabled,
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  signLoginChallenge,
+  verifyLoginChallenge,
+} = require("../services/twoFactor.service");
+const {
+  PROVIDERS,
+  listIdentities,
+  resolveOAuthLogin,
+  requestOAuthEmailVerification,
+  completeOAuthEmailVerification,
+  signLinkToken,
+  signOAuthState,
+  parseOAuthState,
+  linkIdentity,
+  unlinkIdentity,
+} = require("../services/identity.service");
+const {
+  assertNotThrottled,
+  recordFailure,
+  clearFailures,
+} = require("../services/authThrottle.service");
+const { confirmEmailChange } = require("../services/emailChange.service");
+const {
+  requestMagicLink: sendMagicLink,
+  consumeMagicLink,
+} = require("../services/magicLink.service");
+const {
+  stopImpersonation: stopImpersonationSession,
+} = require("../services/impersonation.service");
+const { recordAuditEvent } = require("../services/audit.service");
+const { permissionsForRole } = require("../config/permissions");
 
 const jwtSecret = process.env.JWT_SECRET;
-const jwtExpiresIn = process.env.JWT_EXPIRES_IN;
 const frontendUrl = process.env.FRONTEND_URL;
 const emailVerificationExpiresIn = process.env.EMAIL_VERIFICATION_EXPIRES_IN;
 
+// Nonce cookie that ties an OAuth callback to the browser that started it
+const OAUTH_STATE_COOKIE = "oauth_state";
+const OAUTH_STATE_COOKIE_PATH = "/api/auth";
+const OAUTH_STATE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Device details recorded against each session
+function sessionMeta(req) {
+  return { userAgent: req.get("User-Agent"), ipAddress: req.ip };
+}
+
+// Count a failed login; the attempt that triggers a lockout gets 429 instead of 401
+async function rejectLogin(
+  res,
+  action,
+  subject,
+  message = "Invalid email or password"
+) {
+  const { locked, retryAfter } = await recordFailure(action, subject);
+  if (locked) {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: "Too many failed attempts. Sign-in is temporarily locked.",
+      retry_after: retryAfter,
+    });
+  }
+  return res.status(401).json({ success: false, message });
+}
+
+// Login response body shared by both admin login steps
+function adminLoginData(user, { accessToken, refreshToken, expiresIn }) {
+  return {
+    token: accessToken,
+    refresh_token: refreshToken,
+    expires_in: expiresIn,
+    user_id: user.user_id,
+    email: user.email,
+    full_name: user.full_name,
+    role: user.role,
+    permissions: permissionsForRole(user.role),
+  };
+}
+
+function buildLoginSuccessUrl({ accessToken, refreshToken }) {
+  return `${frontendUrl}/login-success?token=${encodeURIComponent(
+    accessToken
+  )}&refresh_token=${encodeURIComponent(refreshToken)}`;
+}
+
 async function login(req, res) {
   try {
-    if (!jwtSecret || !jwtExpiresIn || !emailVerificationExpiresIn) {
+    if (!jwtSecret) {
       return res.status(500).json({
         success: false,
         message: "Server auth configuration missing",
-        missing: {
-          JWT_SECRET: !jwtSecret,
-          JWT_EXPIRES_IN: !jwtExpiresIn,
-          EMAIL_VERIFICATION_EXPIRES_IN: !emailVerificationExpiresIn,
-        },
+        missing: { JWT_SECRET: !jwtSecret },
       });
     }
 
@@ -46,33 +148,31 @@ async function login(req, res) {
     }
 
     const { email, password } = cleaned;
-    const candidate = await findCandidateByEmail(email);
-    if (!candidate || !candidate.password) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Invalid email or password" });
-    }
+    const throttleSubject = { email, ip: req.ip };
+    await assertNotThrottled("candidate_login", throttleSubject);
 
-    const ok = await bcrypt.compare(password, candidate.password);
+    const candidate = await findCandidateByEmail(email);
+    const ok =
+      Boolean(candidate?.password) &&
+      (await bcrypt.compare(password, candidate.password));
     if (!ok) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Invalid email or password" });
+      return rejectLogin(res, "candidate_login", throttleSubject);
     }
+    await clearFailures("candidate_login", throttleSubject);
 
-    const payload = {
-      candidate_id: candidate.candidate_id,
-      email: candidate.email,
-      name: candidate.full_name,
-    };
-    const token = jwt.sign(payload, jwtSecret, { expiresIn: jwtExpiresIn });
-    await saveApiToken(candidate.candidate_id, token);
+    const { accessToken, refreshToken, expiresIn } = await createSession({
+      subjectType: "candidate",
+      subject: candidate,
+      ...sessionMeta(req),
+    });
 
     return res.status(200).json({
       success: true,
       message: "Login successful",
       data: {
-        token,
+        token: accessToken,
+        refresh_token: refreshToken,
+        expires_in: expiresIn,
         candidate_id: candidate.candidate_id,
         email: candidate.email,
         full_name: candidate.full_name,
@@ -80,21 +180,25 @@ async function login(req, res) {
       },
     });
   } catch (err) {
-    return res
-      .status(500)
-      .json({ success: false, message: "Login failed", error: err.message });
+    const status = err.status || 500;
+    if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Login failed" : err.message,
+      error: status === 500 ? err.message : undefined,
+      retry_after: err.retryAfter,
+    });
   }
 }
 
 async function register(req, res) {
   try {
-    if (!jwtSecret || !jwtExpiresIn || !emailVerificationExpiresIn) {
+    if (!jwtSecret || !emailVerificationExpiresIn) {
       return res.status(500).json({
         success: false,
         message: "Server auth configuration missing",
         missing: {
           JWT_SECRET: !jwtSecret,
-          JWT_EXPIRES_IN: !jwtExpiresIn,
           EMAIL_VERIFICATION_EXPIRES_IN: !emailVerificationExpiresIn,
         },
       });
@@ -108,58 +212,83 @@ async function register(req, res) {
     }
 
     const { full_name, email, password } = cleaned;
-    const existing = await findCandidateByEmail(email);
-    if (existing) {
-      return res
-        .status(409)
-        .json({ success: false, message: "Email already registered" });
-    }
+    const backendBase =
+      process.env.BACKEND_URL || `${req.protocol}://${req.get("host")}`;
+
+    // Only a bcrypt hash is stored; the emailed link carries a single-use token id
+    await startRegistration({ full_name, email, password, backendBase });
 
-    // Create one-time verification token with signup data
-    const emailPayload = { full_name, email, password };
-    const oneTimeToken = jwt.sign(emailPayload, jwtSecret, {
-      expiresIn: emailVerificationExpiresIn,
+    return res.status(200).json({
+      success: true,
+      message:
+        "Verification email sent. Please check your inbox to verify your email.",
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Registration initiation failed" : err.message,
+      error: status === 500 ? err.message : undefined,
+      retry_after: err.retryAfter,
     });
+  }
+}
+
+// POST /api/auth/verify/resend
+async function resendVerificationEmail(req, res) {
+  try {
+    if (!jwtSecret || !emailVerificationExpiresIn) {
+      return res.status(500).json({
+        success: false,
+        message: "Server auth configuration missing",
+        missing: {
+          JWT_SECRET: !jwtSecret,
+          EMAIL_VERIFICATION_EXPIRES_IN: !emailVerificationExpiresIn,
+        },
+      });
+    }
+
+    const { valid, errors, cleaned } = validateResendVerification(
+      req.body || {}
+    );
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid request data", errors });
+    }
 
-    // Build verification URL
     const backendBase =
       process.env.BACKEND_URL || `${req.protocol}://${req.get("host")}`;
-    const verifyUrl = `${backendBase}/api/auth/verify?token=${encodeURIComponent(
-      oneTimeToken
-    )}`;
-
-    // Send verification email
-    await sendVerificationEmail({
-      to: email,
-      name: full_name,
-      verifyUrl,
-      expiresIn: emailVerificationExpiresIn,
-    });
+    await resendVerification({ email: cleaned.email, backendBase });
 
+    // Same response whether or not a registration is pending
     return res.status(200).json({
       success: true,
       message:
-        "Verification email sent. Please check your inbox to verify your email.",
+        "If a registration is awaiting verification for this email, a new link has been sent.",
     });
   } catch (err) {
-    return res.status(500).json({
+    const status = err.status || 500;
+    if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+    return res.status(status).json({
       success: false,
-      message: "Registration initiation failed",
-      error: err.message,
+      message: status === 500 ? "Resending verification failed" : err.message,
+      error: status === 500 ? err.message : undefined,
+      retry_after: err.retryAfter,
     });
   }
 }
 
-// Verify email from one-time signup token, create user, issue final JWT, and redirect
+// Verify email from the one-time signup link, create the candidate, start a session and redirect
 async function verifyEmail(req, res) {
   try {
-    if (!jwtSecret || !jwtExpiresIn || !frontendUrl) {
+    if (!jwtSecret || !frontendUrl) {
       return res.status(500).json({
         success: false,
         message: "Server auth configuration missing",
         missing: {
           JWT_SECRET: !jwtSecret,
-          JWT_EXPIRES_IN: !jwtExpiresIn,
           FRONTEND_URL: !frontendUrl,
         },
       });
@@ -170,268 +299,1195 @@ async function verifyEmail(req, res) {
       return res.status(400).json({ success: false, message: "Missing token" });
     }
 
-    let decoded;
-    try {
-      decoded = jwt.verify(token, jwtSecret);
-    } catch (e) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Invalid or expired token" });
+    // Single use: the pending registration is claimed and the candidate created
+    const candidate = await completeRegistration(token);
+
+    const tokens = await createSession({
+      subjectType: "candidate",
+      subject: candidate,
+      ...sessionMeta(req),
+    });
+
+    // Redirect to frontend with tokens
+    return res.redirect(302, buildLoginSuccessUrl(tokens));
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Email verification failed" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
+function frontendRedirect(path, params) {
+  const query = new URLSearchParams(params).toString();
+  return `${frontendUrl}${path}${query ? `?${query}` : ""}`;
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq > 0 && part.slice(0, eq).trim() === name) {
+      return decodeURIComponent(part.slice(eq + 1).trim());
     }
+  }
+  return null;
+}
 
-    const { full_name, email, password } = decoded || {};
-    if (!full_name || !email || !password) {
+// POST /api/auth/magic-link
+async function requestMagicLink(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateMagicLinkRequest(req.body || {});
+    if (!valid) {
       return res
         .status(400)
-        .json({ success: false, message: "Token payload incomplete" });
-    }
-
-    // If already exists, just issue final JWT
-    let candidate = await findCandidateByEmail(email);
-    if (!candidate) {
-      candidate = await createCandidateWithPassword({
-        full_name,
-        email,
-        password,
-      });
+        .json({ success: false, message: "Invalid request data", errors });
     }
 
-    const payload = {
-      candidate_id: candidate.candidate_id,
-      email: candidate.email,
-      name: candidate.full_name,
-    };
-    const finalToken = jwt.sign(payload, jwtSecret, {
-      expiresIn: jwtExpiresIn,
+    const backendBase =
+      process.env.BACKEND_URL || `${req.protocol}://${req.get("host")}`;
+    await sendMagicLink({
+      email: cleaned.email,
+      backendBase,
+      requestedIp: req.ip,
     });
-    await saveApiToken(candidate.candidate_id, finalToken);
 
-    // Redirect to frontend with token
-    const redirectUrl = `${frontendUrl}/login-success?token=${encodeURIComponent(
-      finalToken
-    )}`;
-    return res.redirect(302, redirectUrl);
+    // Same response whether or not the account exists
+    return res.status(200).json({
+      success: true,
+      message:
+        "If an account exists for this email, a sign-in link has been sent.",
+    });
   } catch (err) {
-    return res.status(500).json({
+    const status = err.status || 500;
+    if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+    return res.status(status).json({
       success: false,
-      message: "Email verification failed",
-      error: err.message,
+      message: status === 500 ? "Sign-in link request failed" : err.message,
+      error: status === 500 ? err.message : undefined,
+      retry_after: err.retryAfter,
     });
   }
 }
 
-async function oauthHandler(req, res) {
+// GET /api/auth/magic-link/verify
+// Sign in from the emailed link, start a session and redirect like verifyEmail
+async function openMagicLink(req, res) {
   try {
-    if (!jwtSecret || !jwtExpiresIn || !frontendUrl) {
+    if (!jwtSecret || !frontendUrl) {
       return res.status(500).json({
         success: false,
         message: "Server auth configuration missing",
         missing: {
           JWT_SECRET: !jwtSecret,
-          JWT_EXPIRES_IN: !jwtExpiresIn,
           FRONTEND_URL: !frontendUrl,
         },
       });
     }
 
-    const profile = req.user || {};
-    const { valid, errors, cleaned } = validateOAuthProfile(profile);
-    if (!valid) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Invalid OAuth profile", errors });
-    }
-
-    const { email, name, image_url } = cleaned;
-
-    // find or create candidate
-    let candidate = await findCandidateByEmail(email);
-    if (!candidate) {
-      candidate = await createCandidate({ email, full_name: name, image_url });
+    const token = req.query.token;
+    if (!token) {
+      return res.status(400).json({ success: false, message: "Missing token" });
     }
 
-    // create JWT
-    const payload = {
-      candidate_id: candidate.candidate_id,
-      email: candidate.email,
-      name: candidate.full_name,
-    };
-    const token = jwt.sign(payload, jwtSecret, { expiresIn: jwtExpiresIn });
+    // Single use: the link is claimed before the session is created
+    const candidate = await consumeMagicLink(token);
+    await clearFailures("candidate_login", { email: candidate.email });
 
-    // persist token for reference
-    await saveApiToken(candidate.candidate_id, token);
+    const tokens = await createSession({
+      subjectType: "candidate",
+      subject: candidate,
+      ...sessionMeta(req),
+    });
 
-    // redirect to frontend with token
-    return res.redirect(
-      `${frontendUrl}/login-success?token=${encodeURIComponent(token)}`
-    );
+    return res.redirect(302, buildLoginSuccessUrl(tokens));
   } catch (err) {
-    // fallback to JSON to aid debugging
-    return res.status(500).json({
+    // Used or expired links go back to the frontend login page
+    if (err.status && err.code) {
+      return res.redirect(302, frontendRedirect("/login", { error: err.code }));
+    }
+    const status = err.status || 500;
+    return res.status(status).json({
       success: false,
-      message: "OAuth login failed",
-      error: err.message,
+      message: status === 500 ? "Magic link sign-in failed" : err.message,
+      error: status === 500 ? err.message : undefined,
     });
   }
 }
 
-const googleLogin = (req, res) => oauthHandler(req, res);
+// POST /api/auth/magic-link/verify
+async function verifyMagicLink(req, res) {
+  try {
+    if (!jwtSecret) {
+      return res.status(500).json({
+        success: false,
+        message: "Server auth configuration missing",
+        missing: { JWT_SECRET: !jwtSecret },
+      });
+    }
 
-const facebookLogin = (req, res) => oauthHandler(req, res);
+    const { valid, errors, cleaned } = validateMagicLinkVerify(req.body || {});
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid request data", errors });
+    }
 
-const linkedinLogin = (req, res) => oauthHandler(req, res);
+    // Single use: the link is claimed before the session is created
+    const candidate = await consumeMagicLink(cleaned.token);
+    await clearFailures("candidate_login", { email: candidate.email });
+
+    const { accessToken, refreshToken, expiresIn } = await createSession({
+      subjectType: "candidate",
+      subject: candidate,
+      ...sessionMeta(req),
+    });
 
-// GET /api/auth/me
-// Returns current candidate based on Bearer token
-async function me(req, res) {
-  try {
-    // If checkAuth middleware already attached candidate, use it directly
-    const { password, api_token, ...candidate } = req.candidate;
     return res.status(200).json({
       success: true,
+      message: "Login successful",
       data: {
-        ...candidate,
+        token: accessToken,
+        refresh_token: refreshToken,
+        expires_in: expiresIn,
+        candidate_id: candidate.candidate_id,
+        email: candidate.email,
+        full_name: candidate.full_name,
+        image_url: candidate.image_url || null,
       },
     });
   } catch (err) {
-    return res.status(500).json({
+    const status = err.status || 500;
+    return res.status(status).json({
       success: false,
-      message: "Failed to fetch current user",
-      error: err.message,
+      message: status === 500 ? "Magic link sign-in failed" : err.message,
+      error: status === 500 ? err.message : err.code,
     });
   }
 }
 
-// POST /api/auth/logout
-async function logout(req, res) {
+// GET /api/auth/email/confirm
+async function confirmEmail(req, res) {
   try {
-    if (!req.candidate || !req.token) {
-      return res.status(401).json({
+    if (!frontendUrl) {
+      return res.status(500).json({
         success: false,
-        message: "Missing or invalid Authorization header",
+        message: "Server auth configuration missing",
+        missing: { FRONTEND_URL: true },
       });
     }
 
-    const candidateId = req.candidate.candidate_id;
-    const token = req.token;
+    const token = req.query.token;
+    if (!token) {
+      return res.status(400).json({ success: false, message: "Missing token" });
+    }
 
-    await revokeApiToken(candidateId, token);
-    return res.status(200).json({ success: true, message: "Logged out" });
+    // Single use: swaps the login email, Stripe customer email and unsubscribe record
+    await confirmEmailChange(token);
+    return res.redirect(
+      302,
+      frontendRedirect("/account/settings", { email_changed: "true" })
+    );
   } catch (err) {
-    return res
-      .status(500)
-      .json({ success: false, message: "Logout failed", error: err.message });
+    // Expected link problems (expired, address taken) go back to the frontend
+    if (err.status && err.code) {
+      return res.redirect(
+        302,
+        frontendRedirect("/account/settings", { error: err.code })
+      );
+    }
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Email change failed" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
   }
 }
 
-// --- Admin (User) Auth Handlers ---
-// POST /api/auth/admin/login
-async function adminLogin(req, res) {
+async function oauthHandler(req, res) {
   try {
-    if (!jwtSecret || !jwtExpiresIn) {
+    if (!jwtSecret || !frontendUrl) {
       return res.status(500).json({
         success: false,
         message: "Server auth configuration missing",
-        missing: { JWT_SECRET: !jwtSecret, JWT_EXPIRES_IN: !jwtExpiresIn },
+        missing: {
+          JWT_SECRET: !jwtSecret,
+          FRONTEND_URL: !frontendUrl,
+        },
       });
     }
 
-    const { valid, errors, cleaned } = validateFormLogin(req.body || {});
+    const profile = req.user || {};
+    const { valid, errors, cleaned } = validateOAuthProfile(profile);
     if (!valid) {
       return res
         .status(400)
-        .json({ success: false, message: "Invalid login data", errors });
+        .json({ success: false, message: "Invalid OAuth profile", errors });
     }
 
-    const { email, password } = cleaned;
-    const user = await findUserByEmail(email);
-    if (!user || !user.password) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Invalid email or password" });
+    const { provider } = cleaned;
+
+    // The state must carry the nonce this browser got when the flow started;
+    // it also says whether to link (started via /identities/:provider/link)
+    const nonce = readCookie(req, OAUTH_STATE_COOKIE);
+    res.clearCookie(OAUTH_STATE_COOKIE, { path: OAUTH_STATE_COOKIE_PATH });
+    let link;
+    try {
+      link = parseOAuthState(req.query.state, provider, nonce);
+    } catch (err) {
+      return res.redirect(frontendRedirect("/login", { error: err.code, provider }));
+    }
+    if (link.candidateId) {
+      try {
+        await linkIdentity(link.candidateId, cleaned);
+        return res.redirect(
+          frontendRedirect("/account/linked-accounts", { linked: provider })
+        );
+      } catch (err) {
+        if (!err.code) throw err;
+        return res.redirect(
+          frontendRedirect("/account/linked-accounts", {
+            error: err.code,
+            provider,
+          })
+        );
+      }
     }
 
-    const ok = await bcrypt.compare(password, user.password);
-    if (!ok) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Invalid email or password" });
+    let result;
+    try {
+      result = await resolveOAuthLogin(cleaned);
+    } catch (err) {
+      if (err.code !== "account_exists") throw err;
+      return res.redirect(
+        frontendRedirect("/login", { error: "account_exists", provider })
+      );
     }
 
-    const payload = {
-      user_id: user.user_id,
-      email: user.email,
-      name: user.full_name,
-      role: "admin",
-    };
-    const token = jwt.sign(payload, jwtSecret, { expiresIn: jwtExpiresIn });
-    await saveUserApiToken(user.user_id, token);
+    // Provider shared no verified email: ask the user for one
+    if (!result.candidate) {
+      return res.redirect(
+        frontendRedirect("/oauth/complete-email", {
+          token: result.pendingToken,
+          provider,
+        })
+      );
+    }
 
-    return res.status(200).json({
-      success: true,
-      message: "Login successful",
-      data: {
-        token,
-        user_id: user.user_id,
-        email: user.email,
-        full_name: user.full_name,
-      },
+    // open a session for this device
+    const tokens = await createSession({
+      subjectType: "candidate",
+      subject: result.candidate,
+      ...sessionMeta(req),
     });
+
+    // redirect to frontend with tokens
+    return res.redirect(buildLoginSuccessUrl(tokens));
   } catch (err) {
-    return res
-      .status(500)
-      .json({ success: false, message: "Login failed", error: err.message });
+    // fallback to JSON to aid debugging
+    return res.status(500).json({
+      success: false,
+      message: "OAuth login failed",
+      error: err.message,
+    });
   }
 }
 
-// GET /api/auth/admin/me
-async function adminMe(req, res) {
+// POST /api/auth/oauth/email
+// Email fallback: the provider returned no email, so verify the one the user entered
+async function submitOAuthEmail(req, res) {
   try {
-    const { password, api_token, ...admin } = req.admin;
-    return res.status(200).json({ success: true, data: { ...admin } });
+    if (!jwtSecret || !emailVerificationExpiresIn) {
+      return res.status(500).json({
+        success: false,
+        message: "Server auth configuration missing",
+        missing: {
+          JWT_SECRET: !jwtSecret,
+          EMAIL_VERIFICATION_EXPIRES_IN: !emailVerificationExpiresIn,
+        },
+      });
+    }
+
+    const { valid, errors, cleaned } = validateOAuthEmail(req.body || {});
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid request data", errors });
+    }
+
+    const backendBase =
+      process.env.BACKEND_URL || `${req.protocol}://${req.get("host")}`;
+    await requestOAuthEmailVerification({ ...cleaned, backendBase });
+
+    return res.status(200).json({
+      success: true,
+      message:
+        "Verification email sent. Please check your inbox to finish signing in.",
+    });
   } catch (err) {
-    return res.status(500).json({
+    const status = err.status || 500;
+    return res.status(status).json({
       success: false,
-      message: "Failed to fetch current admin",
-      error: err.message,
+      message: status === 500 ? "Failed to send verification email" : err.message,
+      code: err.code,
+      error: status === 500 ? err.message : undefined,
     });
   }
 }
 
-// POST /api/auth/admin/logout
-async function adminLogout(req, res) {
+// GET /api/auth/oauth/email/verify
+async function verifyOAuthEmail(req, res) {
   try {
-    if (!req.admin || !req.token) {
-      return res.status(401).json({
+    if (!jwtSecret || !frontendUrl) {
+      return res.status(500).json({
         success: false,
-        message: "Missing or invalid Authorization header",
+        message: "Server auth configuration missing",
+        missing: {
+          JWT_SECRET: !jwtSecret,
+          FRONTEND_URL: !frontendUrl,
+        },
       });
     }
 
-    const userId = req.admin.user_id;
-    const token = req.token;
+    const token = req.query.token;
+    if (!token) {
+      return res.status(400).json({ success: false, message: "Missing token" });
+    }
 
-    await revokeUserApiToken(userId, token);
-    return res.status(200).json({ success: true, message: "Logged out" });
+    let candidate;
+    try {
+      candidate = await completeOAuthEmailVerification(token);
+    } catch (err) {
+      if (err.code !== "account_exists") throw err;
+      return res.redirect(
+        frontendRedirect("/login", {
+          error: "account_exists",
+          provider: err.provider,
+        })
+      );
+    }
+    const tokens = await createSession({
+      subjectType: "candidate",
+      subject: candidate,
+      ...sessionMeta(req),
+    });
+
+    return res.redirect(302, buildLoginSuccessUrl(tokens));
   } catch (err) {
-    return res.status(500).json({
+    const status = err.status || 500;
+    return res.status(status).json({
       success: false,
-      message: "Logout failed",
-      error: err.message,
+      message: status === 500 ? "Email verification failed" : err.message,
+      error: status === 500 ? err.message : undefined,
     });
   }
 }
 
+// GET /api/auth/identities
+async function getIdentities(req, res) {
+  try {
+    const identities = await listIdentities(req.candidate.candidate_id);
+    return res.status(200).json({
+      success: true,
+      data: {
+        identities,
+        has_password: Boolean(req.candidate.password),
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch linked accounts",
+      error: err.message,
+    });
+  }
+}
+
+// GET /api/auth/identities/:provider/link
+// Returns the URL that starts the provider flow in link mode for the current candidate
+async function startIdentityLink(req, res) {
+  try {
+    const { provider } = req.params;
+    if (!PROVIDERS.includes(provider)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Unsupported provider" });
+    }
+
+    const backendBase =
+      process.env.BACKEND_URL || `${req.protocol}://${req.get("host")}`;
+    const linkToken = signLinkToken(req.candidate.candidate_id, provider);
+    return res.status(200).json({
+      success: true,
+      data: {
+        url: `${backendBase}/api/auth/${provider}?link_token=${encodeURIComponent(
+          linkToken
+        )}`,
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Failed to start account linking",
+      error: err.message,
+    });
+  }
+}
+
+// DELETE /api/auth/identities/:provider
+async function deleteIdentity(req, res) {
+  try {
+    const { provider } = req.params;
+    if (!PROVIDERS.includes(provider)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Unsupported provider" });
+    }
+
+    await unlinkIdentity(req.candidate.candidate_id, provider);
+    return res
+      .status(200)
+      .json({ success: true, message: "Account unlinked" });
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Failed to unlink account" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
+// GET /api/auth/:provider (google, facebook, linkedin)
+// Sets the state nonce cookie and redirects to the provider.
+// ?link_token=... (from /identities/:provider/link) links instead of logging in.
+function startOAuth(provider, scope) {
+  return (req, res, next) => {
+    let started;
+    try {
+      started = signOAuthState(provider, {
+        linkToken: req.query.link_token,
+        json: req.query.format === "json",
+      });
+    } catch (err) {
+      if (!err.code) {
+        return res.status(err.status || 500).json({
+          success: false,
+          message: "Failed to start sign-in",
+          error: err.message,
+        });
+      }
+      return res.redirect(
+        frontendRedirect("/account/linked-accounts", { error: err.code, provider })
+      );
+    }
+
+    res.cookie(OAUTH_STATE_COOKIE, started.nonce, {
+      httpOnly: true,
+      secure: req.secure,
+      sameSite: "lax", // sent on the provider's top-level redirect back
+      maxAge: OAUTH_STATE_MAX_AGE_MS,
+      path: OAUTH_STATE_COOKIE_PATH,
+    });
+    return passport.authenticate(provider, {
+      session: false,
+      scope,
+      state: started.state,
+    })(req, res, next);
+  };
+}
+
+const googleLogin = (req, res) => oauthHandler(req, res);
+
+const facebookLogin = (req, res) => oauthHandler(req, res);
+
+const linkedinLogin = (req, res) => oauthHandler(req, res);
+
+// GET /api/auth/me
+// Returns current candidate based on Bearer token
+async function me(req, res) {
+  try {
+    // If checkAuth middleware already attached candidate, use it directly
+    const { password, ...candidate } = req.candidate;
+    // Banner data for the frontend while an admin is viewing as this candidate
+    const impersonation = req.impersonation
+      ? {
+          impersonated: true,
+          impersonation_id: req.impersonation.impersonation_id,
+          mode: req.impersonation.mode,
+          read_only: req.impersonation.mode === "read_only",
+          expires_at: req.impersonation.expires_at,
+          admin: req.impersonation.admin,
+        }
+      : null;
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...candidate,
+        impersonation,
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch current user",
+      error: err.message,
+    });
+  }
+}
+
+// POST /api/auth/impersonation/stop
+async function stopImpersonation(req, res) {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({
+        success: false,
+        message: "Not an impersonation session",
+      });
+    }
+
+    const { impersonation_id } = req.impersonation;
+    await stopImpersonationSession(impersonation_id);
+    await recordAuditEvent({
+      req,
+      action: "candidate.impersonate_stop",
+      entityType: "candidate",
+      entityId: req.candidate.candidate_id,
+      metadata: { impersonation_id },
+    });
+    return res
+      .status(200)
+      .json({ success: true, message: "Impersonation ended" });
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Failed to end impersonation" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
+// POST /api/auth/logout
+async function logout(req, res) {
+  try {
+    if (!req.candidate || !req.session) {
+      return res.status(401).json({
+        success: false,
+        message: "Missing or invalid Authorization header",
+      });
+    }
+
+    await revokeSession(
+      "candidate",
+      req.candidate.candidate_id,
+      req.session.session_id
+    );
+    return res.status(200).json({ success: true, message: "Logged out" });
+  } catch (err) {
+    return res
+      .status(500)
+      .json({ success: false, message: "Logout failed", error: err.message });
+  }
+}
+
+// --- Admin (User) Auth Handlers ---
+// POST /api/auth/admin/login
+async function adminLogin(req, res) {
+  try {
+    if (!jwtSecret) {
+      return res.status(500).json({
+        success: false,
+        message: "Server auth configuration missing",
+        missing: { JWT_SECRET: !jwtSecret },
+      });
+    }
+
+    const { valid, errors, cleaned } = validateFormLogin(req.body || {});
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid login data", errors });
+    }
+
+    const { email, password } = cleaned;
+    const throttleSubject = { email, ip: req.ip };
+    await assertNotThrottled("admin_login", throttleSubject);
+
+    const user = await findUserByEmail(email);
+    const ok =
+      Boolean(user?.password) && (await bcrypt.compare(password, user.password));
+    if (!ok) {
+      return rejectLogin(res, "admin_login", throttleSubject);
+    }
+    if (user.is_active === false) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Account is deactivated" });
+    }
+
+    // Password is only the first step when 2FA is enabled or enforced
+    const twoFactorEnabled = await isTwoFactorEnabled(user.user_id);
+    if (twoFactorEnabled || (await isTwoFactorRequired())) {
+      const purpose = twoFactorEnabled ? "verify" : "enroll";
+      const { challengeToken, expiresIn } = signLoginChallenge(user, purpose);
+      return res.status(200).json({
+        success: true,
+        message: twoFactorEnabled
+          ? "Two-factor authentication required"
+          : "Two-factor enrolment required",
+        data: {
+          two_factor_required: true,
+          two_factor_enrollment_required: purpose === "enroll",
+          challenge_token: challengeToken,
+          challenge_expires_in: expiresIn,
+        },
+      });
+    }
+
+    await clearFailures("admin_login", throttleSubject);
+    const tokens = await createSession({
+      subjectType: "user",
+      subject: user,
+      ...sessionMeta(req),
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Login successful",
+      data: adminLoginData(user, tokens),
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Login failed" : err.message,
+      error: status === 500 ? err.message : undefined,
+      retry_after: err.retryAfter,
+    });
+  }
+}
+
+// POST /api/auth/admin/login/2fa
+// Second login step: exchange the challenge token and a TOTP/recovery code for a session.
+// For "enroll" challenges the code confirms the new authenticator and recovery codes are returned.
+async function adminLoginTwoFactor(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateAdminTwoFactorLogin(
+      req.body || {}
+    );
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid login data", errors });
+    }
+
+    const { userId, purpose } = verifyLoginChallenge(cleaned.challenge_token);
+    const user = await findUserById(userId);
+    if (!user || user.is_active === false) {
+      return res.status(401).json({ success: false, message: "Unauthorized" });
+    }
+
+    // Wrong codes count toward the same lockout as wrong passwords
+    const throttleSubject = { email: user.email, ip: req.ip };
+    await assertNotThrottled("admin_login", throttleSubject);
+
+    if (purpose === "enroll" && !cleaned.code) {
+      return res.status(400).json({
+        success: false,
+        message: "Enter the code from your authenticator app",
+      });
+    }
+
+    let recoveryCodes;
+    try {
+      if (purpose === "enroll") {
+        ({ recoveryCodes } = await confirmEnrollment(userId, cleaned.code));
+      } else {
+        await verifySecondFactor(userId, {
+          code: cleaned.code,
+          recoveryCode: cleaned.recovery_code,
+        });
+      }
+    } catch (err) {
+      if (err.status !== 401) throw err;
+      return rejectLogin(res, "admin_login", throttleSubject, err.message);
+    }
+    await clearFailures("admin_login", throttleSubject);
+
+    const tokens = await createSession({
+      subjectType: "user",
+      subject: user,
+      ...sessionMeta(req),
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Login successful",
+      data: {
+        ...adminLoginData(user, tokens),
+        ...(recoveryCodes ? { recovery_codes: recoveryCodes } : {}),
+      },
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Login failed" : err.message,
+      error: status === 500 ? err.message : undefined,
+      retry_after: err.retryAfter,
+    });
+  }
+}
+
+// POST /api/auth/admin/login/2fa/setup
+// Enforced enrolment during login: returns the secret and provisioning URI for the QR code
+async function adminLoginTwoFactorSetup(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateTwoFactorChallenge(
+      req.body || {}
+    );
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid request data", errors });
+    }
+
+    const { userId, purpose } = verifyLoginChallenge(cleaned.challenge_token);
+    if (purpose !== "enroll") {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already set up",
+      });
+    }
+    const user = await findUserById(userId);
+    if (!user || user.is_active === false) {
+      return res.status(401).json({ success: false, message: "Unauthorized" });
+    }
+
+    const { secret, otpauthUrl } = await beginEnrollment(user);
+    return res.status(200).json({
+      success: true,
+      message: "Scan the QR code with your authenticator app",
+      data: { secret, otpauth_url: otpauthUrl },
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Two-factor setup failed" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
+// GET /api/auth/admin/2fa
+async function adminTwoFactorStatus(req, res) {
+  try {
+    const status = await getTwoFactorStatus(req.admin.user_id);
+    return res.status(200).json({ success: true, data: status });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch two-factor status",
+      error: err.message,
+    });
+  }
+}
+
+// POST /api/auth/admin/2fa/enroll
+async function adminTwoFactorEnroll(req, res) {
+  try {
+    const { secret, otpauthUrl } = await beginEnrollment(req.admin);
+    return res.status(200).json({
+      success: true,
+      message: "Scan the QR code with your authenticator app",
+      data: { secret, otpauth_url: otpauthUrl },
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Two-factor setup failed" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
+// POST /api/auth/admin/2fa/enroll/confirm
+async function adminTwoFactorConfirm(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateTwoFactorCode(req.body || {});
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid request data", errors });
+    }
+
+    const { recoveryCodes } = await confirmEnrollment(
+      req.admin.user_id,
+      cleaned.code
+    );
+    return res.status(200).json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store these recovery codes somewhere safe; they are shown only once.",
+      data: { recovery_codes: recoveryCodes },
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Two-factor setup failed" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
+// POST /api/auth/admin/2fa/recovery-codes
+async function adminTwoFactorRecoveryCodes(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateSecondFactor(req.body || {});
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid request data", errors });
+    }
+
+    const { recoveryCodes } = await regenerateRecoveryCodes(req.admin.user_id, {
+      code: cleaned.code,
+      recoveryCode: cleaned.recovery_code,
+    });
+    return res.status(200).json({
+      success: true,
+      message: "New recovery codes generated; previous codes no longer work.",
+      data: { recovery_codes: recoveryCodes },
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message:
+        status === 500 ? "Failed to regenerate recovery codes" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
+// DELETE /api/auth/admin/2fa
+async function adminTwoFactorDisable(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateSecondFactor(req.body || {});
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid request data", errors });
+    }
+
+    await disableTwoFactor(req.admin.user_id, {
+      code: cleaned.code,
+      recoveryCode: cleaned.recovery_code,
+    });
+    return res
+      .status(200)
+      .json({ success: true, message: "Two-factor authentication disabled" });
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message:
+        status === 500 ? "Failed to disable two-factor authentication" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
+// GET /api/auth/admin/me
+async function adminMe(req, res) {
+  try {
+    const { password, ...admin } = req.admin;
+    const twoFactor = await getTwoFactorStatus(admin.user_id);
+    return res
+      .status(200)
+      .json({ success: true, data: { ...admin, two_factor: twoFactor } });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch current admin",
+      error: err.message,
+    });
+  }
+}
+
+// POST /api/auth/admin/logout
+async function adminLogout(req, res) {
+  try {
+    if (!req.admin || !req.session) {
+      return res.status(401).json({
+        success: false,
+        message: "Missing or invalid Authorization header",
+      });
+    }
+
+    await revokeSession("user", req.admin.user_id, req.session.session_id);
+    return res.status(200).json({ success: true, message: "Logged out" });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Logout failed",
+      error: err.message,
+    });
+  }
+}
+
+// --- Session Handlers (shared by candidates and admins) ---
+async function refreshSession(req, res, subjectType, loadSubject) {
+  try {
+    const { valid, errors, cleaned } = validateRefreshToken(req.body || {});
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid refresh data", errors });
+    }
+
+    const { accessToken, refreshToken, expiresIn } = await rotateRefreshToken({
+      subjectType,
+      refreshToken: cleaned.refresh_token,
+      loadSubject,
+      ...sessionMeta(req),
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Token refreshed",
+      data: {
+        token: accessToken,
+        refresh_token: refreshToken,
+        expires_in: expiresIn,
+      },
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Token refresh failed" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
+async function listSessions(req, res, subjectType, subjectId) {
+  try {
+    const sessions = await listActiveSessions(subjectType, subjectId);
+    return res.status(200).json({
+      success: true,
+      data: sessions.map((s) => ({
+        ...s.toJSON(),
+        current: s.session_id === req.session.session_id,
+      })),
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch sessions",
+      error: err.message,
+    });
+  }
+}
+
+async function revokeOneSession(req, res, subjectType, subjectId) {
+  try {
+    const revoked = await revokeSession(
+      subjectType,
+      subjectId,
+      req.params.sessionId,
+      "revoked"
+    );
+    if (!revoked) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Session not found" });
+    }
+    return res.status(200).json({ success: true, message: "Session revoked" });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Failed to revoke session",
+      error: err.message,
+    });
+  }
+}
+
+async function revokeOtherSessionsFor(req, res, subjectType, subjectId) {
+  try {
+    const count = await revokeAllSessions(subjectType, subjectId, {
+      exceptSessionId: req.session.session_id,
+      reason: "revoked",
+    });
+    return res.status(200).json({
+      success: true,
+      message: "Other sessions revoked",
+      data: { revoked: count },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Failed to revoke sessions",
+      error: err.message,
+    });
+  }
+}
+
+// --- Password Reset Handlers (shared by candidates and admins) ---
+async function forgotPasswordFor(req, res, subjectType) {
+  try {
+    const { valid, errors, cleaned } = validateForgotPassword(req.body || {});
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid request data", errors });
+    }
+
+    await requestPasswordReset({
+      subjectType,
+      email: cleaned.email,
+      requestedIp: req.ip,
+    });
+
+    // Same response whether or not the account exists
+    return res.status(200).json({
+      success: true,
+      message:
+        "If an account exists for this email, a password reset link has been sent.",
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: "Password reset request failed",
+      error: err.message,
+    });
+  }
+}
+
+async function resetPasswordFor(req, res, subjectType) {
+  try {
+    const { valid, errors, cleaned } = validateResetPassword(req.body || {});
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid reset data", errors });
+    }
+
+    await confirmPasswordReset({
+      subjectType,
+      token: cleaned.token,
+      password: cleaned.password,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Password has been reset. Please log in with your new password.",
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Password reset failed" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
+// POST /api/auth/password/forgot
+const forgotPassword = (req, res) => forgotPasswordFor(req, res, "candidate");
+
+// POST /api/auth/password/reset
+const resetPassword = (req, res) => resetPasswordFor(req, res, "candidate");
+
+// POST /api/auth/admin/password/forgot
+const adminForgotPassword = (req, res) => forgotPasswordFor(req, res, "user");
+
+// POST /api/auth/admin/password/reset
+const adminResetPassword = (req, res) => resetPasswordFor(req, res, "user");
+
+// POST /api/auth/refresh
+const refresh = (req, res) =>
+  refreshSession(req, res, "candidate", findCandidateById);
+
+// GET /api/auth/sessions
+const getSessions = (req, res) =>
+  listSessions(req, res, "candidate", req.candidate.candidate_id);
+
+// DELETE /api/auth/sessions/:sessionId
+const deleteSession = (req, res) =>
+  revokeOneSession(req, res, "candidate", req.candidate.candidate_id);
+
+// DELETE /api/auth/sessions
+const deleteOtherSessions = (req, res) =>
+  revokeOtherSessionsFor(req, res, "candidate", req.candidate.candidate_id);
+
+// POST /api/auth/admin/refresh
+const adminRefresh = (req, res) =>
+  refreshSession(req, res, "user", findUserById);
+
+// GET /api/auth/admin/sessions
+const adminGetSessions = (req, res) =>
+  listSessions(req, res, "user", req.admin.user_id);
+
+// DELETE /api/auth/admin/sessions/:sessionId
+const adminDeleteSession = (req, res) =>
+  revokeOneSession(req, res, "user", req.admin.user_id);
+
+// DELETE /api/auth/admin/sessions
+const adminDeleteOtherSessions = (req, res) =>
+  revokeOtherSessionsFor(req, res, "user", req.admin.user_id);
+
 module.exports = {
   login,
   register,
+  startOAuth,
   googleLogin,
   facebookLogin,
   linkedinLogin,
+  submitOAuthEmail,
+  verifyOAuthEmail,
+  getIdentities,
+  startIdentityLink,
+  deleteIdentity,
   verifyEmail,
+  resendVerificationEmail,
+  confirmEmail,
+  requestMagicLink,
+  openMagicLink,
+  verifyMagicLink,
   me,
+  stopImpersonation,
   logout,
   adminLogin,
+  adminLoginTwoFactor,
+  adminLoginTwoFactorSetup,
+  adminTwoFactorStatus,
+  adminTwoFactorEnroll,
+  adminTwoFactorConfirm,
+  adminTwoFactorRecoveryCodes,
+  adminTwoFactorDisable,
   adminMe,
   adminLogout,
+  refresh,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  adminRefresh,
+  adminGetSessions,
+  adminDeleteSession,
+  adminDeleteOtherSessions,
+  forgotPassword,
+  resetPassword,
+  adminForgotPassword,
+  adminResetPassword,
 };
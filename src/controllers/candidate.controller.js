@@ -4,10 +4,11 @@ const {
   validateResumeUpload,
   validateResumeEdit,
   validateResumeDownload,
+  validateAccountDeletion,
+  validateEmailChange,
 } = require("../validations/candidate.validation");
 const {
   updateCandidateById,
-  generateResumeFromProfile,
   getJobListForCandidate,
 } = require("../services/candidate.service");
 const {
@@ -25,13 +26,52 @@ const {
 const {
   uploadResume,
   extractKeyFromUrl,
-  deleteFile,
   generateUrlFromKey,
   getSignedUrl,
   fileExists,
 } = require("../services/s3.service");
+const {
+  buildDataExport,
+  getDeletionStatus,
+  requestAccountDeletion: requestAccountDeletionService,
+  cancelAccountDeletion: cancelAccountDeletionService,
+} = require("../services/accountData.service");
+const {
+  getPendingEmailChange,
+  requestEmailChange: requestEmailChangeService,
+  cancelEmailChange: cancelEmailChangeService,
+} = require("../services/emailChange.service");
+const {
+  generateAndStoreResume,
+} = require("../services/resumeDocument.service");
+const {
+  loadResumeAssignments,
+} = require("../services/candidateResume.service");
+const {
+  snapshotFromProfile,
+  snapshotFromParsed,
+  recordResumeVersion,
+} = require("../services/resumeVersion.service");
 const logger = require("../config/logger");
 const { getValidationErrorMessage } = require("../utils/errorHelper");
+const {
+  SUPPORTED_FORMATS_LABEL,
+  identifyUpload,
+} = require("../utils/documentText");
+
+// A stored file is never lost when its version row fails, so log and go on
+async function recordVersion(candidateId, version) {
+  try {
+    return await recordResumeVersion({ candidateId, ...version });
+  } catch (versionError) {
+    logger?.warn?.("Failed to record resume version", {
+      candidateId,
+      source: version.source,
+      error: versionError.message,
+    });
+    return null;
+  }
+}
 
 async function updateCandidateProfile(req, res) {
   try {
@@ -49,7 +89,7 @@ async function updateCandidateProfile(req, res) {
       ...cleaned,
       updated_by: candidateId,
     });
-    const { password, api_token, ...candidate } = updated.toJSON();
+    const { password, ...candidate } = updated.toJSON();
     return res.status(200).json({
       success: true,
       message: "Profile updated",
@@ -74,10 +114,13 @@ async function parseResumeFromPdf(req, res) {
         .json({ success: false, message: "No resume file uploaded" });
     }
 
-    if (req.file.mimetype !== "application/pdf") {
-      return res
-        .status(400)
-        .json({ success: false, message: "Only PDF files are allowed" });
+    // Format comes from the file content, not the client's mimetype
+    const document = identifyUpload(req.file);
+    if (!document) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${SUPPORTED_FORMATS_LABEL} files are allowed`,
+      });
     }
 
     const maxSize = 5 * 1024 * 1024; // 5MB
@@ -88,13 +131,39 @@ async function parseResumeFromPdf(req, res) {
       });
     }
 
-    const { parsePdfResume } = require("../services/resumeParser.service");
-    const parsed = await parsePdfResume(req.file.buffer);
+    const { parseResume } = require("../services/resumeParser.service");
+    const parsed = await parseResume(req.file.buffer, {
+      candidateId: req.candidate.candidate_id,
+    });
+
+    // Keep the parsed file as a version without making it the current resume
+    const candidateId = req.candidate.candidate_id;
+    let version = null;
+    try {
+      const uploadResult = await uploadResume(
+        req.file.buffer,
+        document.fileName,
+        candidateId,
+        document.mimeType
+      );
+      version = await recordVersion(candidateId, {
+        source: "parsed",
+        key: uploadResult.key,
+        fileName: document.fileName,
+        mimeType: document.mimeType,
+        snapshot: snapshotFromParsed(parsed),
+      });
+    } catch (storeError) {
+      logger?.warn?.("parseResumeFromPdf: failed to store parsed file", {
+        error: storeError.message,
+        candidateId,
+      });
+    }
 
     return res.status(200).json({
       success: true,
       message: "Resume parsed successfully",
-      data: parsed,
+      data: { ...parsed, version_id: version?.version_id || null },
     });
   } catch (error) {
     logger?.error?.("parseResumeFromPdf error", {
@@ -121,36 +190,7 @@ async function generateResume(req, res) {
         .json({ success: false, message: getValidationErrorMessage(errors) });
     }
 
-    // Persist any updated profile fields before generating the resume
-    try {
-      const candidateId = req.candidate.candidate_id;
-      await updateCandidateById(candidateId, {
-        full_name: cleaned.candidate_name, // map candidate_name -> full_name
-        phone_no: cleaned.phone_no,
-        address: cleaned.address,
-        seniority_level: cleaned.seniority_level,
-        job_category_id: cleaned.job_category_id,
-        country_id: cleaned.country_id,
-        updated_by: candidateId,
-      });
-    } catch (persistError) {
-      // Log and continue; generation should not be blocked by persistence errors
-      logger?.warn?.("generateResume: failed to persist profile fields", {
-        error: persistError.message,
-        candidateId: req.candidate?.candidate_id,
-      });
-    }
-
-    const data = await generateResumeFromProfile({
-      ...cleaned,
-      // ensure email and seniority_level are available to the service/prompt
-      email: req?.candidate?.email || cleaned.email,
-      phone_no: req?.candidate?.phone_no || cleaned.phone_no,
-      address: req?.candidate?.address || cleaned.address,
-      seniority_level:
-        req?.candidate?.seniority_level || cleaned.seniority_level,
-    });
-
+    const data = await generateAndStoreResume(req.candidate, cleaned);
     return res.status(200).json({
       success: true,
       message: "Resume generated successfully",
@@ -178,11 +218,12 @@ async function uploadResumeFile(req, res) {
       });
     }
 
-    // Validate file type (PDF only)
-    if (req.file.mimetype !== "application/pdf") {
+    // Validate file type from its content (PDF, DOCX, ODT, RTF or TXT)
+    const document = identifyUpload(req.file);
+    if (!document) {
       return res.status(400).json({
         success: false,
-        message: "Only PDF files are allowed for resume upload",
+        message: `Only ${SUPPORTED_FORMATS_LABEL} files are allowed for resume upload`,
       });
     }
 
@@ -250,34 +291,12 @@ async function uploadResumeFile(req, res) {
 
     const candidateId = req.candidate.candidate_id;
 
-    // Get current candidate to check for existing resume
-    const currentCandidate =
-      await require("../services/candidate.service").findCandidateById(
-        candidateId
-      );
-
-    // Delete old resume from S3 if exists
-    if (currentCandidate?.resume_key) {
-      try {
-        await deleteFile(currentCandidate.resume_key);
-        logger?.info?.("Old resume deleted from S3", {
-          candidateId,
-          oldKey: currentCandidate.resume_key,
-        });
-      } catch (deleteError) {
-        logger?.warn?.("Failed to delete old resume", {
-          candidateId,
-          error: deleteError.message,
-        });
-        // Continue with upload even if old file deletion fails
-      }
-    }
-
-    // Upload new resume to S3
+    // Upload new resume to S3; the previous file is kept as an older version
     const uploadResult = await uploadResume(
       req.file.buffer,
-      req.file.originalname,
-      candidateId
+      document.fileName,
+      candidateId,
+      document.mimeType
     );
 
     if (!uploadResult.success) {
@@ -304,9 +323,16 @@ async function uploadResumeFile(req, res) {
     };
 
     const updatedCandidate = await updateCandidateById(candidateId, updateData);
+    const version = await recordVersion(candidateId, {
+      source: "uploaded",
+      key: uploadResult.key,
+      fileName: document.fileName,
+      mimeType: document.mimeType,
+      snapshot: snapshotFromProfile(updatedCandidate),
+    });
 
     // Remove sensitive data from response
-    const { password, api_token, ...candidateData } = updatedCandidate.toJSON();
+    const { password, ...candidateData } = updatedCandidate.toJSON();
 
     // Generate URL for response (optional)
     const resumeUrl = candidateData.resume_key
@@ -324,6 +350,7 @@ async function uploadResumeFile(req, res) {
         upload_info: {
           key: uploadResult.key,
           bucket: uploadResult.bucket,
+          version_id: version?.version_id || null,
         },
       },
     });
@@ -361,12 +388,14 @@ async function editResumeFile(req, res) {
 
     // Check if new file is uploaded
     let uploadResult = null;
+    let document = null;
     if (req.file) {
-      // Validate file type (PDF only)
-      if (req.file.mimetype !== "application/pdf") {
+      // Validate file type from its content (PDF, DOCX, ODT, RTF or TXT)
+      document = identifyUpload(req.file);
+      if (!document) {
         return res.status(400).json({
           success: false,
-          message: "Only PDF files are allowed for resume upload",
+          message: `Only ${SUPPORTED_FORMATS_LABEL} files are allowed for resume upload`,
         });
       }
 
@@ -379,26 +408,12 @@ async function editResumeFile(req, res) {
         });
       }
 
-      // Delete old resume from S3
-      try {
-        await deleteFile(currentCandidate.resume_key);
-        logger?.info?.("Old resume deleted from S3", {
-          candidateId,
-          oldKey: currentCandidate.resume_key,
-        });
-      } catch (deleteError) {
-        logger?.warn?.("Failed to delete old resume", {
-          candidateId,
-          error: deleteError.message,
-        });
-        // Continue with upload even if old file deletion fails
-      }
-
-      // Upload new resume to S3
+      // Upload new resume to S3; the previous file is kept as an older version
       uploadResult = await uploadResume(
         req.file.buffer,
-        req.file.originalname,
-        candidateId
+        document.fileName,
+        candidateId,
+        document.mimeType
       );
 
       if (!uploadResult.success) {
@@ -476,8 +491,20 @@ async function editResumeFile(req, res) {
     // Update candidate with new data
     const updatedCandidate = await updateCandidateById(candidateId, updateData);
 
+    // Only a new file makes a new version; field-only edits do not
+    let version = null;
+    if (uploadResult) {
+      version = await recordVersion(candidateId, {
+        source: "uploaded",
+        key: uploadResult.key,
+        fileName: document.fileName,
+        mimeType: document.mimeType,
+        snapshot: snapshotFromProfile(updatedCandidate),
+      });
+    }
+
     // Remove sensitive data from response
-    const { password, api_token, ...candidateData } = updatedCandidate.toJSON();
+    const { password, ...candidateData } = updatedCandidate.toJSON();
 
     // Generate URL for response (optional)
     const resumeUrl = candidateData.resume_key
@@ -496,6 +523,7 @@ async function editResumeFile(req, res) {
           ? {
               key: uploadResult.key,
               bucket: uploadResult.bucket,
+              version_id: version?.version_id || null,
             }
           : null,
       },
@@ -683,6 +711,7 @@ async function getEmployersForCandidate(req, res) {
       country_id,
       job_category_id
     );
+    const resumeFor = await loadResumeAssignments(req.candidate.candidate_id);
 
     const items = Array.isArray(result?.employers)
       ? result.employers.map((e) => ({
@@ -696,6 +725,8 @@ async function getEmployersForCandidate(req, res) {
       success: true,
       message: "Employers fetched successfully",
       data: items,
+      // Resume the candidate applies with in this country
+      resume: resumeFor(country_id),
     });
   } catch (error) {
     logger?.error?.("getEmployersForCandidate error", { error });
@@ -775,6 +806,16 @@ async function getCandidateDashboard(req, res) {
             totalJobsShortlisted,
           };
         })(),
+        // Latest ATS scores, oldest first
+        atsScores: (agg.atsScores || []).map((s) => ({
+          id: s.score_id,
+          score: s.score,
+          rating: s.rating,
+          source: s.source,
+          resumeId: s.resume_id,
+          jobCategoryId: s.job_category_id,
+          createdAt: s.created_at,
+        })),
       },
     };
 
@@ -798,10 +839,19 @@ async function getJobList(req, res) {
     const candidateId = req.candidate.candidate_id;
     const jobListData = await getJobListForCandidate(candidateId);
 
+    // Show which resume the candidate applies with in each country
+    const resumeFor = await loadResumeAssignments(candidateId);
+    const withResume = (country) => ({
+      ...country,
+      resume: resumeFor(country.country_id),
+    });
+
     return res.status(200).json({
       success: true,
       message: "Job list retrieved successfully",
       ...jobListData,
+      subscribedCountries: jobListData.subscribedCountries.map(withResume),
+      otherCountries: jobListData.otherCountries.map(withResume),
     });
   } catch (error) {
     logger?.error?.("getJobList error", {
@@ -842,6 +892,177 @@ async function getChartsByJobCategory(req, res) {
   }
 }
 
+// GET /api/candidate/account/export
+// Downloads a ZIP with all personal data and the stored resume
+async function exportAccountData(req, res) {
+  try {
+    const { fileName, buffer } = await buildDataExport(
+      req.candidate.candidate_id
+    );
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+      "Content-Length": buffer.length,
+      "Cache-Control": "no-store",
+    });
+    return res.status(200).send(buffer);
+  } catch (err) {
+    logger?.error?.("exportAccountData error", {
+      error: err.message,
+      candidateId: req.candidate?.candidate_id,
+    });
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Failed to export account data" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
+// GET /api/candidate/account/deletion
+async function getAccountDeletion(req, res) {
+  try {
+    const data = await getDeletionStatus(req.candidate.candidate_id);
+    return res.status(200).json({
+      success: true,
+      message: "Account deletion status",
+      data,
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message:
+        status === 500 ? "Failed to fetch account deletion status" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
+// POST /api/candidate/account/deletion
+// Schedules deletion after the grace period; signs out other devices
+async function requestAccountDeletion(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateAccountDeletion(req.body || {});
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const data = await requestAccountDeletionService(
+      req.candidate.candidate_id,
+      cleaned,
+      req.session?.session_id
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Account deletion scheduled",
+      data,
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message:
+        status === 500 ? "Failed to schedule account deletion" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
+// DELETE /api/candidate/account/deletion
+async function cancelAccountDeletion(req, res) {
+  try {
+    const data = await cancelAccountDeletionService(req.candidate.candidate_id);
+    return res.status(200).json({
+      success: true,
+      message: "Account deletion cancelled",
+      data,
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message:
+        status === 500 ? "Failed to cancel account deletion" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
+// GET /api/candidate/account/email
+async function getEmailChange(req, res) {
+  try {
+    const data = await getPendingEmailChange(req.candidate.candidate_id);
+    return res.status(200).json({
+      success: true,
+      message: "Email change status",
+      data,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch email change status",
+      error: err.message,
+    });
+  }
+}
+
+// POST /api/candidate/account/email
+async function requestEmailChange(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateEmailChange(req.body || {});
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const backendBase =
+      process.env.BACKEND_URL || `${req.protocol}://${req.get("host")}`;
+    const data = await requestEmailChangeService({
+      candidateId: req.candidate.candidate_id,
+      newEmail: cleaned.new_email,
+      password: cleaned.password,
+      backendBase,
+      requestedIp: req.ip,
+    });
+    return res.status(200).json({
+      success: true,
+      message: "Confirmation link sent to the new email address",
+      data,
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Failed to request email change" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
+// DELETE /api/candidate/account/email
+async function cancelEmailChange(req, res) {
+  try {
+    const data = await cancelEmailChangeService(req.candidate.candidate_id);
+    return res.status(200).json({
+      success: true,
+      message: "Email change cancelled",
+      data,
+    });
+  } catch (err) {
+    const status = err.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Failed to cancel email change" : err.message,
+      error: status === 500 ? err.message : undefined,
+    });
+  }
+}
+
 module.exports = {
   updateCandidateProfile,
   generateResume,
@@ -854,4 +1075,11 @@ module.exports = {
   getCandidateDashboard,
   getChartsByJobCategory,
   parseResumeFromPdf,
+  exportAccountData,
+  getAccountDeletion,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  getEmailChange,
+  requestEmailChange,
+  cancelEmailChange,
 };
@@ -0,0 +1,169 @@
+const candidateResumeService = require("../services/candidateResume.service");
+const {
+  validateTargetedResumeCreate,
+  validateTargetedResumeUpdate,
+} = require("../validations/candidate.validation");
+const {
+  getValidationErrorMessage,
+  sendError,
+} = require("../utils/errorHelper");
+const {
+  SUPPORTED_FORMATS_LABEL,
+  identifyUpload,
+} = require("../utils/documentText");
+
+// GET /api/candidate/resumes
+async function getResumes(req, res) {
+  try {
+    const resumes = await candidateResumeService.listResumes(
+      req.candidate.candidate_id
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Resumes retrieved successfully",
+      data: resumes,
+    });
+  } catch (error) {
+    return sendError(res, error, "getResumes", "Failed to retrieve resumes");
+  }
+}
+
+// POST /api/candidate/resumes
+async function createResume(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateTargetedResumeCreate(
+      req.body || {}
+    );
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const resume = await candidateResumeService.createResume(
+      req.candidate.candidate_id,
+      cleaned
+    );
+    return res.status(201).json({
+      success: true,
+      message: "Resume created successfully",
+      data: resume,
+    });
+  } catch (error) {
+    return sendError(res, error, "createResume", "Failed to create resume");
+  }
+}
+
+// GET /api/candidate/resumes/:resumeId
+async function getResume(req, res) {
+  try {
+    const resume = await candidateResumeService.getResume(
+      req.candidate.candidate_id,
+      req.params.resumeId
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Resume retrieved successfully",
+      data: resume,
+    });
+  } catch (error) {
+    return sendError(res, error, "getResume", "Failed to retrieve resume");
+  }
+}
+
+// PUT /api/candidate/resumes/:resumeId
+async function updateResume(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateTargetedResumeUpdate(
+      req.body || {}
+    );
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const resume = await candidateResumeService.updateResume(
+      req.candidate.candidate_id,
+      req.params.resumeId,
+      cleaned
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Resume updated successfully",
+      data: resume,
+    });
+  } catch (error) {
+    return sendError(res, error, "updateResume", "Failed to update resume");
+  }
+}
+
+// DELETE /api/candidate/resumes/:resumeId
+async function deleteResume(req, res) {
+  try {
+    await candidateResumeService.deleteResume(
+      req.candidate.candidate_id,
+      req.params.resumeId
+    );
+    return res
+      .status(200)
+      .json({ success: true, message: "Resume deleted successfully" });
+  } catch (error) {
+    return sendError(res, error, "deleteResume", "Failed to delete resume");
+  }
+}
+
+// POST /api/candidate/resumes/:resumeId/file
+async function uploadResumeFile(req, res) {
+  try {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ success: false, message: "No resume file uploaded" });
+    }
+
+    const document = identifyUpload(req.file);
+    if (!document) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${SUPPORTED_FORMATS_LABEL} files are allowed for resume upload`,
+      });
+    }
+
+    const maxSize = 5 * 1024 * 1024; // 5MB
+    if (req.file.size > maxSize) {
+      return res.status(400).json({
+        success: false,
+        message: "Resume file size must be less than 5MB",
+      });
+    }
+
+    const { resume, version } = await candidateResumeService.attachResumeFile(
+      req.candidate.candidate_id,
+      req.params.resumeId,
+      req.file.buffer,
+      document
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Resume file uploaded successfully",
+      data: { resume, version_id: version.version_id },
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "uploadResumeFile",
+      "Failed to upload resume file"
+    );
+  }
+}
+
+module.exports = {
+  getResumes,
+  createResume,
+  getResume,
+  updateResume,
+  deleteResume,
+  uploadResumeFile,
+};
@@ -10,6 +10,7 @@ const {
   updateCountryById,
   deleteCountryById,
 } = require("../services/country.service");
+const { recordAuditEvent } = require("../services/audit.service");
 const logger = require("../config/logger");
 const { getValidationErrorMessage } = require("../utils/errorHelper");
 
@@ -100,6 +101,13 @@ async function createNewCountry(req, res) {
 
     const createdBy = req.admin?.user_id || null;
     const country = await createCountry(cleaned, createdBy);
+    await recordAuditEvent({
+      req,
+      action: "country.create",
+      entityType: "country",
+      entityId: country.country_id,
+      after: country,
+    });
 
     return res.status(201).json({
       success: true,
@@ -152,6 +160,14 @@ async function updateCountry(req, res) {
 
     const updatedBy = req.admin?.user_id || null;
     const updatedCountry = await updateCountryById(id, cleaned, updatedBy);
+    await recordAuditEvent({
+      req,
+      action: "country.update",
+      entityType: "country",
+      entityId: id,
+      before: existingCountry,
+      after: updatedCountry,
+    });
 
     return res.status(200).json({
       success: true,
@@ -202,6 +218,13 @@ async function deleteCountry(req, res) {
         message: "Failed to delete country",
       });
     }
+    await recordAuditEvent({
+      req,
+      action: "country.delete",
+      entityType: "country",
+      entityId: id,
+      before: existingCountry,
+    });
 
     return res.status(200).json({
       success: true,
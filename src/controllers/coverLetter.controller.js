@@ -0,0 +1,218 @@
+const coverLetterService = require("../services/coverLetter.service");
+const {
+  validateCoverLetterCreate,
+  validateCoverLetterRegenerate,
+  validateCoverLetterUpdate,
+  validateCoverLetterListQuery,
+  validateCoverLetterDownloadQuery,
+} = require("../validations/coverLetter.validation");
+const {
+  getValidationErrorMessage,
+  sendError,
+} = require("../utils/errorHelper");
+
+// GET /api/candidate/cover-letters?page=&limit=
+async function getCoverLetters(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateCoverLetterListQuery(req.query);
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const result = await coverLetterService.listCoverLetters(
+      req.candidate.candidate_id,
+      cleaned
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Cover letters retrieved successfully",
+      ...result,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "getCoverLetters",
+      "Failed to retrieve cover letters"
+    );
+  }
+}
+
+// POST /api/candidate/cover-letters
+async function createCoverLetter(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateCoverLetterCreate(req.body);
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const letter = await coverLetterService.createCoverLetter(
+      req.candidate.candidate_id,
+      cleaned
+    );
+    return res.status(201).json({
+      success: true,
+      message: "Cover letter generated successfully",
+      data: letter,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "createCoverLetter",
+      "Failed to generate cover letter"
+    );
+  }
+}
+
+// GET /api/candidate/cover-letters/:letterId
+async function getCoverLetter(req, res) {
+  try {
+    const letter = await coverLetterService.findCoverLetter(
+      req.candidate.candidate_id,
+      req.params.letterId
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Cover letter retrieved successfully",
+      data: letter,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "getCoverLetter",
+      "Failed to retrieve cover letter"
+    );
+  }
+}
+
+// PUT /api/candidate/cover-letters/:letterId
+async function updateCoverLetter(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateCoverLetterUpdate(req.body);
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const letter = await coverLetterService.updateCoverLetter(
+      req.candidate.candidate_id,
+      req.params.letterId,
+      cleaned
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Cover letter updated successfully",
+      data: letter,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "updateCoverLetter",
+      "Failed to update cover letter"
+    );
+  }
+}
+
+// POST /api/candidate/cover-letters/:letterId/regenerate
+async function regenerateCoverLetter(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateCoverLetterRegenerate(req.body);
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const letter = await coverLetterService.regenerateCoverLetter(
+      req.candidate.candidate_id,
+      req.params.letterId,
+      cleaned
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Cover letter regenerated successfully",
+      data: letter,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "regenerateCoverLetter",
+      "Failed to regenerate cover letter"
+    );
+  }
+}
+
+// GET /api/candidate/cover-letters/:letterId/download?format=pdf|docx
+async function downloadCoverLetter(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateCoverLetterDownloadQuery(
+      req.query
+    );
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const { buffer, fileName, mimeType } =
+      await coverLetterService.renderCoverLetterFile(
+        req.candidate.candidate_id,
+        req.params.letterId,
+        cleaned.format
+      );
+    res.set({
+      "Content-Type": mimeType,
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+      "Content-Length": buffer.length,
+      "Cache-Control": "no-store",
+    });
+    return res.status(200).send(buffer);
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "downloadCoverLetter",
+      "Failed to render cover letter"
+    );
+  }
+}
+
+// DELETE /api/candidate/cover-letters/:letterId
+async function deleteCoverLetter(req, res) {
+  try {
+    await coverLetterService.deleteCoverLetter(
+      req.candidate.candidate_id,
+      req.params.letterId
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Cover letter deleted successfully",
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "deleteCoverLetter",
+      "Failed to delete cover letter"
+    );
+  }
+}
+
+module.exports = {
+  getCoverLetters,
+  createCoverLetter,
+  getCoverLetter,
+  updateCoverLetter,
+  regenerateCoverLetter,
+  downloadCoverLetter,
+  deleteCoverLetter,
+};
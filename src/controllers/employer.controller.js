@@ -7,10 +7,11 @@ const {
 const {
   getCountryAndCategoryByIds,
   buildEmployerPrompt,
-  callOpenAIForEmployers,
+  requestEmployers,
   saveEmployers,
   listEmployers: listEmployersService,
 } = require("../services/employer.service");
+const { recordAuditEvent } = require("../services/audit.service");
 
 // POST /api/employer/scrap
 // Accepts: country_id and job_category_id in body or params (or query as fallback)
@@ -34,7 +35,7 @@ async function scrapEmployers(req, res, next) {
     const info = await getCountryAndCategoryByIds(country_id, job_category_id);
     const prompt = buildEmployerPrompt(info);
 
-    const { parsed } = await callOpenAIForEmployers(prompt);
+    const { parsed } = await requestEmployers(prompt);
 
     // Determine actorId for auditing
     const actorId = req.admin?.user_id;
@@ -46,6 +47,12 @@ async function scrapEmployers(req, res, next) {
       job_category_id,
       actorId
     );
+    await recordAuditEvent({
+      req,
+      action: "employer.scrape",
+      entityType: "employer_scrape",
+      metadata: { country_id, job_category_id, result: saveResult },
+    });
 
     return res.status(200).json({
       success: true,
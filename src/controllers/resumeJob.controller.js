@@ -0,0 +1,194 @@
+const resumeJobService = require("../services/resumeJob.service");
+const {
+  validateGenerateResumePayload,
+} = require("../validations/candidate.validation");
+const {
+  validateResumeJobListQuery,
+} = require("../validations/resumeJob.validation");
+const {
+  getValidationErrorMessage,
+  sendError,
+} = require("../utils/errorHelper");
+const {
+  SUPPORTED_FORMATS_LABEL,
+  identifyUpload,
+} = require("../utils/documentText");
+
+const MAX_RESUME_SIZE = 5 * 1024 * 1024; // 5MB
+// Comment lines keep proxies from closing a quiet stream
+const STREAM_HEARTBEAT_MS = 15000;
+
+// POST /api/candidate/resume/jobs
+async function createGenerationJob(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateGenerateResumePayload(
+      req.body || {}
+    );
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const job = await resumeJobService.createGenerationJob(
+      req.candidate.candidate_id,
+      cleaned
+    );
+    return res.status(202).json({
+      success: true,
+      message: "Resume generation started",
+      data: job,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "createGenerationJob",
+      "Failed to start resume generation"
+    );
+  }
+}
+
+// POST /api/candidate/resume/parse/jobs
+async function createParseJob(req, res) {
+  try {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ success: false, message: "No resume file uploaded" });
+    }
+
+    // Format comes from the file content, not the client's mimetype
+    const document = identifyUpload(req.file);
+    if (!document) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${SUPPORTED_FORMATS_LABEL} files are allowed`,
+      });
+    }
+    if (req.file.size > MAX_RESUME_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: "Resume file size must be less than 5MB",
+      });
+    }
+
+    const job = await resumeJobService.createParseJob(
+      req.candidate.candidate_id,
+      req.file.buffer,
+      document
+    );
+    return res.status(202).json({
+      success: true,
+      message: "Resume parsing started",
+      data: job,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "createParseJob",
+      "Failed to start resume parsing"
+    );
+  }
+}
+
+// GET /api/candidate/resume/jobs?page=&limit=&type=&status=
+async function getResumeJobs(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateResumeJobListQuery(req.query);
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const result = await resumeJobService.listResumeJobs(
+      req.candidate.candidate_id,
+      cleaned
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Resume jobs retrieved successfully",
+      ...result,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "getResumeJobs",
+      "Failed to retrieve resume jobs"
+    );
+  }
+}
+
+// GET /api/candidate/resume/jobs/:jobId
+async function getResumeJob(req, res) {
+  try {
+    const job = await resumeJobService.getResumeJob(
+      req.candidate.candidate_id,
+      req.params.jobId
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Resume job retrieved successfully",
+      data: job,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "getResumeJob",
+      "Failed to retrieve resume job"
+    );
+  }
+}
+
+// GET /api/candidate/resume/jobs/:jobId/events (Server-Sent Events)
+async function streamResumeJob(req, res) {
+  let job;
+  try {
+    job = await resumeJobService.getResumeJob(
+      req.candidate.candidate_id,
+      req.params.jobId
+    );
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "streamResumeJob",
+      "Failed to retrieve resume job"
+    );
+  }
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: send events as they are written
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(
+    () => res.write(": keep-alive\n\n"),
+    STREAM_HEARTBEAT_MS
+  );
+  const stop = resumeJobService.watchResumeJob(
+    job,
+    (event, data) =>
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+    () => res.end()
+  );
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    stop();
+  });
+}
+
+module.exports = {
+  createGenerationJob,
+  createParseJob,
+  getResumeJobs,
+  getResumeJob,
+  streamResumeJob,
+};
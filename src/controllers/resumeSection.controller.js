@@ -0,0 +1,46 @@
+const resumeSectionService = require("../services/resumeSection.service");
+const {
+  validateResumeSectionRegenerate,
+} = require("../validations/resumeSection.validation");
+const {
+  getValidationErrorMessage,
+  sendError,
+} = require("../utils/errorHelper");
+
+// POST /api/candidate/resume/sections/:section/regenerate
+async function regenerateResumeSection(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateResumeSectionRegenerate({
+      ...(req.body || {}),
+      section: req.params.section,
+    });
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const { section, ...options } = cleaned;
+    const data = await resumeSectionService.regenerateResumeSection(
+      req.candidate.candidate_id,
+      section,
+      options
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Resume section regenerated successfully",
+      data,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "regenerateResumeSection",
+      "Failed to regenerate resume section"
+    );
+  }
+}
+
+module.exports = {
+  regenerateResumeSection,
+};
@@ -0,0 +1,339 @@
+const resumeTemplateService = require("../services/resumeTemplate.service");
+const { recordAuditEvent } = require("../services/audit.service");
+const {
+  validateResumeTemplateCreate,
+  validateResumeTemplateUpdate,
+  validateResumeTemplateSelection,
+  validateRenderFormat,
+} = require("../validations/resumeTemplate.validation");
+const {
+  getValidationErrorMessage,
+  sendError,
+} = require("../utils/errorHelper");
+
+function sendRendered(res, { buffer, fileName, mimeType }) {
+  // PDFs open in the browser; DOCX files download
+  const disposition =
+    mimeType === "application/pdf" ? "inline" : "attachment";
+  res.set({
+    "Content-Type": mimeType,
+    "Content-Disposition": `${disposition}; filename="${fileName}"`,
+    "Content-Length": buffer.length,
+    "Cache-Control": "no-store",
+  });
+  return res.status(200).send(buffer);
+}
+
+// Admin Controllers
+
+/**
+ * GET /api/admin/resume-templates
+ * All templates, including inactive ones (without layout source)
+ */
+async function getResumeTemplates(req, res) {
+  try {
+    const templates = await resumeTemplateService.listTemplates();
+    return res.status(200).json({
+      success: true,
+      message: "Resume templates retrieved successfully",
+      data: templates,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "getResumeTemplates",
+      "Failed to retrieve resume templates"
+    );
+  }
+}
+
+/**
+ * GET /api/admin/resume-templates/:templateId
+ * One template including its layout source
+ */
+async function getResumeTemplate(req, res) {
+  try {
+    const template = await resumeTemplateService.getTemplate(
+      req.params.templateId
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Resume template retrieved successfully",
+      data: template,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "getResumeTemplate",
+      "Failed to retrieve resume template"
+    );
+  }
+}
+
+/**
+ * POST /api/admin/resume-templates
+ * Create a template; the layout must render the sample resume
+ */
+async function createResumeTemplate(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateResumeTemplateCreate(
+      req.body || {}
+    );
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const template = await resumeTemplateService.createTemplate(
+      cleaned,
+      req.admin.user_id
+    );
+    await recordAuditEvent({
+      req,
+      action: "resume_template.create",
+      entityType: "resume_template",
+      entityId: template.template_id,
+      after: template,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Resume template created successfully",
+      data: template,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "createResumeTemplate",
+      "Failed to create resume template"
+    );
+  }
+}
+
+/**
+ * PUT /api/admin/resume-templates/:templateId
+ * Update a template; setting is_default moves the default to it
+ */
+async function updateResumeTemplate(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateResumeTemplateUpdate(
+      req.body || {}
+    );
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const { templateId } = req.params;
+    const before = await resumeTemplateService.getTemplate(templateId);
+    const template = await resumeTemplateService.updateTemplate(
+      templateId,
+      cleaned,
+      req.admin.user_id
+    );
+    await recordAuditEvent({
+      req,
+      action: "resume_template.update",
+      entityType: "resume_template",
+      entityId: templateId,
+      before,
+      after: template,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Resume template updated successfully",
+      data: template,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "updateResumeTemplate",
+      "Failed to update resume template"
+    );
+  }
+}
+
+/**
+ * DELETE /api/admin/resume-templates/:templateId
+ * Delete a template; candidates who picked it fall back to the default
+ */
+async function deleteResumeTemplate(req, res) {
+  try {
+    const template = await resumeTemplateService.deleteTemplate(
+      req.params.templateId
+    );
+    await recordAuditEvent({
+      req,
+      action: "resume_template.delete",
+      entityType: "resume_template",
+      entityId: template.template_id,
+      before: template,
+    });
+
+    return res
+      .status(200)
+      .json({ success: true, message: "Resume template deleted successfully" });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "deleteResumeTemplate",
+      "Failed to delete resume template"
+    );
+  }
+}
+
+/**
+ * GET /api/admin/resume-templates/:templateId/sample?format=pdf|docx
+ * Sample rendering of any template, including inactive ones
+ */
+async function getResumeTemplateSample(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateRenderFormat(req.query);
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const rendered = await resumeTemplateService.renderTemplateSample(
+      req.params.templateId,
+      cleaned.format
+    );
+    return sendRendered(res, rendered);
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "getResumeTemplateSample",
+      "Failed to render resume template"
+    );
+  }
+}
+
+// Candidate Controllers
+
+// GET /api/candidate/resume/templates
+async function getTemplatesForCandidate(req, res) {
+  try {
+    const data = await resumeTemplateService.listTemplatesForCandidate(
+      req.candidate.candidate_id
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Resume templates retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "getTemplatesForCandidate",
+      "Failed to retrieve resume templates"
+    );
+  }
+}
+
+// PUT /api/candidate/resume/template
+async function selectTemplate(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateResumeTemplateSelection(
+      req.body || {}
+    );
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const data = await resumeTemplateService.selectTemplate(
+      req.candidate.candidate_id,
+      cleaned.template_id
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Resume template saved",
+      data,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "selectTemplate",
+      "Failed to save resume template"
+    );
+  }
+}
+
+// GET /api/candidate/resume/templates/:templateId/sample?format=pdf|docx
+async function getTemplateSample(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateRenderFormat(req.query);
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const rendered = await resumeTemplateService.renderTemplateSample(
+      req.params.templateId,
+      cleaned.format,
+      { activeOnly: true }
+    );
+    return sendRendered(res, rendered);
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "getTemplateSample",
+      "Failed to render resume template"
+    );
+  }
+}
+
+// GET /api/candidate/resume/templates/:templateId/preview?format=pdf|docx
+// Renders the candidate's saved profile with the template
+async function previewTemplate(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateRenderFormat(req.query);
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const rendered = await resumeTemplateService.renderTemplatePreview(
+      req.candidate.candidate_id,
+      req.params.templateId,
+      cleaned.format
+    );
+    return sendRendered(res, rendered);
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "previewTemplate",
+      "Failed to render resume preview"
+    );
+  }
+}
+
+module.exports = {
+  getResumeTemplates,
+  getResumeTemplate,
+  createResumeTemplate,
+  updateResumeTemplate,
+  deleteResumeTemplate,
+  getResumeTemplateSample,
+  getTemplatesForCandidate,
+  selectTemplate,
+  getTemplateSample,
+  previewTemplate,
+};
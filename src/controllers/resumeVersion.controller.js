@@ -0,0 +1,126 @@
+const resumeVersionService = require("../services/resumeVersion.service");
+const {
+  validateResumeVersionListQuery,
+  validateResumeVersionDiffQuery,
+} = require("../validations/resumeVersion.validation");
+const {
+  getValidationErrorMessage,
+  sendError,
+} = require("../utils/errorHelper");
+
+// GET /api/candidate/resume/versions?page=&limit=&resume_id=
+async function getResumeVersions(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateResumeVersionListQuery(
+      req.query
+    );
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const result = await resumeVersionService.listResumeVersions(
+      req.candidate.candidate_id,
+      cleaned
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Resume versions retrieved successfully",
+      ...result,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "getResumeVersions",
+      "Failed to retrieve resume versions"
+    );
+  }
+}
+
+// GET /api/candidate/resume/versions/diff?from=&to=
+async function diffResumeVersions(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateResumeVersionDiffQuery(
+      req.query
+    );
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const data = await resumeVersionService.diffResumeVersions(
+      req.candidate.candidate_id,
+      cleaned.from,
+      cleaned.to
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Resume versions compared successfully",
+      data,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "diffResumeVersions",
+      "Failed to compare resume versions"
+    );
+  }
+}
+
+// GET /api/candidate/resume/versions/:versionId
+async function getResumeVersion(req, res) {
+  try {
+    const data = await resumeVersionService.getResumeVersion(
+      req.candidate.candidate_id,
+      req.params.versionId
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Resume version retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "getResumeVersion",
+      "Failed to retrieve resume version"
+    );
+  }
+}
+
+// POST /api/candidate/resume/versions/:versionId/restore
+async function restoreResumeVersion(req, res) {
+  try {
+    const { version, candidate, resume } =
+      await resumeVersionService.restoreResumeVersion(
+        req.candidate.candidate_id,
+        req.params.versionId
+      );
+    const { password, ...candidateData } = candidate.toJSON();
+
+    return res.status(200).json({
+      success: true,
+      message: "Resume version restored",
+      data: { version, candidate: candidateData, resume },
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "restoreResumeVersion",
+      "Failed to restore resume version"
+    );
+  }
+}
+
+module.exports = {
+  getResumeVersions,
+  diffResumeVersions,
+  getResumeVersion,
+  restoreResumeVersion,
+};
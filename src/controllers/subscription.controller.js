@@ -16,11 +16,13 @@ const {
   getAvailableCountriesForSubscription,
 } = require("../services/subscription.service");
 const stripeService = require("../services/stripe.service");
+const { recordAuditEvent } = require("../services/audit.service");
 const logger = require("../config/logger");
 const { getValidationErrorMessage } = require("../utils/errorHelper");
 const {
   validateCreateSubscriptionPlan,
   validateUpdateSubscriptionPlan,
+  validatePlanAiQuota,
   validateCalculateSubscriptionPricing,
   validateCreateSubscription,
   validateAddCountriesToSubscription,
@@ -67,8 +69,14 @@ async function getAllPlans(req, res) {
  */
 async function createPlan(req, res) {
   try {
-    const { name, description, duration_days, price_per_country, is_active } =
-      req.body;
+    const {
+      name,
+      description,
+      duration_days,
+      price_per_country,
+      is_active,
+      ai_quota,
+    } = req.body;
 
     // Basic validation
     if (!name || !duration_days || !price_per_country) {
@@ -86,6 +94,14 @@ async function createPlan(req, res) {
       });
     }
 
+    const quota = validatePlanAiQuota(ai_quota ?? null);
+    if (!quota.valid) {
+      return res.status(400).json({
+        success: false,
+        message: getValidationErrorMessage(quota.errors),
+      });
+    }
+
     // Get admin ID from the authenticated admin
     const adminId = req.admin?.user_id;
     if (!adminId) {
@@ -102,9 +118,17 @@ async function createPlan(req, res) {
         duration_days: parseInt(duration_days),
         price_per_country: parseFloat(price_per_country),
         is_active: is_active !== undefined ? is_active : true,
+        ai_quota: quota.cleaned,
       },
       adminId
     );
+    await recordAuditEvent({
+      req,
+      action: "plan.create",
+      entityType: "subscription_plan",
+      entityId: plan.plan_id,
+      after: plan,
+    });
 
     return res.status(201).json({
       success: true,
@@ -132,8 +156,14 @@ async function createPlan(req, res) {
 async function updatePlan(req, res) {
   try {
     const { planId } = req.params;
-    const { name, description, duration_days, price_per_country, is_active } =
-      req.body;
+    const {
+      name,
+      description,
+      duration_days,
+      price_per_country,
+      is_active,
+      ai_quota,
+    } = req.body;
 
     // Get admin ID from the authenticated admin
     const adminId = req.admin?.user_id;
@@ -166,8 +196,27 @@ async function updatePlan(req, res) {
       updateData.price_per_country = parseFloat(price_per_country);
     }
     if (is_active !== undefined) updateData.is_active = is_active;
+    if (ai_quota !== undefined) {
+      const quota = validatePlanAiQuota(ai_quota);
+      if (!quota.valid) {
+        return res.status(400).json({
+          success: false,
+          message: getValidationErrorMessage(quota.errors),
+        });
+      }
+      updateData.ai_quota = quota.cleaned;
+    }
 
+    const before = await getSubscriptionPlanById(planId);
     const plan = await updateSubscriptionPlan(planId, updateData, adminId);
+    await recordAuditEvent({
+      req,
+      action: "plan.update",
+      entityType: "subscription_plan",
+      entityId: planId,
+      before,
+      after: plan,
+    });
 
     return res.status(200).json({
       success: true,
@@ -441,6 +490,15 @@ async function cancelMySubscription(req, res) {
       subscriptionId,
       candidateId
     );
+    await recordAuditEvent({
+      req,
+      action: "subscription.cancel",
+      entityType: "candidate_subscription",
+      entityId: subscriptionId,
+      before: subscription,
+      after: cancelledSubscription,
+      metadata: { candidate_id: candidateId },
+    });
 
     return res.status(200).json({
       success: true,
@@ -552,10 +610,20 @@ async function cancelAnySubscription(req, res) {
       });
     }
 
+    const before = await getSubscriptionById(subscriptionId);
     const cancelledSubscription = await cancelSubscription(
       subscriptionId,
       adminId
     );
+    await recordAuditEvent({
+      req,
+      action: "subscription.cancel",
+      entityType: "candidate_subscription",
+      entityId: subscriptionId,
+      before,
+      after: cancelledSubscription,
+      metadata: { candidate_id: cancelledSubscription.candidate_id },
+    });
 
     return res.status(200).json({
       success: true,
@@ -614,7 +682,16 @@ async function deletePlan(req, res) {
       });
     }
 
+    const before = await getSubscriptionPlanById(planId);
     const plan = await deleteSubscriptionPlan(planId, adminId);
+    await recordAuditEvent({
+      req,
+      action: "plan.delete",
+      entityType: "subscription_plan",
+      entityId: planId,
+      before,
+      after: plan,
+    });
 
     return res.status(200).json({
       success: true,
@@ -1,8 +1,33 @@
 const {
   validateAdminProfileUpdate,
+  validateAdminInvite,
+  validateAdminUserUpdate,
+  validateSecuritySettings,
 } = require("../validations/user.validation");
-const { updateUserById } = require("../services/user.service");
+const {
+  updateUserById,
+  findUserById,
+  listUsers,
+  createInvitedUser,
+  updateAdminUser,
+  setUserActive,
+} = require("../services/user.service");
+const { sendAdminInvite } = require("../services/passwordReset.service");
+const {
+  isTwoFactorRequired,
+  resetTwoFactor,
+  setTwoFactorRequired,
+} = require("../services/twoFactor.service");
+const { recordAuditEvent } = require("../services/audit.service");
+const { permissionsForRole } = require("../config/permissions");
 const { getValidationErrorMessage } = require("../utils/errorHelper");
+const logger = require("../config/logger");
+
+// Strip credentials and expose the role's permissions
+function toAdminJson(user) {
+  const { password, ...admin } = user.toJSON ? user.toJSON() : user;
+  return { ...admin, permissions: permissionsForRole(admin.role) };
+}
 
 async function updateAdminProfile(req, res) {
   try {
@@ -20,7 +45,15 @@ async function updateAdminProfile(req, res) {
       ...cleaned,
       updated_by: userId,
     });
-    const { password, api_token, ...admin } = updated.toJSON();
+    await recordAuditEvent({
+      req,
+      action: "admin_user.update_profile",
+      entityType: "user",
+      entityId: userId,
+      before: req.admin,
+      after: updated,
+    });
+    const { password, ...admin } = updated.toJSON();
     return res
       .status(200)
       .json({ success: true, message: "Profile updated", data: { ...admin } });
@@ -33,6 +66,330 @@ async function updateAdminProfile(req, res) {
   }
 }
 
+/**
+ * GET /api/admin/users
+ * List admin users (filters: role, is_active, search)
+ */
+async function getAdminUsers(req, res) {
+  try {
+    const { page, limit, search, sortBy, sortOrder, role, is_active } =
+      req.query;
+    const result = await listUsers({
+      page,
+      limit,
+      search,
+      sortBy,
+      sortOrder,
+      role,
+      is_active,
+    });
+    return res.status(200).json({
+      success: true,
+      message: "Admin users retrieved successfully",
+      ...result,
+    });
+  } catch (error) {
+    logger?.error?.("getAdminUsers error", { error: error.message });
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve admin users",
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * GET /api/admin/users/:userId
+ */
+async function getAdminUser(req, res) {
+  try {
+    const user = await findUserById(req.params.userId);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Admin user not found" });
+    }
+    return res.status(200).json({
+      success: true,
+      message: "Admin user retrieved successfully",
+      data: toAdminJson(user),
+    });
+  } catch (error) {
+    logger?.error?.("getAdminUser error", { error: error.message });
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve admin user",
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * POST /api/admin/users
+ * Invite a new admin; they set their password from the emailed link
+ */
+async function inviteAdminUser(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateAdminInvite(req.body || {});
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const user = await createInvitedUser({
+      ...cleaned,
+      created_by: req.admin.user_id,
+    });
+    await sendAdminInvite({ user, invitedByName: req.admin.full_name });
+    await recordAuditEvent({
+      req,
+      action: "admin_user.invite",
+      entityType: "user",
+      entityId: user.user_id,
+      after: user,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Invitation sent",
+      data: toAdminJson(user),
+    });
+  } catch (error) {
+    logger?.error?.("inviteAdminUser error", { error: error.message });
+    const status = error.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Failed to invite admin user" : error.message,
+      error: status === 500 ? error.message : undefined,
+    });
+  }
+}
+
+/**
+ * POST /api/admin/users/:userId/resend-invite
+ * Issue a fresh invite link (the previous one stops working)
+ */
+async function resendAdminInvite(req, res) {
+  try {
+    const user = await findUserById(req.params.userId);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Admin user not found" });
+    }
+    if (!user.is_active) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Admin user is deactivated" });
+    }
+
+    await sendAdminInvite({ user, invitedByName: req.admin.full_name });
+    return res.status(200).json({ success: true, message: "Invitation sent" });
+  } catch (error) {
+    logger?.error?.("resendAdminInvite error", { error: error.message });
+    return res.status(500).json({
+      success: false,
+      message: "Failed to resend invitation",
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * PUT /api/admin/users/:userId
+ * Rename and/or re-role an admin
+ */
+async function updateAdminUserById(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateAdminUserUpdate(req.body || {});
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const before = await findUserById(req.params.userId);
+    const user = await updateAdminUser(
+      req.params.userId,
+      cleaned,
+      req.admin.user_id
+    );
+    await recordAuditEvent({
+      req,
+      action: "admin_user.update",
+      entityType: "user",
+      entityId: user.user_id,
+      before,
+      after: user,
+    });
+    return res.status(200).json({
+      success: true,
+      message: "Admin user updated",
+      data: toAdminJson(user),
+    });
+  } catch (error) {
+    logger?.error?.("updateAdminUserById error", { error: error.message });
+    const status = error.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Failed to update admin user" : error.message,
+      error: status === 500 ? error.message : undefined,
+    });
+  }
+}
+
+async function setAdminUserActive(req, res, isActive) {
+  try {
+    const before = await findUserById(req.params.userId);
+    const { user, sessionsRevoked } = await setUserActive(
+      req.params.userId,
+      isActive,
+      req.admin.user_id
+    );
+    await recordAuditEvent({
+      req,
+      action: isActive ? "admin_user.activate" : "admin_user.deactivate",
+      entityType: "user",
+      entityId: user.user_id,
+      before,
+      after: user,
+      metadata: { sessions_revoked: sessionsRevoked },
+    });
+    return res.status(200).json({
+      success: true,
+      message: isActive ? "Admin user activated" : "Admin user deactivated",
+      data: { ...toAdminJson(user), sessions_revoked: sessionsRevoked },
+    });
+  } catch (error) {
+    logger?.error?.("setAdminUserActive error", { error: error.message });
+    const status = error.status || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? "Failed to update admin status" : error.message,
+      error: status === 500 ? error.message : undefined,
+    });
+  }
+}
+
+// PATCH /api/admin/users/:userId/deactivate
+const deactivateAdminUser = (req, res) => setAdminUserActive(req, res, false);
+
+// PATCH /api/admin/users/:userId/activate
+const activateAdminUser = (req, res) => setAdminUserActive(req, res, true);
+
+/**
+ * DELETE /api/admin/users/:userId/2fa
+ * Reset another admin's 2FA (lost device); they re-enrol at next login if 2FA is enforced
+ */
+async function resetAdminUserTwoFactor(req, res) {
+  try {
+    const user = await findUserById(req.params.userId);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Admin user not found" });
+    }
+
+    const removed = await resetTwoFactor(user.user_id);
+    if (removed) {
+      await recordAuditEvent({
+        req,
+        action: "admin_user.reset_2fa",
+        entityType: "user",
+        entityId: user.user_id,
+      });
+    }
+    return res.status(200).json({
+      success: true,
+      message: removed
+        ? "Two-factor authentication reset"
+        : "Two-factor authentication was not enabled",
+    });
+  } catch (error) {
+    logger?.error?.("resetAdminUserTwoFactor error", { error: error.message });
+    return res.status(500).json({
+      success: false,
+      message: "Failed to reset two-factor authentication",
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * GET /api/admin/settings/security
+ */
+async function getSecuritySettings(req, res) {
+  try {
+    const admin2faRequired = await isTwoFactorRequired();
+    return res.status(200).json({
+      success: true,
+      data: { admin_2fa_required: admin2faRequired },
+    });
+  } catch (error) {
+    logger?.error?.("getSecuritySettings error", { error: error.message });
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve security settings",
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * PUT /api/admin/settings/security
+ * Enforce (or relax) 2FA for every admin account
+ */
+async function updateSecuritySettings(req, res) {
+  try {
+    const { valid, errors, cleaned } = validateSecuritySettings(req.body || {});
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ success: false, message: getValidationErrorMessage(errors) });
+    }
+
+    const previous = await isTwoFactorRequired();
+    const { required, sessionsRevoked } = await setTwoFactorRequired(
+      cleaned.admin_2fa_required,
+      req.admin.user_id
+    );
+    await recordAuditEvent({
+      req,
+      action: "setting.update",
+      entityType: "app_setting",
+      entityId: "admin_2fa_required",
+      before: { admin_2fa_required: previous },
+      after: { admin_2fa_required: required },
+      metadata: { sessions_revoked: sessionsRevoked },
+    });
+    return res.status(200).json({
+      success: true,
+      message: "Security settings updated",
+      data: { admin_2fa_required: required, sessions_revoked: sessionsRevoked },
+    });
+  } catch (error) {
+    logger?.error?.("updateSecuritySettings error", { error: error.message });
+    const status = error.status || 500;
+    return res.status(status).json({
+      success: false,
+      message:
+        status === 500 ? "Failed to update security settings" : error.message,
+      error: status === 500 ? error.message : undefined,
+    });
+  }
+}
+
 module.exports = {
   updateAdminProfile,
+  getAdminUsers,
+  getAdminUser,
+  inviteAdminUser,
+  resendAdminInvite,
+  updateAdminUserById,
+  deactivateAdminUser,
+  activateAdminUser,
+  resetAdminUserTwoFactor,
+  getSecuritySettings,
+  updateSecuritySettings,
 };
@@ -20,6 +20,8 @@ const {
   start: startSubscribedCountryUpdatesCampaign,
 } = require("./jobs/subscribedCountryUpdatesCampaign");
 const { start: startEmployerScrapeCron } = require("./jobs/employerScrapeCron");
+const { start: startAccountDeletionCron } = require("./jobs/accountDeletionCron");
+const { start: startResumeJobWorker } = require("./jobs/resumeJobWorker");
 
 const app = express();
 
@@ -85,6 +87,8 @@ async function bootstrap() {
       startWeeklyCountryCampaign();
       startSubscribedCountryUpdatesCampaign();
       startEmployerScrapeCron();
+      startAccountDeletionCron();
+      startResumeJobWorker();
     });
   } catch (error) {
     logger.error("Unable to connect to the database", { error: error.message, stack: error.stack });
@@ -0,0 +1,39 @@
+const cron = require("node-cron");
+const logger = require("../config/logger");
+const { purgeDueAccounts } = require("../services/accountData.service");
+
+const CRON = process.env.ACCOUNT_DELETION_CRON || "0 3 * * *"; // daily at 03:00
+
+let task = null;
+
+async function runOnce() {
+  try {
+    const { purged, failed } = await purgeDueAccounts();
+    logger.info(
+      `Account deletion cron executed. Accounts purged=${purged}, failed=${failed}`
+    );
+  } catch (error) {
+    logger.error("Account deletion cron failed", {
+      error: error?.message,
+      stack: error?.stack,
+    });
+  }
+}
+
+function start() {
+  if (task) {
+    logger.warn("Account deletion cron already started; skipping re-schedule");
+    return task;
+  }
+  if (!cron.validate(CRON)) {
+    logger.error(
+      `Invalid ACCOUNT_DELETION_CRON expression: ${CRON}. Falling back to '0 3 * * *'`
+    );
+  }
+  const scheduleToUse = cron.validate(CRON) ? CRON : "0 3 * * *";
+  task = cron.schedule(scheduleToUse, runOnce, { scheduled: true });
+  logger.info(`Account deletion cron scheduled with '${scheduleToUse}'`);
+  return task;
+}
+
+module.exports = { start, runOnce };
@@ -1,18 +1,20 @@
 const cron = require("node-cron");
 const logger = require("../config/logger");
-const { v4: uuidv4 } = require("uuid");
 const {
   Country,
   JobCategory,
   EmployerScrapeState,
-  User,
 } = require("../models");
 const {
   getCountryAndCategoryByIds,
   buildEmployerPrompt,
-  callOpenAIForEmployers,
+  requestEmployers,
   saveEmployers,
 } = require("../services/employer.service");
+const {
+  SYSTEM_ACTOR_ID,
+  recordAuditEvent,
+} = require("../services/audit.service");
 
 const CRON = process.env.EMPLOYER_SCRAPE_CRON || "*/30 * * * *"; // every 30 minutes
 
@@ -125,26 +127,11 @@ async function runOnce() {
       category.job_category_id
     );
     const prompt = buildEmployerPrompt(info);
-    const { parsed } = await callOpenAIForEmployers(prompt);
-
-    // Resolve a non-null actorId for auditing and NOT NULL constraints
-    let actorId = (process.env.EMPLOYER_SCRAPE_ACTOR_ID || "").trim() || null;
-    if (!actorId) {
-      try {
-        const anyUser = await User.findOne({
-          where: { is_active: true },
-          attributes: ["user_id"],
-        });
-        if (anyUser) {
-          actorId = anyUser.user_id;
-        }
-      } catch (e) {
-        // ignore and fall through
-      }
-    }
-    if (!actorId) {
-      actorId = uuidv4();
-    }
+    const { parsed } = await requestEmployers(prompt);
+
+    // created_by/updated_by are NOT NULL; attribute cron writes to the system actor
+    const actorId =
+      (process.env.EMPLOYER_SCRAPE_ACTOR_ID || "").trim() || SYSTEM_ACTOR_ID;
 
     const result = await saveEmployers(
       parsed,
@@ -153,6 +140,18 @@ async function runOnce() {
       actorId
     );
 
+    await recordAuditEvent({
+      system: "employer_scrape_cron",
+      action: "employer.scrape",
+      entityType: "employer_scrape",
+      metadata: {
+        country_id: country.country_id,
+        job_category_id: category.job_category_id,
+        actor_id: actorId,
+        result,
+      },
+    });
+
     // Save progress
     await state.update({
       last_country_id: country.country_id,
@@ -0,0 +1,45 @@
+const cron = require("node-cron");
+const logger = require("../config/logger");
+const { sweepResumeJobs } = require("../services/resumeJob.service");
+
+const CRON = process.env.RESUME_JOB_CRON || "* * * * *"; // every minute
+
+let task = null;
+
+// Jobs run as soon as they are created; this picks up the ones a restart or
+// another instance left behind
+async function runOnce() {
+  try {
+    const { failed, queued, deleted } = await sweepResumeJobs();
+    if (failed || queued || deleted) {
+      logger.info(
+        `Resume job sweep executed. Interrupted=${failed}, requeued=${queued}, deleted=${deleted}`
+      );
+    }
+  } catch (error) {
+    logger.error("Resume job sweep failed", {
+      error: error?.message,
+      stack: error?.stack,
+    });
+  }
+}
+
+function start() {
+  if (task) {
+    logger.warn("Resume job worker already started; skipping re-schedule");
+    return task;
+  }
+  if (!cron.validate(CRON)) {
+    logger.error(
+      `Invalid RESUME_JOB_CRON expression: ${CRON}. Falling back to '* * * * *'`
+    );
+  }
+  const scheduleToUse = cron.validate(CRON) ? CRON : "* * * * *";
+  task = cron.schedule(scheduleToUse, runOnce, { scheduled: true });
+  logger.info(`Resume job worker scheduled with '${scheduleToUse}'`);
+  // Resume jobs queued before a restart without waiting for the first tick
+  runOnce();
+  return task;
+}
+
+module.exports = { start, runOnce };
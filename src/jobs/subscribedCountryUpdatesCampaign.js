@@ -13,7 +13,6 @@ const {
 } = require("../models");
 const { sendMail } = require("../services/email.service");
 const { renderTemplate } = require("../emails/templateRenderer");
-const { saveApiToken } = require("../services/candidate.service");
 
 const CRON_SCHEDULE = process.env.SUBSCRIBED_COUNTRY_UPDATES_CRON || "0 10 * * WED"; // Wednesday 10:00
 const TIME_WINDOW_DAYS = Number(process.env.SUBSCRIBED_COUNTRY_UPDATES_WINDOW || 7); // Last 7 days
@@ -136,7 +135,8 @@ async function runJobOnce() {
 
     // Get candidates with active subscriptions and job categories
     const candidates = await Candidate.findAll({
-      where: { is_active: true },
+      // Accounts waiting for deletion get no more campaign emails
+      where: { is_active: true, deletion_scheduled_for: null },
       attributes: [
         "candidate_id",
         "email",
@@ -161,9 +161,6 @@ async function runJobOnce() {
     });
 
     let sent = 0;
-    const jwtSecret = process.env.JWT_SECRET;
-    const jwtExpiresIn = process.env.JWT_EXPIRES_IN;
-
     for (const candidate of candidates) {
       if (!candidate.email || !candidate.job_category_id) continue;
 
@@ -190,34 +187,9 @@ async function runJobOnce() {
       const appName = process.env.APP_NAME || "Next Match";
       const frontend = process.env.FRONTEND_URL || "#";
 
-      // Build auto-login URL to take the user directly to jobs page
-      let jobsUrl;
-      try {
-        if (!jwtSecret || !jwtExpiresIn || !process.env.FRONTEND_URL) {
-          throw new Error("Missing JWT or FRONTEND_URL envs");
-        }
-
-        const payload = {
-          candidate_id: candidate.candidate_id,
-          email: candidate.email,
-          name: candidate.full_name,
-        };
-        const token = jwt.sign(payload, jwtSecret, { expiresIn: jwtExpiresIn });
-        await saveApiToken(candidate.candidate_id, token);
-
-        // Direct to jobs page after auto-login
-        jobsUrl = `${frontend.replace(
-          /\/$/,
-          ""
-        )}/login-success?token=${encodeURIComponent(token)}&page=jobs`;
-      } catch (e) {
-        // Fallback to direct jobs page if token generation fails
-        logger.warn("Subscribed country updates email: falling back to plain jobs URL", {
-          candidate_id: candidate.candidate_id,
-          error: e?.message,
-        });
-        jobsUrl = `${frontend.replace(/\/$/, "")}/candidate/jobs`;
-      }
+      // A plain deep link: the frontend asks the candidate to sign in first
+      // (see weeklyCountryCampaign)
+      const jobsUrl = `${frontend.replace(/\/$/, "")}/candidate/jobs`;
 
       const jobsText = jobData.totalJobs === 1 ? "job" : "jobs";
       const subject = `${appName} • ${jobData.totalJobs} new ${
@@ -13,7 +13,6 @@ const {
 } = require("../models");
 const { sendMail } = require("../services/email.service");
 const { renderTemplate } = require("../emails/templateRenderer");
-const { saveApiToken } = require("../services/candidate.service");
 
 const CRON_SCHEDULE = process.env.WEEKLY_COUNTRY_CAMPAIGN_CRON || "0 9 * * MON"; // Monday 09:00
 const TOP_N = Number(process.env.WEEKLY_COUNTRY_CAMPAIGN_TOP_N || 5);
@@ -98,7 +97,8 @@ async function runJobOnce() {
 
     // Pull up to BATCH_SIZE candidates with a selected job category
     const candidates = await Candidate.findAll({
-      where: { is_active: true },
+      // Accounts waiting for deletion get no more campaign emails
+      where: { is_active: true, deletion_scheduled_for: null },
       attributes: [
         "candidate_id",
         "email",
@@ -122,8 +122,6 @@ async function runJobOnce() {
     });
 
     let sent = 0;
-    const jwtSecret = process.env.JWT_SECRET;
-    const jwtExpiresIn = process.env.JWT_EXPIRES_IN;
     for (const cand of candidates) {
       if (!cand.email || !cand.job_category_id) continue;
 
@@ -146,34 +144,10 @@ async function runJobOnce() {
       const appName = process.env.APP_NAME || "Next Match";
       const frontend = process.env.FRONTEND_URL || "#";
 
-      // Build auto-login URL to take the user directly to subscriptions after login
-      let manageUrl;
-      try {
-        if (!jwtSecret || !jwtExpiresIn || !process.env.FRONTEND_URL) {
-          throw new Error("Missing JWT or FRONTEND_URL envs");
-        }
-
-        const payload = {
-          candidate_id: cand.candidate_id,
-          email: cand.email,
-          name: cand.full_name,
-        };
-        const token = jwt.sign(payload, jwtSecret, { expiresIn: jwtExpiresIn });
-        await saveApiToken(cand.candidate_id, token);
-
-        // e.g. https://frontend/login-success?token=...&page=subscriptions
-        manageUrl = `${frontend.replace(
-          /\/$/,
-          ""
-        )}/login-success?token=${encodeURIComponent(token)}&page=subscriptions`;
-      } catch (e) {
-        // Fallback to direct subscriptions page if token generation fails
-        logger.warn("Weekly email: falling back to plain subscriptions URL", {
-          candidate_id: cand.candidate_id,
-          error: e?.message,
-        });
-        manageUrl = `${frontend.replace(/\/$/, "")}/candidate/subscriptions`;
-      }
+      // A plain deep link: the frontend asks the candidate to sign in first.
+      // Campaign emails are forwarded, scanned and kept, so they carry no
+      // session tokens.
+      const manageUrl = `${frontend.replace(/\/$/, "")}/candidate/subscriptions`;
 
       const subject = `${appName} • Top countries for ${
         cand.job_category?.job_category || "your field"
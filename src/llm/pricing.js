@@ -0,0 +1,48 @@
+// Estimated USD prices per million tokens, used for the ai_usage ledger.
+// LLM_PRICING (JSON, same shape) adds models or overrides these, e.g.
+// {"my-azure-deployment":{"input":0.15,"output":0.6}}. Prices are matched on
+// the exact model name, then on the longest known prefix so dated snapshots
+// ("gpt-4o-mini-2024-07-18") use their family's price.
+
+const DEFAULT_PRICES = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+};
+
+function loadPrices() {
+  if (!process.env.LLM_PRICING) return DEFAULT_PRICES;
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICING) };
+  } catch (e) {
+    return DEFAULT_PRICES;
+  }
+}
+
+function priceFor(model) {
+  const prices = loadPrices();
+  if (prices[model]) return prices[model];
+  const prefix = Object.keys(prices)
+    .filter((name) => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Estimated cost of a call
+ * @param {{ provider: string, model: string, prompt_tokens: number, completion_tokens: number }} usage
+ * @returns {number|null} USD, 0 for the mock provider, null for unknown models
+ */
+function estimateCost({ provider, model, prompt_tokens, completion_tokens }) {
+  if (provider === "mock") return 0;
+  const price = priceFor(String(model || ""));
+  if (!price) return null;
+  const cost =
+    (prompt_tokens * price.input + completion_tokens * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+module.exports = { DEFAULT_PRICES, estimateCost };
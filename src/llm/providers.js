@@ -0,0 +1,175 @@
+const fs = require("fs");
+const path = require("path");
+
+// Chat-completion adapters used by services/llm.service.js. Each provider takes
+// { feature, model, messages, temperature, signal } and resolves to
+// { content, model, usage: { prompt_tokens, completion_tokens, total_tokens } }.
+// Failed requests throw with `status` and a `retryable` flag.
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+function providerError(message, { status = 502, retryable = false, ...extra }) {
+  return Object.assign(new Error(message), { status, retryable, ...extra });
+}
+
+function trimSlash(url) {
+  return String(url || "").replace(/\/+$/, "");
+}
+
+// Retry-After is seconds or an HTTP date
+function retryAfterMs(response) {
+  const header = response.headers.get("retry-after");
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function normalizeUsage(usage) {
+  const prompt = Number(usage?.prompt_tokens) || 0;
+  const completion = Number(usage?.completion_tokens) || 0;
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: Number(usage?.total_tokens) || prompt + completion,
+  };
+}
+
+// POST an OpenAI-style chat completion request
+async function chatCompletion(label, url, headers, body, signal) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    const details = await response.text().catch(() => "");
+    throw providerError(`Failed to get response from ${label}`, {
+      retryable: response.status === 429 || response.status >= 500,
+      retryAfterMs: retryAfterMs(response),
+      upstreamStatus: response.status,
+      details,
+    });
+  }
+
+  const data = await response.json();
+  const content = data?.choices?.[0]?.message?.content || null;
+  if (!content) {
+    throw providerError(`No content returned from ${label}`, {
+      retryable: true,
+    });
+  }
+  return {
+    content,
+    model: data.model || body.model,
+    usage: normalizeUsage(data.usage),
+  };
+}
+
+const openai = {
+  name: "openai",
+  label: "OpenAI",
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  complete({ model, messages, temperature, signal }) {
+    const baseUrl = trimSlash(
+      process.env.OPENAI_BASE_URL || "https://api.openai.com/v1"
+    );
+    return chatCompletion(
+      "OpenAI",
+      `${baseUrl}/chat/completions`,
+      { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+      { model, messages, temperature },
+      signal
+    );
+  },
+};
+
+// The model name is the Azure deployment name
+const azure = {
+  name: "azure",
+  label: "Azure OpenAI",
+  isConfigured: () =>
+    Boolean(
+      process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY
+    ),
+  complete({ model, messages, temperature, signal }) {
+    const endpoint = trimSlash(process.env.AZURE_OPENAI_ENDPOINT);
+    const apiVersion = process.env.AZURE_OPENAI_API_VERSION || "2024-06-01";
+    return chatCompletion(
+      "Azure OpenAI",
+      `${endpoint}/openai/deployments/${encodeURIComponent(
+        model
+      )}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`,
+      { "api-key": process.env.AZURE_OPENAI_API_KEY },
+      { messages, temperature },
+      signal
+    );
+  },
+};
+
+// Local or hosted servers with an OpenAI-style /chat/completions endpoint
+// (Ollama, vLLM, LM Studio, ...). The API key is optional.
+const openaiCompatible = {
+  name: "openai_compatible",
+  label: "LLM server",
+  isConfigured: () => Boolean(process.env.LLM_BASE_URL),
+  complete({ model, messages, temperature, signal }) {
+    const apiKey = process.env.LLM_API_KEY;
+    return chatCompletion(
+      "LLM server",
+      `${trimSlash(process.env.LLM_BASE_URL)}/chat/completions`,
+      apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      { model, messages, temperature },
+      signal
+    );
+  },
+};
+
+// Deterministic responses for development: the content of
+// <LLM_MOCK_FIXTURES_DIR>/<feature>.json, or <feature>.repair.json when it
+// exists and the model is asked to repair its reply; token counts estimated
+// from length
+const mock = {
+  name: "mock",
+  label: "Mock LLM",
+  isConfigured: () => true,
+  async complete({ feature, model, messages }) {
+    const dir = process.env.LLM_MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    let file = path.join(dir, `${feature}.json`);
+    // A repair request carries the rejected reply as an assistant message
+    if (messages.some((m) => m.role === "assistant")) {
+      const repairFile = path.join(dir, `${feature}.repair.json`);
+      if (fs.existsSync(repairFile)) file = repairFile;
+    }
+    let content;
+    try {
+      content = await fs.promises.readFile(file, "utf8");
+    } catch (e) {
+      throw providerError(`No mock LLM fixture for "${feature}"`, {
+        status: 500,
+        details: file,
+      });
+    }
+    const promptLength = messages.reduce((n, m) => n + m.content.length, 0);
+    return {
+      content,
+      model,
+      usage: normalizeUsage({
+        prompt_tokens: Math.ceil(promptLength / 4),
+        completion_tokens: Math.ceil(content.length / 4),
+      }),
+    };
+  },
+};
+
+const PROVIDERS = {
+  [openai.name]: openai,
+  [azure.name]: azure,
+  [openaiCompatible.name]: openaiCompatible,
+  [mock.name]: mock,
+};
+
+module.exports = { PROVIDERS, providerError };
@@ -0,0 +1,180 @@
+const { z } = require("zod");
+
+// Shapes the model must return for each feature. completeJson() in
+// services/llm.service.js validates replies against these and asks the model
+// to repair a reply that does not match.
+
+const isoDate = z
+  .string({ message: "must be a date in YYYY-MM-DD format" })
+  .regex(/^\d{4}-\d{2}-\d{2}$/, {
+    message: "must be a date in YYYY-MM-DD format",
+  })
+  .refine((value) => !Number.isNaN(Date.parse(value)), {
+    message: "must be a real calendar date",
+  });
+
+const optionalText = z.string().nullable().optional();
+
+function datesInOrder(item) {
+  return !item.start_date || !item.end_date || item.start_date <= item.end_date;
+}
+
+const datesInOrderIssue = {
+  message: "end_date must not be before start_date",
+  path: ["end_date"],
+};
+
+// generateResumeFromProfile
+const generatedResumeSchema = z.object({
+  candidate_name: z.string().min(1),
+  job_category_id: optionalText,
+  job_category_name: optionalText,
+  country_id: optionalText,
+  country_name: optionalText,
+  email: optionalText,
+  phone_no: optionalText,
+  address: optionalText,
+  seniority_level: optionalText,
+  summary: z.string().min(1),
+  experience: z.array(
+    z
+      .object({
+        job_title: z.string().min(1),
+        company_name: z.string().min(1),
+        location: optionalText,
+        start_date: isoDate,
+        end_date: isoDate.nullable(),
+        description: z.string().min(1),
+        achievements: z.array(z.string().min(1)).prefault([]),
+      })
+      .refine(datesInOrder, datesInOrderIssue)
+  ),
+  skills: z.array(z.string().min(1)),
+  education: z.array(
+    z
+      .object({
+        degree: z.string().min(1),
+        institution_name: z.string().min(1),
+        location: optionalText,
+        start_date: isoDate.nullable(),
+        end_date: isoDate.nullable(),
+        description: optionalText,
+      })
+      .refine(datesInOrder, datesInOrderIssue)
+  ),
+});
+
+const scrapedEmployerSchema = z.object({
+  name: z.string().trim().min(2),
+  email: z
+    .email({ message: "must be an email address" })
+    .nullable()
+    .optional(),
+  website: optionalText,
+  sector: optionalText,
+  country_iso2: z.string().length(2),
+  city: optionalText,
+  notes: optionalText,
+  confidence: z.number().min(0).max(1),
+});
+
+// requestEmployers; a single object is accepted as a one-item array
+const employerListSchema = z.preprocess(
+  (value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? [value]
+      : value,
+  z
+    .array(
+      z.object({
+        position: z.string().min(1),
+        country_iso2: z.string().length(2),
+        employers: z.array(scrapedEmployerSchema),
+        rationale: optionalText,
+      })
+    )
+    .min(1)
+);
+
+const lookupLabel = z.object({ label: z.string().nullable() }).nullable();
+
+// resumeParser extractWithModel; anything may be missing from a resume
+const parsedResumeSchema = z.object({
+  full_name: optionalText,
+  email: optionalText,
+  seniority_level: optionalText,
+  job_category: lookupLabel.optional(),
+  country: lookupLabel.optional(),
+  phone_no: optionalText,
+  address: optionalText,
+  work_experience: z
+    .array(
+      z
+        .object({
+          job_title: optionalText,
+          company_name: optionalText,
+          location: optionalText,
+          start_date: isoDate.nullable().optional(),
+          end_date: isoDate.nullable().optional(),
+          description: optionalText,
+        })
+        .refine(datesInOrder, datesInOrderIssue)
+    )
+    .prefault([]),
+  education: z
+    .array(
+      z
+        .object({
+          degree: optionalText,
+          major: optionalText,
+          university: optionalText,
+          start_date: isoDate.nullable().optional(),
+          end_date: isoDate.nullable().optional(),
+          description: optionalText,
+        })
+        .refine(datesInOrder, datesInOrderIssue)
+    )
+    .prefault([]),
+  skills: z
+    .union([z.string(), z.array(z.string())])
+    .nullable()
+    .optional()
+    .transform((skills) =>
+      Array.isArray(skills) ? skills.join(",") : skills
+    ),
+});
+
+// coverLetter.service generateLetter; subject, greeting and closing are
+// STRING(255) columns
+const coverLetterSchema = z.object({
+  subject: z.string().trim().max(255).nullable().optional(),
+  greeting: z.string().trim().min(1).max(255),
+  paragraphs: z.array(z.string().trim().min(1)).min(2).max(6),
+  closing: z.string().trim().min(1).max(255),
+});
+
+// resumeSection.service regenerateResumeSection, one reply shape per section
+const summarySectionSchema = z.object({
+  summary: z.string().trim().min(1),
+});
+
+const experienceSectionSchema = z.object({
+  description: z.string().trim().min(1),
+  achievements: z.array(z.string().trim().min(1)).max(6).prefault([]),
+});
+
+const educationSectionSchema = z.object({
+  education: z
+    .array(z.object({ description: z.string().trim().min(1) }))
+    .min(1),
+});
+
+module.exports = {
+  generatedResumeSchema,
+  employerListSchema,
+  parsedResumeSchema,
+  coverLetterSchema,
+  summarySectionSchema,
+  experienceSectionSchema,
+  educationSectionSchema,
+};
@@ -0,0 +1,52 @@
+const { reserveAiQuota } = require("../services/aiUsage.service");
+const { maxCompletionMs } = require("../services/llm.service");
+
+// Time a request spends on uploads, parsing and rendering besides the model
+const HOLD_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * aiQuota middleware factory
+ * - Rejects the request with 429 once the candidate has used this month's
+ *   allowance for the feature (plan quota, or the free tier)
+ * - Holds one call of the allowance in the database until the response is
+ *   sent, so concurrent requests cannot all take the last one, even on other
+ *   instances; by then the call is in the ledger or its background job is
+ *   queued, and counts from there
+ * @param {string} feature - AI feature, e.g. "resume" or "resume_parse"
+ * @param {Object} [options]
+ * @param {() => boolean} [options.when] - Skip the check and the hold when
+ *   this returns false, i.e. the request will not call the model
+ * @returns {import("express").RequestHandler}
+ */
+function aiQuota(feature, { when } = {}) {
+  return async function aiQuotaGuard(req, res, next) {
+    if (when && !when()) return next();
+    try {
+      const { quota, release } = await reserveAiQuota(
+        req.candidate.candidate_id,
+        feature,
+        { holdMs: maxCompletionMs() + HOLD_MARGIN_MS }
+      );
+      res.on("finish", release);
+      res.on("close", release);
+      req.aiQuota = quota;
+      return next();
+    } catch (err) {
+      const status = err.status || 500;
+      if (err.quota) {
+        const retryAfter = Math.ceil(
+          (new Date(err.quota.resets_at).getTime() - Date.now()) / 1000
+        );
+        res.set("Retry-After", String(Math.max(0, retryAfter)));
+      }
+      return res.status(status).json({
+        success: false,
+        message: status === 500 ? "AI quota check failed" : err.message,
+        error: status === 500 ? err.message : undefined,
+        quota: err.quota,
+      });
+    }
+  };
+}
+
+module.exports = { aiQuota };
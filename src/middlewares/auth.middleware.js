@@ -1,12 +1,94 @@
 const jwt = require("jsonwebtoken");
 const { findCandidateById } = require("../services/candidate.service");
 const { findUserById } = require("../services/user.service");
+const { findActiveSession } = require("../services/session.service");
+const {
+  IMPERSONATION_TOKEN_TYPE,
+  resolveImpersonation,
+} = require("../services/impersonation.service");
+const { permissionsForRole } = require("../config/permissions");
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+const IMPERSONATION_STOP_PATH = "/api/auth/impersonation/stop";
+
+// Express matches routes case-insensitively and tolerates repeated and
+// trailing slashes, so compare paths in that form
+function normalizePath(url) {
+  return url
+    .split("?")[0]
+    .toLowerCase()
+    .replace(/\/{2,}/g, "/")
+    .replace(/\/+$/, "");
+}
+
+// Impersonation tokens reach the candidate API and the banner in /auth/me only.
+// Account export/deletion stays out of reach even with write access; those
+// routes also use forbidImpersonation.
+function impersonationAllows(path) {
+  if (path === "/api/auth/me" || path === IMPERSONATION_STOP_PATH) return true;
+  return (
+    path.startsWith("/api/candidate/") &&
+    !path.startsWith("/api/candidate/account/")
+  );
+}
+
+/**
+ * Authenticate an admin impersonation token as its candidate.
+ * Attaches `req.candidate`, `req.impersonation` and `req.token`; there is no
+ * `req.session` because impersonation never creates a candidate session.
+ */
+async function authenticateImpersonation(req, res, next, decoded, token) {
+  const path = normalizePath(req.originalUrl);
+  if (!impersonationAllows(path)) {
+    return res.status(403).json({
+      success: false,
+      message: "This endpoint is not available while impersonating",
+    });
+  }
+
+  let resolved;
+  try {
+    resolved = await resolveImpersonation(decoded);
+  } catch (err) {
+    if (!err.status) throw err;
+    return res
+      .status(err.status)
+      .json({ success: false, message: err.message });
+  }
+  const { impersonation, admin, candidate } = resolved;
+
+  if (
+    impersonation.mode === "read_only" &&
+    !SAFE_METHODS.includes(req.method) &&
+    path !== IMPERSONATION_STOP_PATH
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: "Impersonation session is read-only",
+    });
+  }
+
+  req.candidate = { role: "candidate", ...candidate.dataValues };
+  req.impersonation = {
+    impersonation_id: impersonation.impersonation_id,
+    mode: impersonation.mode,
+    expires_at: impersonation.expires_at,
+    admin: {
+      user_id: admin.user_id,
+      email: admin.email,
+      full_name: admin.full_name,
+    },
+  };
+  req.token = token;
+  return next();
+}
 
 /**
  * checkAuth middleware
  * - Verifies Bearer JWT from Authorization header
- * - Ensures the token matches the stored candidate.api_token (not revoked)
- * - Attaches `req.candidate` and `req.token`
+ * - Ensures the token's session (`sid`) is still active (not revoked or expired)
+ * - Accepts admin impersonation tokens (see authenticateImpersonation)
+ * - Attaches `req.candidate`, `req.session` and `req.token`
  */
 async function checkAuth(req, res, next) {
   try {
@@ -39,8 +121,12 @@ async function checkAuth(req, res, next) {
         .json({ success: false, message: "Invalid or expired token" });
     }
 
+    if (decoded?.typ === IMPERSONATION_TOKEN_TYPE) {
+      return authenticateImpersonation(req, res, next, decoded, token);
+    }
+
     const candidateId = decoded?.candidate_id;
-    if (!candidateId) {
+    if (!candidateId || !decoded?.sid) {
       return res
         .status(401)
         .json({ success: false, message: "Invalid token payload" });
@@ -53,11 +139,17 @@ async function checkAuth(req, res, next) {
         .json({ success: false, message: "Candidate not found" });
     }
 
-    if (candidate.api_token !== token) {
+    const session = await findActiveSession(
+      decoded.sid,
+      "candidate",
+      candidateId
+    );
+    if (!session) {
       return res.status(401).json({ success: false, message: "Unauthorized" });
     }
 
     req.candidate = { role: "candidate", ...candidate.dataValues };
+    req.session = session;
     req.token = token;
     return next();
   } catch (err) {
@@ -72,8 +164,9 @@ async function checkAuth(req, res, next) {
 /**
  * checkAdminAuth middleware
  * - Verifies Bearer JWT from Authorization header
- * - Ensures the token matches the stored user.api_token (not revoked)
- * - Attaches `req.admin` and `req.token`
+ * - Ensures the token's session (`sid`) is still active (not revoked or expired)
+ * - Rejects deactivated admins
+ * - Attaches `req.admin` (including `role` and `permissions`), `req.session` and `req.token`
  */
 async function checkAdminAuth(req, res, next) {
   try {
@@ -107,7 +200,7 @@ async function checkAdminAuth(req, res, next) {
     }
 
     const userId = decoded?.user_id;
-    if (!userId) {
+    if (!userId || !decoded?.sid) {
       return res
         .status(401)
         .json({ success: false, message: "Invalid token payload" });
@@ -119,12 +212,22 @@ async function checkAdminAuth(req, res, next) {
         .status(404)
         .json({ success: false, message: "User not found" });
     }
+    if (user.is_active === false) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Account is deactivated" });
+    }
 
-    if (user.api_token !== token) {
+    const session = await findActiveSession(decoded.sid, "user", userId);
+    if (!session) {
       return res.status(401).json({ success: false, message: "Unauthorized" });
     }
 
-    req.admin = { role: "admin", ...user.dataValues };
+    req.admin = {
+      ...user.dataValues,
+      permissions: permissionsForRole(user.role),
+    };
+    req.session = session;
     req.token = token;
     return next();
   } catch (err) {
@@ -136,4 +239,18 @@ async function checkAdminAuth(req, res, next) {
   }
 }
 
-module.exports = { checkAuth, checkAdminAuth };
+/**
+ * forbidImpersonation middleware (after checkAuth)
+ * - Rejects admin impersonation tokens whatever the path looks like
+ */
+function forbidImpersonation(req, res, next) {
+  if (req.impersonation) {
+    return res.status(403).json({
+      success: false,
+      message: "This endpoint is not available while impersonating",
+    });
+  }
+  return next();
+}
+
+module.exports = { checkAuth, checkAdminAuth, forbidImpersonation };
@@ -0,0 +1,29 @@
+const { hasPermission } = require("../config/permissions");
+
+/**
+ * requirePermission middleware factory
+ * - Must run after `checkAdminAuth` (reads `req.admin.role`)
+ * - Passes when the admin's role grants every listed permission
+ * @param {...string} permissions - e.g. "subscriptions:cancel"
+ * @returns {import("express").RequestHandler}
+ */
+function requirePermission(...permissions) {
+  return function permissionGuard(req, res, next) {
+    const role = req.admin?.role;
+    if (!role) {
+      return res.status(401).json({ success: false, message: "Unauthorized" });
+    }
+
+    const missing = permissions.filter((p) => !hasPermission(role, p));
+    if (missing.length) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action",
+        required: missing,
+      });
+    }
+    return next();
+  };
+}
+
+module.exports = { requirePermission };
@@ -0,0 +1,33 @@
+const {
+  assertNotThrottled,
+  recordFailure,
+} = require("../services/authThrottle.service");
+
+/**
+ * throttle middleware factory
+ * - Rejects the request with 429 while its IP (and email, when given) is locked out
+ * - Counts every request toward the action's limit
+ * @param {string} action - Throttle action, e.g. "register" or "unsubscribe"
+ * @returns {import("express").RequestHandler}
+ */
+function throttle(action) {
+  return async function throttleGuard(req, res, next) {
+    const subject = { email: req.body?.email, ip: req.ip };
+    try {
+      await assertNotThrottled(action, subject);
+      await recordFailure(action, subject);
+      return next();
+    } catch (err) {
+      const status = err.status || 500;
+      if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+      return res.status(status).json({
+        success: false,
+        message: status === 500 ? "Request throttling failed" : err.message,
+        error: status === 500 ? err.message : undefined,
+        retry_after: err.retryAfter,
+      });
+    }
+  };
+}
+
+module.exports = { throttle };
@@ -0,0 +1,81 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("auth_sessions", {
+      session_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      // "candidate" sessions reference candidates, "user" sessions reference users (admins)
+      subject_type: {
+        type: Sequelize.ENUM("candidate", "user"),
+        allowNull: false,
+      },
+      subject_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+      },
+      refresh_token_hash: {
+        type: Sequelize.STRING(128),
+        allowNull: false,
+      },
+      // Hash of the token the current one replaced, to recognise replays
+      previous_refresh_token_hash: {
+        type: Sequelize.STRING(128),
+        allowNull: true,
+      },
+      user_agent: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      ip_address: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      revoked_reason: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex("auth_sessions", ["subject_type", "subject_id"], {
+      name: "auth_sessions_subject_idx",
+    });
+    await queryInterface.addIndex("auth_sessions", ["expires_at"], {
+      name: "auth_sessions_expires_at_idx",
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("auth_sessions");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_auth_sessions_subject_type";'
+    );
+  },
+};
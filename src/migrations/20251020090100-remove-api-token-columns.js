@@ -0,0 +1,21 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Tokens are now tracked per device in auth_sessions
+    await queryInterface.removeColumn("candidates", "api_token");
+    await queryInterface.removeColumn("users", "api_token");
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.addColumn("candidates", "api_token", {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("users", "api_token", {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    });
+  },
+};
@@ -0,0 +1,67 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("password_reset_tokens", {
+      token_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      subject_type: {
+        type: Sequelize.ENUM("candidate", "user"),
+        allowNull: false,
+      },
+      subject_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+      },
+      // sha256 of the emailed token; the raw token is never stored
+      token_hash: {
+        type: Sequelize.STRING(128),
+        allowNull: false,
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      used_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      requested_ip: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex("password_reset_tokens", ["token_hash"], {
+      name: "password_reset_tokens_token_hash_unique",
+      unique: true,
+    });
+    await queryInterface.addIndex(
+      "password_reset_tokens",
+      ["subject_type", "subject_id"],
+      { name: "password_reset_tokens_subject_idx" }
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("password_reset_tokens");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_password_reset_tokens_subject_type";'
+    );
+  },
+};
@@ -0,0 +1,87 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("pending_registrations", {
+      pending_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      full_name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      password_hash: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      // jti of the currently valid verification link; rotated on every resend
+      token_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM("pending", "verified", "expired", "consumed"),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      send_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      last_sent_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      verified_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      candidate_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "candidates", key: "candidate_id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex("pending_registrations", ["token_id"], {
+      name: "pending_registrations_token_id_unique",
+      unique: true,
+    });
+    await queryInterface.addIndex("pending_registrations", ["email", "status"], {
+      name: "pending_registrations_email_status_idx",
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("pending_registrations");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_pending_registrations_status";'
+    );
+  },
+};
@@ -0,0 +1,30 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Existing admins keep full access
+    await queryInterface.addColumn("users", "role", {
+      type: Sequelize.ENUM("super_admin", "support", "finance"),
+      allowNull: false,
+      defaultValue: "super_admin",
+    });
+
+    // New admins get the least privileged role unless one is chosen
+    await queryInterface.sequelize.query(
+      `ALTER TABLE "users" ALTER COLUMN "role" SET DEFAULT 'support'`
+    );
+
+    await queryInterface.addIndex("users", ["role"], {
+      name: "users_role_idx",
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex("users", "users_role_idx");
+    await queryInterface.removeColumn("users", "role");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_users_role";'
+    );
+  },
+};
@@ -0,0 +1,50 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("user_two_factors", {
+      user_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        references: { model: "users", key: "user_id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      // Encrypted TOTP secret, set once enrolment is confirmed
+      secret_encrypted: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      // Encrypted secret awaiting its first valid code
+      pending_secret_encrypted: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      enabled_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      // Last accepted TOTP time step; codes at or before it are rejected (replay)
+      last_used_step: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("user_two_factors");
+  },
+};
@@ -0,0 +1,36 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("app_settings", {
+      key: {
+        type: Sequelize.STRING(100),
+        primaryKey: true,
+        allowNull: false,
+      },
+      value: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      updated_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("app_settings");
+  },
+};
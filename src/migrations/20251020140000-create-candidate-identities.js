@@ -0,0 +1,77 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("candidate_identities", {
+      identity_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      candidate_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "candidates", key: "candidate_id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      provider: {
+        type: Sequelize.ENUM("google", "facebook", "linkedin"),
+        allowNull: false,
+      },
+      provider_user_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      // Email as reported by the provider (may be absent or differ from the account email)
+      provider_email: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      display_name: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      image_url: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      last_login_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex(
+      "candidate_identities",
+      ["provider", "provider_user_id"],
+      { unique: true, name: "candidate_identities_provider_user_unique" }
+    );
+
+    // One linked account per provider per candidate
+    await queryInterface.addIndex(
+      "candidate_identities",
+      ["candidate_id", "provider"],
+      { unique: true, name: "candidate_identities_candidate_provider_unique" }
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("candidate_identities");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_candidate_identities_provider";'
+    );
+  },
+};
@@ -0,0 +1,83 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("auth_throttles", {
+      throttle_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      // Protected action, e.g. candidate_login, admin_login, register, unsubscribe
+      action: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      key_type: {
+        type: Sequelize.ENUM("account", "ip"),
+        allowNull: false,
+      },
+      // Lower-cased email for account keys, client IP for ip keys
+      key: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      failure_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Consecutive lockouts; each one doubles the lockout duration
+      lockout_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      last_failed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      // Exponential backoff: no attempt is accepted before this time
+      next_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      locked_until: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      last_ip_address: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex("auth_throttles", ["action", "key_type", "key"], {
+      unique: true,
+      name: "auth_throttles_action_key_unique",
+    });
+
+    await queryInterface.addIndex("auth_throttles", ["locked_until"], {
+      name: "auth_throttles_locked_until_idx",
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("auth_throttles");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_auth_throttles_key_type";'
+    );
+  },
+};
@@ -0,0 +1,34 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("candidates", "deletion_requested_at", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("candidates", "deletion_scheduled_for", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    // Set once the account has been anonymised; the row is kept for billing records
+    await queryInterface.addColumn("candidates", "deleted_at", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addIndex("candidates", ["deletion_scheduled_for"], {
+      name: "candidates_deletion_scheduled_for_idx",
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex(
+      "candidates",
+      "candidates_deletion_scheduled_for_idx"
+    );
+    await queryInterface.removeColumn("candidates", "deleted_at");
+    await queryInterface.removeColumn("candidates", "deletion_scheduled_for");
+    await queryInterface.removeColumn("candidates", "deletion_requested_at");
+  },
+};
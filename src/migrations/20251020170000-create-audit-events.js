@@ -0,0 +1,88 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("audit_events", {
+      audit_event_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      actor_type: {
+        type: Sequelize.ENUM("user", "candidate", "system"),
+        allowNull: false,
+      },
+      // users.user_id / candidates.candidate_id; null for system actors
+      actor_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+      },
+      // Email at the time of the action, or the job name for system actors
+      actor_label: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      // "<entity>.<verb>", e.g. plan.update, subscription.cancel
+      action: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      entity_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      entity_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      // { field: { before, after } } for every changed field
+      changes: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      request_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      ip_address: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      user_agent: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex("audit_events", ["entity_type", "entity_id"], {
+      name: "audit_events_entity_idx",
+    });
+    await queryInterface.addIndex("audit_events", ["actor_type", "actor_id"], {
+      name: "audit_events_actor_idx",
+    });
+    await queryInterface.addIndex("audit_events", ["action"], {
+      name: "audit_events_action_idx",
+    });
+    await queryInterface.addIndex("audit_events", ["created_at"], {
+      name: "audit_events_created_at_idx",
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("audit_events");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_audit_events_actor_type";'
+    );
+  },
+};
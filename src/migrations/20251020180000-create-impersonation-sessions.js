@@ -0,0 +1,84 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("impersonation_sessions", {
+      impersonation_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      // Admin acting as the candidate
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "users", key: "user_id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      candidate_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "candidates", key: "candidate_id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      mode: {
+        type: Sequelize.ENUM("read_only", "read_write"),
+        allowNull: false,
+        defaultValue: "read_only",
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      ended_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      // stopped, replaced
+      ended_reason: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      },
+      ip_address: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      user_agent: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex("impersonation_sessions", ["user_id"], {
+      name: "impersonation_sessions_user_idx",
+    });
+    await queryInterface.addIndex("impersonation_sessions", ["candidate_id"], {
+      name: "impersonation_sessions_candidate_idx",
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("impersonation_sessions");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_impersonation_sessions_mode";'
+    );
+  },
+};
@@ -0,0 +1,73 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("email_change_requests", {
+      email_change_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      candidate_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "candidates", key: "candidate_id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      old_email: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      new_email: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      // sha256 of the emailed token; the raw token is never stored
+      token_hash: {
+        type: Sequelize.STRING(128),
+        allowNull: false,
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      confirmed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      cancelled_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      requested_ip: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex("email_change_requests", ["token_hash"], {
+      name: "email_change_requests_token_hash_unique",
+      unique: true,
+    });
+    await queryInterface.addIndex("email_change_requests", ["candidate_id"], {
+      name: "email_change_requests_candidate_idx",
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("email_change_requests");
+  },
+};
@@ -0,0 +1,61 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("magic_link_tokens", {
+      token_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      candidate_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "candidates", key: "candidate_id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      // sha256 of the emailed token; the raw token is never stored
+      token_hash: {
+        type: Sequelize.STRING(128),
+        allowNull: false,
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      used_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      requested_ip: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex("magic_link_tokens", ["token_hash"], {
+      name: "magic_link_tokens_token_hash_unique",
+      unique: true,
+    });
+    await queryInterface.addIndex("magic_link_tokens", ["candidate_id"], {
+      name: "magic_link_tokens_candidate_idx",
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("magic_link_tokens");
+  },
+};
@@ -0,0 +1,140 @@
+"use strict";
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+
+// Profile columns kept in a snapshot (SNAPSHOT_FIELDS in resumeVersion.service)
+const SNAPSHOT_COLUMNS = [
+  "full_name",
+  "phone_no",
+  "address",
+  "seniority_level",
+  "job_category_id",
+  "country_id",
+  "summary",
+  "skills",
+  "work_experience",
+  "education",
+];
+
+const MIME_TYPES = {
+  ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".odt": "application/vnd.oasis.opendocument.text",
+  ".rtf": "application/rtf",
+  ".txt": "text/plain",
+};
+
+const BACKFILL_BATCH_SIZE = 500;
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("resume_versions", {
+      version_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      candidate_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "candidates", key: "candidate_id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      // 1, 2, 3... per candidate
+      version_number: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      source: {
+        type: Sequelize.ENUM("uploaded", "generated", "parsed"),
+        allowNull: false,
+      },
+      resume_key: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      file_name: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      mime_type: {
+        type: Sequelize.STRING(150),
+        allowNull: true,
+      },
+      // Structured profile data (summary, skills, ...) behind the file
+      snapshot: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      // Set each time the version is restored as the current resume
+      restored_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex(
+      "resume_versions",
+      ["candidate_id", "version_number"],
+      { name: "resume_versions_candidate_number_unique", unique: true }
+    );
+
+    // Existing resumes become version 1 so they can be restored and diffed
+    const candidates = await queryInterface.sequelize.query(
+      `SELECT candidate_id, resume_key, ${SNAPSHOT_COLUMNS.join(", ")}
+       FROM candidates WHERE resume_key IS NOT NULL AND resume_key <> ''`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+    const now = new Date();
+    const rows = candidates.map((candidate) => {
+      const snapshot = {};
+      for (const column of SNAPSHOT_COLUMNS) {
+        snapshot[column] = candidate[column] ?? null;
+      }
+      const fileName = path.posix.basename(candidate.resume_key);
+      return {
+        version_id: uuidv4(),
+        candidate_id: candidate.candidate_id,
+        version_number: 1,
+        source: "uploaded",
+        resume_key: candidate.resume_key,
+        file_name: fileName,
+        mime_type:
+          MIME_TYPES[path.posix.extname(fileName).toLowerCase()] || null,
+        snapshot: JSON.stringify(snapshot),
+        created_at: now,
+        updated_at: now,
+      };
+    });
+    for (let i = 0; i < rows.length; i += BACKFILL_BATCH_SIZE) {
+      await queryInterface.bulkInsert(
+        "resume_versions",
+        rows.slice(i, i + BACKFILL_BATCH_SIZE),
+        {}
+      );
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("resume_versions");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_resume_versions_source";'
+    );
+  },
+};
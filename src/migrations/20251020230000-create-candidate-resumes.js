@@ -0,0 +1,97 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("candidate_resumes", {
+      resume_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      candidate_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "candidates", key: "candidate_id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      // Country this resume is used for; null means no particular country
+      country_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "countries", key: "country_id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      job_category_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "job_categories", key: "job_category_id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      summary: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      skills: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      work_experience: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      education: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      resume_key: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex(
+      "candidate_resumes",
+      ["candidate_id", "name"],
+      { name: "candidate_resumes_candidate_name_unique", unique: true }
+    );
+    // One resume per country; several may have no country
+    await queryInterface.addIndex(
+      "candidate_resumes",
+      ["candidate_id", "country_id"],
+      { name: "candidate_resumes_candidate_country_unique", unique: true }
+    );
+
+    // Versions of a targeted resume's file; null for the profile resume
+    await queryInterface.addColumn("resume_versions", "resume_id", {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: { model: "candidate_resumes", key: "resume_id" },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn("resume_versions", "resume_id");
+    await queryInterface.dropTable("candidate_resumes");
+  },
+};
@@ -0,0 +1,98 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("ai_usage", {
+      usage_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      // resume, resume_parse, employers (see services/llm.service.js)
+      feature: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      // Null for admin and background calls such as employer scraping
+      candidate_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "candidates", key: "candidate_id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      provider: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      model: {
+        type: Sequelize.STRING(150),
+        allowNull: false,
+      },
+      prompt_tokens: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      completion_tokens: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      total_tokens: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Null when the model has no known price
+      cost_usd: {
+        type: Sequelize.DECIMAL(12, 6),
+        allowNull: true,
+      },
+      // False when the reply was unusable (tokens were still spent)
+      succeeded: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      // The first reply failed validation and was repaired
+      repaired: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      duration_ms: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex(
+      "ai_usage",
+      ["candidate_id", "feature", "created_at"],
+      { name: "ai_usage_candidate_feature_created_idx" }
+    );
+    await queryInterface.addIndex("ai_usage", ["created_at"], {
+      name: "ai_usage_created_at_idx",
+    });
+
+    // Per-feature monthly allowances, e.g. { "resume": 30, "resume_parse": 50 };
+    // null or a missing feature means unlimited
+    await queryInterface.addColumn("subscription_plans", "ai_quota", {
+      type: Sequelize.JSONB,
+      allowNull: true,
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn("subscription_plans", "ai_quota");
+    await queryInterface.dropTable("ai_usage");
+  },
+};
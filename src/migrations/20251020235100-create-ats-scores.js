@@ -0,0 +1,84 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("ats_scores", {
+      score_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      candidate_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "candidates", key: "candidate_id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      // Targeted resume that was scored; null for the profile resume
+      resume_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "candidate_resumes", key: "resume_id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      // profile (structured fields) or file (the uploaded or generated file)
+      source: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      job_category_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "job_categories", key: "job_category_id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      country_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "countries", key: "country_id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      // 0-100
+      score: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      rating: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      // Points and findings per component (keywords, sections, length, dates,
+      // action_verbs)
+      breakdown: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+      },
+      suggestions: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex(
+      "ats_scores",
+      ["candidate_id", "created_at"],
+      { name: "ats_scores_candidate_created_idx" }
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("ats_scores");
+  },
+};
@@ -0,0 +1,106 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("cover_letters", {
+      letter_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      candidate_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "candidates", key: "candidate_id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      employer_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "employers", key: "employer_id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      // Kept so the letter still names the employer if the row is removed
+      employer_name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      job_category_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "job_categories", key: "job_category_id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      // Targeted resume the letter was written from; null for the profile
+      resume_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "candidate_resumes", key: "resume_id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      subject: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      greeting: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      // Paragraphs separated by blank lines
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      closing: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      // Extra guidance the candidate gave for the last generation
+      instructions: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      generation_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      generated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      // Last manual edit; null while the letter is as generated
+      edited_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    // One letter per employer; letters whose employer was deleted may repeat
+    await queryInterface.addIndex(
+      "cover_letters",
+      ["candidate_id", "employer_id"],
+      { name: "cover_letters_candidate_employer_unique", unique: true }
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("cover_letters");
+  },
+};
@@ -0,0 +1,95 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("resume_jobs", {
+      job_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      candidate_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "candidates", key: "candidate_id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      // generate or parse
+      type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      // queued, running, succeeded or failed
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: "queued",
+      },
+      // Step in progress, e.g. writing or storing
+      stage: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+      },
+      // 0-100
+      progress: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Validated generation request, or the S3 key of the file to parse
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+      },
+      // Sections produced so far, for clients that reconnect
+      sections: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      result: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      // message, status and details of a failed job
+      error: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      finished_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex(
+      "resume_jobs",
+      ["candidate_id", "created_at"],
+      { name: "resume_jobs_candidate_created_idx" }
+    );
+    await queryInterface.addIndex("resume_jobs", ["status"], {
+      name: "resume_jobs_status_idx",
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("resume_jobs");
+  },
+};
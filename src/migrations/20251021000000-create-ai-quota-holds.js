@@ -0,0 +1,49 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // One row per AI request still in progress; it counts against the
+    // candidate's allowance until the call is in ai_usage
+    await queryInterface.createTable("ai_quota_holds", {
+      hold_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4,
+        allowNull: false,
+      },
+      candidate_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "candidates", key: "candidate_id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      feature: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      // Holds of a request that never finished (e.g. the instance died) stop
+      // counting here
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex(
+      "ai_quota_holds",
+      ["candidate_id", "feature", "expires_at"],
+      { name: "ai_quota_holds_candidate_feature_expires_idx" }
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("ai_quota_holds");
+  },
+};
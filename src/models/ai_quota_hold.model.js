@@ -0,0 +1,56 @@
+module.exports = (sequelize, DataTypes) => {
+  const AiQuotaHold = sequelize.define(
+    "AiQuotaHold",
+    {
+      hold_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      candidate_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "candidates",
+          key: "candidate_id",
+        },
+        onDelete: "CASCADE",
+        onUpdate: "CASCADE",
+      },
+      feature: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "ai_quota_holds",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: false,
+      underscored: true,
+      indexes: [
+        {
+          fields: ["candidate_id", "feature", "expires_at"],
+        },
+      ],
+    }
+  );
+
+  AiQuotaHold.associate = (models) => {
+    AiQuotaHold.belongsTo(models.Candidate, {
+      foreignKey: "candidate_id",
+      as: "candidate",
+    });
+  };
+
+  return AiQuotaHold;
+};
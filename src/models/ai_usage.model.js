@@ -0,0 +1,97 @@
+module.exports = (sequelize, DataTypes) => {
+  const AiUsage = sequelize.define(
+    "AiUsage",
+    {
+      usage_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      feature: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+      candidate_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "candidates",
+          key: "candidate_id",
+        },
+        onDelete: "SET NULL",
+        onUpdate: "CASCADE",
+      },
+      provider: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+      model: {
+        type: DataTypes.STRING(150),
+        allowNull: false,
+      },
+      prompt_tokens: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      completion_tokens: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      total_tokens: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      cost_usd: {
+        type: DataTypes.DECIMAL(12, 6),
+        allowNull: true,
+      },
+      succeeded: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      repaired: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      duration_ms: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "ai_usage",
+      // Append-only ledger
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: false,
+      underscored: true,
+      indexes: [
+        {
+          fields: ["candidate_id", "feature", "created_at"],
+        },
+        {
+          fields: ["created_at"],
+        },
+      ],
+    }
+  );
+
+  AiUsage.associate = (models) => {
+    AiUsage.belongsTo(models.Candidate, {
+      foreignKey: "candidate_id",
+      as: "candidate",
+    });
+  };
+
+  return AiUsage;
+};
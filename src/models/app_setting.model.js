@@ -0,0 +1,38 @@
+module.exports = (sequelize, DataTypes) => {
+  const AppSetting = sequelize.define(
+    "AppSetting",
+    {
+      key: {
+        type: DataTypes.STRING(100),
+        primaryKey: true,
+      },
+      value: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      updated_by: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "app_settings",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      underscored: true,
+    }
+  );
+
+  return AppSetting;
+};
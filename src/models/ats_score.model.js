@@ -0,0 +1,115 @@
+module.exports = (sequelize, DataTypes) => {
+  const AtsScore = sequelize.define(
+    "AtsScore",
+    {
+      score_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      candidate_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "candidates",
+          key: "candidate_id",
+        },
+        onDelete: "CASCADE",
+        onUpdate: "CASCADE",
+      },
+      resume_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "candidate_resumes",
+          key: "resume_id",
+        },
+        onDelete: "SET NULL",
+        onUpdate: "CASCADE",
+      },
+      source: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        validate: {
+          isIn: [["profile", "file"]],
+        },
+      },
+      job_category_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "job_categories",
+          key: "job_category_id",
+        },
+        onDelete: "SET NULL",
+        onUpdate: "CASCADE",
+      },
+      country_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "countries",
+          key: "country_id",
+        },
+        onDelete: "SET NULL",
+        onUpdate: "CASCADE",
+      },
+      score: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      rating: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+      },
+      breakdown: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      suggestions: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "ats_scores",
+      // Append-only history
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: false,
+      underscored: true,
+      indexes: [
+        {
+          fields: ["candidate_id", "created_at"],
+        },
+      ],
+    }
+  );
+
+  AtsScore.associate = (models) => {
+    AtsScore.belongsTo(models.Candidate, {
+      foreignKey: "candidate_id",
+      as: "candidate",
+    });
+    AtsScore.belongsTo(models.CandidateResume, {
+      foreignKey: "resume_id",
+      as: "resume",
+    });
+    AtsScore.belongsTo(models.JobCategory, {
+      foreignKey: "job_category_id",
+      as: "job_category",
+    });
+    AtsScore.belongsTo(models.Country, {
+      foreignKey: "country_id",
+      as: "country",
+    });
+  };
+
+  return AtsScore;
+};
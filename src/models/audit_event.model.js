@@ -0,0 +1,71 @@
+module.exports = (sequelize, DataTypes) => {
+  const AuditEvent = sequelize.define(
+    "AuditEvent",
+    {
+      audit_event_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      actor_type: {
+        type: DataTypes.ENUM("user", "candidate", "system"),
+        allowNull: false,
+      },
+      actor_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      actor_label: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      action: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+      entity_type: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+      entity_id: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+      changes: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      metadata: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      request_id: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+      ip_address: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      user_agent: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "audit_events",
+      // Append-only: events are never updated
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: false,
+      underscored: true,
+    }
+  );
+
+  return AuditEvent;
+};
@@ -0,0 +1,71 @@
+module.exports = (sequelize, DataTypes) => {
+  const AuthSession = sequelize.define(
+    "AuthSession",
+    {
+      session_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      subject_type: {
+        type: DataTypes.ENUM("candidate", "user"),
+        allowNull: false,
+      },
+      subject_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      refresh_token_hash: {
+        type: DataTypes.STRING(128),
+        allowNull: false,
+      },
+      previous_refresh_token_hash: {
+        type: DataTypes.STRING(128),
+        allowNull: true,
+      },
+      user_agent: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      ip_address: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      last_used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      revoked_reason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "auth_sessions",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      underscored: true,
+    }
+  );
+
+  return AuthSession;
+};
@@ -0,0 +1,69 @@
+module.exports = (sequelize, DataTypes) => {
+  const AuthThrottle = sequelize.define(
+    "AuthThrottle",
+    {
+      throttle_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      action: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+      key_type: {
+        type: DataTypes.ENUM("account", "ip"),
+        allowNull: false,
+      },
+      key: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      failure_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      lockout_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      last_failed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      next_attempt_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      locked_until: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      last_ip_address: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "auth_throttles",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      underscored: true,
+    }
+  );
+
+  return AuthThrottle;
+};
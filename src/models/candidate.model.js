@@ -49,10 +49,6 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.BOOLEAN,
         defaultValue: true,
       },
-      api_token: {
-        type: DataTypes.TEXT,
-        allowNull: true,
-      },
       expiry_date: {
         type: DataTypes.DATE,
         allowNull: true,
@@ -105,6 +101,26 @@ module.exports = (sequelize, DataTypes) => {
           key: "job_category_id",
         },
       },
+      resume_template_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "resume_templates",
+          key: "template_id",
+        },
+      },
+      deletion_requested_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      deletion_scheduled_for: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      deleted_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
       created_by: {
         type: DataTypes.UUID,
         allowNull: false,
@@ -146,6 +162,22 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: "candidate_id",
       as: "subscriptions",
     });
+    Candidate.hasMany(models.CandidateIdentity, {
+      foreignKey: "candidate_id",
+      as: "identities",
+    });
+    Candidate.hasMany(models.Simulation, {
+      foreignKey: "candidate_id",
+      as: "simulations",
+    });
+    Candidate.belongsTo(models.ResumeTemplate, {
+      foreignKey: "resume_template_id",
+      as: "resume_template",
+    });
+    Candidate.hasMany(models.CandidateResume, {
+      foreignKey: "candidate_id",
+      as: "resumes",
+    });
   };
 
   return Candidate;
@@ -0,0 +1,66 @@
+module.exports = (sequelize, DataTypes) => {
+  const CandidateIdentity = sequelize.define(
+    "CandidateIdentity",
+    {
+      identity_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      candidate_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      provider: {
+        type: DataTypes.ENUM("google", "facebook", "linkedin"),
+        allowNull: false,
+      },
+      provider_user_id: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      provider_email: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      display_name: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      image_url: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      last_login_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "candidate_identities",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      underscored: true,
+    }
+  );
+
+  CandidateIdentity.associate = (models) => {
+    CandidateIdentity.belongsTo(models.Candidate, {
+      foreignKey: "candidate_id",
+      as: "candidate",
+    });
+  };
+
+  return CandidateIdentity;
+};
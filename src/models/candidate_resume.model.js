@@ -0,0 +1,114 @@
+module.exports = (sequelize, DataTypes) => {
+  const CandidateResume = sequelize.define(
+    "CandidateResume",
+    {
+      resume_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      candidate_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "candidates",
+          key: "candidate_id",
+        },
+        onDelete: "CASCADE",
+        onUpdate: "CASCADE",
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+      country_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "countries",
+          key: "country_id",
+        },
+        onDelete: "SET NULL",
+        onUpdate: "CASCADE",
+      },
+      job_category_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "job_categories",
+          key: "job_category_id",
+        },
+        onDelete: "SET NULL",
+        onUpdate: "CASCADE",
+      },
+      summary: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      skills: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      work_experience: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      education: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      resume_key: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "candidate_resumes",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      underscored: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ["candidate_id", "name"],
+        },
+        {
+          unique: true,
+          fields: ["candidate_id", "country_id"],
+        },
+      ],
+    }
+  );
+
+  CandidateResume.associate = (models) => {
+    CandidateResume.belongsTo(models.Candidate, {
+      foreignKey: "candidate_id",
+      as: "candidate",
+    });
+    CandidateResume.belongsTo(models.Country, {
+      foreignKey: "country_id",
+      as: "country",
+    });
+    CandidateResume.belongsTo(models.JobCategory, {
+      foreignKey: "job_category_id",
+      as: "job_category",
+    });
+    CandidateResume.hasMany(models.ResumeVersion, {
+      foreignKey: "resume_id",
+      as: "versions",
+    });
+  };
+
+  return CandidateResume;
+};
@@ -0,0 +1,133 @@
+module.exports = (sequelize, DataTypes) => {
+  const CoverLetter = sequelize.define(
+    "CoverLetter",
+    {
+      letter_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      candidate_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "candidates",
+          key: "candidate_id",
+        },
+        onDelete: "CASCADE",
+        onUpdate: "CASCADE",
+      },
+      employer_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "employers",
+          key: "employer_id",
+        },
+        onDelete: "SET NULL",
+        onUpdate: "CASCADE",
+      },
+      employer_name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      job_category_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "job_categories",
+          key: "job_category_id",
+        },
+        onDelete: "SET NULL",
+        onUpdate: "CASCADE",
+      },
+      resume_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "candidate_resumes",
+          key: "resume_id",
+        },
+        onDelete: "SET NULL",
+        onUpdate: "CASCADE",
+      },
+      subject: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      greeting: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      body: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      closing: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      instructions: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      generation_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      generated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      edited_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "cover_letters",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      underscored: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ["candidate_id", "employer_id"],
+        },
+      ],
+    }
+  );
+
+  CoverLetter.associate = (models) => {
+    CoverLetter.belongsTo(models.Candidate, {
+      foreignKey: "candidate_id",
+      as: "candidate",
+    });
+    CoverLetter.belongsTo(models.Employer, {
+      foreignKey: "employer_id",
+      as: "employer",
+    });
+    CoverLetter.belongsTo(models.JobCategory, {
+      foreignKey: "job_category_id",
+      as: "job_category",
+    });
+    CoverLetter.belongsTo(models.CandidateResume, {
+      foreignKey: "resume_id",
+      as: "resume",
+    });
+  };
+
+  return CoverLetter;
+};
@@ -0,0 +1,78 @@
+module.exports = (sequelize, DataTypes) => {
+  const EmailChangeRequest = sequelize.define(
+    "EmailChangeRequest",
+    {
+      email_change_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      candidate_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "candidates",
+          key: "candidate_id",
+        },
+        onDelete: "CASCADE",
+        onUpdate: "CASCADE",
+      },
+      old_email: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      new_email: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: { isEmail: true },
+      },
+      token_hash: {
+        type: DataTypes.STRING(128),
+        allowNull: false,
+        unique: true,
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      confirmed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      cancelled_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      requested_ip: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "email_change_requests",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      underscored: true,
+    }
+  );
+
+  EmailChangeRequest.associate = (models) => {
+    EmailChangeRequest.belongsTo(models.Candidate, {
+      foreignKey: "candidate_id",
+      as: "candidate",
+    });
+  };
+
+  return EmailChangeRequest;
+};
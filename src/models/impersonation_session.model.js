@@ -0,0 +1,91 @@
+module.exports = (sequelize, DataTypes) => {
+  const ImpersonationSession = sequelize.define(
+    "ImpersonationSession",
+    {
+      impersonation_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "user_id",
+        },
+        onDelete: "CASCADE",
+        onUpdate: "CASCADE",
+      },
+      candidate_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "candidates",
+          key: "candidate_id",
+        },
+        onDelete: "CASCADE",
+        onUpdate: "CASCADE",
+      },
+      mode: {
+        type: DataTypes.ENUM("read_only", "read_write"),
+        allowNull: false,
+        defaultValue: "read_only",
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      ended_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      ended_reason: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+      ip_address: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      user_agent: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "impersonation_sessions",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      underscored: true,
+    }
+  );
+
+  ImpersonationSession.associate = (models) => {
+    ImpersonationSession.belongsTo(models.User, {
+      foreignKey: "user_id",
+      as: "admin",
+    });
+    ImpersonationSession.belongsTo(models.Candidate, {
+      foreignKey: "candidate_id",
+      as: "candidate",
+    });
+  };
+
+  return ImpersonationSession;
+};
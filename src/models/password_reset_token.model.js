@@ -0,0 +1,56 @@
+module.exports = (sequelize, DataTypes) => {
+  const PasswordResetToken = sequelize.define(
+    "PasswordResetToken",
+    {
+      token_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      subject_type: {
+        type: DataTypes.ENUM("candidate", "user"),
+        allowNull: false,
+      },
+      subject_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      token_hash: {
+        type: DataTypes.STRING(128),
+        allowNull: false,
+        unique: true,
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      requested_ip: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "password_reset_tokens",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      underscored: true,
+    }
+  );
+
+  return PasswordResetToken;
+};
@@ -0,0 +1,87 @@
+module.exports = (sequelize, DataTypes) => {
+  const PendingRegistration = sequelize.define(
+    "PendingRegistration",
+    {
+      pending_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      email: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: { isEmail: true },
+      },
+      full_name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      password_hash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      token_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+      },
+      status: {
+        type: DataTypes.ENUM("pending", "verified", "expired", "consumed"),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      send_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      last_sent_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      verified_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      candidate_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "candidates",
+          key: "candidate_id",
+        },
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "pending_registrations",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      underscored: true,
+    }
+  );
+
+  PendingRegistration.associate = (models) => {
+    PendingRegistration.belongsTo(models.Candidate, {
+      foreignKey: "candidate_id",
+      as: "candidate",
+    });
+  };
+
+  return PendingRegistration;
+};
@@ -0,0 +1,95 @@
+module.exports = (sequelize, DataTypes) => {
+  const ResumeJob = sequelize.define(
+    "ResumeJob",
+    {
+      job_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      candidate_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "candidates",
+          key: "candidate_id",
+        },
+        onDelete: "CASCADE",
+        onUpdate: "CASCADE",
+      },
+      type: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        validate: {
+          isIn: [["generate", "parse"]],
+        },
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: "queued",
+        validate: {
+          isIn: [["queued", "running", "succeeded", "failed"]],
+        },
+      },
+      stage: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+      },
+      progress: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      payload: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      sections: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      result: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      error: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      started_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      finished_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "resume_jobs",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      underscored: true,
+      indexes: [
+        {
+          fields: ["candidate_id", "created_at"],
+        },
+        {
+          fields: ["status"],
+        },
+      ],
+    }
+  );
+
+  ResumeJob.associate = (models) => {
+    ResumeJob.belongsTo(models.Candidate, {
+      foreignKey: "candidate_id",
+      as: "candidate",
+    });
+  };
+
+  return ResumeJob;
+};
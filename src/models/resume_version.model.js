@@ -0,0 +1,97 @@
+module.exports = (sequelize, DataTypes) => {
+  const ResumeVersion = sequelize.define(
+    "ResumeVersion",
+    {
+      version_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      candidate_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "candidates",
+          key: "candidate_id",
+        },
+        onDelete: "CASCADE",
+        onUpdate: "CASCADE",
+      },
+      resume_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "candidate_resumes",
+          key: "resume_id",
+        },
+        onDelete: "CASCADE",
+        onUpdate: "CASCADE",
+      },
+      version_number: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      source: {
+        type: DataTypes.ENUM("uploaded", "generated", "parsed"),
+        allowNull: false,
+      },
+      resume_key: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      file_name: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      mime_type: {
+        type: DataTypes.STRING(150),
+        allowNull: true,
+      },
+      snapshot: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      restored_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "resume_versions",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      underscored: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ["candidate_id", "version_number"],
+        },
+      ],
+    }
+  );
+
+  ResumeVersion.associate = (models) => {
+    ResumeVersion.belongsTo(models.Candidate, {
+      foreignKey: "candidate_id",
+      as: "candidate",
+    });
+    ResumeVersion.belongsTo(models.CandidateResume, {
+      foreignKey: "resume_id",
+      as: "resume",
+    });
+  };
+
+  return ResumeVersion;
+};
@@ -45,6 +45,11 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: true,
         comment: 'Stripe Price ID for this subscription plan',
       },
+      ai_quota: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Monthly AI allowance per feature; null or missing is unlimited',
+      },
       created_by: {
         type: DataTypes.UUID,
         allowNull: false,
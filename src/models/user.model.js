@@ -23,14 +23,15 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.STRING,
         allowNull: false,
       },
+      role: {
+        type: DataTypes.ENUM("super_admin", "support", "finance"),
+        allowNull: false,
+        defaultValue: "support",
+      },
       is_active: {
         type: DataTypes.BOOLEAN,
         defaultValue: true,
       },
-      api_token: {
-        type: DataTypes.TEXT,
-        allowNull: true,
-      },
       created_by: {
         type: DataTypes.UUID,
         allowNull: false,
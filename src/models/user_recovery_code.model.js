@@ -0,0 +1,50 @@
+module.exports = (sequelize, DataTypes) => {
+  const UserRecoveryCode = sequelize.define(
+    "UserRecoveryCode",
+    {
+      code_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4,
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      code_hash: {
+        type: DataTypes.STRING(128),
+        allowNull: false,
+      },
+      used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "user_recovery_codes",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      underscored: true,
+    }
+  );
+
+  UserRecoveryCode.associate = (models) => {
+    UserRecoveryCode.belongsTo(models.User, {
+      foreignKey: "user_id",
+      as: "user",
+    });
+  };
+
+  return UserRecoveryCode;
+};
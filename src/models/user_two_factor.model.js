@@ -0,0 +1,53 @@
+module.exports = (sequelize, DataTypes) => {
+  const UserTwoFactor = sequelize.define(
+    "UserTwoFactor",
+    {
+      user_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+      },
+      secret_encrypted: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      pending_secret_encrypted: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      enabled_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      last_used_step: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      tableName: "user_two_factors",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+      underscored: true,
+    }
+  );
+
+  UserTwoFactor.associate = (models) => {
+    UserTwoFactor.belongsTo(models.User, {
+      foreignKey: "user_id",
+      as: "user",
+    });
+  };
+
+  return UserTwoFactor;
+};
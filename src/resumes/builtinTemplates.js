@@ -0,0 +1,59 @@
+const { SECTIONS, readLayoutFile } = require("./resumeRenderer");
+
+// Templates shipped with the app. The seeder copies them into resume_templates,
+// where admins can edit them; classic is also the fallback when none is stored.
+const BUILTIN_TEMPLATES = [
+  {
+    slug: "classic",
+    name: "Classic",
+    description: "Traditional single-column layout with ruled section headings.",
+    sections: SECTIONS,
+    theme: { accent_color: "#4A298C", font_scale: 1, section_rules: true },
+    is_default: true,
+    sort_order: 1,
+  },
+  {
+    slug: "modern",
+    name: "Modern",
+    description: "Uppercase headings with skills ahead of experience.",
+    sections: SECTIONS,
+    theme: { accent_color: "#0F766E", font_scale: 1, section_rules: false },
+    is_default: false,
+    sort_order: 2,
+  },
+  {
+    slug: "compact",
+    name: "Compact",
+    description: "Tighter one-page layout that lists achievements only.",
+    sections: SECTIONS,
+    theme: { accent_color: "#1F2937", font_scale: 0.9, section_rules: true },
+    is_default: false,
+    sort_order: 3,
+  },
+  {
+    slug: "ats-plain",
+    name: "ATS Plain",
+    description:
+      "Plain black text with standard headings for applicant tracking systems.",
+    sections: SECTIONS,
+    theme: { accent_color: "#000000", font_scale: 1, section_rules: false },
+    is_default: false,
+    sort_order: 4,
+  },
+];
+
+/**
+ * Built-in templates with their layout source
+ * @returns {Object[]}
+ */
+function loadBuiltinTemplates() {
+  return BUILTIN_TEMPLATES.map((template) => ({
+    ...template,
+    layout: readLayoutFile(template.slug),
+  }));
+}
+
+module.exports = {
+  BUILTIN_TEMPLATES,
+  loadBuiltinTemplates,
+};
@@ -0,0 +1,78 @@
+const { FORMATS, fileSlug } = require("./resumeRenderer");
+
+const LONG_MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+
+function formatLetterDate(date) {
+  const d = new Date(date);
+  return `${d.getUTCDate()} ${LONG_MONTHS[d.getUTCMonth()]} ${d.getUTCFullYear()}`;
+}
+
+function paragraphsOf(body) {
+  return String(body || "")
+    .split(/\n\s*\n/)
+    .map((p) => p.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+}
+
+/**
+ * Render a cover letter as a business letter: sender header, date,
+ * employer, subject, greeting, body, closing and signature
+ * @param {Object} letter - CoverLetter (subject, greeting, body, closing,
+ *   employer_name, updated_at)
+ * @param {Object} sender - full_name, email, phone_no, address
+ * @param {Object} [options]
+ * @param {"pdf"|"docx"} [options.format="pdf"]
+ * @param {string} [options.employerLocation] - City and country line
+ * @param {Object} [options.theme] - Resume template theme, so the letter
+ *   matches the resume
+ * @returns {{ buffer: Buffer, fileName: string, mimeType: string, format: string }}
+ */
+function renderCoverLetter(
+  letter,
+  sender,
+  { format = "pdf", employerLocation, theme = {} } = {}
+) {
+  if (!FORMATS[format]) {
+    throw new Error(`Unsupported cover letter format: ${format}`);
+  }
+
+  const name = sender.full_name || "";
+  const contact = [sender.email, sender.phone_no, sender.address]
+    .filter(Boolean)
+    .join(" | ");
+  const blocks = [
+    name && { type: "title", text: name },
+    contact && { type: "subtitle", text: contact },
+    { type: "meta", text: formatLetterDate(letter.updated_at || new Date()) },
+    { type: "paragraph", text: letter.employer_name },
+    employerLocation && { type: "meta", text: employerLocation },
+    letter.subject && { type: "entry", text: letter.subject },
+    { type: "paragraph", text: letter.greeting },
+    ...paragraphsOf(letter.body).map((text) => ({ type: "paragraph", text })),
+    { type: "paragraph", text: letter.closing },
+    name && { type: "paragraph", text: name },
+  ].filter(Boolean);
+
+  const output = FORMATS[format];
+  const buffer = output.write(blocks, {
+    title: `${name || "Cover letter"} - ${letter.employer_name}`,
+    theme,
+  });
+  const fileName = [
+    fileSlug(name, "candidate"),
+    "cover-letter",
+    fileSlug(letter.employer_name, "employer"),
+  ].join("-");
+
+  return {
+    buffer,
+    fileName: `${fileName}.${output.extension}`,
+    mimeType: output.mimeType,
+    format,
+  };
+}
+
+module.exports = { renderCoverLetter };
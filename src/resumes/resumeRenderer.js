@@ -0,0 +1,208 @@
+const fs = require("fs");
+const path = require("path");
+const Handlebars = require("handlebars");
+const { createPdf } = require("../utils/pdf");
+const { createDocx } = require("../utils/docx");
+
+const TEMPLATES_DIR = path.join(__dirname, "templates");
+const DEFAULT_LAYOUT = "classic";
+
+// Resume sections a template can declare; fields outside them always render
+const SECTIONS = ["summary", "experience", "skills", "education"];
+
+const FORMATS = {
+  pdf: { extension: "pdf", mimeType: "application/pdf", write: createPdf },
+  docx: {
+    extension: "docx",
+    mimeType:
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    write: createDocx,
+  },
+};
+
+// Layout markers, longest first so "###" is not read as "#"
+const MARKERS = [
+  ["### ", "entry"],
+  ["## ", "heading"],
+  ["# ", "title"],
+  ["> ", "subtitle"],
+  ["@ ", "meta"],
+  ["- ", "bullet"],
+];
+
+const MONTHS = [
+  "Jan", "Feb", "Mar", "Apr", "May", "Jun",
+  "Jul", "Aug", "Sep", "Oct", "Nov", "Dec",
+];
+
+// Layouts render plain text, so HTML escaping is off
+const hbs = Handlebars.create();
+
+function inline(value) {
+  return value == null ? "" : String(value).replace(/\s+/g, " ").trim();
+}
+
+function formatDate(value) {
+  const match = /^(\d{4})-(\d{2})/.exec(String(value || ""));
+  if (!match) return inline(value);
+  return `${MONTHS[Number(match[2]) - 1] || ""} ${match[1]}`.trim();
+}
+
+hbs.registerHelper("inline", inline);
+hbs.registerHelper("upper", (value) => inline(value).toUpperCase());
+hbs.registerHelper("list", (...args) => args.slice(0, -1));
+hbs.registerHelper("join", (values, separator) =>
+  (Array.isArray(values) ? values : [])
+    .map(inline)
+    .filter(Boolean)
+    .join(typeof separator === "string" ? separator : ", ")
+);
+hbs.registerHelper("formatDate", formatDate);
+hbs.registerHelper("dateRange", (start, end) => {
+  if (!start && !end) return "";
+  return `${formatDate(start)} – ${end ? formatDate(end) : "Present"}`;
+});
+
+/**
+ * ASCII file name part for a name, e.g. "José Díaz" -> "jose-diaz"
+ * @param {string} text
+ * @param {string} fallback - Used when nothing is left
+ * @returns {string}
+ */
+function fileSlug(text, fallback) {
+  return (
+    inline(text)
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || fallback
+  );
+}
+
+// Compiled layouts, least recently used first. Stored templates are keyed by
+// id and updated_at, so an edit replaces its entry instead of adding to it.
+const MAX_COMPILED_LAYOUTS = 50;
+const compiled = new Map();
+
+function layoutCacheKey(template, source) {
+  if (template.template_id && template.updated_at) {
+    return `${template.template_id}:${new Date(template.updated_at).getTime()}`;
+  }
+  return source;
+}
+
+function compileLayout(template, source) {
+  const key = layoutCacheKey(template, source);
+  let render = compiled.get(key);
+  if (render) {
+    compiled.delete(key);
+  } else {
+    render = hbs.compile(source, { noEscape: true });
+    if (compiled.size >= MAX_COMPILED_LAYOUTS) {
+      compiled.delete(compiled.keys().next().value);
+    }
+  }
+  compiled.set(key, render);
+  return render;
+}
+
+/**
+ * Read a layout shipped in src/resumes/templates
+ * @param {string} name - File name without .hbs
+ * @returns {string} Handlebars source
+ */
+function readLayoutFile(name) {
+  const filePath = path.join(TEMPLATES_DIR, `${name}.hbs`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Resume layout not found: ${filePath}`);
+  }
+  return fs.readFileSync(filePath, "utf8");
+}
+
+// Blank out sections the template does not support
+function limitSections(resume, sections) {
+  if (!Array.isArray(sections)) return resume;
+  const limited = { ...resume };
+  for (const section of SECTIONS) {
+    if (!sections.includes(section)) {
+      limited[section] = section === "summary" ? "" : [];
+    }
+  }
+  return limited;
+}
+
+/**
+ * Parse rendered layout markup into text blocks
+ * @param {string} markup
+ * @returns {{ type: string, text: string }[]}
+ */
+function parseBlocks(markup) {
+  const blocks = [];
+  let paragraph = null;
+  for (const raw of markup.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) {
+      paragraph = null;
+      continue;
+    }
+    // A bare marker (its value was empty) still counts as that block
+    const marker = MARKERS.find(([prefix]) => `${line} `.startsWith(prefix));
+    if (marker) {
+      paragraph = null;
+      const text = line.slice(marker[0].length).trim();
+      if (text) blocks.push({ type: marker[1], text });
+    } else if (paragraph) {
+      paragraph.text += ` ${line}`;
+    } else {
+      paragraph = { type: "paragraph", text: line };
+      blocks.push(paragraph);
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Render a generated resume (generateResumeFromProfile output) to a document
+ * @param {Object} resume - candidate_name, summary, experience, skills, education, ...
+ * @param {"pdf"|"docx"} format
+ * @param {Object} [template] - A resume template; the classic layout if omitted
+ * @param {string} [template.layout] - Handlebars source
+ * @param {string[]} [template.sections] - Sections to render (default: all)
+ * @param {Object} [template.theme] - accent_color, font_scale, section_rules
+ * @returns {{ buffer: Buffer, fileName: string, mimeType: string, format: string }}
+ */
+function renderResume(resume, format, template = {}) {
+  if (!FORMATS[format]) {
+    throw new Error(`Unsupported resume format: ${format}`);
+  }
+
+  const layout = template.layout || readLayoutFile(DEFAULT_LAYOUT);
+  const blocks = parseBlocks(
+    compileLayout(template, layout)(limitSections(resume, template.sections))
+  );
+  const output = FORMATS[format];
+  const title = inline(resume.candidate_name) || "Resume";
+  const buffer = output.write(blocks, {
+    title: `${title} - Resume`,
+    theme: template.theme || {},
+  });
+
+  return {
+    buffer,
+    fileName: `${fileSlug(title, "resume")}-resume.${output.extension}`,
+    mimeType: output.mimeType,
+    format,
+  };
+}
+
+module.exports = {
+  FORMATS,
+  SECTIONS,
+  DEFAULT_LAYOUT,
+  TEMPLATES_DIR,
+  readLayoutFile,
+  parseBlocks,
+  fileSlug,
+  renderResume,
+};
@@ -0,0 +1,57 @@
+// Fictional resume used for template sample renderings
+module.exports = {
+  candidate_name: "Jordan Example",
+  job_category_name: "Software Engineer",
+  seniority_level: "Senior",
+  email: "jordan@example.com",
+  phone_no: "+44 20 7946 0000",
+  address: "London, United Kingdom",
+  summary:
+    "Backend engineer with eight years of experience designing APIs and data pipelines for high-traffic products. Comfortable owning services from design to on-call, and mentoring engineers along the way.",
+  experience: [
+    {
+      job_title: "Senior Software Engineer",
+      company_name: "Northwind Labs",
+      location: "London",
+      start_date: "2021-04-01",
+      end_date: null,
+      description:
+        "Lead engineer for the payments platform serving 2 million customers.",
+      achievements: [
+        "Cut checkout latency by 40% by moving pricing to a cached read model",
+        "Led the migration of 30 services to Kubernetes without downtime",
+        "Mentored four engineers through promotion",
+      ],
+    },
+    {
+      job_title: "Software Engineer",
+      company_name: "Contoso Retail",
+      location: "Manchester",
+      start_date: "2017-09-01",
+      end_date: "2021-03-31",
+      description: "Built the order management and stock APIs.",
+      achievements: [
+        "Designed the event pipeline that syncs stock across 120 stores",
+        "Introduced contract tests that halved integration incidents",
+      ],
+    },
+  ],
+  skills: [
+    "Node.js",
+    "TypeScript",
+    "PostgreSQL",
+    "AWS",
+    "Kubernetes",
+    "REST API design",
+  ],
+  education: [
+    {
+      degree: "BSc Computer Science",
+      institution_name: "University of Leeds",
+      location: "Leeds",
+      start_date: "2013-09-01",
+      end_date: "2017-06-30",
+      description: "First-class honours.",
+    },
+  ],
+};
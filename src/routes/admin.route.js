@@ -2,7 +2,18 @@ const express = require("express");
 const router = express.Router();
 // Assuming admin auth middleware exists or we'll use the same one
 const { checkAdminAuth } = require("../middlewares/auth.middleware");
-const { getDashboardStats, getAdminCandidates, getAdminCandidateDetail } = require("../controllers/admin.controller");
+const { requirePermission } = require("../middlewares/permission.middleware");
+const {
+  getDashboardStats,
+  getAdminCandidates,
+  getAdminCandidateDetail,
+  getLockouts,
+  deleteLockout,
+  getAuditEvents,
+  startImpersonation,
+  getImpersonations,
+  stopImpersonation,
+} = require("../controllers/admin.controller");
 const {
   getAllPlans,
   getPlan,
@@ -12,27 +23,115 @@ const {
   getAllSubscriptions,
   cancelAnySubscription,
 } = require("../controllers/subscription.controller");
+const {
+  getAdminUsers,
+  getAdminUser,
+  inviteAdminUser,
+  resendAdminInvite,
+  updateAdminUserById,
+  deactivateAdminUser,
+  activateAdminUser,
+  resetAdminUserTwoFactor,
+  getSecuritySettings,
+  updateSecuritySettings,
+} = require("../controllers/user.controller");
+const {
+  getResumeTemplates,
+  getResumeTemplate,
+  createResumeTemplate,
+  updateResumeTemplate,
+  deleteResumeTemplate,
+  getResumeTemplateSample,
+} = require("../controllers/resumeTemplate.controller");
+const { getAiUsageReport } = require("../controllers/aiUsage.controller");
 
 // Admin Dashboard
-router.get("/dashboard", checkAdminAuth, getDashboardStats);
+router.get("/dashboard", checkAdminAuth, requirePermission("dashboard:read"), getDashboardStats);
 
 // Candidates Management
-router.get("/candidates", checkAdminAuth, getAdminCandidates);
-router.get("/candidates/:candidateId", checkAdminAuth, getAdminCandidateDetail);
+router.get("/candidates", checkAdminAuth, requirePermission("candidates:read"), getAdminCandidates);
+router.get("/candidates/:candidateId", checkAdminAuth, requirePermission("candidates:read"), getAdminCandidateDetail);
+
+// Candidate Impersonation
+router.post(
+  "/candidates/:candidateId/impersonate",
+  checkAdminAuth,
+  requirePermission("candidates:impersonate"),
+  startImpersonation
+);
+router.get("/impersonations", checkAdminAuth, requirePermission("candidates:impersonate"), getImpersonations);
+router.delete(
+  "/impersonations/:impersonationId",
+  checkAdminAuth,
+  requirePermission("candidates:impersonate"),
+  stopImpersonation
+);
 
 // Subscription Plans Management
-router.get("/subscription-plans", checkAdminAuth, getAllPlans);
-router.get("/subscription-plans/:planId", checkAdminAuth, getPlan);
-router.post("/subscription-plans", checkAdminAuth, createPlan);
-router.put("/subscription-plans/:planId", checkAdminAuth, updatePlan);
-router.delete("/subscription-plans/:planId", checkAdminAuth, deletePlan);
+router.get("/subscription-plans", checkAdminAuth, requirePermission("plans:read"), getAllPlans);
+router.get("/subscription-plans/:planId", checkAdminAuth, requirePermission("plans:read"), getPlan);
+router.post("/subscription-plans", checkAdminAuth, requirePermission("plans:write"), createPlan);
+router.put("/subscription-plans/:planId", checkAdminAuth, requirePermission("plans:write"), updatePlan);
+router.delete("/subscription-plans/:planId", checkAdminAuth, requirePermission("plans:write"), deletePlan);
 
 // Subscriptions Management
-router.get("/subscriptions", checkAdminAuth, getAllSubscriptions);
+router.get("/subscriptions", checkAdminAuth, requirePermission("subscriptions:read"), getAllSubscriptions);
 router.delete(
   "/subscriptions/:subscriptionId",
   checkAdminAuth,
+  requirePermission("subscriptions:cancel"),
   cancelAnySubscription
 );
 
+// Admin Users Management
+router.get("/users", checkAdminAuth, requirePermission("admins:manage"), getAdminUsers);
+router.get("/users/:userId", checkAdminAuth, requirePermission("admins:manage"), getAdminUser);
+router.post("/users", checkAdminAuth, requirePermission("admins:manage"), inviteAdminUser);
+router.post("/users/:userId/resend-invite", checkAdminAuth, requirePermission("admins:manage"), resendAdminInvite);
+router.put("/users/:userId", checkAdminAuth, requirePermission("admins:manage"), updateAdminUserById);
+router.patch("/users/:userId/deactivate", checkAdminAuth, requirePermission("admins:manage"), deactivateAdminUser);
+router.patch("/users/:userId/activate", checkAdminAuth, requirePermission("admins:manage"), activateAdminUser);
+router.delete("/users/:userId/2fa", checkAdminAuth, requirePermission("admins:manage"), resetAdminUserTwoFactor);
+
+// Security Settings
+router.get("/settings/security", checkAdminAuth, requirePermission("security:manage"), getSecuritySettings);
+router.put("/settings/security", checkAdminAuth, requirePermission("security:manage"), updateSecuritySettings);
+
+// Login Lockouts
+router.get("/lockouts", checkAdminAuth, requirePermission("lockouts:manage"), getLockouts);
+router.delete("/lockouts/:throttleId", checkAdminAuth, requirePermission("lockouts:manage"), deleteLockout);
+
+// Resume Templates
+router.get("/resume-templates", checkAdminAuth, requirePermission("resume_templates:manage"), getResumeTemplates);
+router.get(
+  "/resume-templates/:templateId",
+  checkAdminAuth,
+  requirePermission("resume_templates:manage"),
+  getResumeTemplate
+);
+router.get(
+  "/resume-templates/:templateId/sample",
+  checkAdminAuth,
+  requirePermission("resume_templates:manage"),
+  getResumeTemplateSample
+);
+router.post("/resume-templates", checkAdminAuth, requirePermission("resume_templates:manage"), createResumeTemplate);
+router.put(
+  "/resume-templates/:templateId",
+  checkAdminAuth,
+  requirePermission("resume_templates:manage"),
+  updateResumeTemplate
+);
+router.delete(
+  "/resume-templates/:templateId",
+  checkAdminAuth,
+  requirePermission("resume_templates:manage"),
+  deleteResumeTemplate
+);
+
+// AI Usage
+router.get("/ai-usage", checkAdminAuth, requirePermission("ai_usage:read"), getAiUsageReport);
+// Audit Trail
+router.get("/audit", checkAdminAuth, requirePermission("audit:read"), getAuditEvents);
+
 module.exports = router;
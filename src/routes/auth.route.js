@@ -2,41 +2,116 @@ const express = require("express");
 const {
   login,
   register,
+  startOAuth,
   googleLogin,
   facebookLogin,
   linkedinLogin,
+  submitOAuthEmail,
+  verifyOAuthEmail,
+  getIdentities,
+  startIdentityLink,
+  deleteIdentity,
   verifyEmail,
+  resendVerificationEmail,
+  confirmEmail,
+  requestMagicLink,
+  openMagicLink,
+  verifyMagicLink,
   me,
+  stopImpersonation,
   logout,
   adminLogin,
+  adminLoginTwoFactor,
+  adminLoginTwoFactorSetup,
+  adminTwoFactorStatus,
+  adminTwoFactorEnroll,
+  adminTwoFactorConfirm,
+  adminTwoFactorRecoveryCodes,
+  adminTwoFactorDisable,
   adminMe,
   adminLogout,
+  refresh,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  adminRefresh,
+  adminGetSessions,
+  adminDeleteSession,
+  adminDeleteOtherSessions,
+  forgotPassword,
+  resetPassword,
+  adminForgotPassword,
+  adminResetPassword,
 } = require("../controllers/auth.controller");
 const router = express.Router();
 const passport = require("passport");
 const { checkAuth, checkAdminAuth } = require("../middlewares/auth.middleware");
+const { throttle } = require("../middlewares/throttle.middleware");
 
 router.post("/login", login);
-router.post("/register", register);
+router.post("/register", throttle("register"), register);
 router.get("/verify", verifyEmail);
+router.post("/verify/resend", resendVerificationEmail);
+router.get("/email/confirm", confirmEmail);
+router.post("/magic-link", throttle("magic_link"), requestMagicLink);
+router.get("/magic-link/verify", openMagicLink);
+router.post("/magic-link/verify", verifyMagicLink);
 router.get("/me", checkAuth, me);
+router.post("/impersonation/stop", checkAuth, stopImpersonation);
 router.post("/logout", checkAuth, logout);
+router.post("/refresh", refresh);
+router.post("/password/forgot", throttle("password_reset"), forgotPassword);
+router.post("/password/reset", resetPassword);
+
+// Device sessions
+router.get("/sessions", checkAuth, getSessions);
+router.delete("/sessions", checkAuth, deleteOtherSessions);
+router.delete("/sessions/:sessionId", checkAuth, deleteSession);
 
 // Admin routes under /auth/admin
 router.post("/admin/login", adminLogin);
+router.post("/admin/login/2fa", adminLoginTwoFactor);
+router.post("/admin/login/2fa/setup", adminLoginTwoFactorSetup);
 router.get("/admin/me", checkAdminAuth, adminMe);
 router.post("/admin/logout", checkAdminAuth, adminLogout);
+router.post("/admin/refresh", adminRefresh);
+router.post(
+  "/admin/password/forgot",
+  throttle("password_reset"),
+  adminForgotPassword
+);
+router.post("/admin/password/reset", adminResetPassword);
+router.get("/admin/sessions", checkAdminAuth, adminGetSessions);
+router.delete("/admin/sessions", checkAdminAuth, adminDeleteOtherSessions);
+router.delete(
+  "/admin/sessions/:sessionId",
+  checkAdminAuth,
+  adminDeleteSession
+);
+
+// Admin two-factor authentication (TOTP)
+router.get("/admin/2fa", checkAdminAuth, adminTwoFactorStatus);
+router.post("/admin/2fa/enroll", checkAdminAuth, adminTwoFactorEnroll);
+router.post("/admin/2fa/enroll/confirm", checkAdminAuth, adminTwoFactorConfirm);
+router.post(
+  "/admin/2fa/recovery-codes",
+  checkAdminAuth,
+  adminTwoFactorRecoveryCodes
+);
+router.delete("/admin/2fa", checkAdminAuth, adminTwoFactorDisable);
+
+// Linked OAuth identities
+router.get("/identities", checkAuth, getIdentities);
+router.get("/identities/:provider/link", checkAuth, startIdentityLink);
+router.delete("/identities/:provider", checkAuth, deleteIdentity);
+
+// Email fallback when the provider shares no email
+router.post("/oauth/email", submitOAuthEmail);
+router.get("/oauth/email/verify", verifyOAuthEmail);
 
 // Google
-// Initiate Google OAuth; allow ?format=json to request JSON in callback via OAuth state
-router.get("/google", (req, res, next) => {
-  const wantsJson = req.query.format === "json";
-  return passport.authenticate("google", {
-    session: false,
-    scope: ["profile", "email"],
-    state: wantsJson ? "json" : undefined,
-  })(req, res, next);
-});
+// ?link_token=... (from /identities/:provider/link) links instead of logging in.
+router.get("/google", startOAuth("google", ["profile", "email"]));
 
 router.get(
   "/google/callback",
@@ -48,13 +123,7 @@ router.get(
 );
 
 // Facebook
-router.get(
-  "/facebook",
-  passport.authenticate("facebook", {
-    session: false,
-    scope: ["public_profile", "email"],
-  })
-);
+router.get("/facebook", startOAuth("facebook", ["public_profile", "email"]));
 
 router.get(
   "/facebook/callback",
@@ -68,10 +137,7 @@ router.get(
 // LinkedIn
 router.get(
   "/linkedin",
-  passport.authenticate("linkedin", {
-    session: false,
-    scope: ["r_liteprofile", "r_emailaddress"],
-  })
+  startOAuth("linkedin", ["r_liteprofile", "r_emailaddress"])
 );
 
 router.get(
@@ -1,7 +1,10 @@
 const express = require("express");
 const multer = require("multer");
 const router = express.Router();
-const { checkAuth } = require("../middlewares/auth.middleware");
+const {
+  checkAuth,
+  forbidImpersonation,
+} = require("../middlewares/auth.middleware");
 const {
   updateCandidateProfile,
   generateResume,
@@ -14,28 +17,78 @@ const {
   getCandidateDashboard,
   getChartsByJobCategory,
   parseResumeFromPdf,
+  exportAccountData,
+  getAccountDeletion,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  getEmailChange,
+  requestEmailChange,
+  cancelEmailChange,
 } = require("../controllers/candidate.controller");
+const {
+  getTemplatesForCandidate,
+  selectTemplate,
+  getTemplateSample,
+  previewTemplate,
+} = require("../controllers/resumeTemplate.controller");
+const {
+  getResumeVersions,
+  diffResumeVersions,
+  getResumeVersion,
+  restoreResumeVersion,
+} = require("../controllers/resumeVersion.controller");
+const {
+  getResumes,
+  createResume,
+  getResume,
+  updateResume,
+  deleteResume,
+  uploadResumeFile: uploadTargetedResumeFile,
+} = require("../controllers/candidateResume.controller");
+const {
+  regenerateResumeSection,
+} = require("../controllers/resumeSection.controller");
+const {
+  createGenerationJob,
+  createParseJob,
+  getResumeJobs,
+  getResumeJob,
+  streamResumeJob,
+} = require("../controllers/resumeJob.controller");
 const { addSimulation } = require("../controllers/simulation.controller");
+const { getCandidateAiUsage } = require("../controllers/aiUsage.controller");
+const {
+  createAtsScore,
+  getAtsScoreHistory,
+  getAtsScore,
+} = require("../controllers/atsScore.controller");
+const {
+  getCoverLetters,
+  createCoverLetter,
+  getCoverLetter,
+  updateCoverLetter,
+  regenerateCoverLetter,
+  downloadCoverLetter,
+  deleteCoverLetter,
+} = require("../controllers/coverLetter.controller");
+const { aiQuota } = require("../middlewares/aiQuota.middleware");
+const {
+  useModel: parserUsesModel,
+} = require("../services/resumeParser.service");
 const subscriptions = require("./subscription.route");
 
-// Configure multer for file upload (memory storage)
+// Configure multer for file upload (memory storage). Handlers check the format
+// from the file content (see utils/documentText), so the client's mimetype is
+// not filtered here.
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
   },
-  fileFilter: (req, file, cb) => {
-    // Only allow PDF files
-    if (file.mimetype === "application/pdf") {
-      cb(null, true);
-    } else {
-      cb(new Error("Only PDF files are allowed"), false);
-    }
-  },
 });
 
 router.put("/profile", checkAuth, updateCandidateProfile);
-router.post("/resume", checkAuth, generateResume);
+router.post("/resume", checkAuth, aiQuota("resume"), generateResume);
 router.post(
   "/resume/upload",
   checkAuth,
@@ -45,17 +98,155 @@ router.post(
 router.post(
   "/resume/parse",
   checkAuth,
+  aiQuota("resume_parse", { when: parserUsesModel }),
   upload.single("resume"),
   parseResumeFromPdf
 );
 router.put("/resume/edit", checkAuth, upload.single("resume"), editResumeFile);
 router.get("/resume/download", checkAuth, downloadResumeFile);
 router.get("/resume/current", checkAuth, downloadCurrentResume);
+
+// Resume templates (the chosen one renders generated resumes)
+router.get("/resume/templates", checkAuth, getTemplatesForCandidate);
+router.put("/resume/template", checkAuth, selectTemplate);
+router.get(
+  "/resume/templates/:templateId/sample",
+  checkAuth,
+  getTemplateSample
+);
+router.get(
+  "/resume/templates/:templateId/preview",
+  checkAuth,
+  previewTemplate
+);
+
+// Resume versions (every uploaded, generated or parsed file)
+router.get("/resume/versions", checkAuth, getResumeVersions);
+router.get("/resume/versions/diff", checkAuth, diffResumeVersions);
+router.get("/resume/versions/:versionId", checkAuth, getResumeVersion);
+router.post(
+  "/resume/versions/:versionId/restore",
+  checkAuth,
+  restoreResumeVersion
+);
+
+// Background generation and parsing (poll a job or stream its progress)
+router.post(
+  "/resume/jobs",
+  checkAuth,
+  aiQuota("resume"),
+  createGenerationJob
+);
+router.post(
+  "/resume/parse/jobs",
+  checkAuth,
+  aiQuota("resume_parse", { when: parserUsesModel }),
+  upload.single("resume"),
+  createParseJob
+);
+router.get("/resume/jobs", checkAuth, getResumeJobs);
+router.get("/resume/jobs/:jobId", checkAuth, getResumeJob);
+router.get("/resume/jobs/:jobId/events", checkAuth, streamResumeJob);
+
+// Rewrite one section of a generated resume as a new version
+router.post(
+  "/resume/sections/:section/regenerate",
+  checkAuth,
+  aiQuota("resume_section"),
+  regenerateResumeSection
+);
+
+// Targeted resumes (one per country, with their own content and file)
+router.get("/resumes", checkAuth, getResumes);
+router.post("/resumes", checkAuth, createResume);
+router.get("/resumes/:resumeId", checkAuth, getResume);
+router.put("/resumes/:resumeId", checkAuth, updateResume);
+router.delete("/resumes/:resumeId", checkAuth, deleteResume);
+router.post(
+  "/resumes/:resumeId/file",
+  checkAuth,
+  upload.single("resume"),
+  uploadTargetedResumeFile
+);
+
+// This month's AI allowances (resume generation, parsing, section rewrites
+// and cover letters)
+router.get("/ai-usage", checkAuth, getCandidateAiUsage);
+
+// ATS compatibility scores (history feeds the dashboard)
+router.post("/ats-score", checkAuth, createAtsScore);
+router.get("/ats-score/history", checkAuth, getAtsScoreHistory);
+router.get("/ats-score/:scoreId", checkAuth, getAtsScore);
+
+// Cover letters (one per employer; generating counts against the AI quota)
+router.get("/cover-letters", checkAuth, getCoverLetters);
+router.post(
+  "/cover-letters",
+  checkAuth,
+  aiQuota("cover_letter"),
+  createCoverLetter
+);
+router.get("/cover-letters/:letterId", checkAuth, getCoverLetter);
+router.put("/cover-letters/:letterId", checkAuth, updateCoverLetter);
+router.post(
+  "/cover-letters/:letterId/regenerate",
+  checkAuth,
+  aiQuota("cover_letter"),
+  regenerateCoverLetter
+);
+router.get(
+  "/cover-letters/:letterId/download",
+  checkAuth,
+  downloadCoverLetter
+);
+router.delete("/cover-letters/:letterId", checkAuth, deleteCoverLetter);
+
 router.get("/job-list", checkAuth, getJobList);
 router.get("/employers", checkAuth, getEmployersForCandidate);
 router.get("/dashboard", checkAuth, getCandidateDashboard);
 router.get("/charts/:job_category_id", checkAuth, getChartsByJobCategory);
 
+// Personal data export and account deletion
+router.get(
+  "/account/export",
+  checkAuth,
+  forbidImpersonation,
+  exportAccountData
+);
+router.get(
+  "/account/deletion",
+  checkAuth,
+  forbidImpersonation,
+  getAccountDeletion
+);
+router.post(
+  "/account/deletion",
+  checkAuth,
+  forbidImpersonation,
+  requestAccountDeletion
+);
+router.delete(
+  "/account/deletion",
+  checkAuth,
+  forbidImpersonation,
+  cancelAccountDeletion
+);
+
+// Login email change (confirmed via /api/auth/email/confirm)
+router.get("/account/email", checkAuth, forbidImpersonation, getEmailChange);
+router.post(
+  "/account/email",
+  checkAuth,
+  forbidImpersonation,
+  requestEmailChange
+);
+router.delete(
+  "/account/email",
+  checkAuth,
+  forbidImpersonation,
+  cancelEmailChange
+);
+
 // Subscription routes
 router.use("/subscriptions", subscriptions);
 
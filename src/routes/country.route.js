@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { checkAdminAuth } = require("../middlewares/auth.middleware");
+const { requirePermission } = require("../middlewares/permission.middleware");
 const {
   getCountries,
   getCountryById,
@@ -15,13 +16,13 @@ router.get("/", getCountries);
 // GET /api/countries/:id - Get a single country by ID
 router.get("/:id", getCountryById);
 
-// POST /api/countries - Create a new country (requires admin authentication)
-router.post("/", checkAdminAuth, createNewCountry);
+// POST /api/countries - Create a new country (requires countries:write)
+router.post("/", checkAdminAuth, requirePermission("countries:write"), createNewCountry);
 
-// PUT /api/countries/:id - Update an existing country (requires admin authentication)
-router.put("/:id", checkAdminAuth, updateCountry);
+// PUT /api/countries/:id - Update an existing country (requires countries:write)
+router.put("/:id", checkAdminAuth, requirePermission("countries:write"), updateCountry);
 
-// DELETE /api/countries/:id - Delete a country (requires admin authentication)
-router.delete("/:id", checkAdminAuth, deleteCountry);
+// DELETE /api/countries/:id - Delete a country (requires countries:write)
+router.delete("/:id", checkAdminAuth, requirePermission("countries:write"), deleteCountry);
 
 module.exports = router;
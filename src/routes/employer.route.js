@@ -4,13 +4,14 @@ const {
   listEmployers,
 } = require("../controllers/employer.controller");
 const { checkAdminAuth } = require("../middlewares/auth.middleware");
+const { requirePermission } = require("../middlewares/permission.middleware");
 
 const router = express.Router();
 
 // POST /api/employer/scrap
-router.post("/scrap", checkAdminAuth, scrapEmployers);
+router.post("/scrap", checkAdminAuth, requirePermission("employers:scrape"), scrapEmployers);
 
 // GET /api/employer
-router.get("/", checkAdminAuth, listEmployers);
+router.get("/", checkAdminAuth, requirePermission("employers:read"), listEmployers);
 
 module.exports = router;
@@ -17,8 +17,8 @@ module.exports = {
           email: "admin@gmail.com",
           password: bcrypt.hashSync("12345678", saltRounds),
           full_name: "Admin User",
+          role: "super_admin",
           is_active: true,
-          api_token: null,
           created_by: adminUserId, // Self-created
           updated_by: null,
           created_at: new Date(),
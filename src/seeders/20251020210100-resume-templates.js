@@ -0,0 +1,43 @@
+"use strict";
+const { v4: uuidv4 } = require("uuid");
+const { loadBuiltinTemplates } = require("../resumes/builtinTemplates");
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const existing = await queryInterface.sequelize.query(
+      "SELECT slug, is_default FROM resume_templates",
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+    const seeded = new Set(existing.map((row) => row.slug));
+    const hasDefault = existing.some((row) => row.is_default);
+
+    const now = new Date();
+    const rows = loadBuiltinTemplates()
+      .filter((template) => !seeded.has(template.slug))
+      .map((template) => ({
+        template_id: uuidv4(),
+        slug: template.slug,
+        name: template.name,
+        description: template.description,
+        layout: template.layout,
+        sections: JSON.stringify(template.sections),
+        theme: JSON.stringify(template.theme),
+        // Keep an admin-chosen default when templates already exist
+        is_default: template.is_default && !hasDefault,
+        is_active: true,
+        sort_order: template.sort_order,
+        created_at: now,
+        updated_at: now,
+      }));
+    if (rows.length) {
+      await queryInterface.bulkInsert("resume_templates", rows, {});
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete("resume_templates", {
+      slug: loadBuiltinTemplates().map((template) => template.slug),
+    });
+  },
+};
@@ -0,0 +1,509 @@
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const { Op } = require("sequelize");
+const db = require("../models");
+const logger = require("../config/logger");
+const { findCandidateById } = require("./candidate.service");
+const { revokeAllSessions } = require("./session.service");
+const { cancelSubscription } = require("./stripe.service");
+const { getFile, deleteFile, listFiles, fileExists } = require("./s3.service");
+const { sendAccountDeletionScheduledEmail } = require("./email.service");
+const { recordAuditEvent } = require("./audit.service");
+const { createZip } = require("../utils/zip");
+const { httpError } = require("../utils/errorHelper");
+
+const {
+  Candidate,
+  CandidateIdentity,
+  CandidateSubscription,
+  SubscriptionCountry,
+  SubscriptionPlan,
+  Simulation,
+  Country,
+  JobCategory,
+  EmailUnsubscribe,
+  AuthSession,
+  AuthThrottle,
+  PasswordResetToken,
+  PendingRegistration,
+  EmailChangeRequest,
+  MagicLinkToken,
+  ResumeVersion,
+  CandidateResume,
+  AiUsage,
+  AiQuotaHold,
+  AtsScore,
+  CoverLetter,
+  ResumeJob,
+} = db;
+
+const deletionGraceDays = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 30);
+
+async function findLiveCandidate(candidateId) {
+  const candidate = await findCandidateById(candidateId);
+  if (!candidate || candidate.deleted_at) {
+    throw httpError("Candidate not found", 404);
+  }
+  return candidate;
+}
+
+function deletionStatus(candidate) {
+  return {
+    scheduled: Boolean(candidate.deletion_scheduled_for),
+    requested_at: candidate.deletion_requested_at || null,
+    scheduled_for: candidate.deletion_scheduled_for || null,
+  };
+}
+
+/**
+ * Build a candidate's personal data export: a ZIP with `data.json` (profile,
+ * linked logins, subscriptions, simulations, unsubscribe records, sign-in
+ * sessions, targeted resumes, resume version history, AI usage, ATS scores,
+ * cover letters) and the current resume file.
+ * @param {string} candidateId
+ * @returns {Promise<{ fileName: string, buffer: Buffer }>}
+ */
+async function buildDataExport(candidateId) {
+  const candidate = await findLiveCandidate(candidateId);
+  // Includes country and job category names (see findCandidateById)
+  const { password, ...profile } = candidate.toJSON();
+
+  const [
+    identities,
+    subscriptions,
+    simulations,
+    unsubscribes,
+    sessions,
+    resumes,
+    resumeVersions,
+    aiUsage,
+    atsScores,
+    coverLetters,
+    resumeJobs,
+  ] = await Promise.all([
+    CandidateIdentity.findAll({
+      where: { candidate_id: candidateId },
+      attributes: [
+        "provider",
+        "provider_email",
+        "display_name",
+        "image_url",
+        "last_login_at",
+        "created_at",
+      ],
+    }),
+    CandidateSubscription.findAll({
+      where: { candidate_id: candidateId },
+      attributes: {
+        exclude: ["stripe_payment_intent_id", "stripe_latest_invoice_id"],
+      },
+      include: [
+        {
+          model: SubscriptionPlan,
+          as: "plan",
+          attributes: ["name", "duration_days"],
+        },
+        {
+          model: SubscriptionCountry,
+          as: "countries",
+          attributes: ["country_id"],
+          include: [
+            { model: Country, as: "country", attributes: ["country"] },
+          ],
+        },
+      ],
+      order: [["created_at", "ASC"]],
+    }),
+    Simulation.findAll({
+      where: { candidate_id: candidateId },
+      include: [
+        { model: Country, as: "country", attributes: ["country"] },
+        {
+          model: JobCategory,
+          as: "job_category",
+          attributes: ["job_category"],
+        },
+      ],
+      order: [["created_at", "ASC"]],
+    }),
+    EmailUnsubscribe.findAll({
+      where: { email: candidate.email },
+      attributes: [
+        "reason",
+        "user_agent",
+        "ip_address",
+        "is_active",
+        "created_at",
+      ],
+    }),
+    AuthSession.findAll({
+      where: { subject_type: "candidate", subject_id: candidateId },
+      attributes: [
+        "user_agent",
+        "ip_address",
+        "last_used_at",
+        "revoked_at",
+        "revoked_reason",
+        "created_at",
+      ],
+      order: [["created_at", "ASC"]],
+    }),
+    CandidateResume.findAll({
+      where: { candidate_id: candidateId },
+      attributes: { exclude: ["candidate_id"] },
+      include: [{ model: Country, as: "country", attributes: ["country"] }],
+      order: [["created_at", "ASC"]],
+    }),
+    ResumeVersion.findAll({
+      where: { candidate_id: candidateId },
+      attributes: { exclude: ["candidate_id"] },
+      order: [["version_number", "ASC"]],
+    }),
+    AiUsage.findAll({
+      where: { candidate_id: candidateId },
+      attributes: { exclude: ["candidate_id"] },
+      order: [["created_at", "ASC"]],
+    }),
+    AtsScore.findAll({
+      where: { candidate_id: candidateId },
+      attributes: { exclude: ["candidate_id"] },
+      order: [["created_at", "ASC"]],
+    }),
+    CoverLetter.findAll({
+      where: { candidate_id: candidateId },
+      attributes: { exclude: ["candidate_id"] },
+      order: [["created_at", "ASC"]],
+    }),
+    ResumeJob.findAll({
+      where: { candidate_id: candidateId },
+      attributes: { exclude: ["candidate_id"] },
+      order: [["created_at", "ASC"]],
+    }),
+  ]);
+
+  const files = [];
+  let resumeFile = null;
+  if (profile.resume_key) {
+    if (await fileExists(profile.resume_key)) {
+      const { body } = await getFile(profile.resume_key);
+      resumeFile = `resume/${path.basename(profile.resume_key)}`;
+      files.push({ name: resumeFile, data: body });
+    } else {
+      logger?.warn?.("Resume missing from storage during export", {
+        candidateId,
+        key: profile.resume_key,
+      });
+    }
+  }
+
+  const exportedAt = new Date();
+  const data = {
+    exported_at: exportedAt.toISOString(),
+    profile,
+    resume_file: resumeFile,
+    identities: identities.map((i) => i.toJSON()),
+    subscriptions: subscriptions.map((s) => s.toJSON()),
+    simulations: simulations.map((s) => s.toJSON()),
+    email_unsubscribes: unsubscribes.map((u) => u.toJSON()),
+    sessions: sessions.map((s) => s.toJSON()),
+    resumes: resumes.map((r) => r.toJSON()),
+    resume_versions: resumeVersions.map((v) => v.toJSON()),
+    ai_usage: aiUsage.map((u) => u.toJSON()),
+    ats_scores: atsScores.map((s) => s.toJSON()),
+    cover_letters: coverLetters.map((l) => l.toJSON()),
+    resume_jobs: resumeJobs.map((j) => j.toJSON()),
+  };
+
+  const buffer = createZip(
+    [{ name: "data.json", data: JSON.stringify(data, null, 2) }, ...files],
+    exportedAt
+  );
+  logger?.info?.("Candidate data export built", {
+    candidateId,
+    bytes: buffer.length,
+  });
+
+  return {
+    fileName: `data-export-${exportedAt.toISOString().slice(0, 10)}.zip`,
+    buffer,
+  };
+}
+
+/**
+ * Current deletion request of a candidate
+ * @param {string} candidateId
+ * @returns {Promise<{ scheduled: boolean, requested_at: Date|null, scheduled_for: Date|null }>}
+ */
+async function getDeletionStatus(candidateId) {
+  return deletionStatus(await findLiveCandidate(candidateId));
+}
+
+/**
+ * Schedule account deletion after the grace period.
+ * Candidates with a password must confirm it; OAuth-only candidates confirm
+ * their email address instead. Other sessions are signed out.
+ * @param {string} candidateId
+ * @param {Object} confirmation
+ * @param {string} [confirmation.password]
+ * @param {string} [confirmation.email]
+ * @param {string} [currentSessionId] - Session kept so the candidate can still cancel
+ * @returns {Promise<{ scheduled: boolean, requested_at: Date, scheduled_for: Date }>}
+ */
+async function requestAccountDeletion(
+  candidateId,
+  { password, email },
+  currentSessionId
+) {
+  const candidate = await findLiveCandidate(candidateId);
+  if (candidate.deletion_scheduled_for) {
+    throw httpError("Account deletion is already scheduled", 409);
+  }
+
+  if (candidate.password) {
+    const ok = password && (await bcrypt.compare(password, candidate.password));
+    if (!ok) throw httpError("Password is incorrect", 401);
+  } else if (!email || email !== candidate.email.toLowerCase()) {
+    throw httpError("Email does not match this account", 401);
+  }
+
+  const now = new Date();
+  const scheduledFor = new Date(
+    now.getTime() + deletionGraceDays * 24 * 60 * 60 * 1000
+  );
+  await candidate.update({
+    deletion_requested_at: now,
+    deletion_scheduled_for: scheduledFor,
+    updated_by: candidateId,
+  });
+  await revokeAllSessions("candidate", candidateId, {
+    exceptSessionId: currentSessionId,
+    reason: "account_deletion_requested",
+  });
+
+  const frontendUrl = (process.env.FRONTEND_URL || "").replace(/\/$/, "");
+  try {
+    await sendAccountDeletionScheduledEmail({
+      to: candidate.email,
+      name: candidate.full_name,
+      scheduledFor: scheduledFor.toUTCString(),
+      accountUrl: `${frontendUrl}/account/settings`,
+    });
+  } catch (err) {
+    logger?.error?.("Account deletion email failed", {
+      candidateId,
+      error: err.message,
+    });
+  }
+
+  logger?.info?.("Account deletion scheduled", { candidateId, scheduledFor });
+  return deletionStatus(candidate);
+}
+
+/**
+ * Cancel a pending deletion during the grace period
+ * @param {string} candidateId
+ * @returns {Promise<{ scheduled: boolean, requested_at: null, scheduled_for: null }>}
+ */
+async function cancelAccountDeletion(candidateId) {
+  const candidate = await findLiveCandidate(candidateId);
+  if (!candidate.deletion_scheduled_for) {
+    throw httpError("No account deletion is scheduled", 404);
+  }
+
+  await candidate.update({
+    deletion_requested_at: null,
+    deletion_scheduled_for: null,
+    updated_by: candidateId,
+  });
+  logger?.info?.("Account deletion cancelled", { candidateId });
+  return deletionStatus(candidate);
+}
+
+// Stop billing before anything is erased; a Stripe outage aborts the purge so it is retried
+async function cancelStripeSubscriptions(candidateId) {
+  const subscriptions = await CandidateSubscription.findAll({
+    where: {
+      candidate_id: candidateId,
+      status: { [Op.in]: ["pending", "active"] },
+    },
+  });
+
+  for (const subscription of subscriptions) {
+    if (subscription.stripe_subscription_id) {
+      try {
+        await cancelSubscription(subscription.stripe_subscription_id);
+      } catch (err) {
+        // Already cancelled or removed on Stripe's side
+        if (err.code !== "resource_missing") throw err;
+      }
+    }
+    await subscription.update({ status: "cancelled", updated_by: candidateId });
+  }
+  return subscriptions.length;
+}
+
+async function deleteStoredFiles(candidate) {
+  const keys = new Set();
+  if (candidate.resume_key) keys.add(candidate.resume_key);
+  for (const file of await listFiles(`resumes/${candidate.candidate_id}/`)) {
+    keys.add(file.Key);
+  }
+  for (const key of keys) {
+    await deleteFile(key);
+  }
+  return keys.size;
+}
+
+/**
+ * Permanently erase a candidate:
+ * - cancels Stripe subscriptions and deletes stored resume files
+ * - deletes simulations, linked logins, sessions, reset tokens, pending signups,
+ *   lockout records, unsubscribe records, email change requests, sign-in links,
+ *   ATS scores, cover letters, resume versions and targeted resumes
+ * - anonymises the candidate row, which is kept (inactive) so subscription
+ *   records and the AI usage ledger stay intact for accounting
+ * @param {string} candidateId
+ * @returns {Promise<void>}
+ */
+async function purgeCandidate(candidateId) {
+  const candidate = await findLiveCandidate(candidateId);
+  const email = candidate.email.toLowerCase();
+
+  const subscriptionsCancelled = await cancelStripeSubscriptions(candidateId);
+  const filesDeleted = await deleteStoredFiles(candidate);
+
+  await db.sequelize.transaction(async (transaction) => {
+    await Simulation.destroy({
+      where: { candidate_id: candidateId },
+      transaction,
+    });
+    await CandidateIdentity.destroy({
+      where: { candidate_id: candidateId },
+      transaction,
+    });
+    await AuthSession.destroy({
+      where: { subject_type: "candidate", subject_id: candidateId },
+      transaction,
+    });
+    await PasswordResetToken.destroy({
+      where: { subject_type: "candidate", subject_id: candidateId },
+      transaction,
+    });
+    await PendingRegistration.destroy({
+      where: { [Op.or]: [{ email }, { candidate_id: candidateId }] },
+      transaction,
+    });
+    await AuthThrottle.destroy({
+      where: { key_type: "account", key: email },
+      transaction,
+    });
+    await EmailUnsubscribe.destroy({ where: { email }, transaction });
+    await EmailChangeRequest.destroy({
+      where: { candidate_id: candidateId },
+      transaction,
+    });
+    await MagicLinkToken.destroy({
+      where: { candidate_id: candidateId },
+      transaction,
+    });
+    await AtsScore.destroy({
+      where: { candidate_id: candidateId },
+      transaction,
+    });
+    await CoverLetter.destroy({
+      where: { candidate_id: candidateId },
+      transaction,
+    });
+    await ResumeJob.destroy({
+      where: { candidate_id: candidateId },
+      transaction,
+    });
+    await AiQuotaHold.destroy({
+      where: { candidate_id: candidateId },
+      transaction,
+    });
+    await ResumeVersion.destroy({
+      where: { candidate_id: candidateId },
+      transaction,
+    });
+    await CandidateResume.destroy({
+      where: { candidate_id: candidateId },
+      transaction,
+    });
+
+    await candidate.update(
+      {
+        email: `deleted-${candidateId}@deleted.invalid`,
+        password: null,
+        full_name: "Deleted user",
+        phone_no: null,
+        address: null,
+        seniority_level: null,
+        image_url: null,
+        resume_key: null,
+        skills: null,
+        work_experience: null,
+        education: null,
+        summary: null,
+        is_active: false,
+        deletion_scheduled_for: null,
+        deleted_at: new Date(),
+        updated_by: candidateId,
+      },
+      { transaction }
+    );
+  });
+
+  await recordAuditEvent({
+    system: "account_deletion_cron",
+    action: "candidate.purge",
+    entityType: "candidate",
+    entityId: candidateId,
+    metadata: { subscriptionsCancelled, filesDeleted },
+  });
+  logger?.info?.("Candidate account purged", {
+    candidateId,
+    subscriptionsCancelled,
+    filesDeleted,
+  });
+}
+
+/**
+ * Purge every account whose grace period has ended.
+ * Failures are logged and retried on the next run.
+ * @returns {Promise<{ purged: number, failed: number }>}
+ */
+async function purgeDueAccounts() {
+  const due = await Candidate.findAll({
+    where: {
+      deletion_scheduled_for: { [Op.lte]: new Date() },
+      deleted_at: null,
+    },
+    attributes: ["candidate_id"],
+  });
+
+  let purged = 0;
+  let failed = 0;
+  for (const { candidate_id } of due) {
+    try {
+      await purgeCandidate(candidate_id);
+      purged += 1;
+    } catch (err) {
+      failed += 1;
+      logger?.error?.("Candidate purge failed", {
+        candidateId: candidate_id,
+        error: err.message,
+      });
+    }
+  }
+  return { purged, failed };
+}
+
+module.exports = {
+  buildDataExport,
+  getDeletionStatus,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  purgeCandidate,
+  purgeDueAccounts,
+};
@@ -0,0 +1,378 @@
+const db = require("../models");
+const logger = require("../config/logger");
+const { estimateCost } = require("../llm/pricing");
+const { httpError } = require("../utils/errorHelper");
+
+const {
+  AiUsage,
+  AiQuotaHold,
+  CandidateSubscription,
+  SubscriptionPlan,
+  ResumeJob,
+} = db;
+const { Op, fn, col } = db.Sequelize;
+
+// Features candidates spend quota on; employer scraping is admin/cron only
+const QUOTA_FEATURES = [
+  "resume",
+  "resume_parse",
+  "cover_letter",
+  "resume_section",
+];
+
+// Monthly allowance without an active subscription, overridable with
+// AI_FREE_TIER_<FEATURE> (e.g. AI_FREE_TIER_RESUME=5)
+const FREE_TIER_DEFAULTS = {
+  resume: 3,
+  resume_parse: 5,
+  cover_letter: 5,
+  resume_section: 10,
+};
+
+const FEATURE_LABELS = {
+  resume: "resume generations",
+  resume_parse: "resume parses",
+  cover_letter: "cover letters",
+  resume_section: "resume section rewrites",
+};
+
+// Background job types and the feature their model call is metered under
+const JOB_FEATURES = { generate: "resume", parse: "resume_parse" };
+
+const REPORT_DEFAULT_DAYS = 30;
+
+function freeTierLimit(feature) {
+  const value = Number.parseInt(
+    process.env[`AI_FREE_TIER_${feature.toUpperCase()}`],
+    10
+  );
+  return Number.isFinite(value) && value >= 0
+    ? value
+    : FREE_TIER_DEFAULTS[feature] ?? 0;
+}
+
+// Quotas reset at the start of each calendar month (UTC)
+function monthBounds(now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const end = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+  );
+  return { start, end };
+}
+
+/**
+ * Add a model call to the ledger. Never throws: metering must not fail the
+ * request that made the call.
+ * @param {Object} usage - llm.service usage (feature, provider, model, token
+ *   counts, duration_ms, repaired)
+ * @param {Object} [options]
+ * @param {string|null} [options.candidateId]
+ * @param {boolean} [options.succeeded=true]
+ * @returns {Promise<AiUsage|null>}
+ */
+async function recordAiUsage(
+  usage,
+  { candidateId = null, succeeded = true } = {}
+) {
+  try {
+    return await AiUsage.create({
+      feature: usage.feature,
+      candidate_id: candidateId,
+      provider: usage.provider,
+      model: usage.model,
+      prompt_tokens: usage.prompt_tokens,
+      completion_tokens: usage.completion_tokens,
+      total_tokens: usage.total_tokens,
+      cost_usd: estimateCost(usage),
+      succeeded,
+      repaired: Boolean(usage.repaired),
+      duration_ms: usage.duration_ms ?? null,
+    });
+  } catch (err) {
+    logger?.error?.("Failed to record AI usage", {
+      feature: usage.feature,
+      candidateId,
+      error: err.message,
+    });
+    return null;
+  }
+}
+
+async function findActivePlan(candidateId, transaction) {
+  const subscription = await CandidateSubscription.findOne({
+    where: {
+      candidate_id: candidateId,
+      status: "active",
+      end_date: { [Op.gt]: new Date() },
+    },
+    include: [
+      {
+        model: SubscriptionPlan,
+        as: "plan",
+        attributes: ["plan_id", "name", "ai_quota"],
+      },
+    ],
+    order: [["end_date", "DESC"]],
+    transaction,
+  });
+  return subscription?.plan || null;
+}
+
+// Queued and running background jobs that will call the model for a feature
+async function countPendingJobs(candidateId, feature, transaction) {
+  const types = Object.keys(JOB_FEATURES).filter(
+    (type) => JOB_FEATURES[type] === feature
+  );
+  if (!types.length) return 0;
+  return ResumeJob.count({
+    where: {
+      candidate_id: candidateId,
+      type: types,
+      status: ["queued", "running"],
+    },
+    transaction,
+  });
+}
+
+/**
+ * A candidate's allowance for a feature this month. Subscribers get their
+ * plan's ai_quota (unlimited when it has none for the feature); everyone else
+ * gets the free tier. Successful calls are used; requests still in progress
+ * and queued or running background jobs are pending, and also come off what
+ * remains.
+ * @param {string} candidateId
+ * @param {string} feature - One of QUOTA_FEATURES
+ * @param {Object} [options]
+ * @param {import("sequelize").Transaction} [options.transaction]
+ * @returns {Promise<Object>} feature, tier ("plan"|"free"), plan_name, limit
+ *   (null = unlimited), used, pending, remaining, resets_at
+ */
+async function getAiQuota(candidateId, feature, { transaction } = {}) {
+  const { start, end } = monthBounds();
+  const [plan, used, pendingJobs, holds] = await Promise.all([
+    findActivePlan(candidateId, transaction),
+    AiUsage.count({
+      where: {
+        candidate_id: candidateId,
+        feature,
+        succeeded: true,
+        created_at: { [Op.gte]: start },
+      },
+      transaction,
+    }),
+    countPendingJobs(candidateId, feature, transaction),
+    AiQuotaHold.count({
+      where: {
+        candidate_id: candidateId,
+        feature,
+        expires_at: { [Op.gt]: new Date() },
+      },
+      transaction,
+    }),
+  ]);
+  const pending = pendingJobs + holds;
+
+  let limit;
+  if (plan) {
+    const planLimit = plan.ai_quota?.[feature];
+    limit = Number.isInteger(planLimit) ? planLimit : null;
+  } else {
+    limit = freeTierLimit(feature);
+  }
+
+  return {
+    feature,
+    tier: plan ? "plan" : "free",
+    plan_name: plan?.name || null,
+    limit,
+    used,
+    pending,
+    remaining: limit === null ? null : Math.max(0, limit - used - pending),
+    resets_at: end,
+  };
+}
+
+/**
+ * All of a candidate's AI allowances this month
+ * @param {string} candidateId
+ * @returns {Promise<Object[]>} getAiQuota results, one per QUOTA_FEATURES
+ */
+async function listAiQuotas(candidateId) {
+  return Promise.all(
+    QUOTA_FEATURES.map((feature) => getAiQuota(candidateId, feature))
+  );
+}
+
+/**
+ * Throw 429 when a candidate has nothing left of a feature's allowance,
+ * counting pending calls (see getAiQuota)
+ * @param {string} candidateId
+ * @param {string} feature - One of QUOTA_FEATURES
+ * @param {Object} [options] - See getAiQuota
+ * @returns {Promise<Object>} The quota (see getAiQuota)
+ */
+async function assertAiQuota(candidateId, feature, options) {
+  const quota = await getAiQuota(candidateId, feature, options);
+  if (quota.limit !== null && quota.remaining <= 0) {
+    const label = FEATURE_LABELS[feature] || feature;
+    throw httpError(
+      quota.tier === "plan"
+        ? `Your plan includes ${quota.limit} ${label} per month and you have used them all`
+        : `The free tier includes ${quota.limit} ${label} per month. Subscribe for more.`,
+      429,
+      { quota }
+    );
+  }
+  return quota;
+}
+
+/**
+ * Check the allowance and hold one call of it until release() is called, so
+ * concurrent requests cannot overspend it, whichever instance serves them.
+ * The check and the hold run in one transaction under an advisory lock on
+ * the candidate and feature. The hold ends once the request has recorded its
+ * usage or queued its background job, which count from then on, or when it
+ * expires.
+ * @param {string} candidateId
+ * @param {string} feature - One of QUOTA_FEATURES
+ * @param {Object} options
+ * @param {number} options.holdMs - How long the hold lasts if it is never
+ *   released
+ * @returns {Promise<{ quota: Object, release: () => Promise<void> }>} Throws
+ *   like assertAiQuota
+ */
+async function reserveAiQuota(candidateId, feature, { holdMs }) {
+  const { quota, hold } = await db.sequelize.transaction(
+    async (transaction) => {
+      await db.sequelize.query(
+        "SELECT pg_advisory_xact_lock(hashtext(:key))",
+        {
+          replacements: { key: `ai_quota:${candidateId}:${feature}` },
+          transaction,
+        }
+      );
+      const checked = await assertAiQuota(candidateId, feature, {
+        transaction,
+      });
+      const created = await AiQuotaHold.create(
+        {
+          candidate_id: candidateId,
+          feature,
+          expires_at: new Date(Date.now() + holdMs),
+        },
+        { transaction }
+      );
+      return { quota: checked, hold: created };
+    }
+  );
+
+  let released = false;
+  const release = async () => {
+    if (released) return;
+    released = true;
+    try {
+      await hold.destroy();
+    } catch (err) {
+      // Left to expire
+      logger?.error?.("Failed to release AI quota hold", {
+        holdId: hold.hold_id,
+        error: err.message,
+      });
+    }
+  };
+  return { quota, release };
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? 0 : Number(value);
+}
+
+function summarize(row) {
+  return {
+    requests: toNumber(row.requests),
+    failed: toNumber(row.failed),
+    prompt_tokens: toNumber(row.prompt_tokens),
+    completion_tokens: toNumber(row.completion_tokens),
+    total_tokens: toNumber(row.total_tokens),
+    cost_usd: Math.round(toNumber(row.cost_usd) * 1e6) / 1e6,
+  };
+}
+
+const SUMMARY_ATTRIBUTES = [
+  [fn("COUNT", col("usage_id")), "requests"],
+  [
+    fn("SUM", db.sequelize.literal("CASE WHEN succeeded THEN 0 ELSE 1 END")),
+    "failed",
+  ],
+  [fn("SUM", col("prompt_tokens")), "prompt_tokens"],
+  [fn("SUM", col("completion_tokens")), "completion_tokens"],
+  [fn("SUM", col("total_tokens")), "total_tokens"],
+  [fn("SUM", col("cost_usd")), "cost_usd"],
+];
+
+/**
+ * Spend by feature and by day (UTC)
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Defaults to 30 days before `to`
+ * @param {Date} [options.to] - Defaults to now
+ * @param {string} [options.feature]
+ * @returns {Promise<Object>} range, totals, by_feature and by_day; cost_usd
+ *   leaves out models without a known price
+ */
+async function getAiUsageReport({ from, to, feature } = {}) {
+  const rangeTo = to || new Date();
+  const rangeFrom =
+    from ||
+    new Date(rangeTo.getTime() - REPORT_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+  const where = { created_at: { [Op.gte]: rangeFrom, [Op.lte]: rangeTo } };
+  if (feature) where.feature = feature;
+
+  // Days are UTC whatever the database session's time zone
+  const day = db.sequelize.literal(
+    "to_char(date_trunc('day', created_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD')"
+  );
+  const [totals, byFeature, byDay] = await Promise.all([
+    AiUsage.findOne({ where, attributes: SUMMARY_ATTRIBUTES, raw: true }),
+    AiUsage.findAll({
+      where,
+      attributes: ["feature", ...SUMMARY_ATTRIBUTES],
+      group: ["feature"],
+      order: [["feature", "ASC"]],
+      raw: true,
+    }),
+    AiUsage.findAll({
+      where,
+      attributes: [[day, "day"], "feature", ...SUMMARY_ATTRIBUTES],
+      group: [day, "feature"],
+      order: [
+        [day, "ASC"],
+        ["feature", "ASC"],
+      ],
+      raw: true,
+    }),
+  ]);
+
+  return {
+    range: { from: rangeFrom, to: rangeTo },
+    totals: summarize(totals || {}),
+    by_feature: byFeature.map((row) => ({
+      feature: row.feature,
+      ...summarize(row),
+    })),
+    by_day: byDay.map((row) => ({
+      day: row.day,
+      feature: row.feature,
+      ...summarize(row),
+    })),
+  };
+}
+
+module.exports = {
+  QUOTA_FEATURES,
+  recordAiUsage,
+  getAiQuota,
+  listAiQuotas,
+  assertAiQuota,
+  reserveAiQuota,
+  getAiUsageReport,
+};
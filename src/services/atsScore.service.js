@@ -0,0 +1,323 @@
+const db = require("../models");
+const logger = require("../config/logger");
+const PaginationService = require("./pagination.service");
+const { findCandidateById } = require("./candidate.service");
+const {
+  findResume,
+  loadResumeAssignments,
+} = require("./candidateResume.service");
+const { getFile } = require("./s3.service");
+const {
+  SUPPORTED_FORMATS_LABEL,
+  detectDocumentType,
+  extractDocumentText,
+} = require("../utils/documentText");
+const {
+  sectionsOf,
+  parseResumeText,
+} = require("./resumeRuleParser.service");
+const { scoreResume } = require("../ats/scoreResume");
+const { UUID_PATTERN, httpError } = require("../utils/errorHelper");
+
+const { AtsScore, CandidateResume, Country, JobCategory } = db;
+
+const SCORE_INCLUDE = [
+  {
+    model: JobCategory,
+    as: "job_category",
+    attributes: ["job_category_id", "job_category"],
+  },
+  {
+    model: Country,
+    as: "country",
+    attributes: ["country_id", "country", "country_code"],
+  },
+  { model: CandidateResume, as: "resume", attributes: ["resume_id", "name"] },
+];
+
+const DASHBOARD_HISTORY = 10;
+
+function hasText(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+// Profile skills are strings, or objects with a name from older clients
+function skillNames(skills) {
+  if (typeof skills === "string") {
+    return skills
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+  }
+  if (!Array.isArray(skills)) return [];
+  return skills
+    .map((s) => (typeof s === "string" ? s : s?.name || s?.label || ""))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+}
+
+function listOf(value) {
+  return Array.isArray(value) ? value.filter(Boolean) : [];
+}
+
+function joinTitle(...parts) {
+  return parts.filter(hasText).join(" at ") || null;
+}
+
+// Structured fields of the profile or a targeted resume; contact details are
+// always the candidate's
+function documentFromProfile(content, candidate) {
+  const experience = listOf(content.work_experience);
+  const education = listOf(content.education);
+  const skills = skillNames(content.skills);
+
+  const text = [
+    candidate.full_name,
+    candidate.seniority_level,
+    content.summary,
+    ...experience.map((e) =>
+      [e.job_title, e.company_name, e.location, e.description]
+        .filter(hasText)
+        .join("\n")
+    ),
+    skills.length ? `Skills: ${skills.join(", ")}` : null,
+    ...education.map((e) =>
+      [e.degree, e.institution_name, e.location, e.description]
+        .filter(hasText)
+        .join("\n")
+    ),
+  ]
+    .filter(hasText)
+    .join("\n");
+
+  return {
+    text,
+    sections: {
+      summary: hasText(content.summary),
+      experience: experience.length > 0,
+      education: education.length > 0,
+      skills: skills.length > 0,
+    },
+    contact: {
+      email: hasText(candidate.email),
+      phone: hasText(candidate.phone_no),
+    },
+    experience: experience.map((e) => ({
+      title: joinTitle(e.job_title, e.company_name),
+      start_date: e.start_date || null,
+      end_date: e.end_date || null,
+      description: e.description || "",
+    })),
+    education: education.map((e) => ({
+      title: joinTitle(e.degree, e.institution_name),
+      start_date: e.start_date || null,
+      end_date: e.end_date || null,
+    })),
+  };
+}
+
+// Text of a stored file, read the way an ATS would: by its headings
+function documentFromText(text) {
+  const sections = sectionsOf(text);
+  const parsed = parseResumeText(text);
+  const hasLines = (name) => (sections[name] || []).length > 0;
+  return {
+    text,
+    sections: {
+      summary: hasLines("summary"),
+      experience: hasLines("experience"),
+      education: hasLines("education"),
+      skills: hasLines("skills"),
+    },
+    contact: { email: Boolean(parsed.email), phone: Boolean(parsed.phone_no) },
+    experience: parsed.work_experience.map((e) => ({
+      title: joinTitle(e.job_title, e.company_name),
+      start_date: e.start_date,
+      end_date: e.end_date,
+      description: e.description || "",
+    })),
+    education: parsed.education.map((e) => ({
+      title: joinTitle(e.degree, e.university),
+      start_date: e.start_date,
+      end_date: e.end_date,
+    })),
+  };
+}
+
+async function readResumeFile(key) {
+  if (!key) {
+    throw httpError(
+      "There is no resume file to score yet. Upload or generate one first.",
+      404
+    );
+  }
+  const { body } = await getFile(key);
+  const type = detectDocumentType(body);
+  if (!type) {
+    throw httpError(
+      `The resume file must be a ${SUPPORTED_FORMATS_LABEL} file to be scored`,
+      422
+    );
+  }
+  const text = await extractDocumentText(body, type);
+  if (!text) {
+    throw httpError(
+      `No text could be read from the ${type.toUpperCase()} file; ATS software cannot read it either (scanned or image-only files are not supported)`,
+      422
+    );
+  }
+  return text;
+}
+
+// The targeted resume named by resume_id, else the one for country_id; null
+// means the profile resume
+async function findScoredResume(candidateId, { resume_id, country_id }) {
+  if (resume_id) return findResume(candidateId, resume_id);
+  if (!country_id) return null;
+  if (!(await Country.findByPk(country_id))) {
+    throw httpError("Country not found", 404);
+  }
+  const assignment = (await loadResumeAssignments(candidateId))(country_id);
+  return assignment.targeted
+    ? findResume(candidateId, assignment.resume_id)
+    : null;
+}
+
+/**
+ * Score a candidate's resume for ATS compatibility and keep it in their
+ * history. Scores the targeted resume for resume_id or country_id, else the
+ * profile resume, against job_category_id or else the resume's (or
+ * profile's) job category.
+ * @param {string} candidateId
+ * @param {Object} options - Validated request
+ * @param {"profile"|"file"} options.source - Structured fields, or the text of
+ *   the stored file
+ * @param {string} [options.resume_id]
+ * @param {string} [options.country_id]
+ * @param {string} [options.job_category_id]
+ * @returns {Promise<Object>} The saved score with job_category, country and
+ *   resume; breakdown and suggestions as in ats/scoreResume
+ */
+async function scoreCandidateResume(candidateId, options) {
+  const candidate = await findCandidateById(candidateId);
+  if (!candidate) throw httpError("Candidate not found", 404);
+
+  const resume = await findScoredResume(candidateId, options);
+  const jobCategoryId =
+    options.job_category_id ||
+    resume?.job_category_id ||
+    candidate.job_category_id;
+  if (!jobCategoryId) {
+    throw httpError(
+      "Choose a job category to score against, or set one on your profile",
+      400
+    );
+  }
+  const jobCategory = await JobCategory.findByPk(jobCategoryId);
+  if (!jobCategory) throw httpError("Job category not found", 404);
+
+  const content = resume || candidate;
+  const document =
+    options.source === "file"
+      ? documentFromText(await readResumeFile(content.resume_key))
+      : documentFromProfile(content, candidate);
+  const result = scoreResume(document, {
+    categoryName: jobCategory.job_category,
+    checkOrder: options.source === "file",
+  });
+
+  const saved = await AtsScore.create({
+    candidate_id: candidateId,
+    resume_id: resume?.resume_id || null,
+    source: options.source,
+    job_category_id: jobCategory.job_category_id,
+    country_id: resume?.country_id || options.country_id || null,
+    score: result.score,
+    rating: result.rating,
+    breakdown: result.breakdown,
+    suggestions: result.suggestions,
+  });
+  logger?.info?.("ATS score recorded", {
+    candidateId,
+    scoreId: saved.score_id,
+    source: options.source,
+    score: result.score,
+  });
+  return getAtsScore(candidateId, saved.score_id);
+}
+
+/**
+ * One of a candidate's ATS scores with its breakdown and suggestions
+ * @param {string} candidateId
+ * @param {string} scoreId
+ * @returns {Promise<AtsScore>}
+ */
+async function getAtsScore(candidateId, scoreId) {
+  if (!UUID_PATTERN.test(String(scoreId || ""))) {
+    throw httpError("ATS score not found", 404);
+  }
+  const score = await AtsScore.findOne({
+    where: { score_id: scoreId, candidate_id: candidateId },
+    include: SCORE_INCLUDE,
+  });
+  if (!score) throw httpError("ATS score not found", 404);
+  return score;
+}
+
+/**
+ * A candidate's ATS score history, newest first, without breakdowns
+ * @param {string} candidateId
+ * @param {Object} [options] - page, limit, resume_id ("profile" for the
+ *   profile resume only)
+ * @returns {Promise<Object>} Paginated scores
+ */
+async function listAtsScores(candidateId, options = {}) {
+  const whereClause = { candidate_id: candidateId };
+  if (options.resume_id) {
+    whereClause.resume_id =
+      options.resume_id === "profile" ? null : options.resume_id;
+  }
+  return PaginationService.paginate({
+    model: AtsScore,
+    page: options.page,
+    limit: options.limit,
+    sortBy: "created_at",
+    sortOrder: "DESC",
+    whereClause,
+    attributes: { exclude: ["breakdown", "suggestions"] },
+    include: SCORE_INCLUDE,
+  });
+}
+
+/**
+ * Latest scores, oldest first, for the dashboard's progress chart
+ * @param {string} candidateId
+ * @param {number} [limit=10]
+ * @returns {Promise<Object[]>} score_id, score, rating, source, resume_id,
+ *   job_category_id and created_at
+ */
+async function listRecentAtsScores(candidateId, limit = DASHBOARD_HISTORY) {
+  const rows = await AtsScore.findAll({
+    where: { candidate_id: candidateId },
+    attributes: [
+      "score_id",
+      "score",
+      "rating",
+      "source",
+      "resume_id",
+      "job_category_id",
+      "created_at",
+    ],
+    order: [["created_at", "DESC"]],
+    limit,
+    raw: true,
+  });
+  return rows.reverse();
+}
+
+module.exports = {
+  scoreCandidateResume,
+  getAtsScore,
+  listAtsScores,
+  listRecentAtsScores,
+};
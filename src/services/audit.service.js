@@ -0,0 +1,208 @@
+const { Op } = require("sequelize");
+const { AuditEvent } = require("../models");
+const logger = require("../config/logger");
+const PaginationService = require("./pagination.service");
+const { UUID_PATTERN, httpError } = require("../utils/errorHelper");
+
+// Written to NOT NULL created_by/updated_by columns by background jobs
+const SYSTEM_ACTOR_ID = "00000000-0000-0000-0000-000000000000";
+
+const ACTOR_TYPES = ["user", "candidate", "system"];
+
+// Bookkeeping columns and secrets never appear in a diff
+const IGNORED_FIELDS = new Set([
+  "password",
+  "created_at",
+  "updated_at",
+  "created_by",
+  "updated_by",
+]);
+
+function toPlain(value) {
+  if (!value) return null;
+  const plain = typeof value.toJSON === "function" ? value.toJSON() : value;
+  // Normalise Dates/decimals the way they are stored in JSONB
+  return JSON.parse(JSON.stringify(plain));
+}
+
+/**
+ * Field-level diff between two snapshots. When both exist only their shared
+ * fields are compared, so snapshots loaded with different attributes or
+ * includes do not report spurious changes.
+ * @param {Object|null} before - null for creations
+ * @param {Object|null} after - null for deletions
+ * @returns {Object|null} { field: { before, after } }, or null when nothing changed
+ */
+function diffSnapshots(before, after) {
+  const a = toPlain(before) || {};
+  const b = toPlain(after) || {};
+  const fields =
+    before && after
+      ? Object.keys(a).filter((field) => field in b)
+      : Object.keys(before ? a : b);
+  const changes = {};
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const from = a[field] ?? null;
+    const to = b[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { before: from, after: to };
+    }
+  }
+  return Object.keys(changes).length ? changes : null;
+}
+
+// Who acted: the authenticated admin/candidate on the request, else the given system actor.
+// While impersonating, the admin behind the candidate token is the actor.
+function resolveActor(req, system) {
+  if (req?.impersonation) {
+    return {
+      actor_type: "user",
+      actor_id: req.impersonation.admin.user_id,
+      actor_label: req.impersonation.admin.email,
+    };
+  }
+  if (req?.admin) {
+    return {
+      actor_type: "user",
+      actor_id: req.admin.user_id,
+      actor_label: req.admin.email,
+    };
+  }
+  if (req?.candidate) {
+    return {
+      actor_type: "candidate",
+      actor_id: req.candidate.candidate_id,
+      actor_label: req.candidate.email,
+    };
+  }
+  return { actor_type: "system", actor_id: null, actor_label: system || null };
+}
+
+/**
+ * Record an audit event. Never throws: a failed write is logged so the audited
+ * action itself still succeeds.
+ * @param {Object} event
+ * @param {import("express").Request} [event.req] - Supplies actor, request id and IP
+ * @param {string} [event.system] - Job name when there is no request, e.g. "employer_scrape_cron"
+ * @param {string} event.action - "<entity>.<verb>", e.g. "plan.update"
+ * @param {string} event.entityType
+ * @param {string} [event.entityId]
+ * @param {Object} [event.before] - Snapshot before the change (row or plain object)
+ * @param {Object} [event.after] - Snapshot after the change
+ * @param {Object} [event.metadata] - Extra context, e.g. scrape results
+ * @returns {Promise<AuditEvent|null>}
+ */
+async function recordAuditEvent({
+  req,
+  system,
+  action,
+  entityType,
+  entityId,
+  before,
+  after,
+  metadata,
+}) {
+  try {
+    return await AuditEvent.create({
+      ...resolveActor(req, system),
+      action,
+      entity_type: entityType,
+      entity_id: entityId ? String(entityId) : null,
+      changes: before || after ? diffSnapshots(before, after) : null,
+      metadata: req?.impersonation
+        ? {
+            ...metadata,
+            impersonation_id: req.impersonation.impersonation_id,
+          }
+        : metadata || null,
+      request_id: req?.id || null,
+      ip_address: req?.ip || null,
+      user_agent: req?.get?.("User-Agent") || null,
+    });
+  } catch (err) {
+    logger?.error?.("Audit event write failed", {
+      action,
+      entityType,
+      entityId,
+      error: err.message,
+    });
+    return null;
+  }
+}
+
+function parseDate(value, field) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(`Invalid ${field} date`, 400);
+  }
+  return date;
+}
+
+/**
+ * List audit events for admins, newest first
+ * @param {Object} options
+ * @param {number} [options.page]
+ * @param {number} [options.limit]
+ * @param {string} [options.search] - Matches the actor label (email/job name)
+ * @param {string} [options.actor_type]
+ * @param {string} [options.actor_id]
+ * @param {string} [options.action] - Exact action, or a prefix ending in "." (e.g. "plan.")
+ * @param {string} [options.entity_type]
+ * @param {string} [options.entity_id]
+ * @param {string} [options.request_id]
+ * @param {string} [options.from] - ISO date, inclusive
+ * @param {string} [options.to] - ISO date, inclusive
+ * @returns {Promise<Object>} Paginated response
+ */
+async function listAuditEvents(options = {}) {
+  if (options.actor_type && !ACTOR_TYPES.includes(options.actor_type)) {
+    throw httpError(`actor_type must be one of ${ACTOR_TYPES.join(", ")}`, 400);
+  }
+  if (options.actor_id && !UUID_PATTERN.test(options.actor_id)) {
+    throw httpError("actor_id must be a UUID", 400);
+  }
+
+  const whereClause = {};
+  for (const field of [
+    "actor_type",
+    "actor_id",
+    "entity_type",
+    "entity_id",
+    "request_id",
+  ]) {
+    if (options[field]) whereClause[field] = options[field];
+  }
+  if (options.action) {
+    whereClause.action = options.action.endsWith(".")
+      ? { [Op.startsWith]: options.action }
+      : options.action;
+  }
+  if (options.from || options.to) {
+    whereClause.created_at = {};
+    if (options.from) {
+      whereClause.created_at[Op.gte] = parseDate(options.from, "from");
+    }
+    if (options.to) {
+      whereClause.created_at[Op.lte] = parseDate(options.to, "to");
+    }
+  }
+
+  return PaginationService.paginate({
+    model: AuditEvent,
+    page: options.page,
+    limit: options.limit,
+    search: options.search,
+    sortBy: "created_at",
+    sortOrder: options.sortOrder || "DESC",
+    whereClause,
+    searchableFields: ["actor_label"],
+    allowedSortFields: ["created_at"],
+  });
+}
+
+module.exports = {
+  SYSTEM_ACTOR_ID,
+  recordAuditEvent,
+  listAuditEvents,
+};
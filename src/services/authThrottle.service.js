@@ -0,0 +1,287 @@
+const { Op } = require("sequelize");
+const { AuthThrottle } = require("../models");
+const logger = require("../config/logger");
+const PaginationService = require("./pagination.service");
+const { findCandidateByEmail } = require("./candidate.service");
+const { findUserByEmail } = require("./user.service");
+const { sendAccountLockedEmail } = require("./email.service");
+const { httpError } = require("../utils/errorHelper");
+
+const maxFailedAttempts = Number(process.env.AUTH_MAX_FAILED_ATTEMPTS || 5);
+const ipMaxFailedAttempts = Number(
+  process.env.AUTH_IP_MAX_FAILED_ATTEMPTS || 20
+);
+const lockoutMinutes = Number(process.env.AUTH_LOCKOUT_MINUTES || 15);
+const maxLockoutHours = Number(process.env.AUTH_MAX_LOCKOUT_HOURS || 24);
+const failureWindowMinutes = Number(
+  process.env.AUTH_FAILURE_WINDOW_MINUTES || 60
+);
+
+// Requests per account and per IP address for an action where every request
+// counts, e.g. AUTH_REGISTER_MAX_REQUESTS and AUTH_REGISTER_IP_MAX_REQUESTS
+function requestLimits(name) {
+  return {
+    account: Number(process.env[`AUTH_${name}_MAX_REQUESTS`] || 5),
+    ip: Number(process.env[`AUTH_${name}_IP_MAX_REQUESTS`] || 20),
+  };
+}
+
+// Per action: limit per key type, whether failed attempts back off
+// exponentially, and whose owner to email on an account lockout
+const policies = {
+  candidate_login: {
+    limits: { account: maxFailedAttempts, ip: ipMaxFailedAttempts },
+    backoff: true,
+    notify: "candidate",
+  },
+  admin_login: {
+    limits: { account: maxFailedAttempts, ip: ipMaxFailedAttempts },
+    backoff: true,
+    notify: "user",
+  },
+  // Every request counts for these
+  register: { limits: requestLimits("REGISTER") },
+  magic_link: { limits: requestLimits("MAGIC_LINK") },
+  password_reset: { limits: requestLimits("PASSWORD_RESET") },
+  unsubscribe: { limits: { ip: 10 } },
+};
+
+const ACTIONS = Object.keys(policies);
+
+function throttledError(retryAfterMs, locked) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  const message = locked
+    ? `Too many failed attempts. Try again in ${Math.ceil(
+        retryAfter / 60
+      )} minute(s).`
+    : `Too many attempts. Try again in ${retryAfter} second(s).`;
+  return httpError(message, 429, { retryAfter });
+}
+
+function keysFor(action, { email, ip }) {
+  const { limits } = policies[action];
+  const keys = [];
+  if (limits.account && email) {
+    keys.push({ key_type: "account", key: String(email).trim().toLowerCase() });
+  }
+  if (limits.ip && ip) keys.push({ key_type: "ip", key: String(ip) });
+  return keys;
+}
+
+function lockoutDurationMs(lockoutCount) {
+  const minutes = lockoutMinutes * 2 ** lockoutCount;
+  return Math.min(minutes * 60 * 1000, maxLockoutHours * 60 * 60 * 1000);
+}
+
+async function notifyLockout(action, row, ipAddress) {
+  const kind = policies[action].notify;
+  if (!kind || row.key_type !== "account") return;
+
+  const account =
+    kind === "user"
+      ? await findUserByEmail(row.key)
+      : await findCandidateByEmail(row.key);
+  if (!account) return;
+
+  const frontendUrl = (process.env.FRONTEND_URL || "").replace(/\/$/, "");
+  const resetPath = kind === "user" ? "/admin/reset-password" : "/reset-password";
+  try {
+    await sendAccountLockedEmail({
+      to: account.email,
+      name: account.full_name,
+      failedAttempts: policies[action].limits.account,
+      ipAddress: ipAddress || "unknown",
+      lockedUntil: row.locked_until.toUTCString(),
+      resetUrl: `${frontendUrl}${resetPath}`,
+    });
+  } catch (err) {
+    // The lockout itself must not fail because email is down
+    logger?.error?.("Lockout notification failed", {
+      action,
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Reject the attempt if any of its keys is locked out or backing off
+ * @param {string} action - One of ACTIONS
+ * @param {{ email?: string, ip?: string }} subject
+ * @returns {Promise<void>} Throws a 429 error with `retryAfter` (seconds)
+ */
+async function assertNotThrottled(action, subject) {
+  const keys = keysFor(action, subject);
+  if (!keys.length) return;
+
+  const rows = await AuthThrottle.findAll({
+    where: { action, [Op.or]: keys },
+  });
+  const now = Date.now();
+  for (const row of rows) {
+    if (row.locked_until && row.locked_until.getTime() > now) {
+      throw throttledError(row.locked_until.getTime() - now, true);
+    }
+    if (row.next_attempt_at && row.next_attempt_at.getTime() > now) {
+      throw throttledError(row.next_attempt_at.getTime() - now, false);
+    }
+  }
+}
+
+/**
+ * Count a failed (or, for register/unsubscribe, any) attempt against each key.
+ * Reaching the limit locks the key; each repeated lockout doubles its length.
+ * @param {string} action - One of ACTIONS
+ * @param {{ email?: string, ip?: string }} subject
+ * @returns {Promise<{ locked: boolean, retryAfter?: number }>}
+ */
+async function recordFailure(action, subject) {
+  const policy = policies[action];
+  const now = new Date();
+  const windowStart = now.getTime() - failureWindowMinutes * 60 * 1000;
+  let lockedRow = null;
+
+  for (const { key_type, key } of keysFor(action, subject)) {
+    const [row] = await AuthThrottle.findOrCreate({
+      where: { action, key_type, key },
+      defaults: { action, key_type, key },
+    });
+
+    // Quiet for a full window: start counting again
+    const stale =
+      row.last_failed_at && row.last_failed_at.getTime() < windowStart;
+    if (stale) {
+      const quietForDay =
+        row.last_failed_at.getTime() < now.getTime() - 24 * 60 * 60 * 1000;
+      await row.update({
+        failure_count: 0,
+        lockout_count: quietForDay ? 0 : row.lockout_count,
+      });
+    }
+
+    await row.increment("failure_count");
+    await row.reload();
+
+    const limit = policy.limits[key_type];
+    const changes = { last_failed_at: now, last_ip_address: subject.ip || null };
+    if (row.failure_count >= limit) {
+      changes.locked_until = new Date(
+        now.getTime() + lockoutDurationMs(row.lockout_count)
+      );
+      changes.lockout_count = row.lockout_count + 1;
+      changes.failure_count = 0;
+      changes.next_attempt_at = null;
+    } else if (policy.backoff && key_type === "account") {
+      // 1s, 2s, 4s, ... between attempts on the same account
+      changes.next_attempt_at = new Date(
+        now.getTime() + 1000 * 2 ** (row.failure_count - 1)
+      );
+    }
+    await row.update(changes);
+
+    if (changes.locked_until) {
+      lockedRow = lockedRow || row;
+      logger?.warn?.("Auth lockout", {
+        action,
+        keyType: key_type,
+        lockedUntil: changes.locked_until,
+        lockoutCount: changes.lockout_count,
+        ipAddress: subject.ip,
+      });
+      await notifyLockout(action, row, subject.ip);
+    }
+  }
+
+  if (!lockedRow) return { locked: false };
+  return {
+    locked: true,
+    retryAfter: Math.ceil((lockedRow.locked_until.getTime() - now.getTime()) / 1000),
+  };
+}
+
+/**
+ * Forget an account's failures after a successful attempt.
+ * IP counters are kept so one valid login cannot reset an attacker's budget.
+ * @param {string} action
+ * @param {{ email?: string }} subject
+ * @returns {Promise<void>}
+ */
+async function clearFailures(action, { email }) {
+  if (!email) return;
+  await AuthThrottle.destroy({
+    where: {
+      action,
+      key_type: "account",
+      key: String(email).trim().toLowerCase(),
+    },
+  });
+}
+
+/**
+ * List throttle records for admins, by default only active lockouts/backoffs
+ * @param {Object} options
+ * @param {number} [options.page]
+ * @param {number} [options.limit]
+ * @param {string} [options.search] - Matches the email/IP key
+ * @param {string} [options.action]
+ * @param {string} [options.key_type]
+ * @param {boolean|string} [options.active=true]
+ * @returns {Promise<Object>} Paginated response
+ */
+async function listLockouts(options = {}) {
+  const whereClause = {};
+  if (options.action) whereClause.action = options.action;
+  if (options.key_type) whereClause.key_type = options.key_type;
+  if (options.active !== false && options.active !== "false") {
+    // Wrapped in Op.and: pagination adds the search terms under Op.or
+    const now = new Date();
+    whereClause[Op.and] = [
+      {
+        [Op.or]: [
+          { locked_until: { [Op.gt]: now } },
+          { next_attempt_at: { [Op.gt]: now } },
+        ],
+      },
+    ];
+  }
+
+  return PaginationService.paginate({
+    model: AuthThrottle,
+    page: options.page,
+    limit: options.limit,
+    search: options.search,
+    sortBy: options.sortBy || "updated_at",
+    sortOrder: options.sortOrder || "DESC",
+    whereClause,
+    searchableFields: ["key"],
+    allowedSortFields: [
+      "updated_at",
+      "created_at",
+      "locked_until",
+      "failure_count",
+      "lockout_count",
+    ],
+  });
+}
+
+/**
+ * Clear a lockout (and its failure history)
+ * @param {string} throttleId
+ * @returns {Promise<void>}
+ */
+async function clearLockout(throttleId) {
+  const removed = await AuthThrottle.destroy({
+    where: { throttle_id: throttleId },
+  });
+  if (!removed) {
+    throw httpError("Lockout not found", 404);
+  }
+}
+
+module.exports = {
+  ACTIONS,
+  assertNotThrottled,
+  recordFailure,
+  clearFailures,
+  listLockouts,
+  clearLockout,
+};
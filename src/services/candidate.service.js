@@ -9,6 +9,8 @@ const {
   SubscriptionCountry,
 } = require("../models");
 const PaginationService = require("./pagination.service");
+const { completeJson } = require("./llm.service");
+const { generatedResumeSchema } = require("../llm/schemas");
 const bcrypt = require("bcryptjs");
 const { Op } = require("sequelize");
 
@@ -58,6 +60,38 @@ async function createCandidateWithPassword(data) {
   return Candidate.create(payload);
 }
 
+/**
+ * Create a new candidate from an already-hashed password (e.g. a verified pending registration)
+ * Ensures created_by is populated (set to the new candidate_id)
+ * @param {{ email: string, full_name: string, password_hash: string }} data
+ * @returns {Promise<Candidate>}
+ */
+async function createCandidateWithPasswordHash(data) {
+  const candidateId = uuidv4();
+  const payload = {
+    candidate_id: candidateId,
+    email: data.email,
+    full_name: data.full_name,
+    password: data.password_hash,
+    created_by: candidateId,
+  };
+  return Candidate.create(payload);
+}
+
+/**
+ * Replace a candidate's password with a new plaintext password (hashed here)
+ * @param {string} candidateId
+ * @param {string} password
+ * @returns {Promise<void>}
+ */
+async function updateCandidatePassword(candidateId, password) {
+  const hashed = await bcrypt.hash(password, 10);
+  await Candidate.update(
+    { password: hashed, updated_by: candidateId },
+    { where: { candidate_id: candidateId } }
+  );
+}
+
 /**
  * Find candidate by candidate_id
  * @param {string} candidateId
@@ -98,6 +132,7 @@ async function updateCandidateById(candidateId, updateData) {
     "education",
     "summary",
     "resume_key",
+    "resume_template_id",
     "seniority_level",
     "job_category_id",
     "country_id",
@@ -121,33 +156,6 @@ async function updateCandidateById(candidateId, updateData) {
   return findCandidateById(candidateId);
 }
 
-/**
- * Persist API token to candidate
- * @param {string} candidateId
- * @param {string} token
- * @returns {Promise<void>}
- */
-async function saveApiToken(candidateId, token) {
-  await Candidate.update(
-    { api_token: token },
-    { where: { candidate_id: candidateId } }
-  );
-}
-
-/**
- * Revoke API token if it matches the provided token
- * @param {string} candidateId
- * @param {string} token
- * @returns {Promise<boolean>} true if a token was revoked
- */
-async function revokeApiToken(candidateId, token) {
-  const [affected] = await Candidate.update(
-    { api_token: null },
-    { where: { candidate_id: candidateId, api_token: token } }
-  );
-  return affected > 0;
-}
-
 /**
  * Get all candidates with pagination and search
  * @param {Object} options - Query options
@@ -160,7 +168,8 @@ async function revokeApiToken(candidateId, token) {
  */
 async function list(options = {}) {
   try {
-    const whereClause = {};
+    // Anonymised (deleted) accounts are kept only for billing records
+    const whereClause = { deleted_at: null };
     if (options.country_id) whereClause.country_id = options.country_id;
     if (options.job_category_id)
       whereClause.job_category_id = options.job_category_id;
@@ -228,7 +237,7 @@ async function list(options = {}) {
   }
 }
 
-// ===== Resume Generation via OpenAI =====
+// ===== Resume Generation via the LLM service =====
 async function getCountryAndCategoryByIds(country_id, job_category_id) {
   const [country, jobCategory] = await Promise.all([
     Country.findByPk(country_id),
@@ -327,65 +336,29 @@ JSON Schema:
 }`;
 }
 
-async function callOpenAIForResume(prompt) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    const err = new Error("OPENAI_API_KEY is not configured on the server");
-    err.status = 500;
-    throw err;
-  }
-
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content:
-            "You are a helpful assistant that responds with strict JSON only, adhering to the provided schema, with no markdown or additional text.",
-        },
-        { role: "user", content: prompt },
-      ],
-      temperature: 0.7,
-      // If server supports it, uncomment next line to enforce JSON
-      // response_format: { type: "json_object" },
-    }),
-  });
-
-  if (!response.ok) {
-    const errText = await response.text();
-    const err = new Error("Failed to get response from OpenAI");
-    err.status = 502;
-    err.details = errText;
-    throw err;
-  }
-
-  const data = await response.json();
-  let message = data?.choices?.[0]?.message?.content || null;
-  if (!message) {
-    const err = new Error("No content returned from OpenAI");
-    err.status = 502;
-    throw err;
-  }
-
-  // Clean potential code fences and parse
-  message = message.replace(/```json\n|\n```/g, "").trim();
-  const parsed = JSON.parse(message);
-  return { raw: message, parsed };
-}
-
-async function generateResumeFromProfile(payload) {
+/**
+ * Write resume content from a candidate's profile with the LLM
+ * @param {Object} payload - Validated generation payload
+ * @param {Object} [options]
+ * @param {string} [options.candidateId] - Charged for the model call
+ * @returns {Promise<Object>} candidate_name, summary, experience, skills,
+ *   education and the target country and job category
+ */
+async function generateResumeFromProfile(
+  payload,
+  { candidateId = null } = {}
+) {
   const { country_id, job_category_id } = payload;
   const meta = await getCountryAndCategoryByIds(country_id, job_category_id);
   const prompt = buildResumePrompt(payload, meta);
-  const { parsed } = await callOpenAIForResume(prompt);
+  const { parsed } = await completeJson({
+    feature: "resume",
+    prompt,
+    schema: generatedResumeSchema,
+    candidateId,
+  });
 
-  // Normalize/ensure top-level fields are present
+  // The schema guarantees the content; fill profile fields the model left out
   return {
     candidate_name: parsed.candidate_name || payload.candidate_name,
     job_category_id: parsed.job_category_id ?? job_category_id,
@@ -397,10 +370,10 @@ async function generateResumeFromProfile(payload) {
     phone_no: parsed.phone_no || payload.phone_no || null,
     address: parsed.address || payload.address || null,
     seniority_level: parsed.seniority_level || payload.seniority_level || null,
-    summary: parsed.summary || "",
-    experience: Array.isArray(parsed.experience) ? parsed.experience : [],
-    skills: Array.isArray(parsed.skills) ? parsed.skills : [],
-    education: Array.isArray(parsed.education) ? parsed.education : [],
+    summary: parsed.summary,
+    experience: parsed.experience,
+    skills: parsed.skills,
+    education: parsed.education,
   };
 }
 
@@ -531,15 +504,14 @@ module.exports = {
   findCandidateByEmail,
   createCandidate,
   createCandidateWithPassword,
+  createCandidateWithPasswordHash,
+  updateCandidatePassword,
   findCandidateById,
-  saveApiToken,
-  revokeApiToken,
   list,
   updateCandidateById,
   // resume generation exports
   getCountryAndCategoryByIds,
   buildResumePrompt,
-  callOpenAIForResume,
   generateResumeFromProfile,
   // job list export
   getJobListForCandidate,
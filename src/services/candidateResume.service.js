@@ -0,0 +1,278 @@
+const db = require("../models");
+const logger = require("../config/logger");
+const { findCandidateById } = require("./candidate.service");
+const { uploadResume, deleteFile, getSignedUrl } = require("./s3.service");
+const {
+  snapshotFromProfile,
+  recordResumeVersion,
+} = require("./resumeVersion.service");
+const { UUID_PATTERN, httpError } = require("../utils/errorHelper");
+
+const { CandidateResume, ResumeVersion, Country, JobCategory } = db;
+
+const MAX_RESUMES_PER_CANDIDATE = 10;
+const DOWNLOAD_URL_EXPIRES_SECONDS = 3600;
+
+const RESUME_INCLUDE = [
+  { model: Country, as: "country", attributes: ["country", "country_code"] },
+  { model: JobCategory, as: "job_category", attributes: ["job_category"] },
+];
+
+/**
+ * One of a candidate's targeted resumes (404 if it is not theirs)
+ * @param {string} candidateId
+ * @param {string} resumeId
+ * @returns {Promise<CandidateResume>}
+ */
+async function findResume(candidateId, resumeId) {
+  if (!UUID_PATTERN.test(String(resumeId || ""))) {
+    throw httpError("Resume not found", 404);
+  }
+  const resume = await CandidateResume.findOne({
+    where: { resume_id: resumeId, candidate_id: candidateId },
+    include: RESUME_INCLUDE,
+  });
+  if (!resume) throw httpError("Resume not found", 404);
+  return resume;
+}
+
+// Name and country are unique per candidate; check before saving for a clear
+// message, the unique indexes still catch concurrent requests
+async function assertAvailable(candidateId, data, resumeId = null) {
+  const others = await CandidateResume.findAll({
+    where: { candidate_id: candidateId },
+    attributes: ["resume_id", "name", "country_id"],
+  });
+  for (const other of others) {
+    if (other.resume_id === resumeId) continue;
+    if (data.name && other.name.toLowerCase() === data.name.toLowerCase()) {
+      throw httpError(`You already have a resume named "${data.name}"`, 409);
+    }
+    if (data.country_id && other.country_id === data.country_id) {
+      throw httpError(
+        `Your resume "${other.name}" already targets this country`,
+        409
+      );
+    }
+  }
+  return others.length;
+}
+
+async function assertTargetsExist({ country_id, job_category_id }) {
+  if (country_id && !(await Country.findByPk(country_id))) {
+    throw httpError("Country not found", 404);
+  }
+  if (job_category_id && !(await JobCategory.findByPk(job_category_id))) {
+    throw httpError("Job category not found", 404);
+  }
+}
+
+async function saveResume(save) {
+  try {
+    return await save();
+  } catch (err) {
+    if (err.name === "SequelizeUniqueConstraintError") {
+      throw httpError("Resume name or country is already in use", 409);
+    }
+    throw err;
+  }
+}
+
+/**
+ * A candidate's targeted resumes, oldest first
+ * @param {string} candidateId
+ * @returns {Promise<CandidateResume[]>}
+ */
+async function listResumes(candidateId) {
+  return CandidateResume.findAll({
+    where: { candidate_id: candidateId },
+    include: RESUME_INCLUDE,
+    order: [["created_at", "ASC"]],
+  });
+}
+
+/**
+ * One targeted resume, with a short-lived download URL for its file
+ * @param {string} candidateId
+ * @param {string} resumeId
+ * @returns {Promise<Object>}
+ */
+async function getResume(candidateId, resumeId) {
+  const resume = await findResume(candidateId, resumeId);
+  return {
+    ...resume.toJSON(),
+    download_url: resume.resume_key
+      ? await getSignedUrl(resume.resume_key, DOWNLOAD_URL_EXPIRES_SECONDS)
+      : null,
+    expires_in: resume.resume_key ? DOWNLOAD_URL_EXPIRES_SECONDS : null,
+  };
+}
+
+/**
+ * Create a named resume, optionally aimed at one country and job category
+ * @param {string} candidateId
+ * @param {Object} data - Validated resume fields
+ * @returns {Promise<CandidateResume>}
+ */
+async function createResume(candidateId, data) {
+  const count = await assertAvailable(candidateId, data);
+  if (count >= MAX_RESUMES_PER_CANDIDATE) {
+    throw httpError(
+      `You can keep up to ${MAX_RESUMES_PER_CANDIDATE} resumes`,
+      409
+    );
+  }
+  await assertTargetsExist(data);
+
+  const resume = await saveResume(() =>
+    CandidateResume.create({ ...data, candidate_id: candidateId })
+  );
+  logger?.info?.("Targeted resume created", {
+    candidateId,
+    resumeId: resume.resume_id,
+  });
+  return findResume(candidateId, resume.resume_id);
+}
+
+/**
+ * Update any of a targeted resume's fields
+ * @param {string} candidateId
+ * @param {string} resumeId
+ * @param {Object} data - Validated resume fields
+ * @returns {Promise<CandidateResume>}
+ */
+async function updateResume(candidateId, resumeId, data) {
+  const resume = await findResume(candidateId, resumeId);
+  await assertAvailable(candidateId, data, resume.resume_id);
+  await assertTargetsExist(data);
+
+  await saveResume(() => resume.update(data));
+  logger?.info?.("Targeted resume updated", { candidateId, resumeId });
+  return findResume(candidateId, resumeId);
+}
+
+/**
+ * Delete a targeted resume with its versions and their files
+ * @param {string} candidateId
+ * @param {string} resumeId
+ * @returns {Promise<CandidateResume>} The deleted resume
+ */
+async function deleteResume(candidateId, resumeId) {
+  const resume = await findResume(candidateId, resumeId);
+  const versions = await ResumeVersion.findAll({
+    where: { resume_id: resumeId },
+    attributes: ["resume_key"],
+  });
+  const keys = new Set(versions.map((v) => v.resume_key));
+  if (resume.resume_key) keys.add(resume.resume_key);
+
+  // Versions go with the resume (ON DELETE CASCADE)
+  await resume.destroy();
+
+  for (const key of keys) {
+    try {
+      await deleteFile(key);
+    } catch (deleteError) {
+      logger?.warn?.("Failed to delete targeted resume file", {
+        candidateId,
+        key,
+        error: deleteError.message,
+      });
+    }
+  }
+  logger?.info?.("Targeted resume deleted", {
+    candidateId,
+    resumeId,
+    filesDeleted: keys.size,
+  });
+  return resume;
+}
+
+/**
+ * Store an uploaded file as a targeted resume's current file. The previous
+ * file stays in S3 as an older version.
+ * @param {string} candidateId
+ * @param {string} resumeId
+ * @param {Buffer} buffer
+ * @param {{ fileName: string, mimeType: string }} document - identifyUpload
+ *   result for the file
+ * @returns {Promise<{ resume: CandidateResume, version: ResumeVersion }>}
+ */
+async function attachResumeFile(candidateId, resumeId, buffer, document) {
+  const resume = await findResume(candidateId, resumeId);
+  const uploadResult = await uploadResume(
+    buffer,
+    document.fileName,
+    candidateId,
+    document.mimeType
+  );
+  await resume.update({ resume_key: uploadResult.key });
+
+  const version = await recordResumeVersion({
+    candidateId,
+    resumeId,
+    source: "uploaded",
+    key: uploadResult.key,
+    fileName: document.fileName,
+    mimeType: document.mimeType,
+    snapshot: snapshotFromProfile(resume),
+  });
+  return { resume, version };
+}
+
+/**
+ * Which resume a candidate applies with in each country: the resume that
+ * targets the country, else their profile resume
+ * @param {string} candidateId
+ * @returns {Promise<(countryId: string) => Object>} Resume for a country_id
+ */
+async function loadResumeAssignments(candidateId) {
+  const [candidate, resumes] = await Promise.all([
+    findCandidateById(candidateId),
+    CandidateResume.findAll({
+      where: { candidate_id: candidateId },
+      attributes: [
+        "resume_id",
+        "name",
+        "country_id",
+        "job_category_id",
+        "resume_key",
+      ],
+    }),
+  ]);
+  const byCountry = new Map(
+    resumes.filter((r) => r.country_id).map((r) => [r.country_id, r])
+  );
+
+  return (countryId) => {
+    const resume = byCountry.get(countryId);
+    if (!resume) {
+      return {
+        resume_id: null,
+        name: null,
+        targeted: false,
+        job_category_id: candidate?.job_category_id || null,
+        has_file: Boolean(candidate?.resume_key),
+      };
+    }
+    return {
+      resume_id: resume.resume_id,
+      name: resume.name,
+      targeted: true,
+      job_category_id: resume.job_category_id,
+      has_file: Boolean(resume.resume_key),
+    };
+  };
+}
+
+module.exports = {
+  MAX_RESUMES_PER_CANDIDATE,
+  findResume,
+  listResumes,
+  getResume,
+  createResume,
+  updateResume,
+  deleteResume,
+  attachResumeFile,
+  loadResumeAssignments,
+};
@@ -0,0 +1,351 @@
+const db = require("../models");
+const logger = require("../config/logger");
+const PaginationService = require("./pagination.service");
+const { findCandidateById } = require("./candidate.service");
+const {
+  findResume,
+  loadResumeAssignments,
+} = require("./candidateResume.service");
+const { resolveCandidateTemplate } = require("./resumeTemplate.service");
+const { completeJson } = require("./llm.service");
+const { coverLetterSchema } = require("../llm/schemas");
+const { renderCoverLetter } = require("../resumes/coverLetterRenderer");
+const { UUID_PATTERN, httpError } = require("../utils/errorHelper");
+
+const { CoverLetter, Employer, Country, JobCategory, CandidateResume } = db;
+
+// Most recent roles sent to the model, and how much of each description
+const PROMPT_EXPERIENCE_LIMIT = 5;
+const PROMPT_DESCRIPTION_CHARS = 600;
+const PROMPT_NOTES_CHARS = 1000;
+
+const LETTER_INCLUDE = [
+  {
+    model: Employer,
+    as: "employer",
+    attributes: ["employer_id", "employer_name", "sector", "city", "website"],
+    include: [
+      {
+        model: Country,
+        as: "country",
+        attributes: ["country", "country_code"],
+      },
+    ],
+  },
+  {
+    model: JobCategory,
+    as: "job_category",
+    attributes: ["job_category_id", "job_category"],
+  },
+  { model: CandidateResume, as: "resume", attributes: ["resume_id", "name"] },
+];
+
+/**
+ * One of a candidate's cover letters (404 if it is not theirs)
+ * @param {string} candidateId
+ * @param {string} letterId
+ * @returns {Promise<CoverLetter>}
+ */
+async function findCoverLetter(candidateId, letterId) {
+  if (!UUID_PATTERN.test(String(letterId || ""))) {
+    throw httpError("Cover letter not found", 404);
+  }
+  const letter = await CoverLetter.findOne({
+    where: { letter_id: letterId, candidate_id: candidateId },
+    include: LETTER_INCLUDE,
+  });
+  if (!letter) throw httpError("Cover letter not found", 404);
+  return letter;
+}
+
+function truncate(text, length) {
+  const value = String(text || "").trim();
+  return value.length > length ? `${value.slice(0, length)}...` : value;
+}
+
+function buildSystemPrompt() {
+  return (
+    "You are an experienced career coach who writes concise, specific cover letters. " +
+    "Use only facts from the candidate's profile; never invent employers, dates, degrees, figures or skills."
+  );
+}
+
+function buildCoverLetterPrompt({
+  candidate,
+  content,
+  employer,
+  jobCategory,
+  instructions,
+}) {
+  const experience = (
+    Array.isArray(content.work_experience) ? content.work_experience : []
+  )
+    .slice(0, PROMPT_EXPERIENCE_LIMIT)
+    .map((e) => ({
+      job_title: e.job_title,
+      company_name: e.company_name,
+      start_date: e.start_date,
+      end_date: e.end_date || null,
+      description: truncate(e.description, PROMPT_DESCRIPTION_CHARS),
+    }));
+  const education = (
+    Array.isArray(content.education) ? content.education : []
+  ).map((e) => ({ degree: e.degree, institution_name: e.institution_name }));
+
+  return `Write a tailored cover letter for the candidate below, addressed to the employer below.
+
+Candidate Name: ${candidate.full_name}
+Target Role: ${jobCategory.job_category}
+Seniority: ${candidate.seniority_level || ""}
+Summary: ${content.summary || ""}
+Work Experience (JSON): ${JSON.stringify(experience)}
+Skills (JSON): ${JSON.stringify(content.skills || [])}
+Education (JSON): ${JSON.stringify(education)}
+
+Employer: ${employer.employer_name}
+Sector: ${employer.sector || ""}
+City: ${employer.city || ""}
+Country: ${employer.country?.country || ""}
+About the employer: ${truncate(employer.notes, PROMPT_NOTES_CHARS)}
+${instructions ? `\nCandidate's instructions: ${instructions}\n` : ""}
+Instructions:
+- 250-400 words in 3-5 paragraphs, in English unless the candidate's instructions ask for another language.
+- Open with the role and why this employer; connect 2-3 concrete achievements from the experience to the employer's sector; close with a call to action.
+- Address the letter to the hiring team; do not make up a contact name.
+- Do not include the candidate's address, the date or a signature; they are added separately.
+
+JSON Schema:
+{
+  "subject": "string or null",
+  "greeting": "string",
+  "paragraphs": ["string"],
+  "closing": "string"
+}`;
+}
+
+// Write the letter content for an employer from the resume the candidate
+// uses in the employer's country
+async function generateLetter(
+  candidate,
+  employer,
+  { jobCategoryId, instructions }
+) {
+  const resumeFor = await loadResumeAssignments(candidate.candidate_id);
+  const assignment = resumeFor(employer.country_id);
+  const resume = assignment.targeted
+    ? await findResume(candidate.candidate_id, assignment.resume_id)
+    : null;
+
+  const categoryId = jobCategoryId || assignment.job_category_id;
+  if (!categoryId) {
+    throw httpError(
+      "Choose a job category for the letter, or set one on your profile",
+      400
+    );
+  }
+  const jobCategory = await JobCategory.findByPk(categoryId);
+  if (!jobCategory) throw httpError("Job category not found", 404);
+
+  const { parsed } = await completeJson({
+    feature: "cover_letter",
+    system: buildSystemPrompt(),
+    prompt: buildCoverLetterPrompt({
+      candidate,
+      content: resume || candidate,
+      employer,
+      jobCategory,
+      instructions,
+    }),
+    schema: coverLetterSchema,
+    candidateId: candidate.candidate_id,
+  });
+
+  return {
+    subject: parsed.subject || null,
+    greeting: parsed.greeting,
+    body: parsed.paragraphs.join("\n\n"),
+    closing: parsed.closing,
+    job_category_id: jobCategory.job_category_id,
+    resume_id: resume?.resume_id || null,
+  };
+}
+
+async function findEmployer(employerId) {
+  const employer = await Employer.findByPk(employerId, {
+    include: [{ model: Country, as: "country", attributes: ["country"] }],
+  });
+  if (!employer) throw httpError("Employer not found", 404);
+  return employer;
+}
+
+/**
+ * A candidate's cover letters, most recently updated first, without bodies
+ * @param {string} candidateId
+ * @param {Object} [options] - page, limit
+ * @returns {Promise<Object>} Paginated letters
+ */
+async function listCoverLetters(candidateId, options = {}) {
+  return PaginationService.paginate({
+    model: CoverLetter,
+    page: options.page,
+    limit: options.limit,
+    sortBy: "updated_at",
+    sortOrder: "DESC",
+    whereClause: { candidate_id: candidateId },
+    attributes: { exclude: ["body", "instructions"] },
+    include: LETTER_INCLUDE,
+    allowedSortFields: ["updated_at"],
+  });
+}
+
+/**
+ * Generate and save a cover letter for an employer. A candidate has one
+ * letter per employer; regenerate it instead of creating another.
+ * @param {string} candidateId
+ * @param {Object} data - employer_id, job_category_id?, instructions?
+ * @returns {Promise<CoverLetter>}
+ */
+async function createCoverLetter(candidateId, data) {
+  const existing = await CoverLetter.findOne({
+    where: { candidate_id: candidateId, employer_id: data.employer_id },
+    attributes: ["letter_id"],
+  });
+  if (existing) {
+    throw httpError(
+      "You already have a cover letter for this employer; regenerate or edit it",
+      409
+    );
+  }
+  const [candidate, employer] = await Promise.all([
+    findCandidateById(candidateId),
+    findEmployer(data.employer_id),
+  ]);
+
+  const content = await generateLetter(candidate, employer, {
+    jobCategoryId: data.job_category_id,
+    instructions: data.instructions,
+  });
+  let letter;
+  try {
+    letter = await CoverLetter.create({
+      ...content,
+      candidate_id: candidateId,
+      employer_id: employer.employer_id,
+      employer_name: employer.employer_name,
+      instructions: data.instructions || null,
+      generated_at: new Date(),
+    });
+  } catch (err) {
+    if (err.name === "SequelizeUniqueConstraintError") {
+      throw httpError("You already have a cover letter for this employer", 409);
+    }
+    throw err;
+  }
+  logger?.info?.("Cover letter generated", {
+    candidateId,
+    letterId: letter.letter_id,
+    employerId: employer.employer_id,
+  });
+  return findCoverLetter(candidateId, letter.letter_id);
+}
+
+/**
+ * Replace a letter with a newly generated one. Manual edits are lost.
+ * @param {string} candidateId
+ * @param {string} letterId
+ * @param {Object} data - job_category_id? (default: the letter's) and
+ *   instructions? (default: the previous instructions; null clears them)
+ * @returns {Promise<CoverLetter>}
+ */
+async function regenerateCoverLetter(candidateId, letterId, data) {
+  const letter = await findCoverLetter(candidateId, letterId);
+  if (!letter.employer_id) {
+    throw httpError(
+      "This employer is no longer listed, so the letter cannot be regenerated. You can still edit it.",
+      409
+    );
+  }
+  const [candidate, employer] = await Promise.all([
+    findCandidateById(candidateId),
+    findEmployer(letter.employer_id),
+  ]);
+  const instructions =
+    data.instructions === undefined ? letter.instructions : data.instructions;
+
+  const content = await generateLetter(candidate, employer, {
+    jobCategoryId: data.job_category_id || letter.job_category_id,
+    instructions,
+  });
+  await letter.update({
+    ...content,
+    employer_name: employer.employer_name,
+    instructions: instructions || null,
+    generation_count: letter.generation_count + 1,
+    generated_at: new Date(),
+    edited_at: null,
+  });
+  logger?.info?.("Cover letter regenerated", { candidateId, letterId });
+  return findCoverLetter(candidateId, letterId);
+}
+
+/**
+ * Save the candidate's own changes to a letter
+ * @param {string} candidateId
+ * @param {string} letterId
+ * @param {Object} data - Any of subject, greeting, body, closing
+ * @returns {Promise<CoverLetter>}
+ */
+async function updateCoverLetter(candidateId, letterId, data) {
+  const letter = await findCoverLetter(candidateId, letterId);
+  await letter.update({ ...data, edited_at: new Date() });
+  return findCoverLetter(candidateId, letterId);
+}
+
+/**
+ * Delete a cover letter
+ * @param {string} candidateId
+ * @param {string} letterId
+ * @returns {Promise<CoverLetter>} The deleted letter
+ */
+async function deleteCoverLetter(candidateId, letterId) {
+  const letter = await findCoverLetter(candidateId, letterId);
+  await letter.destroy();
+  logger?.info?.("Cover letter deleted", { candidateId, letterId });
+  return letter;
+}
+
+/**
+ * Render a letter with the candidate's contact details, styled like their
+ * resume template
+ * @param {string} candidateId
+ * @param {string} letterId
+ * @param {"pdf"|"docx"} [format="pdf"]
+ * @returns {Promise<{ buffer: Buffer, fileName: string, mimeType: string }>}
+ */
+async function renderCoverLetterFile(candidateId, letterId, format = "pdf") {
+  const [letter, candidate] = await Promise.all([
+    findCoverLetter(candidateId, letterId),
+    findCandidateById(candidateId),
+  ]);
+  const template = await resolveCandidateTemplate(candidate);
+  const employer = letter.employer;
+  const employerLocation = [employer?.city, employer?.country?.country]
+    .filter(Boolean)
+    .join(", ");
+
+  return renderCoverLetter(letter, candidate, {
+    format,
+    employerLocation,
+    theme: template.theme || {},
+  });
+}
+
+module.exports = {
+  findCoverLetter,
+  listCoverLetters,
+  createCoverLetter,
+  regenerateCoverLetter,
+  updateCoverLetter,
+  deleteCoverLetter,
+  renderCoverLetterFile,
+};
@@ -15,6 +15,7 @@ const {
 } = require("./candidate.service");
 const { calculateRemainingDays } = require("./subscription.service");
 const { getSignedUrl, fileExists } = require("./s3.service");
+const { listRecentAtsScores } = require("./atsScore.service");
 
 /**
  * Compute profile completion percentage based on key fields.
@@ -230,6 +231,9 @@ async function getCandidateDashboard(candidateId) {
   // Recent simulations & success rate
   const simulations = await getRecentSimulations(candidateId, 5);
 
+  // ATS score trend, oldest first
+  const atsScores = await listRecentAtsScores(candidateId);
+
   // Minimal candidate info for header
   const candidateSummary = {
     candidate_id: candidate.candidate_id,
@@ -248,6 +252,7 @@ async function getCandidateDashboard(candidateId) {
     resume,
     jobMarket,
     simulations,
+    atsScores,
   };
 }
 
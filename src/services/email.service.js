@@ -80,4 +80,171 @@ async function sendVerificationEmail({ to, name, verifyUrl, expiresIn }) {
   return sendMail({ to, subject, text, html });
 }
 
-module.exports = { sendMail, sendVerificationEmail };
+async function sendMagicLinkEmail({ to, name, loginUrl, expiresIn }) {
+  const appName = process.env.APP_NAME || "Next Match";
+  const subject = `${appName} • Your sign-in link`;
+  const text = `Hi ${
+    name || "there"
+  },\n\nUse the link below to sign in to ${appName}:\n${loginUrl}\n\nThis link works once and expires in ${expiresIn}.\nIf you did not request this, you can ignore this email.`;
+  const html = renderTemplate("magic-link", {
+    appName,
+    footerNote:
+      process.env.EMAIL_FOOTER_NOTE || `${appName} • All rights reserved`,
+    year: new Date().getFullYear(),
+    name: name || "there",
+    loginUrl,
+    expiresIn,
+  });
+  return sendMail({ to, subject, text, html });
+}
+
+async function sendPasswordResetEmail({ to, name, resetUrl, expiresIn }) {
+  const appName = process.env.APP_NAME || "Next Match";
+  const subject = `${appName} • Reset your password`;
+  const text = `Hi ${
+    name || "there"
+  },\n\nWe received a request to reset your password. Use the link below to choose a new one:\n${resetUrl}\n\nThis link can be used once and expires in ${expiresIn}.\nIf you did not request this, you can ignore this email.`;
+  const html = renderTemplate("password-reset", {
+    appName,
+    footerNote:
+      process.env.EMAIL_FOOTER_NOTE || `${appName} • All rights reserved`,
+    year: new Date().getFullYear(),
+    name: name || "there",
+    resetUrl,
+    expiresIn,
+  });
+  return sendMail({ to, subject, text, html });
+}
+
+async function sendAdminInviteEmail({
+  to,
+  name,
+  invitedByName,
+  role,
+  inviteUrl,
+  expiresIn,
+}) {
+  const appName = process.env.APP_NAME || "Next Match";
+  const subject = `${appName} • You're invited to the admin panel`;
+  const inviter = invitedByName || "An administrator";
+  const text = `Hi ${
+    name || "there"
+  },\n\n${inviter} has invited you to the ${appName} admin panel with the ${role} role. Use the link below to set your password:\n${inviteUrl}\n\nThis link can be used once and expires in ${expiresIn}.\nIf you weren't expecting this invitation, you can ignore this email.`;
+  const html = renderTemplate("admin-invite", {
+    appName,
+    footerNote:
+      process.env.EMAIL_FOOTER_NOTE || `${appName} • All rights reserved`,
+    year: new Date().getFullYear(),
+    name: name || "there",
+    invitedByName: inviter,
+    role,
+    inviteUrl,
+    expiresIn,
+  });
+  return sendMail({ to, subject, text, html });
+}
+
+async function sendAccountLockedEmail({
+  to,
+  name,
+  failedAttempts,
+  ipAddress,
+  lockedUntil,
+  resetUrl,
+}) {
+  const appName = process.env.APP_NAME || "Next Match";
+  const subject = `${appName} • Sign-in temporarily locked`;
+  const text = `Hi ${
+    name || "there"
+  },\n\nWe noticed ${failedAttempts} failed sign-in attempts on your ${appName} account (last attempt from IP ${ipAddress}). Sign-in is locked until ${lockedUntil}.\n\nIf this wasn't you, reset your password once the lock ends:\n${resetUrl}\n\nIf it was you, just wait and try again.`;
+  const html = renderTemplate("account-locked", {
+    appName,
+    footerNote:
+      process.env.EMAIL_FOOTER_NOTE || `${appName} • All rights reserved`,
+    year: new Date().getFullYear(),
+    name: name || "there",
+    failedAttempts,
+    ipAddress,
+    lockedUntil,
+    resetUrl,
+  });
+  return sendMail({ to, subject, text, html });
+}
+
+async function sendAccountDeletionScheduledEmail({
+  to,
+  name,
+  scheduledFor,
+  accountUrl,
+}) {
+  const appName = process.env.APP_NAME || "Next Match";
+  const subject = `${appName} • Your account is scheduled for deletion`;
+  const text = `Hi ${
+    name || "there"
+  },\n\nWe received a request to delete your ${appName} account. Your data will be permanently erased on ${scheduledFor}, and any active subscription will be cancelled.\n\nChanged your mind? Sign in and cancel the deletion before then:\n${accountUrl}`;
+  const html = renderTemplate("account-deletion-scheduled", {
+    appName,
+    footerNote:
+      process.env.EMAIL_FOOTER_NOTE || `${appName} • All rights reserved`,
+    year: new Date().getFullYear(),
+    name: name || "there",
+    scheduledFor,
+    accountUrl,
+  });
+  return sendMail({ to, subject, text, html });
+}
+
+async function sendEmailChangeConfirmEmail({
+  to,
+  name,
+  newEmail,
+  confirmUrl,
+  expiresIn,
+}) {
+  const appName = process.env.APP_NAME || "Next Match";
+  const subject = `${appName} • Confirm your new email address`;
+  const text = `Hi ${
+    name || "there"
+  },\n\nYou asked to use ${newEmail} to sign in to ${appName}. Confirm the change (expires in ${expiresIn}):\n${confirmUrl}`;
+  const html = renderTemplate("email-change-confirm", {
+    appName,
+    footerNote:
+      process.env.EMAIL_FOOTER_NOTE || `${appName} • All rights reserved`,
+    year: new Date().getFullYear(),
+    name: name || "there",
+    newEmail,
+    confirmUrl,
+    expiresIn,
+  });
+  return sendMail({ to, subject, text, html });
+}
+
+async function sendEmailChangeNoticeEmail({ to, name, newEmail, accountUrl }) {
+  const appName = process.env.APP_NAME || "Next Match";
+  const subject = `${appName} • Your sign-in email is being changed`;
+  const text = `Hi ${
+    name || "there"
+  },\n\nWe received a request to change the email address of your ${appName} account to ${newEmail}. Nothing changes until the new address is confirmed.\n\nIf this wasn't you, cancel the change and change your password:\n${accountUrl}`;
+  const html = renderTemplate("email-change-notice", {
+    appName,
+    footerNote:
+      process.env.EMAIL_FOOTER_NOTE || `${appName} • All rights reserved`,
+    year: new Date().getFullYear(),
+    name: name || "there",
+    newEmail,
+    accountUrl,
+  });
+  return sendMail({ to, subject, text, html });
+}
+
+module.exports = {
+  sendMail,
+  sendVerificationEmail,
+  sendMagicLinkEmail,
+  sendPasswordResetEmail,
+  sendAdminInviteEmail,
+  sendAccountLockedEmail,
+  sendAccountDeletionScheduledEmail,
+  sendEmailChangeConfirmEmail,
+  sendEmailChangeNoticeEmail,
+};
@@ -0,0 +1,279 @@
+const bcrypt = require("bcryptjs");
+const { Op } = require("sequelize");
+const db = require("../models");
+const logger = require("../config/logger");
+const {
+  findCandidateByEmail,
+  findCandidateById,
+} = require("./candidate.service");
+const { updateCustomerEmail } = require("./stripe.service");
+const { revokeMagicLinks } = require("./magicLink.service");
+const {
+  sendEmailChangeConfirmEmail,
+  sendEmailChangeNoticeEmail,
+} = require("./email.service");
+const { generateToken, hashToken } = require("../utils/tokenHelper");
+const { httpError } = require("../utils/errorHelper");
+
+const { EmailChangeRequest, CandidateSubscription, EmailUnsubscribe } = db;
+
+const emailChangeExpiresHours = Number(
+  process.env.EMAIL_CHANGE_EXPIRES_HOURS || 24
+);
+
+function invalidTokenError() {
+  return httpError("Invalid or expired email change link", 400, {
+    code: "invalid_token",
+  });
+}
+
+function emailTakenError() {
+  return httpError("This email is already in use", 409, {
+    code: "email_taken",
+  });
+}
+
+function pendingStatus(request) {
+  return request
+    ? {
+        pending: true,
+        new_email: request.new_email,
+        requested_at: request.created_at,
+        expires_at: request.expires_at,
+      }
+    : { pending: false, new_email: null, requested_at: null, expires_at: null };
+}
+
+async function findOpenRequest(candidateId) {
+  return EmailChangeRequest.findOne({
+    where: {
+      candidate_id: candidateId,
+      confirmed_at: null,
+      cancelled_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+    order: [["created_at", "DESC"]],
+  });
+}
+
+// A new request supersedes any outstanding one
+async function cancelOpenRequests(candidateId) {
+  const [cancelled] = await EmailChangeRequest.update(
+    { cancelled_at: new Date() },
+    {
+      where: {
+        candidate_id: candidateId,
+        confirmed_at: null,
+        cancelled_at: null,
+      },
+    }
+  );
+  return cancelled;
+}
+
+/**
+ * Pending email change of a candidate
+ * @param {string} candidateId
+ * @returns {Promise<{ pending: boolean, new_email: string|null, requested_at: Date|null, expires_at: Date|null }>}
+ */
+async function getPendingEmailChange(candidateId) {
+  return pendingStatus(await findOpenRequest(candidateId));
+}
+
+/**
+ * Start an email change: email a confirmation link to the new address and a
+ * notice to the current one. The login email changes only once the link is used.
+ * Candidates with a password must confirm it.
+ * @param {Object} params
+ * @param {string} params.candidateId
+ * @param {string} params.newEmail - Lowercased new address
+ * @param {string} [params.password]
+ * @param {string} params.backendBase - Base URL used to build the confirmation link
+ * @param {string} [params.requestedIp]
+ * @returns {Promise<{ pending: boolean, new_email: string, requested_at: Date, expires_at: Date }>}
+ */
+async function requestEmailChange({
+  candidateId,
+  newEmail,
+  password,
+  backendBase,
+  requestedIp,
+}) {
+  const frontendUrl = process.env.FRONTEND_URL;
+  if (!frontendUrl) throw httpError("FRONTEND_URL is not configured", 500);
+
+  const candidate = await findCandidateById(candidateId);
+  if (!candidate || candidate.deleted_at) {
+    throw httpError("Candidate not found", 404);
+  }
+  if (candidate.password) {
+    const ok = password && (await bcrypt.compare(password, candidate.password));
+    if (!ok) throw httpError("Password is incorrect", 401);
+  }
+  if (newEmail === candidate.email.toLowerCase()) {
+    throw httpError("This is already your email address", 400);
+  }
+  if (await findCandidateByEmail(newEmail)) throw emailTakenError();
+
+  await cancelOpenRequests(candidateId);
+  const token = generateToken();
+  const request = await EmailChangeRequest.create({
+    candidate_id: candidateId,
+    old_email: candidate.email,
+    new_email: newEmail,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + emailChangeExpiresHours * 60 * 60 * 1000),
+    requested_ip: requestedIp || null,
+  });
+
+  // The link points at the backend, which swaps the email and redirects to the frontend
+  const confirmUrl = `${backendBase}/api/auth/email/confirm?token=${encodeURIComponent(
+    token
+  )}`;
+  await sendEmailChangeConfirmEmail({
+    to: newEmail,
+    name: candidate.full_name,
+    newEmail,
+    confirmUrl,
+    expiresIn: `${emailChangeExpiresHours} hours`,
+  });
+
+  try {
+    await sendEmailChangeNoticeEmail({
+      to: candidate.email,
+      name: candidate.full_name,
+      newEmail,
+      accountUrl: `${frontendUrl.replace(/\/$/, "")}/account/settings`,
+    });
+  } catch (err) {
+    logger?.error?.("Email change notice failed", {
+      candidateId,
+      error: err.message,
+    });
+  }
+
+  logger?.info?.("Email change requested", { candidateId });
+  return pendingStatus(request);
+}
+
+/**
+ * Cancel a pending email change
+ * @param {string} candidateId
+ * @returns {Promise<{ pending: boolean }>}
+ */
+async function cancelEmailChange(candidateId) {
+  if (!(await findOpenRequest(candidateId))) {
+    throw httpError("No email change is pending", 404);
+  }
+  await cancelOpenRequests(candidateId);
+  logger?.info?.("Email change cancelled", { candidateId });
+  return pendingStatus(null);
+}
+
+// Stripe customers created for the candidate's subscriptions
+async function syncStripeCustomers(candidateId, email) {
+  const rows = await CandidateSubscription.findAll({
+    where: {
+      candidate_id: candidateId,
+      stripe_customer_id: { [Op.ne]: null },
+    },
+    attributes: ["stripe_customer_id"],
+  });
+  const customerIds = [...new Set(rows.map((r) => r.stripe_customer_id))];
+  for (const customerId of customerIds) {
+    await updateCustomerEmail(customerId, email);
+  }
+  return customerIds.length;
+}
+
+// Move the unsubscribe preference of the old address to the new one
+async function carryOverUnsubscribe(oldEmail, newEmail, transaction) {
+  const previous = await EmailUnsubscribe.findOne({
+    where: { email: oldEmail },
+    transaction,
+  });
+  if (!previous) return;
+
+  const existing = await EmailUnsubscribe.findOne({
+    where: { email: newEmail },
+    transaction,
+  });
+  if (existing) {
+    // Either address opting out keeps the candidate opted out
+    await existing.update(
+      { is_active: existing.is_active || previous.is_active },
+      { transaction }
+    );
+    await previous.destroy({ transaction });
+  } else {
+    await previous.update({ email: newEmail }, { transaction });
+  }
+}
+
+/**
+ * Confirm an email change from the emailed link. Billing (Stripe) is updated
+ * first so a Stripe outage leaves the link usable for a retry.
+ * @param {string} token - Raw token from the confirmation link
+ * @returns {Promise<Candidate>} The updated candidate
+ */
+async function confirmEmailChange(token) {
+  const record = await EmailChangeRequest.findOne({
+    where: {
+      token_hash: hashToken(String(token || "")),
+      confirmed_at: null,
+      cancelled_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+  });
+  if (!record) throw invalidTokenError();
+
+  const candidate = await findCandidateById(record.candidate_id);
+  if (!candidate || candidate.deleted_at) throw invalidTokenError();
+  if (await findCandidateByEmail(record.new_email)) throw emailTakenError();
+
+  const customersUpdated = await syncStripeCustomers(
+    record.candidate_id,
+    record.new_email
+  );
+
+  const oldEmail = candidate.email.toLowerCase();
+  await db.sequelize.transaction(async (transaction) => {
+    // Claim the link atomically so concurrent clicks cannot both apply
+    const [claimed] = await EmailChangeRequest.update(
+      { confirmed_at: new Date() },
+      {
+        where: { email_change_id: record.email_change_id, confirmed_at: null },
+        transaction,
+      }
+    );
+    if (!claimed) throw invalidTokenError();
+
+    try {
+      await candidate.update(
+        { email: record.new_email, updated_by: record.candidate_id },
+        { transaction }
+      );
+    } catch (err) {
+      if (err.name === "SequelizeUniqueConstraintError") {
+        throw emailTakenError();
+      }
+      throw err;
+    }
+    await carryOverUnsubscribe(oldEmail, record.new_email, transaction);
+    // Sign-in links sent to the old address stop working
+    await revokeMagicLinks(record.candidate_id, { transaction });
+  });
+
+  logger?.info?.("Email change confirmed", {
+    candidateId: record.candidate_id,
+    customersUpdated,
+  });
+  return candidate;
+}
+
+module.exports = {
+  getPendingEmailChange,
+  requestEmailChange,
+  cancelEmailChange,
+  confirmEmailChange,
+};
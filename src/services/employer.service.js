@@ -1,5 +1,7 @@
 const { Country, JobCategory, Employer, Job } = require("../models");
 const PaginationService = require("./pagination.service");
+const { completeJson } = require("./llm.service");
+const { employerListSchema } = require("../llm/schemas");
 
 async function getCountryAndCategoryByIds(country_id, job_category_id) {
   const [country, jobCategory] = await Promise.all([
@@ -78,84 +80,18 @@ function buildEmployerPrompt({
 }`;
 }
 
-async function callOpenAIForEmployers(prompt) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    const err = new Error("OPENAI_API_KEY is not configured on the server");
-    err.status = 500;
-    throw err;
-  }
-
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content:
-            "You are a helpful assistant that responds with strict JSON only, adhering to the provided schema, with no markdown or additional text.",
-        },
-        { role: "user", content: prompt },
-      ],
-      temperature: 0.7,
-    }),
+/**
+ * Ask the model for employers hiring for a position
+ * @param {string} prompt - buildEmployerPrompt output
+ * @returns {Promise<{ parsed: Object[], raw: string, usage: Object }>} parsed
+ *   matches employerListSchema
+ */
+async function requestEmployers(prompt) {
+  return completeJson({
+    feature: "employers",
+    prompt,
+    schema: employerListSchema,
   });
-
-  if (!response.ok) {
-    const errText = await response.text();
-    const err = new Error("Failed to get response from OpenAI");
-    err.status = 502;
-    err.details = errText;
-    throw err;
-  }
-
-  const data = await response.json();
-  let message = data?.choices?.[0]?.message?.content || null;
-  if (!message) {
-    const err = new Error("No content returned from OpenAI");
-    err.status = 502;
-    throw err;
-  }
-
-  // Clean potential code fences and parse
-  message = message.replace(/```json\n|\n```/g, "").trim();
-  let parsed = JSON.parse(message);
-
-  // Accept either an array (preferred) or a single object and normalize to array
-  if (!Array.isArray(parsed)) {
-    if (parsed && typeof parsed === "object") {
-      parsed = [parsed];
-    } else {
-      const err = new Error(
-        "OpenAI response does not match expected schema (must be an array or object)"
-      );
-      err.status = 502;
-      err.details = message;
-      throw err;
-    }
-  }
-
-  for (const item of parsed) {
-    if (
-      !item?.position ||
-      !item?.country_iso2 ||
-      !Array.isArray(item?.employers)
-    ) {
-      const err = new Error(
-        "OpenAI response item does not match expected schema"
-      );
-      err.status = 502;
-      err.details = message;
-      throw err;
-    }
-  }
-
-  return { parsed, raw: message };
 }
 
 // Paginated list of employers
@@ -339,13 +275,13 @@ async function getEmployersByCountryAndCategory(country_id, job_category_id) {
 module.exports = {
   getCountryAndCategoryByIds,
   buildEmployerPrompt,
-  callOpenAIForEmployers,
+  requestEmployers,
   saveEmployers,
   listEmployers,
   getEmployersByCountryAndCategory,
 };
 
-// Save employers parsed from OpenAI response
+// Save employers parsed from the model response
 // parsed: normalized array of items with employers[]
 // Uses (employer_name, country_id) to dedupe employer records
 // Creates job entries in bridge table for each job_category_id
@@ -0,0 +1,401 @@
+const jwt = require("jsonwebtoken");
+const { CandidateIdentity } = require("../models");
+const logger = require("../config/logger");
+const {
+  findCandidateByEmail,
+  findCandidateById,
+  createCandidate,
+} = require("./candidate.service");
+const { sendVerificationEmail } = require("./email.service");
+const { generateToken } = require("../utils/tokenHelper");
+const { httpError } = require("../utils/errorHelper");
+
+const PROVIDERS = ["google", "facebook", "linkedin"];
+const PENDING_EMAIL_TYPE = "oauth_pending_email";
+const EMAIL_VERIFICATION_TYPE = "oauth_email_verification";
+const LINK_TYPE = "oauth_link";
+const STATE_TYPE = "oauth_state";
+
+const pendingEmailExpiresIn = "30m";
+const linkExpiresIn = "10m";
+const stateExpiresIn = "10m";
+
+const providerLabels = {
+  google: "Google",
+  facebook: "Facebook",
+  linkedin: "LinkedIn",
+};
+
+function signToken(payload, expiresIn) {
+  const jwtSecret = process.env.JWT_SECRET;
+  if (!jwtSecret) throw httpError("Server auth configuration missing", 500);
+  return jwt.sign(payload, jwtSecret, { expiresIn });
+}
+
+function verifyToken(token, typ) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (e) {
+    throw httpError("Invalid or expired token", 400);
+  }
+  if (decoded?.typ !== typ) throw httpError("Invalid or expired token", 400);
+  return decoded;
+}
+
+function identityFields(profile) {
+  return {
+    provider: profile.provider,
+    provider_user_id: profile.provider_user_id,
+    provider_email: profile.email || null,
+    display_name: profile.name || null,
+    image_url: profile.image_url || null,
+  };
+}
+
+function findIdentity(provider, providerUserId) {
+  return CandidateIdentity.findOne({
+    where: { provider, provider_user_id: providerUserId },
+  });
+}
+
+/**
+ * List the OAuth identities linked to a candidate
+ * @param {string} candidateId
+ * @returns {Promise<CandidateIdentity[]>}
+ */
+async function listIdentities(candidateId) {
+  return CandidateIdentity.findAll({
+    where: { candidate_id: candidateId },
+    attributes: [
+      "identity_id",
+      "provider",
+      "provider_email",
+      "display_name",
+      "image_url",
+      "last_login_at",
+      "created_at",
+    ],
+    order: [["created_at", "ASC"]],
+  });
+}
+
+function accountExistsError(provider) {
+  return httpError(
+    `An account already exists for this email. Sign in and link ${providerLabels[provider]} from your account settings.`,
+    409,
+    { code: "account_exists", provider }
+  );
+}
+
+/**
+ * Resolve an OAuth login to a candidate.
+ * - A known (provider, provider user id) logs into its linked candidate.
+ * - A new identity with a provider-verified email creates a candidate, or adopts a
+ *   legacy OAuth-only account with that email (no password, no identities yet).
+ * - Any other existing account with that email is never merged implicitly; the
+ *   owner must sign in and link the provider (error code "account_exists").
+ * - No usable email: returns a pending token for the ask-for-email fallback.
+ * @param {Object} profile - Cleaned profile from validateOAuthProfile
+ * @returns {Promise<{ candidate: Candidate|null, pendingToken?: string }>}
+ */
+async function resolveOAuthLogin(profile) {
+  const identity = await findIdentity(
+    profile.provider,
+    profile.provider_user_id
+  );
+  if (identity) {
+    const candidate = await findCandidateById(identity.candidate_id);
+    await identity.update({
+      ...identityFields(profile),
+      last_login_at: new Date(),
+    });
+    return { candidate };
+  }
+
+  if (!profile.email || !profile.email_verified) {
+    const pendingToken = signToken(
+      {
+        typ: PENDING_EMAIL_TYPE,
+        provider: profile.provider,
+        provider_user_id: profile.provider_user_id,
+        name: profile.name,
+        image_url: profile.image_url,
+      },
+      pendingEmailExpiresIn
+    );
+    return { candidate: null, pendingToken };
+  }
+
+  let candidate = await findCandidateByEmail(profile.email);
+  if (candidate) {
+    const linkedCount = await CandidateIdentity.count({
+      where: { candidate_id: candidate.candidate_id },
+    });
+    if (candidate.password || linkedCount > 0) {
+      throw accountExistsError(profile.provider);
+    }
+  } else {
+    candidate = await createCandidate({
+      email: profile.email,
+      full_name: profile.name,
+      image_url: profile.image_url,
+    });
+  }
+
+  await CandidateIdentity.create({
+    ...identityFields(profile),
+    candidate_id: candidate.candidate_id,
+    last_login_at: new Date(),
+  });
+  logger?.info?.("OAuth identity linked on login", {
+    candidateId: candidate.candidate_id,
+    provider: profile.provider,
+  });
+  return { candidate };
+}
+
+/**
+ * Fallback for providers that returned no email: email a verification link for
+ * the address the user entered. Only for new accounts; the entered address is
+ * not the provider's, so it never links to an existing one (error code
+ * "account_exists")
+ * @param {Object} params
+ * @param {string} params.token - Pending token from resolveOAuthLogin
+ * @param {string} params.email - Address entered by the user
+ * @param {string} params.backendBase - Base URL used to build the verification link
+ * @returns {Promise<void>}
+ */
+async function requestOAuthEmailVerification({ token, email, backendBase }) {
+  const pending = verifyToken(token, PENDING_EMAIL_TYPE);
+  if (await findIdentity(pending.provider, pending.provider_user_id)) {
+    throw httpError("This sign-in has already been completed", 409);
+  }
+  if (await findCandidateByEmail(email)) {
+    throw accountExistsError(pending.provider);
+  }
+
+  const expiresIn = process.env.EMAIL_VERIFICATION_EXPIRES_IN;
+  const verificationToken = signToken(
+    {
+      typ: EMAIL_VERIFICATION_TYPE,
+      provider: pending.provider,
+      provider_user_id: pending.provider_user_id,
+      name: pending.name,
+      image_url: pending.image_url,
+      email,
+    },
+    expiresIn
+  );
+  const verifyUrl = `${backendBase}/api/auth/oauth/email/verify?token=${encodeURIComponent(
+    verificationToken
+  )}`;
+
+  await sendVerificationEmail({
+    to: email,
+    name: pending.name,
+    verifyUrl,
+    expiresIn,
+  });
+}
+
+/**
+ * Complete the ask-for-email fallback: the email is now proven, so create its
+ * account with the identity linked. An account registered with the email in
+ * the meantime is not merged (error code "account_exists"). Each link works
+ * once.
+ * @param {string} token - Verification token from the emailed link
+ * @returns {Promise<Candidate>}
+ */
+async function completeOAuthEmailVerification(token) {
+  const data = verifyToken(token, EMAIL_VERIFICATION_TYPE);
+  if (await findIdentity(data.provider, data.provider_user_id)) {
+    throw httpError("This verification link has already been used", 410);
+  }
+
+  if (await findCandidateByEmail(data.email)) {
+    throw accountExistsError(data.provider);
+  }
+  const candidate = await createCandidate({
+    email: data.email,
+    full_name: data.name,
+    image_url: data.image_url,
+  });
+
+  try {
+    await CandidateIdentity.create({
+      ...identityFields({ ...data, email: null }),
+      candidate_id: candidate.candidate_id,
+      last_login_at: new Date(),
+    });
+  } catch (err) {
+    // The same link opened twice at once
+    if (err.name === "SequelizeUniqueConstraintError") {
+      throw httpError("This verification link has already been used", 410);
+    }
+    throw err;
+  }
+
+  logger?.info?.("OAuth identity linked after email verification", {
+    candidateId: candidate.candidate_id,
+    provider: data.provider,
+  });
+  return candidate;
+}
+
+/**
+ * Sign the link request a logged-in candidate hands to /api/auth/:provider
+ * @param {string} candidateId
+ * @param {string} provider
+ * @returns {string}
+ */
+function signLinkToken(candidateId, provider) {
+  return signToken(
+    { typ: LINK_TYPE, candidate_id: candidateId, provider },
+    linkExpiresIn
+  );
+}
+
+/**
+ * Start an OAuth flow: a nonce for the browser's cookie and the `state` that
+ * carries it to the callback, with the link request when there is one
+ * @param {string} provider
+ * @param {Object} [options]
+ * @param {string} [options.linkToken] - From signLinkToken
+ * @param {boolean} [options.json] - Legacy ?format=json flag
+ * @returns {{ nonce: string, state: string }}
+ */
+function signOAuthState(provider, { linkToken, json } = {}) {
+  const payload = { typ: STATE_TYPE, provider, nonce: generateToken(16) };
+  if (linkToken) {
+    let link;
+    try {
+      link = verifyToken(linkToken, LINK_TYPE);
+    } catch (e) {
+      link = null;
+    }
+    if (!link || link.provider !== provider) {
+      throw httpError("Link request expired. Please try again.", 400, {
+        code: "link_expired",
+      });
+    }
+    payload.candidate_id = link.candidate_id;
+  }
+  if (json) payload.json = true;
+  return { nonce: payload.nonce, state: signToken(payload, stateExpiresIn) };
+}
+
+/**
+ * Check the OAuth `state` against the nonce from the browser's cookie, so a
+ * callback only completes in the browser that started the flow
+ * @param {string} [state]
+ * @param {string} provider - Provider that handled the callback
+ * @param {string} [nonce] - Cookie value
+ * @returns {{ candidateId: string|null }} candidateId is set when linking
+ */
+function parseOAuthState(state, provider, nonce) {
+  let decoded = null;
+  try {
+    decoded = jwt.verify(String(state || ""), process.env.JWT_SECRET);
+  } catch (e) {
+    // Reported below like any other mismatch
+  }
+  if (
+    decoded?.typ !== STATE_TYPE ||
+    decoded.provider !== provider ||
+    !nonce ||
+    decoded.nonce !== nonce
+  ) {
+    throw httpError(
+      "Sign-in request expired or was started in another browser. Please try again.",
+      400,
+      { code: "oauth_state_invalid" }
+    );
+  }
+  return { candidateId: decoded.candidate_id || null };
+}
+
+/**
+ * Link a provider account to a logged-in candidate
+ * @param {string} candidateId
+ * @param {Object} profile - Cleaned profile from validateOAuthProfile
+ * @returns {Promise<CandidateIdentity>}
+ */
+async function linkIdentity(candidateId, profile) {
+  const label = providerLabels[profile.provider];
+  const existing = await findIdentity(
+    profile.provider,
+    profile.provider_user_id
+  );
+  if (existing) {
+    if (existing.candidate_id === candidateId) return existing;
+    throw httpError(
+      `This ${label} account is linked to another profile`,
+      409,
+      { code: "identity_in_use" }
+    );
+  }
+
+  const sameProvider = await CandidateIdentity.findOne({
+    where: { candidate_id: candidateId, provider: profile.provider },
+  });
+  if (sameProvider) {
+    throw httpError(
+      `A ${label} account is already linked. Unlink it first.`,
+      409,
+      { code: "provider_already_linked" }
+    );
+  }
+
+  const identity = await CandidateIdentity.create({
+    ...identityFields(profile),
+    candidate_id: candidateId,
+  });
+  logger?.info?.("OAuth identity linked", {
+    candidateId,
+    provider: profile.provider,
+  });
+  return identity;
+}
+
+/**
+ * Unlink a provider from a candidate. The last sign-in method cannot be removed.
+ * @param {string} candidateId
+ * @param {string} provider
+ * @returns {Promise<void>}
+ */
+async function unlinkIdentity(candidateId, provider) {
+  const identity = await CandidateIdentity.findOne({
+    where: { candidate_id: candidateId, provider },
+  });
+  if (!identity) {
+    throw httpError(`No ${providerLabels[provider]} account is linked`, 404);
+  }
+
+  const candidate = await findCandidateById(candidateId);
+  const linkedCount = await CandidateIdentity.count({
+    where: { candidate_id: candidateId },
+  });
+  if (!candidate?.password && linkedCount <= 1) {
+    throw httpError(
+      "Link another provider before removing your only sign-in method",
+      409
+    );
+  }
+
+  await identity.destroy();
+  logger?.info?.("OAuth identity unlinked", { candidateId, provider });
+}
+
+module.exports = {
+  PROVIDERS,
+  listIdentities,
+  resolveOAuthLogin,
+  requestOAuthEmailVerification,
+  completeOAuthEmailVerification,
+  signLinkToken,
+  signOAuthState,
+  parseOAuthState,
+  linkIdentity,
+  unlinkIdentity,
+};
@@ -0,0 +1,229 @@
+const jwt = require("jsonwebtoken");
+const { Op } = require("sequelize");
+const { ImpersonationSession, User, Candidate } = require("../models");
+const logger = require("../config/logger");
+const PaginationService = require("./pagination.service");
+const { findCandidateById } = require("./candidate.service");
+const { findUserById } = require("./user.service");
+const { hasPermission } = require("../config/permissions");
+const { UUID_PATTERN, httpError } = require("../utils/errorHelper");
+
+// Marks impersonation JWTs so they can never be mistaken for a candidate login
+const IMPERSONATION_TOKEN_TYPE = "impersonation";
+const MODES = ["read_only", "read_write"];
+
+const impersonationMinutes = Number(
+  process.env.IMPERSONATION_EXPIRES_MINUTES || 30
+);
+
+/**
+ * Start impersonating a candidate and issue a short-lived candidate token.
+ * Any impersonation of the same candidate still open by this admin is ended.
+ * @param {Object} params
+ * @param {Object} params.admin - Authenticated admin (req.admin)
+ * @param {string} params.candidateId
+ * @param {"read_only"|"read_write"} [params.mode="read_only"]
+ * @param {string} params.reason - Support ticket or justification
+ * @param {string} [params.ipAddress]
+ * @param {string} [params.userAgent]
+ * @returns {Promise<{ impersonation: ImpersonationSession, token: string, expiresIn: number, candidate: Candidate }>}
+ */
+async function startImpersonation({
+  admin,
+  candidateId,
+  mode = "read_only",
+  reason,
+  ipAddress,
+  userAgent,
+}) {
+  const jwtSecret = process.env.JWT_SECRET;
+  if (!jwtSecret) throw httpError("Server auth configuration missing", 500);
+
+  if (
+    mode === "read_write" &&
+    !hasPermission(admin.role, "candidates:impersonate_write")
+  ) {
+    throw httpError(
+      "You do not have permission to impersonate with write access",
+      403
+    );
+  }
+
+  const candidate = await findCandidateById(candidateId);
+  if (!candidate || candidate.deleted_at) {
+    throw httpError("Candidate not found", 404);
+  }
+
+  const now = new Date();
+  await ImpersonationSession.update(
+    { ended_at: now, ended_reason: "replaced" },
+    {
+      where: {
+        user_id: admin.user_id,
+        candidate_id: candidateId,
+        ended_at: null,
+        expires_at: { [Op.gt]: now },
+      },
+    }
+  );
+
+  const expiresIn = impersonationMinutes * 60;
+  const impersonation = await ImpersonationSession.create({
+    user_id: admin.user_id,
+    candidate_id: candidateId,
+    mode,
+    reason,
+    expires_at: new Date(now.getTime() + expiresIn * 1000),
+    ip_address: ipAddress || null,
+    user_agent: userAgent || null,
+  });
+
+  const token = jwt.sign(
+    {
+      typ: IMPERSONATION_TOKEN_TYPE,
+      candidate_id: candidate.candidate_id,
+      email: candidate.email,
+      name: candidate.full_name,
+      iid: impersonation.impersonation_id,
+      mode,
+      impersonator_id: admin.user_id,
+    },
+    jwtSecret,
+    { expiresIn }
+  );
+
+  logger?.info?.("Impersonation started", {
+    impersonationId: impersonation.impersonation_id,
+    userId: admin.user_id,
+    candidateId,
+    mode,
+  });
+  return { impersonation, token, expiresIn, candidate };
+}
+
+/**
+ * Resolve a decoded impersonation token to its open session.
+ * Fails once the session is stopped or expired, the admin is deactivated or
+ * loses the permission, or the candidate is deleted.
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<{ impersonation: ImpersonationSession, admin: User, candidate: Candidate }>}
+ */
+async function resolveImpersonation(decoded) {
+  const impersonation = decoded?.iid
+    ? await ImpersonationSession.findByPk(decoded.iid)
+    : null;
+  if (
+    !impersonation ||
+    impersonation.candidate_id !== decoded.candidate_id ||
+    impersonation.ended_at ||
+    impersonation.expires_at <= new Date()
+  ) {
+    throw httpError("Impersonation session has ended", 401);
+  }
+
+  const admin = await findUserById(impersonation.user_id);
+  if (
+    !admin ||
+    admin.is_active === false ||
+    !hasPermission(admin.role, "candidates:impersonate") ||
+    (impersonation.mode === "read_write" &&
+      !hasPermission(admin.role, "candidates:impersonate_write"))
+  ) {
+    throw httpError("Impersonation is no longer permitted", 401);
+  }
+
+  const candidate = await findCandidateById(impersonation.candidate_id);
+  if (!candidate || candidate.deleted_at) {
+    throw httpError("Candidate not found", 404);
+  }
+
+  return { impersonation, admin, candidate };
+}
+
+/**
+ * End an impersonation session
+ * @param {string} impersonationId
+ * @param {Object} [options]
+ * @param {Object} [options.admin] - When given, only its own sessions may be ended
+ *   unless it can manage admins
+ * @returns {Promise<ImpersonationSession>}
+ */
+async function stopImpersonation(impersonationId, { admin } = {}) {
+  const impersonation = await ImpersonationSession.findByPk(impersonationId);
+  if (!impersonation) throw httpError("Impersonation session not found", 404);
+  if (
+    admin &&
+    impersonation.user_id !== admin.user_id &&
+    !hasPermission(admin.role, "admins:manage")
+  ) {
+    throw httpError("You can only end your own impersonation sessions", 403);
+  }
+  if (impersonation.ended_at || impersonation.expires_at <= new Date()) {
+    throw httpError("Impersonation session has already ended", 409);
+  }
+
+  await impersonation.update({ ended_at: new Date(), ended_reason: "stopped" });
+  logger?.info?.("Impersonation stopped", {
+    impersonationId,
+    userId: impersonation.user_id,
+    candidateId: impersonation.candidate_id,
+  });
+  return impersonation;
+}
+
+/**
+ * List impersonation sessions for admins, newest first
+ * @param {Object} options
+ * @param {number} [options.page]
+ * @param {number} [options.limit]
+ * @param {string} [options.user_id] - Impersonating admin
+ * @param {string} [options.candidate_id]
+ * @param {boolean|string} [options.active] - Only sessions that are still open
+ * @returns {Promise<Object>} Paginated response
+ */
+async function listImpersonations(options = {}) {
+  for (const field of ["user_id", "candidate_id"]) {
+    if (options[field] && !UUID_PATTERN.test(options[field])) {
+      throw httpError(`${field} must be a UUID`, 400);
+    }
+  }
+
+  const whereClause = {};
+  if (options.user_id) whereClause.user_id = options.user_id;
+  if (options.candidate_id) whereClause.candidate_id = options.candidate_id;
+  if (options.active === true || options.active === "true") {
+    whereClause.ended_at = null;
+    whereClause.expires_at = { [Op.gt]: new Date() };
+  }
+
+  return PaginationService.paginate({
+    model: ImpersonationSession,
+    page: options.page,
+    limit: options.limit,
+    sortBy: "created_at",
+    sortOrder: options.sortOrder || "DESC",
+    whereClause,
+    include: [
+      {
+        model: User,
+        as: "admin",
+        attributes: ["user_id", "email", "full_name"],
+      },
+      {
+        model: Candidate,
+        as: "candidate",
+        attributes: ["candidate_id", "email", "full_name"],
+      },
+    ],
+    allowedSortFields: ["created_at", "expires_at"],
+  });
+}
+
+module.exports = {
+  IMPERSONATION_TOKEN_TYPE,
+  MODES,
+  startImpersonation,
+  resolveImpersonation,
+  stopImpersonation,
+  listImpersonations,
+};
@@ -0,0 +1,325 @@
+const logger = require("../config/logger");
+const { PROVIDERS, providerError } = require("../llm/providers");
+const { recordAiUsage } = require("./aiUsage.service");
+
+// Features that call the model; each can use its own model through
+// LLM_MODEL_<FEATURE> (e.g. LLM_MODEL_RESUME_PARSE)
+const FEATURES = [
+  "resume",
+  "employers",
+  "resume_parse",
+  "cover_letter",
+  "resume_section",
+];
+
+const DEFAULT_PROVIDER = "openai";
+const DEFAULT_MODEL = "gpt-4o-mini";
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 2;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+
+const JSON_SYSTEM_PROMPT =
+  "You are a helpful assistant that responds with strict JSON only, adhering to the provided schema, with no markdown or additional text.";
+
+function intFromEnv(name, fallback) {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function getProvider() {
+  const name = (process.env.LLM_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw providerError(`Unknown LLM_PROVIDER "${name}"`, { status: 500 });
+  }
+  return provider;
+}
+
+/**
+ * Whether the configured provider has the settings it needs
+ * @returns {boolean}
+ */
+function isLlmConfigured() {
+  try {
+    return getProvider().isConfigured();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Model used for a feature: LLM_MODEL_<FEATURE>, else LLM_MODEL, else
+ * OPENAI_MODEL, else gpt-4o-mini
+ * @param {string} feature - One of FEATURES
+ * @returns {string}
+ */
+function modelFor(feature) {
+  return (
+    process.env[`LLM_MODEL_${feature.toUpperCase()}`] ||
+    process.env.LLM_MODEL ||
+    process.env.OPENAI_MODEL ||
+    DEFAULT_MODEL
+  );
+}
+
+/**
+ * Longest a completeJson call can take: every attempt of the call and of its
+ * repair timing out, with the longest backoff between attempts
+ * @returns {number} Milliseconds
+ */
+function maxCompletionMs() {
+  const timeoutMs = intFromEnv("LLM_TIMEOUT_MS", DEFAULT_TIMEOUT_MS);
+  const maxRetries = intFromEnv("LLM_MAX_RETRIES", DEFAULT_MAX_RETRIES);
+  return 2 * ((maxRetries + 1) * timeoutMs + maxRetries * MAX_BACKOFF_MS);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with jitter: ~0.5s, 1s, 2s, ...
+function backoffMs(attempt) {
+  const base = BASE_BACKOFF_MS * 2 ** (attempt - 1);
+  return Math.min(MAX_BACKOFF_MS, base + Math.random() * base * 0.5);
+}
+
+function toLlmError(err, provider, timeoutMs) {
+  if (err.name === "TimeoutError" || err.name === "AbortError") {
+    return providerError(
+      `${provider.label} did not respond within ${timeoutMs}ms`,
+      { status: 504, retryable: true }
+    );
+  }
+  if (err.status) return err;
+  // fetch rejects with a TypeError on DNS, connection and TLS failures
+  return providerError(`Failed to reach ${provider.label}`, {
+    retryable: true,
+    details: err.cause?.message || err.message,
+  });
+}
+
+// One chat completion with a timeout per attempt and retries with backoff on
+// timeouts, network errors, 429 and 5xx
+async function callModel({ feature, messages, temperature = 0.7 }) {
+  const provider = getProvider();
+  if (!provider.isConfigured()) {
+    throw providerError(`${provider.label} is not configured on the server`, {
+      status: 500,
+    });
+  }
+  const model = modelFor(feature);
+  const timeoutMs = intFromEnv("LLM_TIMEOUT_MS", DEFAULT_TIMEOUT_MS);
+  const maxRetries = intFromEnv("LLM_MAX_RETRIES", DEFAULT_MAX_RETRIES);
+  const startedAt = Date.now();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await provider.complete({
+        feature,
+        model,
+        messages,
+        temperature,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      const usage = {
+        feature,
+        provider: provider.name,
+        model: result.model || model,
+        ...result.usage,
+        attempts: attempt,
+        duration_ms: Date.now() - startedAt,
+      };
+      logger?.info?.("LLM call completed", usage);
+      return { content: result.content, usage };
+    } catch (err) {
+      const error = toLlmError(err, provider, timeoutMs);
+      const context = {
+        feature,
+        provider: provider.name,
+        model,
+        attempt,
+        status: error.upstreamStatus || error.status,
+        error: error.message,
+      };
+      if (!error.retryable || attempt > maxRetries) {
+        logger?.error?.("LLM call failed", context);
+        throw error;
+      }
+      const delay = Math.round(
+        Math.min(error.retryAfterMs ?? backoffMs(attempt), MAX_BACKOFF_MS)
+      );
+      logger?.warn?.("LLM call failed; retrying", { ...context, delay });
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Send a chat completion to the configured provider and record it in the
+ * ai_usage ledger
+ * @param {Object} params
+ * @param {string} params.feature - One of FEATURES; picks the model and the
+ *   mock fixture
+ * @param {{ role: string, content: string }[]} params.messages
+ * @param {number} [params.temperature=0.7]
+ * @param {string|null} [params.candidateId] - Candidate the call is for
+ * @returns {Promise<{ content: string, usage: Object }>} usage holds feature,
+ *   provider, model, prompt_tokens, completion_tokens, total_tokens, attempts
+ *   and duration_ms
+ * @throws {Error} 500 if the provider is not configured, 502 or 504 once
+ *   retries are exhausted
+ */
+async function complete({ candidateId = null, ...params }) {
+  const result = await callModel(params);
+  await recordAiUsage(result.usage, { candidateId });
+  return result;
+}
+
+/**
+ * Parse a model reply as JSON, ignoring a surrounding markdown code fence
+ * @param {string} content
+ * @returns {*}
+ * @throws {Error} 502 if the reply is not JSON
+ */
+function parseJsonContent(content) {
+  const fenced = /```(?:json)?\s*([\s\S]*?)\s*```/i.exec(content);
+  const text = (fenced ? fenced[1] : content).trim();
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw providerError("The model response is not valid JSON", {
+      details: content,
+    });
+  }
+}
+
+// Parse and validate a reply; issues are { path, message } for the model
+function checkReply(content, schema) {
+  let value;
+  try {
+    value = parseJsonContent(content);
+  } catch (e) {
+    return {
+      success: false,
+      issues: [{ path: "", message: "Response is not valid JSON" }],
+    };
+  }
+  if (!schema) return { success: true, data: value };
+  const result = schema.safeParse(value);
+  if (result.success) return { success: true, data: result.data };
+  return {
+    success: false,
+    issues: result.error.issues.slice(0, 50).map((issue) => ({
+      path: issue.path.join("."),
+      message: issue.message,
+    })),
+  };
+}
+
+function buildRepairPrompt(issues) {
+  const list = issues
+    .map((issue) => `- ${issue.path || "(root)"}: ${issue.message}`)
+    .join("\n");
+  return `Your JSON does not match the required schema:\n${list}\n\nReturn the complete corrected JSON only, following the same schema and instructions.`;
+}
+
+function combineUsage(first, second) {
+  return {
+    ...second,
+    prompt_tokens: first.prompt_tokens + second.prompt_tokens,
+    completion_tokens: first.completion_tokens + second.completion_tokens,
+    total_tokens: first.total_tokens + second.total_tokens,
+    attempts: first.attempts + second.attempts,
+    duration_ms: first.duration_ms + second.duration_ms,
+  };
+}
+
+/**
+ * Ask for a JSON reply: the strict-JSON system prompt, then the prompt. With a
+ * schema, a reply that is not JSON or does not match is sent back once with
+ * the validation issues for the model to repair. Records one ai_usage row
+ * covering both calls, marked failed if the reply stays unusable.
+ * @param {Object} params
+ * @param {string} params.feature - One of FEATURES
+ * @param {string} params.prompt - User message
+ * @param {string} [params.system] - Added to the system prompt
+ * @param {import("zod").ZodType} [params.schema] - See llm/schemas.js
+ * @param {number} [params.temperature]
+ * @param {string|null} [params.candidateId] - Candidate the call is for
+ * @returns {Promise<{ parsed: *, raw: string, usage: Object }>} parsed is the
+ *   schema output; usage covers both calls and has repaired: true after a
+ *   repair
+ * @throws {Error} 502 with details.issues if the repaired reply still fails
+ */
+async function completeJson({
+  feature,
+  prompt,
+  system,
+  schema,
+  temperature,
+  candidateId = null,
+}) {
+  const messages = [
+    {
+      role: "system",
+      content: system ? `${JSON_SYSTEM_PROMPT} ${system}` : JSON_SYSTEM_PROMPT,
+    },
+    { role: "user", content: prompt },
+  ];
+  let { content, usage } = await callModel({ feature, temperature, messages });
+  let checked = checkReply(content, schema);
+
+  if (!checked.success && schema) {
+    logger?.warn?.("LLM reply failed validation; asking for a repair", {
+      feature,
+      issues: checked.issues.slice(0, 10),
+    });
+    let repair;
+    try {
+      repair = await callModel({
+        feature,
+        temperature: 0,
+        messages: [
+          ...messages,
+          { role: "assistant", content },
+          { role: "user", content: buildRepairPrompt(checked.issues) },
+        ],
+      });
+    } catch (err) {
+      await recordAiUsage(usage, { candidateId, succeeded: false });
+      throw err;
+    }
+    usage = { ...combineUsage(usage, repair.usage), repaired: true };
+    content = repair.content;
+    checked = checkReply(content, schema);
+  }
+
+  await recordAiUsage(usage, { candidateId, succeeded: checked.success });
+  if (!checked.success) {
+    if (!schema) {
+      throw providerError("The model response is not valid JSON", {
+        details: content,
+      });
+    }
+    logger?.error?.("LLM reply failed validation after repair", {
+      feature,
+      issues: checked.issues.slice(0, 10),
+    });
+    throw providerError(
+      "The model response did not match the expected format",
+      { details: { issues: checked.issues }, usage }
+    );
+  }
+  return { parsed: checked.data, raw: content, usage };
+}
+
+module.exports = {
+  FEATURES,
+  isLlmConfigured,
+  modelFor,
+  maxCompletionMs,
+  complete,
+  completeJson,
+  parseJsonContent,
+};
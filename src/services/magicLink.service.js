@@ -0,0 +1,110 @@
+const { Op } = require("sequelize");
+const { MagicLinkToken } = require("../models");
+const logger = require("../config/logger");
+const {
+  findCandidateByEmail,
+  findCandidateById,
+} = require("./candidate.service");
+const { sendMagicLinkEmail } = require("./email.service");
+const { generateToken, hashToken } = require("../utils/tokenHelper");
+const { httpError } = require("../utils/errorHelper");
+
+const magicLinkExpiresMinutes = Number(
+  process.env.MAGIC_LINK_EXPIRES_MINUTES || 15
+);
+
+function invalidLinkError() {
+  return httpError("Invalid or expired sign-in link", 400, {
+    code: "magic_link_invalid",
+  });
+}
+
+/**
+ * Invalidate every outstanding sign-in link of a candidate
+ * @param {string} candidateId
+ * @param {Object} [options]
+ * @param {import("sequelize").Transaction} [options.transaction]
+ * @returns {Promise<number>} Number of links invalidated
+ */
+async function revokeMagicLinks(candidateId, { transaction } = {}) {
+  const [revoked] = await MagicLinkToken.update(
+    { used_at: new Date() },
+    { where: { candidate_id: candidateId, used_at: null }, transaction }
+  );
+  return revoked;
+}
+
+/**
+ * Email a single-use sign-in link. A new link supersedes any outstanding one.
+ * Resolves silently when there is no active account so callers cannot probe emails.
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {string} params.backendBase - Base URL used to build the link
+ * @param {string} [params.requestedIp]
+ * @returns {Promise<{ sent: boolean }>}
+ */
+async function requestMagicLink({ email, backendBase, requestedIp }) {
+  const candidate = await findCandidateByEmail(email);
+  if (!candidate || candidate.is_active === false || candidate.deleted_at) {
+    return { sent: false };
+  }
+
+  await revokeMagicLinks(candidate.candidate_id);
+  const token = generateToken();
+  await MagicLinkToken.create({
+    candidate_id: candidate.candidate_id,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + magicLinkExpiresMinutes * 60 * 1000),
+    requested_ip: requestedIp || null,
+  });
+
+  const loginUrl = `${backendBase}/api/auth/magic-link/verify?token=${encodeURIComponent(
+    token
+  )}`;
+  await sendMagicLinkEmail({
+    to: candidate.email,
+    name: candidate.full_name,
+    loginUrl,
+    expiresIn: `${magicLinkExpiresMinutes} minutes`,
+  });
+
+  logger?.info?.("Magic link sent", { candidateId: candidate.candidate_id });
+  return { sent: true };
+}
+
+/**
+ * Consume a sign-in link
+ * @param {string} token - Raw token from the emailed link
+ * @returns {Promise<Candidate>} The candidate to start a session for
+ */
+async function consumeMagicLink(token) {
+  const record = await MagicLinkToken.findOne({
+    where: {
+      token_hash: hashToken(String(token || "")),
+      used_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+  });
+  if (!record) throw invalidLinkError();
+
+  // Claim the link atomically so it cannot be used twice
+  const [claimed] = await MagicLinkToken.update(
+    { used_at: new Date() },
+    { where: { token_id: record.token_id, used_at: null } }
+  );
+  if (!claimed) throw invalidLinkError();
+
+  const candidate = await findCandidateById(record.candidate_id);
+  if (!candidate || candidate.is_active === false || candidate.deleted_at) {
+    throw invalidLinkError();
+  }
+
+  logger?.info?.("Magic link used", { candidateId: candidate.candidate_id });
+  return candidate;
+}
+
+module.exports = {
+  requestMagicLink,
+  consumeMagicLink,
+  revokeMagicLinks,
+};
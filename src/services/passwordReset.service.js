@@ -0,0 +1,196 @@
+const { Op } = require("sequelize");
+const { PasswordResetToken } = require("../models");
+const logger = require("../config/logger");
+const {
+  findCandidateByEmail,
+  updateCandidatePassword,
+} = require("./candidate.service");
+const { findUserByEmail, updateUserPassword } = require("./user.service");
+const { revokeAllSessions } = require("./session.service");
+const {
+  sendPasswordResetEmail,
+  sendAdminInviteEmail,
+} = require("./email.service");
+const { generateToken, hashToken } = require("../utils/tokenHelper");
+const { httpError } = require("../utils/errorHelper");
+
+const resetExpiresMinutes = Number(
+  process.env.PASSWORD_RESET_EXPIRES_MINUTES || 30
+);
+const inviteExpiresHours = Number(process.env.ADMIN_INVITE_EXPIRES_HOURS || 72);
+
+// Per subject type: how to look up the account and where the reset form lives
+const subjects = {
+  candidate: {
+    findByEmail: findCandidateByEmail,
+    idOf: (c) => c.candidate_id,
+    updatePassword: updateCandidatePassword,
+    resetPath: "/reset-password",
+  },
+  user: {
+    findByEmail: findUserByEmail,
+    idOf: (u) => u.user_id,
+    updatePassword: updateUserPassword,
+    resetPath: "/admin/reset-password",
+  },
+};
+
+// A new link supersedes any outstanding one for the same subject
+async function issueToken({ subjectType, subjectId, expiresAt, requestedIp }) {
+  await PasswordResetToken.update(
+    { used_at: new Date() },
+    {
+      where: {
+        subject_type: subjectType,
+        subject_id: subjectId,
+        used_at: null,
+      },
+    }
+  );
+
+  const token = generateToken();
+  await PasswordResetToken.create({
+    subject_type: subjectType,
+    subject_id: subjectId,
+    token_hash: hashToken(token),
+    expires_at: expiresAt,
+    requested_ip: requestedIp || null,
+  });
+  return token;
+}
+
+function invalidTokenError() {
+  return httpError("Invalid or expired reset token", 400);
+}
+
+/**
+ * Start a password reset: issue a single-use token and email the reset link.
+ * Resolves silently when the account does not exist so callers cannot probe emails.
+ * @param {Object} params
+ * @param {"candidate"|"user"} params.subjectType
+ * @param {string} params.email
+ * @param {string} [params.requestedIp]
+ * @returns {Promise<{ sent: boolean }>}
+ */
+async function requestPasswordReset({ subjectType, email, requestedIp }) {
+  const frontendUrl = process.env.FRONTEND_URL;
+  if (!frontendUrl) {
+    throw httpError("FRONTEND_URL is not configured", 500);
+  }
+
+  const config = subjects[subjectType];
+  const account = await config.findByEmail(email);
+  // Only email/password accounts can reset; OAuth-only candidates have no password
+  if (!account || !account.password || account.is_active === false) {
+    return { sent: false };
+  }
+
+  const subjectId = config.idOf(account);
+  const token = await issueToken({
+    subjectType,
+    subjectId,
+    expiresAt: new Date(Date.now() + resetExpiresMinutes * 60 * 1000),
+    requestedIp,
+  });
+
+  const resetUrl = `${frontendUrl.replace(/\/$/, "")}${
+    config.resetPath
+  }?token=${encodeURIComponent(token)}`;
+
+  await sendPasswordResetEmail({
+    to: account.email,
+    name: account.full_name,
+    resetUrl,
+    expiresIn: `${resetExpiresMinutes} minutes`,
+  });
+
+  logger?.info?.("Password reset requested", { subjectType, subjectId });
+  return { sent: true };
+}
+
+/**
+ * Email an invited admin a link to set their first password.
+ * The link is a regular reset token, so it is completed via confirmPasswordReset.
+ * @param {Object} params
+ * @param {User} params.user - The invited admin
+ * @param {string} [params.invitedByName]
+ * @returns {Promise<{ sent: boolean }>}
+ */
+async function sendAdminInvite({ user, invitedByName }) {
+  const frontendUrl = process.env.FRONTEND_URL;
+  if (!frontendUrl) {
+    throw httpError("FRONTEND_URL is not configured", 500);
+  }
+
+  const token = await issueToken({
+    subjectType: "user",
+    subjectId: user.user_id,
+    expiresAt: new Date(Date.now() + inviteExpiresHours * 60 * 60 * 1000),
+  });
+
+  const inviteUrl = `${frontendUrl.replace(
+    /\/$/,
+    ""
+  )}/admin/accept-invite?token=${encodeURIComponent(token)}`;
+
+  await sendAdminInviteEmail({
+    to: user.email,
+    name: user.full_name,
+    invitedByName,
+    role: user.role,
+    inviteUrl,
+    expiresIn: `${inviteExpiresHours} hours`,
+  });
+
+  logger?.info?.("Admin invite sent", { userId: user.user_id });
+  return { sent: true };
+}
+
+/**
+ * Complete a password reset: consume the token, set the new password and
+ * revoke every existing session of the account
+ * @param {Object} params
+ * @param {"candidate"|"user"} params.subjectType
+ * @param {string} params.token - Raw token from the reset link
+ * @param {string} params.password - New plaintext password
+ * @returns {Promise<{ subjectId: string, sessionsRevoked: number }>}
+ */
+async function confirmPasswordReset({ subjectType, token, password }) {
+  const config = subjects[subjectType];
+  const record = await PasswordResetToken.findOne({
+    where: {
+      token_hash: hashToken(token),
+      subject_type: subjectType,
+      used_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+  });
+  if (!record) throw invalidTokenError();
+
+  // Claim the token atomically so concurrent submissions cannot both succeed
+  const [claimed] = await PasswordResetToken.update(
+    { used_at: new Date() },
+    { where: { token_id: record.token_id, used_at: null } }
+  );
+  if (!claimed) throw invalidTokenError();
+
+  await config.updatePassword(record.subject_id, password);
+  const sessionsRevoked = await revokeAllSessions(
+    subjectType,
+    record.subject_id,
+    { reason: "password_reset" }
+  );
+
+  logger?.info?.("Password reset completed", {
+    subjectType,
+    subjectId: record.subject_id,
+    sessionsRevoked,
+  });
+  return { subjectId: record.subject_id, sessionsRevoked };
+}
+
+module.exports = {
+  requestPasswordReset,
+  sendAdminInvite,
+  confirmPasswordReset,
+};
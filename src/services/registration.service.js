@@ -0,0 +1,257 @@
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcryptjs");
+const { v4: uuidv4 } = require("uuid");
+const { PendingRegistration } = require("../models");
+const logger = require("../config/logger");
+const {
+  findCandidateByEmail,
+  createCandidateWithPasswordHash,
+} = require("./candidate.service");
+const { sendVerificationEmail } = require("./email.service");
+const { httpError } = require("../utils/errorHelper");
+
+const resendCooldownSeconds = Number(
+  process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS || 60
+);
+const maxSends = Number(process.env.EMAIL_VERIFICATION_MAX_SENDS || 5);
+
+/**
+ * Sign a verification JWT that only carries the pending registration's token id
+ * @param {string} tokenId
+ * @returns {{ token: string, expiresAt: Date }}
+ */
+function signVerificationToken(tokenId) {
+  const token = jwt.sign({ typ: "email_verification" }, process.env.JWT_SECRET, {
+    expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN,
+    jwtid: tokenId,
+  });
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000) };
+}
+
+async function sendVerificationLink(pending, token, backendBase) {
+  const verifyUrl = `${backendBase}/api/auth/verify?token=${encodeURIComponent(
+    token
+  )}`;
+  await sendVerificationEmail({
+    to: pending.email,
+    name: pending.full_name,
+    verifyUrl,
+    expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN,
+  });
+}
+
+// Throttle verification emails per pending registration
+function assertCanSend(pending) {
+  const waitMs =
+    new Date(pending.last_sent_at).getTime() +
+    resendCooldownSeconds * 1000 -
+    Date.now();
+  if (waitMs > 0) {
+    throw httpError(
+      "Please wait before requesting another verification email",
+      429,
+      { retryAfter: Math.ceil(waitMs / 1000) }
+    );
+  }
+  if (pending.send_count >= maxSends) {
+    throw httpError(
+      "Too many verification emails requested. Please try again later.",
+      429
+    );
+  }
+}
+
+/**
+ * Find the open (pending, unexpired) registrations for an email, newest first.
+ * Pending rows past their expiry are marked expired on the way.
+ * @param {string} email
+ * @returns {Promise<PendingRegistration[]>}
+ */
+async function findOpenRegistrations(email) {
+  const rows = await PendingRegistration.findAll({
+    where: { email, status: "pending" },
+    order: [["created_at", "DESC"]],
+  });
+  const open = [];
+  for (const pending of rows) {
+    if (pending.expires_at <= new Date()) {
+      await pending.update({ status: "expired" });
+    } else {
+      open.push(pending);
+    }
+  }
+  return open;
+}
+
+// The email now has an account: close every open attempt for it
+async function consumeOpenRegistrations(email) {
+  await PendingRegistration.update(
+    { status: "consumed" },
+    { where: { email, status: "pending" } }
+  );
+}
+
+// Issue a fresh link for an open registration; the previous link stops working
+async function rotateAndSend(pending, backendBase) {
+  const tokenId = uuidv4();
+  const { token, expiresAt } = signVerificationToken(tokenId);
+  await pending.update({
+    token_id: tokenId,
+    expires_at: expiresAt,
+    send_count: pending.send_count + 1,
+    last_sent_at: new Date(),
+  });
+  await sendVerificationLink(pending, token, backendBase);
+}
+
+/**
+ * Start (or restart) an email/password registration.
+ * Stores only the bcrypt hash; the emailed JWT carries just a token id. Each
+ * attempt gets its own row and link, so a restart never changes the password
+ * or name behind a link sent earlier; the first link used wins. Emails are
+ * throttled across all open attempts for the address.
+ * @param {Object} params
+ * @param {string} params.full_name
+ * @param {string} params.email
+ * @param {string} params.password - Plaintext password (hashed here)
+ * @param {string} params.backendBase - Base URL used to build the verification link
+ * @returns {Promise<PendingRegistration>}
+ */
+async function startRegistration({ full_name, email, password, backendBase }) {
+  const existing = await findCandidateByEmail(email);
+  if (existing) throw httpError("Email already registered", 409);
+
+  const open = await findOpenRegistrations(email);
+  if (open.length) {
+    assertCanSend({
+      last_sent_at: open[0].last_sent_at,
+      send_count: open.reduce((sum, pending) => sum + pending.send_count, 0),
+    });
+  }
+
+  const password_hash = await bcrypt.hash(password, 10);
+  const tokenId = uuidv4();
+  const { token, expiresAt } = signVerificationToken(tokenId);
+  const created = await PendingRegistration.create({
+    email,
+    full_name,
+    password_hash,
+    token_id: tokenId,
+    expires_at: expiresAt,
+    send_count: 1,
+    last_sent_at: new Date(),
+  });
+  await sendVerificationLink(created, token, backendBase);
+  return created;
+}
+
+/**
+ * Resend the verification email for the newest open registration (throttled).
+ * Resolves silently when there is nothing to resend so callers cannot probe emails.
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {string} params.backendBase
+ * @returns {Promise<{ sent: boolean }>}
+ */
+async function resendVerification({ email, backendBase }) {
+  const [pending] = await findOpenRegistrations(email);
+  if (!pending) return { sent: false };
+
+  const existing = await findCandidateByEmail(email);
+  if (existing) {
+    // Account was created another way (e.g. OAuth) in the meantime
+    await consumeOpenRegistrations(email);
+    return { sent: false };
+  }
+
+  assertCanSend(pending);
+  await rotateAndSend(pending, backendBase);
+  return { sent: true };
+}
+
+/**
+ * Consume a verification link and create the candidate.
+ * Each link works once; superseded, expired and used links are rejected.
+ * @param {string} token - Verification JWT from the emailed link
+ * @returns {Promise<Candidate>}
+ */
+async function completeRegistration(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (e) {
+    if (e.name === "TokenExpiredError") {
+      const jti = jwt.decode(token)?.jti;
+      if (jti) {
+        await PendingRegistration.update(
+          { status: "expired" },
+          { where: { token_id: jti, status: "pending" } }
+        );
+      }
+      throw httpError(
+        "Verification link has expired. Please request a new one.",
+        400
+      );
+    }
+    throw httpError("Invalid or expired token", 400);
+  }
+
+  if (decoded?.typ !== "email_verification" || !decoded?.jti) {
+    throw httpError("Invalid or expired token", 400);
+  }
+
+  const pending = await PendingRegistration.findOne({
+    where: { token_id: decoded.jti },
+  });
+  if (!pending) {
+    // Token id was rotated by a resend
+    throw httpError("This verification link is no longer valid", 410);
+  }
+  if (pending.status === "verified" || pending.status === "consumed") {
+    throw httpError("This verification link has already been used", 410);
+  }
+  if (pending.status === "expired" || pending.expires_at <= new Date()) {
+    if (pending.status !== "expired") await pending.update({ status: "expired" });
+    throw httpError(
+      "Verification link has expired. Please request a new one.",
+      400
+    );
+  }
+
+  const existing = await findCandidateByEmail(pending.email);
+  if (existing) {
+    await consumeOpenRegistrations(pending.email);
+    throw httpError("Email already registered. Please log in.", 409);
+  }
+
+  // Claim atomically so a double click cannot create two accounts
+  const [claimed] = await PendingRegistration.update(
+    { status: "verified", verified_at: new Date() },
+    { where: { pending_id: pending.pending_id, status: "pending" } }
+  );
+  if (!claimed) {
+    throw httpError("This verification link has already been used", 410);
+  }
+
+  const candidate = await createCandidateWithPasswordHash({
+    full_name: pending.full_name,
+    email: pending.email,
+    password_hash: pending.password_hash,
+  });
+  await pending.update({ candidate_id: candidate.candidate_id });
+  // Links of the other attempts for this email stop working
+  await consumeOpenRegistrations(pending.email);
+
+  logger?.info?.("Registration verified", {
+    pendingId: pending.pending_id,
+    candidateId: candidate.candidate_id,
+  });
+  return candidate;
+}
+
+module.exports = {
+  startRegistration,
+  resendVerification,
+  completeRegistration,
+};
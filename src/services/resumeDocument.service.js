@@ -0,0 +1,192 @@
+const db = require("../models");
+const logger = require("../config/logger");
+const {
+  findCandidateById,
+  updateCandidateById,
+  generateResumeFromProfile,
+} = require("./candidate.service");
+const { findResume } = require("./candidateResume.service");
+const { uploadResume, generateUrlFromKey } = require("./s3.service");
+const { resolveCandidateTemplate } = require("./resumeTemplate.service");
+const {
+  snapshotFromGenerated,
+  recordResumeVersion,
+} = require("./resumeVersion.service");
+const { renderResume } = require("../resumes/resumeRenderer");
+const { httpError } = require("../utils/errorHelper");
+
+// Targeted resume column for each section of generated content
+const CONTENT_FIELDS = {
+  summary: "summary",
+  skills: "skills",
+  experience: "work_experience",
+  education: "education",
+};
+
+/**
+ * Render a generated resume with the candidate's template and store it as
+ * their current resume, or as the file and content of one of their targeted
+ * resumes. The previous file stays in S3 as an older version.
+ * @param {string} candidateId
+ * @param {Object} resume - generateResumeFromProfile output
+ * @param {"pdf"|"docx"} [format="pdf"]
+ * @param {string|null} [resumeId=null] - Targeted resume to store the file on
+ * @param {Object} [options]
+ * @param {string[]} [options.sections] - Sections (summary, skills,
+ *   experience, education) to save onto the targeted resume; default: all
+ * @returns {Promise<{ key: string, resume_id: string|null, format: string, template: string, file_name: string, url: string, version_id: string }>}
+ */
+async function storeGeneratedResume(
+  candidateId,
+  resume,
+  format = "pdf",
+  resumeId = null,
+  { sections = Object.keys(CONTENT_FIELDS) } = {}
+) {
+  const candidate = await findCandidateById(candidateId);
+  const target = resumeId
+    ? await db.CandidateResume.findOne({
+        where: { resume_id: resumeId, candidate_id: candidateId },
+      })
+    : null;
+  if (resumeId && !target) {
+    throw httpError("Resume not found", 404);
+  }
+
+  const template = await resolveCandidateTemplate(candidate);
+  const rendered = renderResume(resume, format, template);
+  const { buffer, fileName, mimeType } = rendered;
+
+  const uploadResult = await uploadResume(
+    buffer,
+    fileName,
+    candidateId,
+    mimeType
+  );
+  if (target) {
+    // A targeted resume keeps its own content next to its file
+    const content = {};
+    for (const section of sections) {
+      content[CONTENT_FIELDS[section]] = resume[section];
+    }
+    await target.update({ resume_key: uploadResult.key, ...content });
+  } else {
+    await updateCandidateById(candidateId, {
+      resume_key: uploadResult.key,
+      updated_by: candidateId,
+    });
+  }
+
+  const version = await recordResumeVersion({
+    candidateId,
+    resumeId,
+    source: "generated",
+    key: uploadResult.key,
+    fileName,
+    mimeType,
+    snapshot: snapshotFromGenerated(resume),
+  });
+
+  logger?.info?.("Generated resume stored", {
+    candidateId,
+    key: uploadResult.key,
+    resumeId,
+    format: rendered.format,
+    template: template.slug,
+  });
+  return {
+    key: uploadResult.key,
+    resume_id: resumeId,
+    format: rendered.format,
+    template: template.slug,
+    file_name: fileName,
+    url: generateUrlFromKey(uploadResult.key),
+    version_id: version.version_id,
+  };
+}
+
+/**
+ * Generate a resume for a validated POST /api/candidate/resume payload: save
+ * the profile fields it carries, write the content with the LLM and store it
+ * (see storeGeneratedResume)
+ * @param {Object} candidate - The candidate generating it
+ * @param {Object} payload - validateGenerateResumePayload output
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (stage, data): writing,
+ *   content (data: the generated content) and storing
+ * @returns {Promise<Object>} The generated content plus file; file is null if
+ *   rendering or upload failed
+ */
+async function generateAndStoreResume(
+  candidate,
+  payload,
+  { onProgress = () => {} } = {}
+) {
+  const candidateId = candidate.candidate_id;
+
+  // Fail before generating if the targeted resume is not theirs
+  const target = payload.resume_id
+    ? await findResume(candidateId, payload.resume_id)
+    : null;
+
+  // Persist any updated profile fields before generating the resume
+  try {
+    await updateCandidateById(candidateId, {
+      full_name: payload.candidate_name, // map candidate_name -> full_name
+      phone_no: payload.phone_no,
+      address: payload.address,
+      seniority_level: payload.seniority_level,
+      // A targeted resume keeps its own country and job category
+      ...(payload.resume_id
+        ? {}
+        : {
+            job_category_id: payload.job_category_id,
+            country_id: payload.country_id,
+          }),
+      updated_by: candidateId,
+    });
+  } catch (persistError) {
+    // Log and continue; generation should not be blocked by persistence errors
+    logger?.warn?.("Resume generation: failed to persist profile fields", {
+      error: persistError.message,
+      candidateId,
+    });
+  }
+
+  await onProgress("writing");
+  const { format, resume_id, ...profile } = payload;
+  const data = await generateResumeFromProfile(
+    {
+      ...profile,
+      // A targeted resume is written for its own country and job category
+      country_id: target?.country_id || profile.country_id,
+      job_category_id: target?.job_category_id || profile.job_category_id,
+      // ensure email and seniority_level are available to the service/prompt
+      email: candidate.email || payload.email,
+      phone_no: candidate.phone_no || payload.phone_no,
+      address: candidate.address || payload.address,
+      seniority_level: candidate.seniority_level || payload.seniority_level,
+    },
+    { candidateId }
+  );
+  await onProgress("content", data);
+
+  // Store the rendered file as the current resume; the generated content
+  // is still returned if rendering or upload fails
+  await onProgress("storing");
+  let file = null;
+  try {
+    file = await storeGeneratedResume(candidateId, data, format, resume_id);
+  } catch (storeError) {
+    logger?.error?.("Resume generation: failed to store resume file", {
+      error: storeError.message,
+      candidateId,
+    });
+  }
+  return { ...data, file };
+}
+
+module.exports = {
+  storeGeneratedResume,
+  generateAndStoreResume,
+};
@@ -0,0 +1,476 @@
+const { EventEmitter } = require("events");
+const db = require("../models");
+const logger = require("../config/logger");
+const PaginationService = require("./pagination.service");
+const { findCandidateById } = require("./candidate.service");
+const { findResume } = require("./candidateResume.service");
+const { generateAndStoreResume } = require("./resumeDocument.service");
+const { parseResume } = require("./resumeParser.service");
+const { maxCompletionMs } = require("./llm.service");
+const { uploadResume, getFile, deleteFile } = require("./s3.service");
+const {
+  snapshotFromParsed,
+  recordResumeVersion,
+} = require("./resumeVersion.service");
+const { UUID_PATTERN, httpError } = require("../utils/errorHelper");
+
+const { ResumeJob } = db;
+const { Op } = db.Sequelize;
+
+const JOB_TYPES = ["generate", "parse"];
+const JOB_STATUSES = ["queued", "running", "succeeded", "failed"];
+const FINISHED_STATUSES = ["succeeded", "failed"];
+
+// Progress reported when a job reaches each stage
+const STAGE_PROGRESS = {
+  generate: { queued: 0, starting: 5, writing: 10, content: 70, storing: 80 },
+  parse: {
+    queued: 0,
+    starting: 5,
+    reading: 10,
+    extracting: 30,
+    content: 80,
+    storing: 90,
+  },
+};
+
+// Parts of each result sent to clients as soon as they exist
+const GENERATED_SECTIONS = ["summary", "experience", "skills", "education"];
+const PARSED_PROFILE_FIELDS = [
+  "full_name",
+  "email",
+  "phone_no",
+  "address",
+  "seniority_level",
+  "job_category",
+  "country",
+];
+const PARSED_SECTIONS = ["work_experience", "education", "skills"];
+
+const MAX_ACTIVE_JOBS_PER_CANDIDATE = 3;
+const CONCURRENCY = Math.max(intFromEnv("RESUME_JOB_CONCURRENCY", 2), 1);
+const STALE_MINUTES = intFromEnv("RESUME_JOB_STALE_MINUTES", null);
+// Time a job spends on storage and rendering besides the model
+const STALE_MARGIN_MS = 5 * 60 * 1000;
+const RETENTION_DAYS = intFromEnv("RESUME_JOB_RETENTION_DAYS", 30);
+// How often a stream re-reads its job, for jobs run by another instance
+const WATCH_POLL_MS = 5000;
+
+// Every saved change of a job, as its plain JSON, under the job id
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Jobs waiting for a free slot in this process
+const queue = [];
+let running = 0;
+
+function intFromEnv(name, fallback) {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// A running job that has not moved for this long is given up on. By default
+// that is the longest a model call can take, retries and repair included.
+function staleAfterMs() {
+  return STALE_MINUTES === null
+    ? maxCompletionMs() + STALE_MARGIN_MS
+    : STALE_MINUTES * 60 * 1000;
+}
+
+function pick(source, fields) {
+  const picked = {};
+  for (const field of fields) picked[field] = source[field] ?? null;
+  return picked;
+}
+
+function publish(job) {
+  jobEvents.emit(job.job_id, job.toJSON());
+}
+
+// Save the stage a job reached and tell anyone watching it
+async function advance(job, stage, changes = {}) {
+  await job.update({
+    stage,
+    progress: STAGE_PROGRESS[job.type][stage] ?? job.progress,
+    ...changes,
+  });
+  publish(job);
+}
+
+// Sections are merged into a new object so the JSONB column is saved
+function addSections(job, sections) {
+  return advance(job, "content", {
+    sections: { ...job.sections, ...sections },
+  });
+}
+
+async function runGeneration(job) {
+  const candidate = await findCandidateById(job.candidate_id);
+  if (!candidate) throw httpError("Candidate not found", 404);
+  return generateAndStoreResume(candidate, job.payload, {
+    onProgress: (stage, data) =>
+      stage === "content"
+        ? addSections(job, pick(data, GENERATED_SECTIONS))
+        : advance(job, stage),
+  });
+}
+
+async function runParse(job) {
+  const { key, file_name, mime_type } = job.payload;
+  const { body } = await getFile(key);
+
+  let parsed;
+  try {
+    parsed = await parseResume(body, {
+      candidateId: job.candidate_id,
+      onProgress: (stage) => advance(job, stage),
+    });
+  } catch (error) {
+    // Nothing refers to a file that could not be parsed
+    await deleteFile(key).catch(() => {});
+    throw error;
+  }
+  await addSections(job, {
+    profile: pick(parsed, PARSED_PROFILE_FIELDS),
+    ...pick(parsed, PARSED_SECTIONS),
+  });
+
+  // Keep the parsed file as a version without making it the current resume
+  await advance(job, "storing");
+  let version = null;
+  try {
+    version = await recordResumeVersion({
+      candidateId: job.candidate_id,
+      source: "parsed",
+      key,
+      fileName: file_name,
+      mimeType: mime_type,
+      snapshot: snapshotFromParsed(parsed),
+    });
+  } catch (versionError) {
+    logger?.warn?.("Resume job: failed to record parsed version", {
+      jobId: job.job_id,
+      error: versionError.message,
+    });
+  }
+  return { ...parsed, version_id: version?.version_id || null };
+}
+
+// Record how a running job ended. The sweep may have failed it meanwhile;
+// that outcome stands and what the job produced is dropped.
+async function finishJob(job, changes) {
+  const [updated] = await ResumeJob.update(
+    { ...changes, finished_at: new Date() },
+    { where: { job_id: job.job_id, status: "running" } }
+  );
+  await job.reload();
+  if (!updated) {
+    logger?.warn?.("Resume job finished after it was marked failed", {
+      jobId: job.job_id,
+      type: job.type,
+      status: changes.status,
+    });
+  }
+  return updated > 0;
+}
+
+async function runJob(jobId) {
+  // Claim the job; another instance or an earlier sweep may have taken it
+  const [claimed] = await ResumeJob.update(
+    { status: "running", started_at: new Date() },
+    { where: { job_id: jobId, status: "queued" } }
+  );
+  if (!claimed) return;
+  const job = await ResumeJob.findByPk(jobId);
+
+  try {
+    await advance(job, "starting");
+    const result =
+      job.type === "generate" ? await runGeneration(job) : await runParse(job);
+    const finished = await finishJob(job, {
+      status: "succeeded",
+      stage: "done",
+      progress: 100,
+      result,
+    });
+    if (finished) {
+      logger?.info?.("Resume job succeeded", {
+        jobId,
+        type: job.type,
+        candidateId: job.candidate_id,
+      });
+    }
+  } catch (error) {
+    const status = error.status || 500;
+    await finishJob(job, {
+      status: "failed",
+      error: {
+        message:
+          status === 500 ? `Failed to ${job.type} resume` : error.message,
+        status,
+        details: error.details ?? null,
+      },
+    });
+    logger?.[status === 500 ? "error" : "warn"]?.("Resume job failed", {
+      jobId,
+      type: job.type,
+      candidateId: job.candidate_id,
+      status,
+      error: error.message,
+    });
+  }
+  publish(job);
+}
+
+function drain() {
+  while (running < CONCURRENCY && queue.length) {
+    const jobId = queue.shift();
+    running += 1;
+    runJob(jobId)
+      .catch((error) =>
+        logger?.error?.("Resume job could not run", {
+          jobId,
+          error: error.message,
+        })
+      )
+      .finally(() => {
+        running -= 1;
+        drain();
+      });
+  }
+}
+
+function enqueue(jobId) {
+  if (!queue.includes(jobId)) queue.push(jobId);
+  drain();
+}
+
+async function assertCanQueue(candidateId) {
+  const active = await ResumeJob.count({
+    where: {
+      candidate_id: candidateId,
+      status: { [Op.in]: ["queued", "running"] },
+    },
+  });
+  if (active >= MAX_ACTIVE_JOBS_PER_CANDIDATE) {
+    throw httpError(
+      `You already have ${active} resume jobs in progress. Wait for one to finish.`,
+      429
+    );
+  }
+}
+
+/**
+ * Queue a resume generation; it runs like POST /api/candidate/resume
+ * @param {string} candidateId
+ * @param {Object} payload - validateGenerateResumePayload output
+ * @returns {Promise<ResumeJob>}
+ */
+async function createGenerationJob(candidateId, payload) {
+  await assertCanQueue(candidateId);
+  // Fail before queueing if the targeted resume is not theirs
+  if (payload.resume_id) await findResume(candidateId, payload.resume_id);
+  const job = await ResumeJob.create({
+    candidate_id: candidateId,
+    type: "generate",
+    stage: "queued",
+    payload,
+  });
+  enqueue(job.job_id);
+  return job;
+}
+
+/**
+ * Store an uploaded resume and queue parsing it; it runs like
+ * POST /api/candidate/resume/parse
+ * @param {string} candidateId
+ * @param {Buffer} buffer
+ * @param {Object} document - fileName and mimeType (see identifyUpload)
+ * @returns {Promise<ResumeJob>}
+ */
+async function createParseJob(candidateId, buffer, document) {
+  await assertCanQueue(candidateId);
+  const upload = await uploadResume(
+    buffer,
+    document.fileName,
+    candidateId,
+    document.mimeType
+  );
+  const job = await ResumeJob.create({
+    candidate_id: candidateId,
+    type: "parse",
+    stage: "queued",
+    payload: {
+      key: upload.key,
+      file_name: document.fileName,
+      mime_type: document.mimeType,
+    },
+  });
+  enqueue(job.job_id);
+  return job;
+}
+
+/**
+ * One of a candidate's resume jobs (404 if it is not theirs)
+ * @param {string} candidateId
+ * @param {string} jobId
+ * @returns {Promise<ResumeJob>}
+ */
+async function getResumeJob(candidateId, jobId) {
+  if (!UUID_PATTERN.test(String(jobId || ""))) {
+    throw httpError("Resume job not found", 404);
+  }
+  const job = await ResumeJob.findOne({
+    where: { job_id: jobId, candidate_id: candidateId },
+    attributes: { exclude: ["payload"] },
+  });
+  if (!job) throw httpError("Resume job not found", 404);
+  return job;
+}
+
+/**
+ * A candidate's resume jobs, newest first, without payloads or results
+ * @param {string} candidateId
+ * @param {Object} [options] - page, limit, type, status
+ * @returns {Promise<Object>} Paginated jobs
+ */
+async function listResumeJobs(candidateId, options = {}) {
+  const whereClause = { candidate_id: candidateId };
+  if (options.type) whereClause.type = options.type;
+  if (options.status) whereClause.status = options.status;
+  return PaginationService.paginate({
+    model: ResumeJob,
+    page: options.page,
+    limit: options.limit,
+    sortBy: "created_at",
+    sortOrder: "DESC",
+    whereClause,
+    attributes: { exclude: ["payload", "sections", "result"] },
+    allowedSortFields: ["created_at"],
+  });
+}
+
+/**
+ * Follow a job until it finishes. send(event, data) gets, without repeats:
+ * status (the job, once), progress ({ status, stage, progress }), section
+ * ({ name, content }) and finally completed ({ result }) or failed
+ * ({ error }), after which onEnd is called.
+ * @param {ResumeJob} job - From getResumeJob
+ * @param {Function} send
+ * @param {Function} onEnd
+ * @returns {Function} Stops following the job
+ */
+function watchResumeJob(job, send, onEnd) {
+  const sentSections = new Set();
+  let last = { stage: job.stage, progress: job.progress };
+  let timer = null;
+  let stopped = false;
+
+  function stop() {
+    if (stopped) return;
+    stopped = true;
+    jobEvents.off(job.job_id, sync);
+    clearInterval(timer);
+  }
+
+  function sync(state) {
+    if (stopped) return;
+    if (state.stage !== last.stage || state.progress !== last.progress) {
+      last = { stage: state.stage, progress: state.progress };
+      send("progress", {
+        status: state.status,
+        stage: state.stage,
+        progress: state.progress,
+      });
+    }
+    for (const [name, content] of Object.entries(state.sections || {})) {
+      if (sentSections.has(name)) continue;
+      sentSections.add(name);
+      send("section", { name, content });
+    }
+    if (FINISHED_STATUSES.includes(state.status)) {
+      send(
+        state.status === "succeeded" ? "completed" : "failed",
+        state.status === "succeeded"
+          ? { result: state.result }
+          : { error: state.error }
+      );
+      stop();
+      onEnd();
+    }
+  }
+
+  const { sections, result, ...status } = job.toJSON();
+  send("status", status);
+  jobEvents.on(job.job_id, sync);
+  timer = setInterval(async () => {
+    try {
+      const fresh = await ResumeJob.findByPk(job.job_id, {
+        attributes: { exclude: ["payload"] },
+      });
+      if (fresh) sync(fresh.toJSON());
+    } catch (error) {
+      logger?.warn?.("Resume job stream: failed to reload job", {
+        jobId: job.job_id,
+        error: error.message,
+      });
+    }
+  }, WATCH_POLL_MS);
+  sync(job.toJSON());
+  return stop;
+}
+
+/**
+ * Housekeeping for the resume job worker: fail jobs left running by a
+ * stopped process, queue jobs no process has picked up, and delete finished
+ * jobs after RESUME_JOB_RETENTION_DAYS
+ * @returns {Promise<{ failed: number, queued: number, deleted: number }>}
+ */
+async function sweepResumeJobs() {
+  const now = Date.now();
+  const [failed] = await ResumeJob.update(
+    {
+      status: "failed",
+      error: {
+        message: "The job was interrupted. Please start it again.",
+        status: 500,
+        details: null,
+      },
+      finished_at: new Date(now),
+    },
+    {
+      where: {
+        status: "running",
+        updated_at: { [Op.lt]: new Date(now - staleAfterMs()) },
+      },
+    }
+  );
+
+  const waiting = await ResumeJob.findAll({
+    where: { status: "queued" },
+    attributes: ["job_id"],
+    order: [["created_at", "ASC"]],
+  });
+  waiting.forEach((job) => enqueue(job.job_id));
+
+  const deleted = await ResumeJob.destroy({
+    where: {
+      status: { [Op.in]: FINISHED_STATUSES },
+      finished_at: {
+        [Op.lt]: new Date(now - RETENTION_DAYS * 24 * 60 * 60 * 1000),
+      },
+    },
+  });
+  return { failed, queued: waiting.length, deleted };
+}
+
+module.exports = {
+  JOB_TYPES,
+  JOB_STATUSES,
+  createGenerationJob,
+  createParseJob,
+  getResumeJob,
+  listResumeJobs,
+  watchResumeJob,
+  sweepResumeJobs,
+};
@@ -1,13 +1,33 @@
-const pdfParse = require("pdf-parse");
+const db = require("../models");
 const logger = require("../config/logger");
 const { findCountryByName } = require("./country.service");
 const { findJobCategoryByName } = require("./jobCategory.service");
-// Uses fetch-based OpenAI API calls to stay consistent with candidate.service.js
-
-async function extractTextFromPdf(buffer) {
-  const result = await pdfParse(buffer);
-  return (result.text || "").trim();
-}
+const {
+  SUPPORTED_FORMATS_LABEL,
+  detectDocumentType,
+  extractDocumentText,
+} = require("../utils/documentText");
+const { parseResumeText } = require("./resumeRuleParser.service");
+const { isLlmConfigured, completeJson } = require("./llm.service");
+const { parsedResumeSchema } = require("../llm/schemas");
+
+const { Country, JobCategory } = db;
+
+const PARSED_FIELDS = [
+  "full_name",
+  "email",
+  "seniority_level",
+  "job_category",
+  "country",
+  "phone_no",
+  "address",
+  "work_experience",
+  "education",
+  "skills",
+];
+
+// Pattern matches are more reliable than the model for these
+const RULES_FIRST_FIELDS = ["email", "phone_no"];
 
 function buildSystemPrompt() {
   return (
@@ -20,6 +40,7 @@ function buildUserPrompt(resumeText) {
   const schemaHint = `Return JSON with the following exact shape:
 {
   "full_name": string | null,
+  "email": string | null,
   "seniority_level": string | null,
   "job_category": { "label": string | null } | null,
   "country": { "label": string | null } | null,
@@ -36,57 +57,15 @@ function buildUserPrompt(resumeText) {
   return `Parse the following resume text and extract fields. ${schemaHint}\n\nRESUME TEXT:\n\n${resumeText}`;
 }
 
-async function callOpenAIForExtraction(resumeText) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  // System prompt augmented to enforce strict JSON only responses
-  const systemMsg =
-    "You are a helpful assistant that responds with strict JSON only, adhering to the provided schema, with no markdown or additional text. " +
-    buildSystemPrompt();
-  const userMsg = buildUserPrompt(resumeText);
-
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemMsg },
-        { role: "user", content: userMsg },
-      ],
-      temperature: 0.7,
-      // response_format: { type: "json_object" }, // enable if supported
-    }),
+async function extractWithModel(resumeText, candidateId) {
+  const { parsed } = await completeJson({
+    feature: "resume_parse",
+    system: buildSystemPrompt(),
+    prompt: buildUserPrompt(resumeText),
+    schema: parsedResumeSchema,
+    candidateId,
   });
-
-  if (!response.ok) {
-    const errText = await response.text();
-    const err = new Error("Failed to get response from OpenAI");
-    err.status = 502;
-    err.details = errText;
-    throw err;
-  }
-
-  const data = await response.json();
-  let message = data?.choices?.[0]?.message?.content || null;
-  if (!message) {
-    const err = new Error("No content returned from OpenAI");
-    err.status = 502;
-    throw err;
-  }
-
-  try {
-    // Clean potential code fences and parse to JSON
-    message = message.replace(/```json\n|\n```/g, "").trim();
-    return JSON.parse(message);
-  } catch (e) {
-    logger?.warn?.("OpenAI JSON parse failed; returning empty structure", {
-      error: e.message,
-    });
-    return {};
-  }
+  return parsed;
 }
 
 function coalesceString(v) {
@@ -138,28 +117,15 @@ async function mapLookupsToIds(parsed) {
   return result;
 }
 
-async function parsePdfResume(buffer) {
-  if (!process.env.OPENAI_API_KEY) {
-    const msg = "OPENAI_API_KEY is not configured";
-    logger?.error?.(msg);
-    const err = new Error(msg);
-    err.status = 500;
-    throw err;
-  }
-  const text = await extractTextFromPdf(buffer);
-  if (!text) {
-    const err = new Error("Failed to extract text from PDF");
-    err.status = 400;
-    throw err;
-  }
-  const raw = await callOpenAIForExtraction(text);
-
-  // Normalize minimally to expected shape
-  const normalized = {
+function normalizeParsed(raw) {
+  return {
     full_name: coalesceString(raw.full_name),
+    email: coalesceString(raw.email),
     seniority_level: coalesceString(raw.seniority_level),
-    job_category: raw.job_category || null,
-    country: raw.country || null,
+    job_category: coalesceString(raw.job_category?.label)
+      ? raw.job_category
+      : null,
+    country: coalesceString(raw.country?.label) ? raw.country : null,
     phone_no: coalesceString(raw.phone_no),
     address: coalesceString(raw.address),
     work_experience: Array.isArray(raw.work_experience)
@@ -168,16 +134,115 @@ async function parsePdfResume(buffer) {
     education: Array.isArray(raw.education) ? raw.education : [],
     skills:
       typeof raw.skills === "string"
-        ? raw.skills
+        ? coalesceString(raw.skills)
         : Array.isArray(raw.skills)
         ? raw.skills.join(",")
         : null,
   };
+}
+
+function hasValue(value) {
+  return Array.isArray(value) ? value.length > 0 : value !== null;
+}
+
+// Country and job category names the rule parser looks for in the text
+async function loadVocabulary() {
+  try {
+    const [countries, jobCategories] = await Promise.all([
+      Country.findAll({ attributes: ["country"] }),
+      JobCategory.findAll({ attributes: ["job_category"] }),
+    ]);
+    return {
+      countries: countries.map((c) => c.country),
+      jobCategories: jobCategories.map((jc) => jc.job_category),
+    };
+  } catch (e) {
+    logger?.warn?.("Resume parser vocabulary unavailable", {
+      error: e.message,
+    });
+    return { countries: [], jobCategories: [] };
+  }
+}
+
+/**
+ * Whether parsing calls the model: "auto" (default) does when an LLM provider
+ * is configured; "rules" never does
+ * @returns {boolean}
+ */
+function useModel() {
+  return process.env.RESUME_PARSER_ENGINE !== "rules" && isLlmConfigured();
+}
+
+/**
+ * Extract profile fields from a resume file. The rule parser always runs; the
+ * model runs when configured and its fields win, except email and phone_no.
+ * Fields one engine leaves empty are filled from the other, and if the model
+ * fails the rules' result is returned on its own.
+ * @param {Buffer} buffer - PDF, DOCX, ODT, RTF or TXT; detected from content
+ * @param {Object} [options]
+ * @param {string} [options.candidateId] - Charged for the model call
+ * @param {Function} [options.onProgress] - Called with the stage: reading
+ *   (the document's text), then extracting (the model) when it is used
+ * @returns {Promise<Object>} full_name, email, seniority_level, job_category,
+ *   country, phone_no, address, work_experience, education and skills, plus
+ *   engines: { field: "llm"|"rules"|null } naming where each field came from
+ */
+async function parseResume(
+  buffer,
+  { candidateId = null, onProgress = () => {} } = {}
+) {
+  const type = detectDocumentType(buffer);
+  if (!type) {
+    const err = new Error(`Resume must be a ${SUPPORTED_FORMATS_LABEL} file`);
+    err.status = 400;
+    throw err;
+  }
+  await onProgress("reading");
+  const text = await extractDocumentText(buffer, type);
+  if (!text) {
+    const err = new Error(
+      `Failed to extract text from ${type.toUpperCase()} file`
+    );
+    err.status = 400;
+    throw err;
+  }
+
+  const results = {
+    rules: normalizeParsed(parseResumeText(text, await loadVocabulary())),
+    llm: null,
+  };
+  if (useModel()) {
+    await onProgress("extracting");
+    try {
+      results.llm = normalizeParsed(
+        await extractWithModel(text, candidateId)
+      );
+    } catch (e) {
+      logger?.warn?.("Resume model parsing failed; using rule parser only", {
+        error: e.message,
+        status: e.status,
+      });
+    }
+  }
+
+  const merged = {};
+  const engines = {};
+  for (const field of PARSED_FIELDS) {
+    const order = RULES_FIRST_FIELDS.includes(field)
+      ? ["rules", "llm"]
+      : ["llm", "rules"];
+    const engine = order.find(
+      (name) => results[name] && hasValue(results[name][field])
+    );
+    merged[field] = engine ? results[engine][field] : results.rules[field];
+    engines[field] = engine || null;
+  }
 
-  const mapped = await mapLookupsToIds(normalized);
-  return mapped;
+  const mapped = await mapLookupsToIds(merged);
+  return { ...mapped, engines };
 }
 
 module.exports = {
-  parsePdfResume,
+  parseResume,
+  useModel,
 };
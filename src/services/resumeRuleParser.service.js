@@ -0,0 +1,443 @@
+// Deterministic resume parser: reads plain resume text with headings, date
+// ranges and keyword rules, without calling a model. Output has the same shape
+// as the model-based parser in resumeParser.service.js (before country and job
+// category lookups), with null or [] for anything it cannot find.
+
+const SECTION_HEADINGS = {
+  summary: [
+    "summary",
+    "profile",
+    "professional summary",
+    "career summary",
+    "personal profile",
+    "about",
+    "about me",
+    "objective",
+    "career objective",
+  ],
+  experience: [
+    "experience",
+    "work experience",
+    "professional experience",
+    "relevant experience",
+    "employment",
+    "employment history",
+    "work history",
+    "career history",
+    "professional background",
+  ],
+  education: [
+    "education",
+    "education and training",
+    "academic background",
+    "academic qualifications",
+    "qualifications",
+  ],
+  skills: [
+    "skills",
+    "key skills",
+    "technical skills",
+    "core skills",
+    "skills and tools",
+    "core competencies",
+    "competencies",
+    "technologies",
+    "tools",
+    "expertise",
+  ],
+  // Known headings whose content this parser does not use
+  other: [
+    "languages",
+    "certifications",
+    "certificates",
+    "courses",
+    "projects",
+    "interests",
+    "hobbies",
+    "references",
+    "awards",
+    "achievements",
+    "publications",
+    "volunteering",
+    "volunteer experience",
+    "contact",
+    "contact details",
+    "personal details",
+  ],
+};
+
+const HEADING_LOOKUP = new Map(
+  Object.entries(SECTION_HEADINGS).flatMap(([section, names]) =>
+    names.map((name) => [name, section])
+  )
+);
+
+const MONTHS = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  sept: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+};
+
+// "Jan 2020", "January 2020", "01/2020", "2020-01", "2020"
+const DATE =
+  "(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\\.?\\s+\\d{4}|\\d{1,2}[/.]\\d{4}|\\d{4}[-/.]\\d{1,2}|\\d{4})";
+const DATE_RANGE = new RegExp(
+  `(${DATE})\\s*(?:-|–|—|to|until)\\s*(${DATE}|present|current|now|today|ongoing)`,
+  "i"
+);
+
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const URL = /\b(?:https?:\/\/|www\.)\S+|\b(?:linkedin|github)\.com\/\S+/i;
+const PHONE = /(?:\+|\b)\d[\d ()./-]{6,20}\d\b/g;
+const BULLET = /^[•●▪◦‣∙·*–-]\s*/;
+
+const SENIORITY_LEVELS = [
+  [/\b(intern|internship|trainee|apprentice)\b/i, "Intern"],
+  [/\b(junior|jr\.?|graduate|entry[- ]level)\b/i, "Junior"],
+  [/\b(principal|staff)\b/i, "Principal"],
+  [/\b(head of|director|vp|vice president|chief|c[tei]o)\b/i, "Director"],
+  [/\b(lead|team lead|tech lead)\b/i, "Lead"],
+  [/\b(senior|sr\.?)\b/i, "Senior"],
+  [/\b(manager)\b/i, "Manager"],
+  [/\b(mid[- ]level|intermediate)\b/i, "Mid-level"],
+];
+
+const DEGREE =
+  /\b(bachelor|master|doctor|ph\.?d|mba|b\.?sc|m\.?sc|b\.?a|m\.?a|b\.?eng|m\.?eng|b\.?tech|m\.?tech|bs|ms|diploma|associate|certificate|high school|a[- ]levels?|gcse)\b/i;
+const INSTITUTION =
+  /\b(university|universit[éaà]t?|college|institute|school|academy|polytechnic)\b/i;
+const COMPANY =
+  /\b(inc|ltd|llc|llp|plc|gmbh|ag|s\.?a|corp|corporation|company|co|group|labs|technologies|solutions|systems|consulting|bank|agency)\b\.?/i;
+
+function normalizeLine(line) {
+  return line.replace(/\s+/g, " ").trim();
+}
+
+function headingOf(line) {
+  if (line.length > 40 || BULLET.test(line)) return null;
+  const key = line
+    .toLowerCase()
+    .replace(/[:.]+$/, "")
+    .replace(/&/g, "and")
+    .replace(/[^a-z ]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return HEADING_LOOKUP.get(key) || null;
+}
+
+function resumeLines(text) {
+  return String(text || "")
+    .split("\n")
+    .map(normalizeLine)
+    .filter(Boolean);
+}
+
+// Lines before the first heading, and the lines under each known section
+function splitSections(lines) {
+  const sections = { header: [] };
+  let current = "header";
+  for (const line of lines) {
+    const heading = headingOf(line);
+    if (heading) {
+      current = heading;
+      sections[current] = sections[current] || [];
+    } else {
+      sections[current].push(line);
+    }
+  }
+  return sections;
+}
+
+function toIsoDate(value) {
+  const text = value.toLowerCase().trim();
+  let match = /^([a-z]+)\.?\s+(\d{4})$/.exec(text);
+  if (match) {
+    const month = MONTHS[match[1].slice(0, 4)] || MONTHS[match[1].slice(0, 3)];
+    return month ? `${match[2]}-${String(month).padStart(2, "0")}-01` : null;
+  }
+  match = /^(\d{1,2})[/.](\d{4})$/.exec(text);
+  if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) {
+    return `${match[2]}-${match[1].padStart(2, "0")}-01`;
+  }
+  match = /^(\d{4})[-/.](\d{1,2})$/.exec(text);
+  if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+    return `${match[1]}-${match[2].padStart(2, "0")}-01`;
+  }
+  if (/^\d{4}$/.test(text)) return `${text}-01-01`;
+  return null;
+}
+
+/**
+ * Find a date range such as "Jan 2020 – Present" in a line
+ * @param {string} line
+ * @returns {{ start_date: string|null, end_date: string|null, text: string }|null}
+ *   Dates as YYYY-MM-DD; end_date is null for ongoing roles
+ */
+function findDateRange(line) {
+  const match = DATE_RANGE.exec(line);
+  if (!match) return null;
+  return {
+    start_date: toIsoDate(match[1]),
+    end_date: toIsoDate(match[2]),
+    text: match[0],
+  };
+}
+
+function findEmail(text) {
+  return EMAIL.exec(text)?.[0] || null;
+}
+
+function findPhone(text) {
+  for (const match of text.matchAll(PHONE)) {
+    const candidate = match[0].trim();
+    const digits = candidate.replace(/\D/g, "");
+    if (digits.length < 7 || digits.length > 15) continue;
+    // Year ranges ("2019 - 2021") and dates are not phone numbers
+    if (DATE_RANGE.test(candidate)) continue;
+    if (/^\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4}$/.test(candidate)) continue;
+    if (!candidate.startsWith("+") && digits.length < 9) continue;
+    return candidate;
+  }
+  return null;
+}
+
+function isContactLine(line) {
+  return (
+    EMAIL.test(line) || URL.test(line) || Boolean(findPhone(line))
+  );
+}
+
+function looksLikeName(line) {
+  const words = line.split(" ");
+  return (
+    words.length >= 2 &&
+    words.length <= 5 &&
+    line.length <= 60 &&
+    /^[\p{L}][\p{L}' .-]*$/u.test(line)
+  );
+}
+
+function findKnownName(text, names) {
+  const lower = text.toLowerCase();
+  // Longest names first so "South Africa" wins over "Africa"
+  return (
+    [...names]
+      .sort((a, b) => b.length - a.length)
+      .find((name) => {
+        const escaped = name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        return new RegExp(`(^|[^\\p{L}])${escaped}($|[^\\p{L}])`, "u").test(
+          lower
+        );
+      }) || null
+  );
+}
+
+function findSeniority(...texts) {
+  for (const text of texts) {
+    if (!text) continue;
+    for (const [pattern, level] of SENIORITY_LEVELS) {
+      if (pattern.test(text)) return level;
+    }
+  }
+  return null;
+}
+
+function stripBullet(line) {
+  return line.replace(BULLET, "").trim();
+}
+
+// Split "Title at Company, City" style headers into parts
+function splitHeader(text) {
+  return text
+    .split(/\s+(?:at|@|\||—|–|-)\s+|\s*[|,;]\s*|\s*\(\s*|\s*\)\s*/i)
+    .map((part) => part.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Group a section's lines into dated entries: the header lines just above or
+ * on a date range line, followed by description lines
+ */
+function groupDatedEntries(lines) {
+  const dated = [];
+  lines.forEach((line, index) => {
+    const range = findDateRange(line);
+    if (range) dated.push({ index, range });
+  });
+
+  return dated.map(({ index, range }, i) => {
+    const previousEnd = i > 0 ? dated[i - 1].index + 1 : 0;
+    const header = [];
+    const rest = normalizeLine(
+      lines[index].replace(range.text, "").replace(/[()[\]]/g, " ")
+    ).replace(/^[,|–—-]+|[,|–—-]+$/g, "");
+    if (rest) header.push(rest.trim());
+
+    // Up to two non-bullet lines right above the date line
+    for (let j = index - 1; j >= previousEnd && header.length < 3; j--) {
+      if (BULLET.test(lines[j]) || lines[j].length > 120) break;
+      header.unshift(lines[j]);
+    }
+
+    const nextStart = i + 1 < dated.length ? dated[i + 1].index : lines.length;
+    const body = lines.slice(index + 1, nextStart);
+    // Header lines of the next entry sit above its date line
+    if (i + 1 < dated.length) {
+      while (body.length && !BULLET.test(body[body.length - 1])) {
+        const candidate = body[body.length - 1];
+        if (candidate.length > 80 || body.length <= 1) break;
+        body.pop();
+        if (body.length && BULLET.test(body[body.length - 1])) break;
+      }
+    }
+    return { header, range, body: body.map(stripBullet).filter(Boolean) };
+  });
+}
+
+function parseExperience(lines) {
+  return groupDatedEntries(lines).map(({ header, range, body }) => {
+    const parts = header.flatMap(splitHeader);
+    let [jobTitle = null, companyName = null, ...others] = parts;
+    // "Acme Ltd — Senior Engineer": the company came first
+    if (COMPANY.test(jobTitle || "") && !COMPANY.test(companyName || "")) {
+      [jobTitle, companyName] = [companyName, jobTitle];
+    }
+    return {
+      job_title: jobTitle,
+      company_name: companyName,
+      location: others.length ? others.join(", ") : null,
+      start_date: range.start_date,
+      end_date: range.end_date,
+      description: body.length ? body.join("\n") : null,
+    };
+  });
+}
+
+function parseEducation(lines) {
+  return groupDatedEntries(lines).map(({ header, range, body }) => {
+    const parts = header.flatMap(splitHeader);
+    const degreePart = parts.find((p) => DEGREE.test(p)) || parts[0] || null;
+    const university =
+      parts.find((p) => p !== degreePart && INSTITUTION.test(p)) ||
+      parts.find((p) => p !== degreePart) ||
+      null;
+    const majorMatch = degreePart
+      ? /\b(?:in|of)\s+(.+)$/i.exec(degreePart)
+      : null;
+    return {
+      degree: degreePart,
+      major: majorMatch ? majorMatch[1].trim() : null,
+      university,
+      start_date: range.start_date,
+      end_date: range.end_date,
+      description: body.length ? body.join("\n") : null,
+    };
+  });
+}
+
+function parseSkills(lines) {
+  const skills = [];
+  for (const line of lines) {
+    // "Languages: JavaScript, Go" keeps only the list
+    const list = stripBullet(line).replace(/^[^:,]{1,30}:\s*/, "");
+    for (const item of list.split(/\s*(?:[,;|•·]|\s\/\s)\s*/)) {
+      const skill = item.replace(/\.$/, "").trim();
+      if (
+        skill &&
+        skill.length <= 40 &&
+        !skills.some((s) => s.toLowerCase() === skill.toLowerCase())
+      ) {
+        skills.push(skill);
+      }
+    }
+  }
+  return skills.slice(0, 50);
+}
+
+/**
+ * Split resume text into its sections by heading (see SECTION_HEADINGS)
+ * @param {string} text - Plain text (see utils/documentText)
+ * @returns {Object<string, string[]>} Non-empty lines under each heading
+ *   found; header holds the lines before the first heading
+ */
+function sectionsOf(text) {
+  return splitSections(resumeLines(text));
+}
+
+/**
+ * Parse resume text with rules
+ * @param {string} text - Plain text (see utils/documentText)
+ * @param {Object} [vocabulary] - Names to look for
+ * @param {string[]} [vocabulary.countries] - Country names
+ * @param {string[]} [vocabulary.jobCategories] - Job category names
+ * @returns {Object} Same fields as the model-based parser plus email;
+ *   job_category and country are { label } or null
+ */
+function parseResumeText(text, { countries = [], jobCategories = [] } = {}) {
+  const lines = resumeLines(text);
+  const sections = splitSections(lines);
+  const header = sections.header.slice(0, 12);
+  const headerText = header.join("\n");
+
+  const fullName = header.find(
+    (line) => !isContactLine(line) && looksLikeName(line)
+  );
+  const nameIndex = header.indexOf(fullName);
+  // The line under the name is usually the current or target title
+  const title =
+    nameIndex >= 0 &&
+    header[nameIndex + 1] &&
+    !isContactLine(header[nameIndex + 1])
+      ? header[nameIndex + 1]
+      : null;
+
+  const workExperience = parseExperience(sections.experience || []);
+  const education = parseEducation(sections.education || []);
+  const skills = parseSkills(sections.skills || []);
+
+  const countryName = findKnownName(headerText, countries);
+  const address =
+    header.find(
+      (line) =>
+        line !== fullName &&
+        line !== title &&
+        !EMAIL.test(line) &&
+        !URL.test(line) &&
+        (line.includes(",") ||
+          (countryName && findKnownName(line, [countryName])))
+    ) || null;
+
+  const latestTitle = workExperience[0]?.job_title || null;
+  const jobCategory =
+    findKnownName([title, latestTitle].filter(Boolean).join("\n"), jobCategories);
+
+  return {
+    full_name: fullName || null,
+    email: findEmail(headerText) || findEmail(lines.join("\n")),
+    seniority_level: findSeniority(title, latestTitle),
+    job_category: jobCategory ? { label: jobCategory } : null,
+    country: countryName ? { label: countryName } : null,
+    phone_no: findPhone(headerText) || findPhone(lines.join("\n")),
+    address: address ? address.replace(/^address:\s*/i, "") : null,
+    work_experience: workExperience,
+    education,
+    skills: skills.length ? skills.join(",") : null,
+  };
+}
+
+module.exports = {
+  SECTION_HEADINGS,
+  findDateRange,
+  sectionsOf,
+  parseResumeText,
+};
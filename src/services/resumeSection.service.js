@@ -0,0 +1,345 @@
+const db = require("../models");
+const logger = require("../config/logger");
+const { findCandidateById } = require("./candidate.service");
+const { findResume } = require("./candidateResume.service");
+const { findVersion } = require("./resumeVersion.service");
+const { storeGeneratedResume } = require("./resumeDocument.service");
+const { completeJson } = require("./llm.service");
+const {
+  summarySectionSchema,
+  experienceSectionSchema,
+  educationSectionSchema,
+} = require("../llm/schemas");
+const { FORMATS } = require("../resumes/resumeRenderer");
+const { httpError } = require("../utils/errorHelper");
+
+const { ResumeVersion, Country, JobCategory } = db;
+
+const SECTIONS = ["summary", "experience", "education"];
+
+// Context about the rest of the resume sent with a section
+const PROMPT_EXPERIENCE_LIMIT = 5;
+const PROMPT_DESCRIPTION_CHARS = 400;
+
+function listOf(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function truncate(text, length) {
+  const value = String(text || "").trim();
+  return value.length > length ? `${value.slice(0, length)}...` : value;
+}
+
+// The generated version to start from: version_id, else the current file of
+// the targeted resume (resume_id) or of the profile
+async function findBaseVersion(candidateId, { version_id, resume_id }) {
+  if (version_id) {
+    const version = await findVersion(candidateId, version_id);
+    if (version.source !== "generated") {
+      throw httpError(
+        "Only generated resume versions can have a section regenerated",
+        409
+      );
+    }
+    return version;
+  }
+
+  const owner = resume_id
+    ? await findResume(candidateId, resume_id)
+    : await findCandidateById(candidateId);
+  const version = owner?.resume_key
+    ? await ResumeVersion.findOne({
+        where: {
+          candidate_id: candidateId,
+          resume_id: resume_id || null,
+          resume_key: owner.resume_key,
+        },
+        order: [["version_number", "DESC"]],
+      })
+    : null;
+  if (!version || version.source !== "generated") {
+    throw httpError(
+      "The current resume was not generated here. Generate a resume first, or pick a generated version with version_id.",
+      409
+    );
+  }
+  return version;
+}
+
+// generateResumeFromProfile output rebuilt from a version snapshot
+async function resumeFromVersion(version, candidate) {
+  const snapshot = version.snapshot || {};
+  const [jobCategory, country] = await Promise.all([
+    snapshot.job_category_id
+      ? JobCategory.findByPk(snapshot.job_category_id)
+      : null,
+    snapshot.country_id ? Country.findByPk(snapshot.country_id) : null,
+  ]);
+  return {
+    candidate_name: snapshot.full_name || candidate.full_name,
+    job_category_id: snapshot.job_category_id || null,
+    job_category_name: jobCategory?.job_category || null,
+    country_id: snapshot.country_id || null,
+    country_name: country?.country || null,
+    email: candidate.email || null,
+    phone_no: snapshot.phone_no || null,
+    address: snapshot.address || null,
+    seniority_level: snapshot.seniority_level || null,
+    summary: snapshot.summary || "",
+    experience: listOf(snapshot.work_experience),
+    skills: listOf(snapshot.skills),
+    education: listOf(snapshot.education),
+  };
+}
+
+// A targeted resume keeps its own content, which the candidate can edit after
+// generating it (PUT /api/candidate/resumes/:resumeId); that content wins over the
+// snapshot taken when the file was generated
+function withCurrentContent(resume, target) {
+  return {
+    ...resume,
+    summary: target.summary ?? resume.summary,
+    experience: Array.isArray(target.work_experience)
+      ? target.work_experience
+      : resume.experience,
+    skills: Array.isArray(target.skills) ? target.skills : resume.skills,
+    education: Array.isArray(target.education)
+      ? target.education
+      : resume.education,
+  };
+}
+
+// Entries of the section to rewrite; experience needs one, education
+// defaults to all of them
+function sectionTargets(resume, section, index) {
+  if (section === "summary") return [];
+  const entries =
+    section === "experience" ? resume.experience : resume.education;
+  if (!entries.length) {
+    throw httpError(`This resume has no ${section} entries to rewrite`, 409);
+  }
+  if (index === undefined) return entries.map((_, i) => i);
+  if (index >= entries.length) {
+    throw httpError(
+      `index must be less than ${entries.length}; this resume has ${entries.length} ${section} entries`,
+      400
+    );
+  }
+  return [index];
+}
+
+function buildSystemPrompt() {
+  return (
+    "You are a senior resume writer who rewrites one section of an existing resume at a time. " +
+    "Use only facts from the resume; never invent employers, dates, degrees, figures or skills."
+  );
+}
+
+function buildContext(resume) {
+  const experience = resume.experience
+    .slice(0, PROMPT_EXPERIENCE_LIMIT)
+    .map((e) => ({
+      job_title: e.job_title,
+      company_name: e.company_name,
+      start_date: e.start_date,
+      end_date: e.end_date || null,
+      description: truncate(e.description, PROMPT_DESCRIPTION_CHARS),
+    }));
+  const education = resume.education.map((e) => ({
+    degree: e.degree,
+    institution_name: e.institution_name,
+  }));
+
+  return `Candidate Name: ${resume.candidate_name}
+Target Role: ${resume.job_category_name || ""}
+Seniority: ${resume.seniority_level || ""}
+Country: ${resume.country_name || ""}
+Summary: ${resume.summary}
+Work Experience (JSON): ${JSON.stringify(experience)}
+Skills (JSON): ${JSON.stringify(resume.skills)}
+Education (JSON): ${JSON.stringify(education)}`;
+}
+
+function buildSectionPrompt(resume, section, targets, instructions) {
+  const request = instructions
+    ? `\nCandidate's instructions: ${instructions}\n`
+    : "";
+
+  if (section === "summary") {
+    return `Rewrite the summary of the resume below.
+
+${buildContext(resume)}
+${request}
+Instructions:
+- 200-300 words unless the candidate's instructions ask otherwise.
+- Keep the language of the current summary.
+
+JSON Schema:
+{
+  "summary": "string"
+}`;
+  }
+
+  if (section === "experience") {
+    const entry = resume.experience[targets[0]];
+    return `Rewrite the description and achievements of one experience entry of the resume below.
+
+${buildContext(resume)}
+
+Entry to rewrite (JSON): ${JSON.stringify(entry)}
+${request}
+Instructions:
+- description: 80-150 words; 2-5 achievements, unless the candidate's instructions ask otherwise.
+- Keep the job title, company, location and dates; only the description and achievements change.
+- Keep the language of the current entry.
+
+JSON Schema:
+{
+  "description": "string",
+  "achievements": ["string"]
+}`;
+  }
+
+  const entries = targets.map((i) => resume.education[i]);
+  return `Rewrite the description of each education entry below, from the resume below.
+
+${buildContext(resume)}
+
+Entries to rewrite (JSON): ${JSON.stringify(entries)}
+${request}
+Instructions:
+- 40-80 words each, unless the candidate's instructions ask otherwise.
+- Return exactly ${entries.length} ${entries.length === 1 ? "entry" : "entries"}, in the same order.
+- Keep the language of the current entries.
+
+JSON Schema:
+{
+  "education": [{ "description": "string" }]
+}`;
+}
+
+function sectionSchema(section, targets) {
+  if (section === "summary") return summarySectionSchema;
+  if (section === "experience") return experienceSectionSchema;
+  return educationSectionSchema.refine(
+    (reply) => reply.education.length === targets.length,
+    {
+      message: `must have exactly ${targets.length} entries`,
+      path: ["education"],
+    }
+  );
+}
+
+function applySection(resume, section, targets, parsed) {
+  if (section === "summary") return { ...resume, summary: parsed.summary };
+  if (section === "experience") {
+    const experience = [...resume.experience];
+    experience[targets[0]] = {
+      ...experience[targets[0]],
+      description: parsed.description,
+      achievements: parsed.achievements,
+    };
+    return { ...resume, experience };
+  }
+  const education = [...resume.education];
+  targets.forEach((target, i) => {
+    education[target] = {
+      ...education[target],
+      description: parsed.education[i].description,
+    };
+  });
+  return { ...resume, education };
+}
+
+function formatOf(version) {
+  return (
+    Object.keys(FORMATS).find(
+      (format) => FORMATS[format].mimeType === version.mime_type
+    ) || "pdf"
+  );
+}
+
+/**
+ * Rewrite one section of a generated resume with the LLM and store the result
+ * as a new generated version; every other section is kept as it was.
+ * Starts from version_id, else from the current file of the targeted resume
+ * (resume_id) or the profile, which must be a generated one. A targeted
+ * resume starts from its current content, edits included, and only the
+ * rewritten section is saved back onto it.
+ * @param {string} candidateId
+ * @param {"summary"|"experience"|"education"} section
+ * @param {Object} [options] - Validated request
+ * @param {string} [options.resume_id]
+ * @param {string} [options.version_id]
+ * @param {number} [options.index] - Experience entry (required) or education
+ *   entry (default: every entry), counting from 0
+ * @param {string} [options.instructions] - e.g. "more concise"
+ * @param {"pdf"|"docx"} [options.format] - Default: the format of the version
+ *   it starts from
+ * @returns {Promise<Object>} section, index, based_on (version_id and
+ *   version_number), resume (the full generated resume) and file (see
+ *   storeGeneratedResume)
+ */
+async function regenerateResumeSection(candidateId, section, options = {}) {
+  if (!SECTIONS.includes(section)) {
+    throw httpError(`section must be one of: ${SECTIONS.join(", ")}`, 400);
+  }
+  const candidate = await findCandidateById(candidateId);
+  if (!candidate) throw httpError("Candidate not found", 404);
+
+  const version = await findBaseVersion(candidateId, options);
+  let resume = await resumeFromVersion(version, candidate);
+  // An explicit version_id starts from that version as it was generated
+  if (version.resume_id && !options.version_id) {
+    resume = withCurrentContent(
+      resume,
+      await findResume(candidateId, version.resume_id)
+    );
+  }
+  const targets = sectionTargets(resume, section, options.index);
+
+  const { parsed } = await completeJson({
+    feature: "resume_section",
+    system: buildSystemPrompt(),
+    prompt: buildSectionPrompt(
+      resume,
+      section,
+      targets,
+      options.instructions
+    ),
+    schema: sectionSchema(section, targets),
+    candidateId,
+  });
+
+  const updated = applySection(resume, section, targets, parsed);
+  const file = await storeGeneratedResume(
+    candidateId,
+    updated,
+    options.format || formatOf(version),
+    version.resume_id,
+    { sections: options.version_id ? undefined : [section] }
+  );
+
+  logger?.info?.("Resume section regenerated", {
+    candidateId,
+    section,
+    index: options.index ?? null,
+    baseVersionId: version.version_id,
+    versionId: file.version_id,
+  });
+  return {
+    section,
+    index: options.index ?? null,
+    based_on: {
+      version_id: version.version_id,
+      version_number: version.version_number,
+    },
+    resume: updated,
+    file,
+  };
+}
+
+module.exports = {
+  SECTIONS,
+  regenerateResumeSection,
+};
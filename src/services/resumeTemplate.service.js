@@ -0,0 +1,272 @@
+const db = require("../models");
+const logger = require("../config/logger");
+const {
+  findCandidateById,
+  updateCandidateById,
+} = require("./candidate.service");
+const { renderResume } = require("../resumes/resumeRenderer");
+const { loadBuiltinTemplates } = require("../resumes/builtinTemplates");
+const SAMPLE_RESUME = require("../resumes/sampleResume");
+const { UUID_PATTERN, httpError } = require("../utils/errorHelper");
+
+const { ResumeTemplate } = db;
+
+// Catalog fields; the layout source is only returned by the admin detail view
+const SUMMARY_ATTRIBUTES = [
+  "template_id",
+  "slug",
+  "name",
+  "description",
+  "sections",
+  "theme",
+  "is_default",
+  "is_active",
+  "sort_order",
+  "created_at",
+  "updated_at",
+];
+
+const CATALOG_ORDER = [
+  ["sort_order", "ASC"],
+  ["name", "ASC"],
+];
+
+async function findTemplate(templateId, { activeOnly = false } = {}) {
+  if (!UUID_PATTERN.test(String(templateId || ""))) {
+    throw httpError("Resume template not found", 404);
+  }
+  const where = { template_id: templateId };
+  if (activeOnly) where.is_active = true;
+  const template = await ResumeTemplate.findOne({ where });
+  if (!template) throw httpError("Resume template not found", 404);
+  return template;
+}
+
+// Render the sample resume to catch layouts that fail at render time. Only
+// the unsaved fields are passed: with template_id and the old updated_at the
+// renderer would reuse the layout compiled before this edit.
+function assertLayoutRenders({ layout, sections, theme }) {
+  try {
+    renderResume(SAMPLE_RESUME, "pdf", { layout, sections, theme });
+  } catch (err) {
+    throw httpError(`Layout could not be rendered: ${err.message}`, 400);
+  }
+}
+
+async function saveTemplate(template, values, adminId) {
+  try {
+    return await db.sequelize.transaction(async (transaction) => {
+      // Only one template is the default
+      if (values.is_default) {
+        await ResumeTemplate.update(
+          { is_default: false, updated_by: adminId },
+          { where: { is_default: true }, transaction }
+        );
+      }
+      if (template) return template.update(values, { transaction });
+      return ResumeTemplate.create(values, { transaction });
+    });
+  } catch (err) {
+    if (err.name === "SequelizeUniqueConstraintError") {
+      throw httpError("A template with this slug already exists", 409);
+    }
+    throw err;
+  }
+}
+
+/**
+ * All templates for the admin catalog, without layout source
+ * @returns {Promise<ResumeTemplate[]>}
+ */
+async function listTemplates() {
+  return ResumeTemplate.findAll({
+    attributes: SUMMARY_ATTRIBUTES,
+    order: CATALOG_ORDER,
+  });
+}
+
+/**
+ * One template including its layout source
+ * @param {string} templateId
+ * @returns {Promise<ResumeTemplate>}
+ */
+async function getTemplate(templateId) {
+  return findTemplate(templateId);
+}
+
+/**
+ * Create a template. The layout must render the sample resume.
+ * @param {Object} data - Validated template fields
+ * @param {string} adminId
+ * @returns {Promise<ResumeTemplate>}
+ */
+async function createTemplate(data, adminId) {
+  assertLayoutRenders(data);
+  if (data.is_default && data.is_active === false) {
+    throw httpError("The default template must be active", 400);
+  }
+  const template = await saveTemplate(
+    null,
+    { ...data, created_by: adminId, updated_by: adminId },
+    adminId
+  );
+  logger?.info?.("Resume template created", {
+    templateId: template.template_id,
+  });
+  return template;
+}
+
+/**
+ * Update a template. The default template cannot be deactivated or unset;
+ * make another template the default instead.
+ * @param {string} templateId
+ * @param {Object} data - Validated template fields
+ * @param {string} adminId
+ * @returns {Promise<ResumeTemplate>}
+ */
+async function updateTemplate(templateId, data, adminId) {
+  const template = await findTemplate(templateId);
+  const next = { ...template.get({ plain: true }), ...data };
+  if (template.is_default && data.is_default === false) {
+    throw httpError("Make another template the default instead", 409);
+  }
+  if (next.is_default && next.is_active === false) {
+    throw httpError("The default template must be active", 409);
+  }
+  assertLayoutRenders(next);
+
+  await saveTemplate(template, { ...data, updated_by: adminId }, adminId);
+  logger?.info?.("Resume template updated", { templateId });
+  return template;
+}
+
+/**
+ * Delete a template. Candidates who picked it fall back to the default.
+ * @param {string} templateId
+ * @returns {Promise<ResumeTemplate>} The deleted template
+ */
+async function deleteTemplate(templateId) {
+  const template = await findTemplate(templateId);
+  if (template.is_default) {
+    throw httpError("The default template cannot be deleted", 409);
+  }
+  await template.destroy();
+  logger?.info?.("Resume template deleted", { templateId });
+  return template;
+}
+
+/**
+ * Template used to render a candidate's resume: their active choice, else the
+ * default template, else the built-in classic layout
+ * @param {Object} candidate - Candidate with resume_template_id
+ * @returns {Promise<Object>} ResumeTemplate or built-in template
+ */
+async function resolveCandidateTemplate(candidate) {
+  if (candidate?.resume_template_id) {
+    const chosen = await ResumeTemplate.findOne({
+      where: { template_id: candidate.resume_template_id, is_active: true },
+    });
+    if (chosen) return chosen;
+  }
+  const fallback = await ResumeTemplate.findOne({
+    where: { is_default: true, is_active: true },
+  });
+  return fallback || loadBuiltinTemplates().find((t) => t.is_default);
+}
+
+/**
+ * Active templates for a candidate, flagging the one their resumes use
+ * @param {string} candidateId
+ * @returns {Promise<{ selected_template_id: string|null, templates: Object[] }>}
+ */
+async function listTemplatesForCandidate(candidateId) {
+  const candidate = await findCandidateById(candidateId);
+  const templates = await ResumeTemplate.findAll({
+    where: { is_active: true },
+    attributes: SUMMARY_ATTRIBUTES.filter((a) => a !== "is_active"),
+    order: CATALOG_ORDER,
+  });
+  const current = await resolveCandidateTemplate(candidate);
+
+  return {
+    selected_template_id: current.template_id || null,
+    templates: templates.map((template) => ({
+      ...template.get({ plain: true }),
+      selected: template.template_id === current.template_id,
+    })),
+  };
+}
+
+/**
+ * Remember the template used for a candidate's resumes
+ * @param {string} candidateId
+ * @param {string|null} templateId - null returns to the default template
+ * @returns {Promise<{ selected_template_id: string|null, templates: Object[] }>}
+ */
+async function selectTemplate(candidateId, templateId) {
+  if (templateId) await findTemplate(templateId, { activeOnly: true });
+  await updateCandidateById(candidateId, {
+    resume_template_id: templateId,
+    updated_by: candidateId,
+  });
+  return listTemplatesForCandidate(candidateId);
+}
+
+// Resume fields from the candidate's saved profile
+function profileToResume(candidate) {
+  return {
+    candidate_name: candidate.full_name,
+    job_category_name: candidate.job_category?.job_category || null,
+    seniority_level: candidate.seniority_level,
+    email: candidate.email,
+    phone_no: candidate.phone_no,
+    address: candidate.address,
+    summary: candidate.summary || "",
+    experience: Array.isArray(candidate.work_experience)
+      ? candidate.work_experience
+      : [],
+    skills: Array.isArray(candidate.skills) ? candidate.skills : [],
+    education: Array.isArray(candidate.education) ? candidate.education : [],
+  };
+}
+
+/**
+ * Render the sample resume with a template
+ * @param {string} templateId
+ * @param {"pdf"|"docx"} format
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly=false] - Hide inactive templates (404)
+ * @returns {Promise<{ buffer: Buffer, fileName: string, mimeType: string }>}
+ */
+async function renderTemplateSample(templateId, format, { activeOnly } = {}) {
+  const template = await findTemplate(templateId, { activeOnly });
+  const rendered = renderResume(SAMPLE_RESUME, format, template);
+  return { ...rendered, fileName: `${template.slug}-sample.${rendered.format}` };
+}
+
+/**
+ * Render a candidate's saved profile with an active template
+ * @param {string} candidateId
+ * @param {string} templateId
+ * @param {"pdf"|"docx"} format
+ * @returns {Promise<{ buffer: Buffer, fileName: string, mimeType: string }>}
+ */
+async function renderTemplatePreview(candidateId, templateId, format) {
+  const template = await findTemplate(templateId, { activeOnly: true });
+  const candidate = await findCandidateById(candidateId);
+  if (!candidate) throw httpError("Candidate not found", 404);
+  return renderResume(profileToResume(candidate), format, template);
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  resolveCandidateTemplate,
+  listTemplatesForCandidate,
+  selectTemplate,
+  renderTemplateSample,
+  renderTemplatePreview,
+};
@@ -0,0 +1,330 @@
+const db = require("../models");
+const logger = require("../config/logger");
+const PaginationService = require("./pagination.service");
+const {
+  findCandidateById,
+  updateCandidateById,
+} = require("./candidate.service");
+const { fileExists, getSignedUrl } = require("./s3.service");
+const { UUID_PATTERN, httpError } = require("../utils/errorHelper");
+
+const { ResumeVersion, CandidateResume } = db;
+
+const SOURCES = ["uploaded", "generated", "parsed"];
+
+// Profile fields kept in a version snapshot
+const SNAPSHOT_FIELDS = [
+  "full_name",
+  "phone_no",
+  "address",
+  "seniority_level",
+  "job_category_id",
+  "country_id",
+  "summary",
+  "skills",
+  "work_experience",
+  "education",
+];
+
+// Resume content put back when a version is restored
+const RESTORED_FIELDS = ["summary", "skills", "work_experience", "education"];
+
+const DOWNLOAD_URL_EXPIRES_SECONDS = 3600;
+
+function pickSnapshot(data) {
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    snapshot[field] = data[field] ?? null;
+  }
+  return snapshot;
+}
+
+/**
+ * Snapshot of a saved candidate profile (uploads and edits)
+ * @param {Object} candidate - Candidate instance or plain profile
+ * @returns {Object}
+ */
+function snapshotFromProfile(candidate) {
+  const plain =
+    typeof candidate?.toJSON === "function" ? candidate.toJSON() : candidate;
+  return pickSnapshot(plain || {});
+}
+
+/**
+ * Snapshot of generateResumeFromProfile output
+ * @param {Object} resume
+ * @returns {Object}
+ */
+function snapshotFromGenerated(resume) {
+  return pickSnapshot({
+    ...resume,
+    full_name: resume.candidate_name,
+    work_experience: resume.experience,
+  });
+}
+
+/**
+ * Snapshot of parseResume output
+ * @param {Object} parsed
+ * @returns {Object}
+ */
+function snapshotFromParsed(parsed) {
+  const skills =
+    typeof parsed.skills === "string"
+      ? parsed.skills
+          .split(",")
+          .map((skill) => skill.trim())
+          .filter(Boolean)
+      : parsed.skills;
+  return pickSnapshot({
+    ...parsed,
+    skills,
+    job_category_id: parsed.job_category?.value || null,
+    country_id: parsed.country?.value || null,
+  });
+}
+
+const RESUME_ATTRIBUTES = ["resume_id", "name", "resume_key"];
+
+/**
+ * One of a candidate's versions with its targeted resume (404 if it is not
+ * theirs)
+ * @param {string} candidateId
+ * @param {string} versionId
+ * @returns {Promise<ResumeVersion>}
+ */
+async function findVersion(candidateId, versionId) {
+  if (!UUID_PATTERN.test(String(versionId || ""))) {
+    throw httpError("Resume version not found", 404);
+  }
+  const version = await ResumeVersion.findOne({
+    where: { version_id: versionId, candidate_id: candidateId },
+    include: [
+      { model: CandidateResume, as: "resume", attributes: RESUME_ATTRIBUTES },
+    ],
+  });
+  if (!version) throw httpError("Resume version not found", 404);
+  return version;
+}
+
+// Current when it is still the file of the resume it belongs to: a targeted
+// resume, or the profile resume when resume_id is null
+function isCurrentVersion(version, candidate) {
+  const currentKey = version.resume_id
+    ? version.resume?.resume_key
+    : candidate?.resume_key;
+  return version.resume_key === currentKey;
+}
+
+function describeVersion(version, candidate) {
+  const { resume, ...data } = version.toJSON();
+  return {
+    ...data,
+    resume_name: resume?.name || null,
+    is_current: isCurrentVersion(version, candidate),
+  };
+}
+
+/**
+ * Record a stored resume file as the candidate's next version
+ * @param {Object} params
+ * @param {string} params.candidateId
+ * @param {string|null} [params.resumeId] - Targeted resume the file belongs to
+ * @param {"uploaded"|"generated"|"parsed"} params.source
+ * @param {string} params.key - S3 key of the file
+ * @param {string} [params.fileName]
+ * @param {string} [params.mimeType]
+ * @param {Object} params.snapshot - See snapshotFrom* helpers
+ * @returns {Promise<ResumeVersion>}
+ */
+async function recordResumeVersion({
+  candidateId,
+  resumeId = null,
+  source,
+  key,
+  fileName,
+  mimeType,
+  snapshot,
+}) {
+  // Two uploads at once can pick the same number; the unique index rejects
+  // one of them and it retries with the next number
+  for (let attempt = 1; ; attempt++) {
+    const latest = await ResumeVersion.max("version_number", {
+      where: { candidate_id: candidateId },
+    });
+    try {
+      const version = await ResumeVersion.create({
+        candidate_id: candidateId,
+        resume_id: resumeId,
+        version_number: (latest || 0) + 1,
+        source,
+        resume_key: key,
+        file_name: fileName || null,
+        mime_type: mimeType || null,
+        snapshot,
+      });
+      logger?.info?.("Resume version recorded", {
+        candidateId,
+        versionNumber: version.version_number,
+        source,
+      });
+      return version;
+    } catch (err) {
+      if (err.name !== "SequelizeUniqueConstraintError" || attempt >= 3) {
+        throw err;
+      }
+    }
+  }
+}
+
+/**
+ * A candidate's resume versions, newest first, without snapshots
+ * @param {string} candidateId
+ * @param {Object} [options] - page, limit, resume_id ("profile" for the
+ *   profile resume only)
+ * @returns {Promise<Object>} Paginated versions; current files have is_current
+ */
+async function listResumeVersions(candidateId, options = {}) {
+  const candidate = await findCandidateById(candidateId);
+  const whereClause = { candidate_id: candidateId };
+  if (options.resume_id) {
+    whereClause.resume_id =
+      options.resume_id === "profile" ? null : options.resume_id;
+  }
+  const result = await PaginationService.paginate({
+    model: ResumeVersion,
+    page: options.page,
+    limit: options.limit,
+    sortBy: "version_number",
+    sortOrder: "DESC",
+    whereClause,
+    attributes: { exclude: ["snapshot"] },
+    include: [
+      { model: CandidateResume, as: "resume", attributes: RESUME_ATTRIBUTES },
+    ],
+    allowedSortFields: ["version_number"],
+  });
+  result.data.data = result.data.data.map((version) =>
+    describeVersion(version, candidate)
+  );
+  return result;
+}
+
+/**
+ * One version with its snapshot and a short-lived download URL
+ * @param {string} candidateId
+ * @param {string} versionId
+ * @returns {Promise<Object>}
+ */
+async function getResumeVersion(candidateId, versionId) {
+  const version = await findVersion(candidateId, versionId);
+  const candidate = await findCandidateById(candidateId);
+  return {
+    ...describeVersion(version, candidate),
+    download_url: await getSignedUrl(
+      version.resume_key,
+      DOWNLOAD_URL_EXPIRES_SECONDS
+    ),
+    expires_in: DOWNLOAD_URL_EXPIRES_SECONDS,
+  };
+}
+
+/**
+ * Make a version current again. Its file becomes resume_key and its summary,
+ * skills, work experience and education are put back, on the targeted resume
+ * it belongs to or else on the profile.
+ * @param {string} candidateId
+ * @param {string} versionId
+ * @returns {Promise<{ version: ResumeVersion, candidate: Candidate, resume: CandidateResume|null }>}
+ */
+async function restoreResumeVersion(candidateId, versionId) {
+  const version = await findVersion(candidateId, versionId);
+  if (!(await fileExists(version.resume_key))) {
+    throw httpError("This version's file is no longer in storage", 409);
+  }
+
+  const restored = { resume_key: version.resume_key };
+  for (const field of RESTORED_FIELDS) {
+    if (version.snapshot?.[field] !== undefined) {
+      restored[field] = version.snapshot[field];
+    }
+  }
+
+  let resume = null;
+  let candidate;
+  if (version.resume_id) {
+    resume = await CandidateResume.findByPk(version.resume_id);
+    await resume.update(restored);
+    candidate = await findCandidateById(candidateId);
+  } else {
+    candidate = await updateCandidateById(candidateId, {
+      ...restored,
+      updated_by: candidateId,
+    });
+  }
+  await version.update({ restored_at: new Date() });
+
+  logger?.info?.("Resume version restored", {
+    candidateId,
+    versionNumber: version.version_number,
+    resumeId: version.resume_id,
+  });
+  return { version, candidate, resume };
+}
+
+/**
+ * Field-level differences between two versions' snapshots
+ * @param {string} candidateId
+ * @param {string} fromId - Older version
+ * @param {string} toId - Newer version
+ * @returns {Promise<{ from: Object, to: Object, changes: Object }>}
+ *   changes is { field: { before, after } }; list fields also get added/removed
+ */
+async function diffResumeVersions(candidateId, fromId, toId) {
+  const [from, to] = await Promise.all([
+    findVersion(candidateId, fromId),
+    findVersion(candidateId, toId),
+  ]);
+
+  const changes = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    const before = from.snapshot?.[field] ?? null;
+    const after = to.snapshot?.[field] ?? null;
+    if (JSON.stringify(before) === JSON.stringify(after)) continue;
+
+    changes[field] = { before, after };
+    if (Array.isArray(before) || Array.isArray(after)) {
+      const key = (item) => JSON.stringify(item);
+      const beforeKeys = new Set((before || []).map(key));
+      const afterKeys = new Set((after || []).map(key));
+      changes[field].added = (after || []).filter(
+        (item) => !beforeKeys.has(key(item))
+      );
+      changes[field].removed = (before || []).filter(
+        (item) => !afterKeys.has(key(item))
+      );
+    }
+  }
+
+  const describe = (version) => ({
+    version_id: version.version_id,
+    resume_id: version.resume_id,
+    version_number: version.version_number,
+    source: version.source,
+    created_at: version.created_at,
+  });
+  return { from: describe(from), to: describe(to), changes };
+}
+
+module.exports = {
+  SOURCES,
+  snapshotFromProfile,
+  snapshotFromGenerated,
+  snapshotFromParsed,
+  recordResumeVersion,
+  findVersion,
+  listResumeVersions,
+  getResumeVersion,
+  restoreResumeVersion,
+  diffResumeVersions,
+};
@@ -50,15 +50,41 @@ async function uploadFile(fileBuffer, fileName, mimeType, folder = "uploads") {
 }
 
 /**
- * Upload resume PDF to S3
- * @param {Buffer} fileBuffer - PDF file buffer
+ * Upload resume file to S3
+ * @param {Buffer} fileBuffer - Resume file buffer
  * @param {string} fileName - Original file name
  * @param {string} candidateId - Candidate ID for folder organization
+ * @param {string} [mimeType="application/pdf"] - File MIME type
  * @returns {Promise<Object>} - Upload result with S3 URL
  */
-async function uploadResume(fileBuffer, fileName, candidateId) {
+async function uploadResume(
+  fileBuffer,
+  fileName,
+  candidateId,
+  mimeType = "application/pdf"
+) {
   const folder = `resumes/${candidateId}`;
-  return uploadFile(fileBuffer, fileName, "application/pdf", folder);
+  return uploadFile(fileBuffer, fileName, mimeType, folder);
+}
+
+/**
+ * Download a file from S3
+ * @param {string} key - S3 object key
+ * @returns {Promise<{ body: Buffer, contentType: string }>} - File contents
+ */
+async function getFile(key) {
+  try {
+    const params = {
+      Bucket: process.env.S3_BUCKET,
+      Key: key,
+    };
+
+    const result = await s3.getObject(params).promise();
+    return { body: result.Body, contentType: result.ContentType };
+  } catch (error) {
+    logger?.error?.("S3 get file error", { error: error.message, key });
+    throw new Error(`Failed to download file from S3: ${error.message}`);
+  }
 }
 
 /**
@@ -221,6 +247,7 @@ function extractKeyFromUrl(url) {
 module.exports = {
   uploadFile,
   uploadResume,
+  getFile,
   deleteFile,
   getSignedUrl,
   fileExists,
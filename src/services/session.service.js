@@ -0,0 +1,300 @@
+const jwt = require("jsonwebtoken");
+const { Op } = require("sequelize");
+const { AuthSession } = require("../models");
+const logger = require("../config/logger");
+const { generateToken, hashToken } = require("../utils/tokenHelper");
+const { httpError } = require("../utils/errorHelper");
+
+const accessTokenExpiresIn = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const refreshTokenTtlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+function generateRefreshSecret() {
+  return generateToken(48);
+}
+
+// Refresh tokens are "<session_id>.<secret>" so the owning session can be found
+// without storing the secret itself
+function splitRefreshToken(refreshToken) {
+  const value = String(refreshToken || "");
+  const dot = value.indexOf(".");
+  if (dot <= 0) return null;
+  return { sessionId: value.slice(0, dot), secret: value.slice(dot + 1) };
+}
+
+function refreshExpiryDate() {
+  return new Date(Date.now() + refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Build the access token payload for a session subject
+ * @param {"candidate"|"user"} subjectType
+ * @param {Object} subject - Candidate or User instance/plain object
+ * @param {string} sessionId
+ * @returns {Object}
+ */
+function buildAccessPayload(subjectType, subject, sessionId) {
+  if (subjectType === "user") {
+    return {
+      user_id: subject.user_id,
+      email: subject.email,
+      name: subject.full_name,
+      role: "admin",
+      sid: sessionId,
+    };
+  }
+  return {
+    candidate_id: subject.candidate_id,
+    email: subject.email,
+    name: subject.full_name,
+    sid: sessionId,
+  };
+}
+
+/**
+ * Sign a short-lived access JWT bound to a session
+ * @param {"candidate"|"user"} subjectType
+ * @param {Object} subject
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function signAccessToken(subjectType, subject, sessionId) {
+  const jwtSecret = process.env.JWT_SECRET;
+  if (!jwtSecret) {
+    throw httpError("Server auth configuration missing", 500);
+  }
+  return jwt.sign(buildAccessPayload(subjectType, subject, sessionId), jwtSecret, {
+    expiresIn: accessTokenExpiresIn,
+  });
+}
+
+/**
+ * Create a new device session and issue an access/refresh token pair
+ * @param {Object} params
+ * @param {"candidate"|"user"} params.subjectType
+ * @param {Object} params.subject - Candidate or User instance
+ * @param {string} [params.userAgent]
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<{ session: AuthSession, accessToken: string, refreshToken: string, expiresIn: string }>}
+ */
+async function createSession({ subjectType, subject, userAgent, ipAddress }) {
+  const subjectId = subjectType === "user" ? subject.user_id : subject.candidate_id;
+  const secret = generateRefreshSecret();
+  const now = new Date();
+
+  const session = await AuthSession.create({
+    subject_type: subjectType,
+    subject_id: subjectId,
+    refresh_token_hash: hashToken(secret),
+    user_agent: userAgent || null,
+    ip_address: ipAddress || null,
+    last_used_at: now,
+    expires_at: refreshExpiryDate(),
+  });
+
+  return {
+    session,
+    accessToken: signAccessToken(subjectType, subject, session.session_id),
+    refreshToken: `${session.session_id}.${secret}`,
+    expiresIn: accessTokenExpiresIn,
+  };
+}
+
+/**
+ * Rotate a refresh token: the presented token is invalidated and a new pair is issued.
+ * Presenting the token that was last rotated away revokes the whole session
+ * (reuse detection); any other wrong secret is only rejected.
+ * @param {Object} params
+ * @param {"candidate"|"user"} params.subjectType
+ * @param {string} params.refreshToken
+ * @param {(subjectId: string) => Promise<Object|null>} params.loadSubject
+ * @param {string} [params.userAgent]
+ * @param {string} [params.ipAddress]
+ * @returns {Promise<{ session: AuthSession, subject: Object, accessToken: string, refreshToken: string, expiresIn: string }>}
+ */
+async function rotateRefreshToken({
+  subjectType,
+  refreshToken,
+  loadSubject,
+  userAgent,
+  ipAddress,
+}) {
+  const invalid = () => httpError("Invalid or expired refresh token", 401);
+
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts || !parts.secret) throw invalid();
+
+  let session;
+  try {
+    session = await AuthSession.findByPk(parts.sessionId);
+  } catch (e) {
+    // Malformed UUIDs are rejected by Postgres
+    throw invalid();
+  }
+  if (!session || session.subject_type !== subjectType) throw invalid();
+  if (session.revoked_at || session.expires_at <= new Date()) throw invalid();
+
+  const presentedHash = hashToken(parts.secret);
+  if (session.refresh_token_hash !== presentedHash) {
+    // Only the token this session last rotated away from counts as a replay;
+    // anything else is a wrong guess and must not let others end the session
+    if (session.previous_refresh_token_hash === presentedHash) {
+      await session.update({
+        revoked_at: new Date(),
+        revoked_reason: "refresh_token_reuse",
+      });
+      logger?.warn?.("Refresh token reuse detected; session revoked", {
+        sessionId: session.session_id,
+        subjectType,
+        subjectId: session.subject_id,
+        ipAddress,
+      });
+    }
+    throw invalid();
+  }
+
+  const subject = await loadSubject(session.subject_id);
+  if (!subject || subject.is_active === false) {
+    await session.update({
+      revoked_at: new Date(),
+      revoked_reason: "subject_unavailable",
+    });
+    throw invalid();
+  }
+
+  // Conditional on the hash that was read, so of two concurrent refreshes
+  // with the same token only one gets a new pair
+  const secret = generateRefreshSecret();
+  const [affected] = await AuthSession.update(
+    {
+      refresh_token_hash: hashToken(secret),
+      previous_refresh_token_hash: presentedHash,
+      last_used_at: new Date(),
+      expires_at: refreshExpiryDate(),
+      user_agent: userAgent || session.user_agent,
+      ip_address: ipAddress || session.ip_address,
+    },
+    {
+      where: {
+        session_id: session.session_id,
+        refresh_token_hash: presentedHash,
+        revoked_at: null,
+      },
+    }
+  );
+  if (affected === 0) throw invalid();
+
+  return {
+    session,
+    subject,
+    accessToken: signAccessToken(subjectType, subject, session.session_id),
+    refreshToken: `${session.session_id}.${secret}`,
+    expiresIn: accessTokenExpiresIn,
+  };
+}
+
+/**
+ * Find a non-revoked, non-expired session for a subject
+ * @param {string} sessionId
+ * @param {"candidate"|"user"} subjectType
+ * @param {string} subjectId
+ * @returns {Promise<AuthSession|null>}
+ */
+async function findActiveSession(sessionId, subjectType, subjectId) {
+  return AuthSession.findOne({
+    where: {
+      session_id: sessionId,
+      subject_type: subjectType,
+      subject_id: subjectId,
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+  });
+}
+
+/**
+ * List active sessions for a subject, newest activity first
+ * @param {"candidate"|"user"} subjectType
+ * @param {string} subjectId
+ * @returns {Promise<AuthSession[]>}
+ */
+async function listActiveSessions(subjectType, subjectId) {
+  return AuthSession.findAll({
+    where: {
+      subject_type: subjectType,
+      subject_id: subjectId,
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+    attributes: [
+      "session_id",
+      "user_agent",
+      "ip_address",
+      "last_used_at",
+      "expires_at",
+      "created_at",
+    ],
+    order: [["last_used_at", "DESC"]],
+  });
+}
+
+/**
+ * Revoke a single session belonging to a subject
+ * @param {"candidate"|"user"} subjectType
+ * @param {string} subjectId
+ * @param {string} sessionId
+ * @param {string} [reason]
+ * @returns {Promise<boolean>} true if a session was revoked
+ */
+async function revokeSession(subjectType, subjectId, sessionId, reason = "logout") {
+  const [affected] = await AuthSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    {
+      where: {
+        session_id: sessionId,
+        subject_type: subjectType,
+        subject_id: subjectId,
+        revoked_at: null,
+      },
+    }
+  );
+  return affected > 0;
+}
+
+/**
+ * Revoke every active session of a subject, optionally keeping one
+ * @param {"candidate"|"user"} subjectType
+ * @param {string} subjectId
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Session to keep (e.g. the current one)
+ * @param {string} [options.reason]
+ * @returns {Promise<number>} number of sessions revoked
+ */
+async function revokeAllSessions(
+  subjectType,
+  subjectId,
+  { exceptSessionId, reason = "revoked" } = {}
+) {
+  const where = {
+    subject_type: subjectType,
+    subject_id: subjectId,
+    revoked_at: null,
+  };
+  if (exceptSessionId) where.session_id = { [Op.ne]: exceptSessionId };
+
+  const [affected] = await AuthSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where }
+  );
+  return affected;
+}
+
+module.exports = {
+  accessTokenExpiresIn,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  findActiveSession,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+};
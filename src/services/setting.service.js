@@ -0,0 +1,29 @@
+const { AppSetting } = require("../models");
+
+/**
+ * Read an application setting
+ * @param {string} key
+ * @param {any} [defaultValue]
+ * @returns {Promise<any>}
+ */
+async function getSetting(key, defaultValue = null) {
+  const row = await AppSetting.findByPk(key);
+  return row && row.value !== null ? row.value : defaultValue;
+}
+
+/**
+ * Create or replace an application setting
+ * @param {string} key
+ * @param {any} value - Any JSON-serialisable value
+ * @param {string} [updatedBy] - Admin user_id
+ * @returns {Promise<any>} The stored value
+ */
+async function setSetting(key, value, updatedBy) {
+  await AppSetting.upsert({ key, value, updated_by: updatedBy || null });
+  return value;
+}
+
+module.exports = {
+  getSetting,
+  setSetting,
+};
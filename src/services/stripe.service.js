@@ -40,6 +40,11 @@ async function getOrCreateCustomer({ candidateId, email, name }) {
   return customer;
 }
 
+async function updateCustomerEmail(customerId, email) {
+  const s = requireStripe();
+  return await s.customers.update(customerId, { email });
+}
+
 async function attachPaymentMethod({ customerId, paymentMethodId }) {
   const s = requireStripe();
   // Attach and set as default
@@ -240,6 +245,7 @@ function constructWebhookEvent({ payload, signature }) {
 
 module.exports = {
   getOrCreateCustomer,
+  updateCustomerEmail,
   attachPaymentMethod,
   createAndConfirmPaymentIntent,
   createPriceForPlan,
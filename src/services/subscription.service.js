@@ -32,6 +32,7 @@ async function getAllSubscriptionPlans(options = {}) {
         "duration_days",
         "price_per_country",
         "is_active",
+        "ai_quota",
         "created_at",
         "updated_at",
       ],
@@ -69,6 +70,7 @@ async function getActiveSubscriptionPlans() {
         "description",
         "duration_days",
         "price_per_country",
+        "ai_quota",
       ],
       order: [["duration_days", "ASC"]],
     });
@@ -130,6 +132,7 @@ async function createSubscriptionPlan(planData, adminId) {
       duration_days: planData.duration_days,
       price_per_country: planData.price_per_country,
       is_active: isActive,
+      ai_quota: planData.ai_quota ?? null,
       stripe_price_id: stripePriceId,
       created_by: adminId,
     });
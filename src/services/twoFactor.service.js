@@ -0,0 +1,357 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { Op } = require("sequelize");
+const { User, UserTwoFactor, UserRecoveryCode } = require("../models");
+const logger = require("../config/logger");
+const { getSetting, setSetting } = require("./setting.service");
+const { revokeAllSessions } = require("./session.service");
+const { hashToken } = require("../utils/tokenHelper");
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+} = require("../utils/totp");
+const { httpError } = require("../utils/errorHelper");
+
+const REQUIRED_SETTING_KEY = "admin_2fa_required";
+const CHALLENGE_TYPE = "admin_2fa_challenge";
+const RECOVERY_CODE_COUNT = 10;
+
+const challengeExpiresIn =
+  process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m";
+
+// Secrets are stored AES-256-GCM encrypted as "<iv>.<tag>.<ciphertext>" (base64url)
+function encryptionKey() {
+  const material =
+    process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!material) throw httpError("Server auth configuration missing", 500);
+  return crypto.createHash("sha256").update(material).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((b) => b.toString("base64url"))
+    .join(".");
+}
+
+function decryptSecret(value) {
+  const [iv, tag, encrypted] = String(value)
+    .split(".")
+    .map((p) => Buffer.from(p, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+}
+
+// Recovery codes look like "a1b2c-3d4e5"; compare case/dash-insensitively
+function normalizeRecoveryCode(code) {
+  return String(code || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+function generateRecoveryCode() {
+  const raw = crypto.randomBytes(5).toString("hex");
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+}
+
+async function replaceRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  await UserRecoveryCode.destroy({ where: { user_id: userId } });
+  await UserRecoveryCode.bulkCreate(
+    codes.map((code) => ({
+      user_id: userId,
+      code_hash: hashToken(normalizeRecoveryCode(code)),
+    }))
+  );
+  return codes;
+}
+
+/**
+ * Whether super-admins have made 2FA mandatory for every admin
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorRequired() {
+  return (await getSetting(REQUIRED_SETTING_KEY, false)) === true;
+}
+
+/**
+ * Whether an admin has confirmed TOTP enrolment
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorEnabled(userId) {
+  const row = await UserTwoFactor.findByPk(userId);
+  return Boolean(row?.enabled_at);
+}
+
+/**
+ * 2FA status for an admin
+ * @param {string} userId
+ * @returns {Promise<{ enabled: boolean, enabled_at: Date|null, required: boolean, recovery_codes_remaining: number }>}
+ */
+async function getTwoFactorStatus(userId) {
+  const [row, required, remaining] = await Promise.all([
+    UserTwoFactor.findByPk(userId),
+    isTwoFactorRequired(),
+    UserRecoveryCode.count({ where: { user_id: userId, used_at: null } }),
+  ]);
+  return {
+    enabled: Boolean(row?.enabled_at),
+    enabled_at: row?.enabled_at || null,
+    required,
+    recovery_codes_remaining: row?.enabled_at ? remaining : 0,
+  };
+}
+
+/**
+ * Start TOTP enrolment: generate a pending secret and its provisioning URI.
+ * Calling again replaces the pending secret.
+ * @param {User} user
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+async function beginEnrollment(user) {
+  const existing = await UserTwoFactor.findByPk(user.user_id);
+  if (existing?.enabled_at) {
+    throw httpError("Two-factor authentication is already enabled", 409);
+  }
+
+  const secret = generateSecret();
+  await UserTwoFactor.upsert({
+    user_id: user.user_id,
+    pending_secret_encrypted: encryptSecret(secret),
+  });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: process.env.APP_NAME || "Next Match",
+    }),
+  };
+}
+
+/**
+ * Confirm enrolment with the first code from the authenticator app.
+ * Issues a fresh set of one-time recovery codes (returned once, stored hashed).
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<{ recoveryCodes: string[] }>}
+ */
+async function confirmEnrollment(userId, code) {
+  const row = await UserTwoFactor.findByPk(userId);
+  if (!row?.pending_secret_encrypted) {
+    throw httpError("No two-factor enrolment in progress", 400);
+  }
+
+  const secret = decryptSecret(row.pending_secret_encrypted);
+  const step = verifyTotp(secret, code);
+  if (step === null) throw httpError("Invalid authentication code", 401);
+
+  await row.update({
+    secret_encrypted: row.pending_secret_encrypted,
+    pending_secret_encrypted: null,
+    enabled_at: new Date(),
+    last_used_step: step,
+  });
+  const recoveryCodes = await replaceRecoveryCodes(userId);
+
+  logger?.info?.("Two-factor authentication enabled", { userId });
+  return { recoveryCodes };
+}
+
+/**
+ * Check a second factor: a TOTP code or an unused recovery code.
+ * Each TOTP step and each recovery code is accepted once.
+ * @param {string} userId
+ * @param {Object} factor
+ * @param {string} [factor.code]
+ * @param {string} [factor.recoveryCode]
+ * @returns {Promise<{ method: "totp"|"recovery_code" }>}
+ */
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const row = await UserTwoFactor.findByPk(userId);
+  if (!row?.enabled_at) {
+    throw httpError("Two-factor authentication is not enabled", 400);
+  }
+
+  if (recoveryCode) {
+    const [claimed] = await UserRecoveryCode.update(
+      { used_at: new Date() },
+      {
+        where: {
+          user_id: userId,
+          code_hash: hashToken(normalizeRecoveryCode(recoveryCode)),
+          used_at: null,
+        },
+      }
+    );
+    if (!claimed) throw httpError("Invalid authentication code", 401);
+    logger?.info?.("Recovery code used", { userId });
+    return { method: "recovery_code" };
+  }
+
+  const lastStep =
+    row.last_used_step === null ? undefined : Number(row.last_used_step);
+  const step = verifyTotp(decryptSecret(row.secret_encrypted), code, {
+    afterStep: lastStep,
+  });
+  if (step === null) throw httpError("Invalid authentication code", 401);
+
+  // Record the step atomically so the same code cannot be replayed concurrently
+  const [claimed] = await UserTwoFactor.update(
+    { last_used_step: step },
+    {
+      where: {
+        user_id: userId,
+        [Op.or]: [
+          { last_used_step: null },
+          { last_used_step: { [Op.lt]: step } },
+        ],
+      },
+    }
+  );
+  if (!claimed) throw httpError("Invalid authentication code", 401);
+  return { method: "totp" };
+}
+
+/**
+ * Replace the recovery codes after re-checking a second factor
+ * @param {string} userId
+ * @param {Object} factor - See verifySecondFactor
+ * @returns {Promise<{ recoveryCodes: string[] }>}
+ */
+async function regenerateRecoveryCodes(userId, factor) {
+  await verifySecondFactor(userId, factor);
+  const recoveryCodes = await replaceRecoveryCodes(userId);
+  return { recoveryCodes };
+}
+
+/**
+ * Turn off 2FA for the admin themself (requires a valid second factor).
+ * Not allowed while 2FA is enforced.
+ * @param {string} userId
+ * @param {Object} factor - See verifySecondFactor
+ * @returns {Promise<void>}
+ */
+async function disableTwoFactor(userId, factor) {
+  if (await isTwoFactorRequired()) {
+    throw httpError("Two-factor authentication is required for all admins", 409);
+  }
+  await verifySecondFactor(userId, factor);
+  await resetTwoFactor(userId);
+}
+
+/**
+ * Remove an admin's 2FA enrolment and recovery codes (e.g. lost device)
+ * @param {string} userId
+ * @returns {Promise<boolean>} true if the admin had 2FA configured
+ */
+async function resetTwoFactor(userId) {
+  const removed = await UserTwoFactor.destroy({ where: { user_id: userId } });
+  await UserRecoveryCode.destroy({ where: { user_id: userId } });
+  if (removed) logger?.info?.("Two-factor authentication reset", { userId });
+  return removed > 0;
+}
+
+/**
+ * Enable or disable mandatory 2FA for every admin.
+ * Enabling revokes the sessions of admins who have not enrolled yet, so they
+ * must go through enrolment at their next login.
+ * @param {boolean} required
+ * @param {string} actorId - Super-admin making the change
+ * @returns {Promise<{ required: boolean, sessionsRevoked: number }>}
+ */
+async function setTwoFactorRequired(required, actorId) {
+  if (required && !(await isTwoFactorEnabled(actorId))) {
+    throw httpError(
+      "Enable two-factor authentication on your own account first",
+      409
+    );
+  }
+
+  await setSetting(REQUIRED_SETTING_KEY, required, actorId);
+
+  let sessionsRevoked = 0;
+  if (required) {
+    const enrolled = await UserTwoFactor.findAll({
+      where: { enabled_at: { [Op.ne]: null } },
+      attributes: ["user_id"],
+    });
+    const enrolledIds = enrolled.map((r) => r.user_id);
+    const notEnrolled = await User.findAll({
+      where: enrolledIds.length
+        ? { user_id: { [Op.notIn]: enrolledIds } }
+        : {},
+      attributes: ["user_id"],
+    });
+    for (const { user_id } of notEnrolled) {
+      sessionsRevoked += await revokeAllSessions("user", user_id, {
+        reason: "two_factor_required",
+      });
+    }
+  }
+
+  logger?.info?.("Admin 2FA requirement changed", {
+    required,
+    actorId,
+    sessionsRevoked,
+  });
+  return { required, sessionsRevoked };
+}
+
+/**
+ * Sign the short-lived token that links the password step to the 2FA step
+ * @param {User} user
+ * @param {"verify"|"enroll"} purpose - "enroll" when 2FA is enforced but not set up yet
+ * @returns {{ challengeToken: string, expiresIn: string }}
+ */
+function signLoginChallenge(user, purpose) {
+  const jwtSecret = process.env.JWT_SECRET;
+  if (!jwtSecret) throw httpError("Server auth configuration missing", 500);
+  const challengeToken = jwt.sign(
+    { typ: CHALLENGE_TYPE, user_id: user.user_id, purpose },
+    jwtSecret,
+    { expiresIn: challengeExpiresIn }
+  );
+  return { challengeToken, expiresIn: challengeExpiresIn };
+}
+
+/**
+ * Verify a login challenge token
+ * @param {string} token
+ * @returns {{ userId: string, purpose: "verify"|"enroll" }}
+ */
+function verifyLoginChallenge(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (e) {
+    throw httpError("Invalid or expired challenge token", 401);
+  }
+  if (decoded?.typ !== CHALLENGE_TYPE || !decoded?.user_id) {
+    throw httpError("Invalid or expired challenge token", 401);
+  }
+  return { userId: decoded.user_id, purpose: decoded.purpose };
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  getTwoFactorStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  resetTwoFactor,
+  setTwoFactorRequired,
+  signLoginChallenge,
+  verifyLoginChallenge,
+};
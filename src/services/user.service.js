@@ -1,4 +1,23 @@
+const bcrypt = require("bcryptjs");
+const { Op } = require("sequelize");
 const { User } = require("../models");
+const PaginationService = require("./pagination.service");
+const { revokeAllSessions } = require("./session.service");
+const { generateToken } = require("../utils/tokenHelper");
+const { httpError } = require("../utils/errorHelper");
+
+// Admin fields that are safe to return from management endpoints
+const adminAttributes = [
+  "user_id",
+  "email",
+  "full_name",
+  "role",
+  "is_active",
+  "created_by",
+  "updated_by",
+  "created_at",
+  "updated_at",
+];
 
 /**
  * Find user by email
@@ -38,33 +57,156 @@ async function updateUserById(userId, data) {
 }
 
 /**
- * Persist API token to user
+ * Replace a user's password with a new plaintext password (hashed here)
  * @param {string} userId
- * @param {string} token
+ * @param {string} password
  * @returns {Promise<void>}
  */
-async function saveApiToken(userId, token) {
-  await User.update({ api_token: token }, { where: { user_id: userId } });
+async function updateUserPassword(userId, password) {
+  const hashed = await bcrypt.hash(password, 10);
+  await User.update(
+    { password: hashed, updated_by: userId },
+    { where: { user_id: userId } }
+  );
+}
+
+/**
+ * List admin users with pagination, search and role/status filters
+ * @param {Object} options
+ * @param {number} [options.page]
+ * @param {number} [options.limit]
+ * @param {string} [options.search]
+ * @param {string} [options.sortBy]
+ * @param {string} [options.sortOrder]
+ * @param {string} [options.role]
+ * @param {boolean|string} [options.is_active]
+ * @returns {Promise<Object>} Paginated response
+ */
+async function listUsers(options = {}) {
+  const whereClause = {};
+  if (options.role) whereClause.role = options.role;
+  if (options.is_active === true || options.is_active === "true") {
+    whereClause.is_active = true;
+  } else if (options.is_active === false || options.is_active === "false") {
+    whereClause.is_active = false;
+  }
+
+  return PaginationService.paginate({
+    model: User,
+    page: options.page,
+    limit: options.limit,
+    search: options.search,
+    sortBy: options.sortBy || "created_at",
+    sortOrder: options.sortOrder || "DESC",
+    whereClause,
+    attributes: adminAttributes,
+    searchableFields: ["full_name", "email"],
+    allowedSortFields: ["full_name", "email", "role", "created_at", "updated_at"],
+  });
+}
+
+/**
+ * Create an invited admin. The password is a random unusable value until the
+ * invitee sets their own through the invite link.
+ * @param {Object} data
+ * @param {string} data.email
+ * @param {string} data.full_name
+ * @param {string} data.role
+ * @param {string} data.created_by - Inviting admin's user_id
+ * @returns {Promise<User>}
+ */
+async function createInvitedUser({ email, full_name, role, created_by }) {
+  const existing = await findUserByEmail(email);
+  if (existing) {
+    throw httpError("An admin with this email already exists", 409);
+  }
+
+  const placeholder = await bcrypt.hash(generateToken(), 10);
+  return User.create({
+    email,
+    full_name,
+    role,
+    password: placeholder,
+    is_active: true,
+    created_by,
+  });
+}
+
+// Refuse changes that would leave no active super admin
+async function assertKeepsSuperAdmin(user, next) {
+  const stillSuperAdmin =
+    (next.role ?? user.role) === "super_admin" &&
+    (next.is_active ?? user.is_active) !== false;
+  if (user.role !== "super_admin" || !user.is_active || stillSuperAdmin) return;
+
+  const others = await User.count({
+    where: {
+      role: "super_admin",
+      is_active: true,
+      user_id: { [Op.ne]: user.user_id },
+    },
+  });
+  if (others === 0) {
+    throw httpError("At least one active super admin is required", 409);
+  }
+}
+
+/**
+ * Update another admin's name and/or role
+ * @param {string} userId
+ * @param {Object} data
+ * @param {string} [data.full_name]
+ * @param {string} [data.role]
+ * @param {string} actorId - Admin performing the change
+ * @returns {Promise<User>}
+ */
+async function updateAdminUser(userId, { full_name, role }, actorId) {
+  const user = await findUserById(userId);
+  if (!user) {
+    throw httpError("Admin user not found", 404);
+  }
+  await assertKeepsSuperAdmin(user, { role });
+
+  const changes = { updated_by: actorId };
+  if (full_name !== undefined) changes.full_name = full_name;
+  if (role !== undefined) changes.role = role;
+  await user.update(changes);
+  return user;
 }
 
 /**
- * Revoke API token if it matches the provided token
+ * Activate or deactivate an admin. Deactivation revokes every session.
  * @param {string} userId
- * @param {string} token
- * @returns {Promise<boolean>} true if a token was revoked
+ * @param {boolean} isActive
+ * @param {string} actorId - Admin performing the change
+ * @returns {Promise<{ user: User, sessionsRevoked: number }>}
  */
-async function revokeApiToken(userId, token) {
-  const [affected] = await User.update(
-    { api_token: null },
-    { where: { user_id: userId, api_token: token } }
-  );
-  return affected > 0;
+async function setUserActive(userId, isActive, actorId) {
+  if (!isActive && userId === actorId) {
+    throw httpError("You cannot deactivate your own account", 400);
+  }
+
+  const user = await findUserById(userId);
+  if (!user) {
+    throw httpError("Admin user not found", 404);
+  }
+  await assertKeepsSuperAdmin(user, { is_active: isActive });
+
+  await user.update({ is_active: isActive, updated_by: actorId });
+  const sessionsRevoked = isActive
+    ? 0
+    : await revokeAllSessions("user", userId, { reason: "deactivated" });
+  return { user, sessionsRevoked };
 }
 
 module.exports = {
   findUserByEmail,
   findUserById,
-  saveApiToken,
-  revokeApiToken,
   updateUserById,
+  updateUserPassword,
+  adminAttributes,
+  listUsers,
+  createInvitedUser,
+  updateAdminUser,
+  setUserActive,
 };
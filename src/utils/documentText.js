@@ -0,0 +1,465 @@
+const path = require("path");
+const pdfParse = require("pdf-parse");
+const { readZip } = require("./zip");
+const { httpError } = require("./errorHelper");
+
+// Plain-text extraction for uploaded resumes. The format is sniffed from the
+// file's leading bytes (and, for ZIP-based formats, its entries); the client
+// mimetype and file name are not trusted.
+
+const DOCUMENT_TYPES = {
+  pdf: { extension: "pdf", mimeType: "application/pdf" },
+  docx: {
+    extension: "docx",
+    mimeType:
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  },
+  odt: {
+    extension: "odt",
+    mimeType: "application/vnd.oasis.opendocument.text",
+  },
+  rtf: { extension: "rtf", mimeType: "application/rtf" },
+  txt: { extension: "txt", mimeType: "text/plain" },
+};
+
+const SUPPORTED_FORMATS_LABEL = "PDF, DOCX, ODT, RTF or TXT";
+
+const ODT_MIMETYPE = "application/vnd.oasis.opendocument.text";
+
+// Inflated size limit for XML parts inside DOCX/ODT uploads
+const MAX_XML_BYTES = 20 * 1024 * 1024;
+
+function startsWith(buffer, signature) {
+  return buffer.subarray(0, signature.length).equals(signature);
+}
+
+function zipDocumentType(buffer) {
+  let entries;
+  try {
+    entries = readZip(buffer, { maxSize: MAX_XML_BYTES });
+  } catch {
+    return null;
+  }
+  const names = new Set(entries.map((e) => e.name));
+  if (names.has("word/document.xml")) return "docx";
+
+  const mimetype = entries.find((e) => e.name === "mimetype");
+  if (mimetype && names.has("content.xml")) {
+    try {
+      if (mimetype.read().toString("ascii").trim() === ODT_MIMETYPE) {
+        return "odt";
+      }
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Text files: a UTF-16 BOM, or no NUL bytes and hardly any control characters
+function looksLikeText(buffer) {
+  if (startsWith(buffer, Buffer.from([0xff, 0xfe]))) return true;
+  if (startsWith(buffer, Buffer.from([0xfe, 0xff]))) return true;
+  if (buffer.length === 0) return false;
+
+  const sample = buffer.subarray(0, 8192);
+  let control = 0;
+  for (const byte of sample) {
+    if (byte === 0) return false;
+    if (byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d].includes(byte)) control++;
+  }
+  return control / sample.length < 0.01;
+}
+
+/**
+ * Detect a resume file's format from its content
+ * @param {Buffer} buffer
+ * @returns {"pdf"|"docx"|"odt"|"rtf"|"txt"|null} null for anything else,
+ *   including legacy Word .doc files
+ */
+function detectDocumentType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) return null;
+
+  // PDF readers accept the header anywhere in the first kilobyte
+  if (buffer.subarray(0, 1024).includes("%PDF-")) return "pdf";
+  if (startsWith(buffer, Buffer.from("PK\x03\x04", "latin1"))) {
+    return zipDocumentType(buffer);
+  }
+  if (startsWith(buffer, Buffer.from("{\\rtf", "latin1"))) return "rtf";
+  // OLE compound files (.doc and other legacy Office formats)
+  if (startsWith(buffer, Buffer.from("d0cf11e0a1b11ae1", "hex"))) return null;
+  return looksLikeText(buffer) ? "txt" : null;
+}
+
+/**
+ * Identify an uploaded resume by content
+ * @param {{ buffer: Buffer, originalname?: string }} file - Multer file
+ * @returns {{ type: string, mimeType: string, fileName: string }|null}
+ *   fileName carries the detected extension; null if the format is unsupported
+ */
+function identifyUpload(file) {
+  const type = detectDocumentType(file?.buffer);
+  if (!type) return null;
+
+  const { extension, mimeType } = DOCUMENT_TYPES[type];
+  const base = path.parse(file.originalname || "resume").name || "resume";
+  return { type, mimeType, fileName: `${base}.${extension}` };
+}
+
+// ===== XML (DOCX, ODT) =====
+
+// Element tags, then text; declarations and comments match neither group
+const XML_TOKEN =
+  /<(\/?)([\w:.-]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|<[!?][^>]*>|([^<]+)/g;
+
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (_, e) => {
+    const named = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+    if (named[e.toLowerCase()]) return named[e.toLowerCase()];
+    const code =
+      e[1] === "x" || e[1] === "X"
+        ? parseInt(e.slice(2), 16)
+        : parseInt(e.slice(1), 10);
+    return Number.isFinite(code) && code <= 0x10ffff
+      ? String.fromCodePoint(code)
+      : "";
+  });
+}
+
+/**
+ * Walk an XML document's tags and text
+ * @param {string} xml
+ * @param {(tag: { name: string, closing: boolean, selfClosing: boolean, attributes: string }) => void} onTag
+ * @param {(text: string) => void} onText - Entity-decoded text
+ */
+function walkXml(xml, onTag, onText) {
+  for (const match of xml.matchAll(XML_TOKEN)) {
+    const [, closing, name, attributes, selfClosing, text] = match;
+    if (text !== undefined) {
+      onText(decodeXmlEntities(text));
+    } else if (name) {
+      onTag({
+        name,
+        closing: closing === "/",
+        selfClosing: selfClosing === "/",
+        attributes,
+      });
+    }
+  }
+}
+
+function readZipEntry(buffer, name) {
+  const entry = readZip(buffer, { maxSize: MAX_XML_BYTES }).find(
+    (e) => e.name === name
+  );
+  if (!entry) throw new Error(`Missing ${name}`);
+  return entry.read().toString("utf8");
+}
+
+// WordprocessingML: text lives in <w:t>; paragraphs end with </w:p>
+function extractDocxText(buffer) {
+  const out = [];
+  let inText = false;
+  walkXml(
+    readZipEntry(buffer, "word/document.xml"),
+    (tag) => {
+      if (tag.name === "w:t") {
+        inText = !tag.closing && !tag.selfClosing;
+      } else if (tag.name === "w:p" && tag.closing) {
+        out.push("\n");
+      } else if (tag.name === "w:tab" && !tag.closing) {
+        out.push("\t");
+      } else if (["w:br", "w:cr"].includes(tag.name) && !tag.closing) {
+        out.push("\n");
+      }
+    },
+    (text) => {
+      if (inText) out.push(text);
+    }
+  );
+  return out.join("");
+}
+
+// OpenDocument: text lives in <text:p> and <text:h>, with <text:s text:c="n"/>
+// standing for runs of spaces
+function extractOdtText(buffer) {
+  const out = [];
+  let depth = 0;
+  walkXml(
+    readZipEntry(buffer, "content.xml"),
+    (tag) => {
+      if (["text:p", "text:h"].includes(tag.name)) {
+        if (tag.closing) {
+          depth = Math.max(0, depth - 1);
+          out.push("\n");
+        } else if (tag.selfClosing) {
+          out.push("\n");
+        } else {
+          depth++;
+        }
+      } else if (depth > 0 && !tag.closing) {
+        if (tag.name === "text:tab") {
+          out.push("\t");
+        } else if (tag.name === "text:line-break") {
+          out.push("\n");
+        } else if (tag.name === "text:s") {
+          const count = /text:c="(\d+)"/.exec(tag.attributes);
+          out.push(" ".repeat(Math.min(Number(count?.[1] || 1), 100)));
+        }
+      }
+    },
+    (text) => {
+      if (depth > 0) out.push(text);
+    }
+  );
+  return out.join("");
+}
+
+// ===== RTF =====
+
+// Groups whose content is not document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  "fonttbl",
+  "colortbl",
+  "stylesheet",
+  "info",
+  "pict",
+  "object",
+  "header",
+  "headerl",
+  "headerr",
+  "headerf",
+  "footer",
+  "footerl",
+  "footerr",
+  "footerf",
+  "listtable",
+  "listoverridetable",
+  "rsidtbl",
+  "generator",
+  "xmlnstbl",
+  "themedata",
+  "colorschememapping",
+  "datastore",
+  "latentstyles",
+  "filetbl",
+  "revtbl",
+  "fldinst",
+]);
+
+const RTF_CHARACTERS = {
+  par: "\n",
+  line: "\n",
+  sect: "\n",
+  page: "\n",
+  row: "\n",
+  tab: "\t",
+  cell: "\t",
+  emdash: "—",
+  endash: "–",
+  bullet: "•",
+  lquote: "‘",
+  rquote: "’",
+  ldblquote: "“",
+  rdblquote: "”",
+};
+
+// Control word with an optional numeric parameter and delimiting space
+const RTF_CONTROL_WORD = /([a-z]+)(-?\d+)? ?/iy;
+
+const windows1252 = new TextDecoder("windows-1252");
+
+// \ansicpgN code pages that TextDecoder knows by another name; 1250-1258
+// are "windows-N"
+const RTF_CODE_PAGES = {
+  874: "windows-874",
+  932: "shift_jis",
+  936: "gbk",
+  949: "euc-kr",
+  950: "big5",
+  10000: "macintosh",
+  20866: "koi8-r",
+  21866: "koi8-u",
+  65001: "utf-8",
+};
+
+// Decoder for the document's \ansicpg, or null when TextDecoder lacks it
+function rtfCodePageDecoder(codePage) {
+  let label = RTF_CODE_PAGES[codePage] || `windows-${codePage}`;
+  if (codePage >= 28591 && codePage <= 28606) {
+    label = `iso-8859-${codePage - 28590}`;
+  }
+  try {
+    return new TextDecoder(label);
+  } catch (e) {
+    return null;
+  }
+}
+
+function extractRtfText(buffer) {
+  const source = buffer.toString("latin1");
+  const out = [];
+  const stack = [];
+  let state = { skip: false, uc: 1 };
+  // Fallback characters still to drop after a \uN escape
+  let fallback = 0;
+  // \'hh bytes are decoded together: in Shift_JIS, GBK and the like one
+  // character takes two of them
+  let decoder = windows1252;
+  const bytes = [];
+
+  const flush = () => {
+    if (!bytes.length) return;
+    out.push(decoder.decode(Uint8Array.from(bytes)));
+    bytes.length = 0;
+  };
+  const emit = (text) => {
+    flush();
+    if (fallback > 0) {
+      fallback--;
+      return;
+    }
+    if (!state.skip) out.push(text);
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === "{") {
+      flush();
+      stack.push(state);
+      state = { ...state };
+      fallback = 0;
+    } else if (ch === "}") {
+      flush();
+      state = stack.pop() || state;
+      fallback = 0;
+    } else if (ch === "\\") {
+      const next = source[i + 1];
+      if (/[a-z]/i.test(next || "")) {
+        RTF_CONTROL_WORD.lastIndex = i + 1;
+        const [whole, word, param] = RTF_CONTROL_WORD.exec(source);
+        i += whole.length;
+
+        if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === "ansicpg") {
+          decoder = rtfCodePageDecoder(Number(param)) || decoder;
+        } else if (word === "uc") {
+          state.uc = Number(param || 1);
+        } else if (word === "u") {
+          // Signed 16-bit code unit, followed by `uc` fallback characters
+          let code = Number(param || 0);
+          if (code < 0) code += 65536;
+          emit(String.fromCharCode(code));
+          fallback = state.uc;
+        } else if (RTF_CHARACTERS[word]) {
+          emit(RTF_CHARACTERS[word]);
+        }
+      } else if (next === "'") {
+        const byte = parseInt(source.substr(i + 2, 2), 16);
+        i += 3;
+        if (!Number.isFinite(byte)) continue;
+        if (fallback > 0) {
+          fallback--;
+        } else if (!state.skip) {
+          bytes.push(byte);
+        }
+      } else {
+        i += 1;
+        // \* marks an optional destination this reader does not know
+        if (next === "*") {
+          state.skip = true;
+        } else if (next === "~") {
+          emit(" ");
+        } else if (next === "_") {
+          emit("-");
+        } else if (next === "\n" || next === "\r") {
+          emit("\n");
+        } else if (["\\", "{", "}"].includes(next)) {
+          emit(next);
+        }
+      }
+    } else if (ch !== "\n" && ch !== "\r") {
+      emit(ch);
+    }
+  }
+  flush();
+  return out.join("");
+}
+
+// ===== Plain text =====
+
+function decodePlainText(buffer) {
+  if (startsWith(buffer, Buffer.from([0xef, 0xbb, 0xbf]))) {
+    return buffer.subarray(3).toString("utf8");
+  }
+  if (startsWith(buffer, Buffer.from([0xff, 0xfe]))) {
+    return buffer.subarray(2).toString("utf16le");
+  }
+  if (startsWith(buffer, Buffer.from([0xfe, 0xff]))) {
+    const swapped = Buffer.from(buffer.subarray(2));
+    swapped.subarray(0, swapped.length - (swapped.length % 2)).swap16();
+    return swapped.toString("utf16le");
+  }
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+  } catch {
+    // Not UTF-8: most older editors save Windows-1252
+    return windows1252.decode(buffer);
+  }
+}
+
+// Trim lines and collapse runs of blank lines
+function normalizeText(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.replace(/[ \t\u00a0]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Extract the plain text of a resume file
+ * @param {Buffer} buffer
+ * @param {"pdf"|"docx"|"odt"|"rtf"|"txt"} type - See detectDocumentType
+ * @returns {Promise<string>} Normalised text, possibly empty
+ * @throws {Error} status 400 if the file cannot be read as that format
+ */
+async function extractDocumentText(buffer, type) {
+  try {
+    switch (type) {
+      case "pdf":
+        // pdf.js misreads some Node Buffers ("bad XRef entry"); a plain
+        // Uint8Array copy parses reliably
+        return normalizeText(
+          (await pdfParse(new Uint8Array(buffer))).text || ""
+        );
+      case "docx":
+        return normalizeText(extractDocxText(buffer));
+      case "odt":
+        return normalizeText(extractOdtText(buffer));
+      case "rtf":
+        return normalizeText(extractRtfText(buffer));
+      case "txt":
+        return normalizeText(decodePlainText(buffer));
+      default:
+        throw new Error(`Unsupported document type: ${type}`);
+    }
+  } catch (err) {
+    throw httpError(
+      `Could not read the ${String(type).toUpperCase()} file`,
+      400,
+      { cause: err }
+    );
+  }
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  SUPPORTED_FORMATS_LABEL,
+  detectDocumentType,
+  identifyUpload,
+  extractDocumentText,
+};
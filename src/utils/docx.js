@@ -0,0 +1,181 @@
+const { createZip } = require("./zip");
+
+// Minimal Office Open XML (.docx) writer for text documents.
+// Block types match utils/pdf.js so one layout renders to both formats.
+
+const BLOCK_STYLES = {
+  title: "Title",
+  subtitle: "Subtitle",
+  heading: "Heading1",
+  entry: "Heading2",
+  meta: "Meta",
+  paragraph: "Normal",
+  bullet: "Bullet",
+};
+
+const WORDPROCESSING_NS =
+  "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const PACKAGE_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+// Sizes are half-points, spacing is twentieths of a point
+function paragraphStyle(id, name, options) {
+  const { size, bold, italic, color, before = 0, after = 0 } = options;
+  const { indent, border } = options;
+  const ppr = [
+    `<w:spacing w:before="${before}" w:after="${after}"/>`,
+    indent ? `<w:ind w:left="${indent}" w:hanging="240"/>` : "",
+    border
+      ? '<w:pBdr><w:bottom w:val="single" w:sz="4" w:space="1"' +
+        ' w:color="D9D9E0"/></w:pBdr>'
+      : "",
+  ].join("");
+  const rpr = [
+    bold ? "<w:b/>" : "",
+    italic ? "<w:i/>" : "",
+    color ? `<w:color w:val="${color}"/>` : "",
+    `<w:sz w:val="${size}"/>`,
+  ].join("");
+  return (
+    `<w:style w:type="paragraph" w:styleId="${id}">` +
+    `<w:name w:val="${name}"/><w:basedOn w:val="Normal"/>` +
+    `<w:pPr>${ppr}</w:pPr><w:rPr>${rpr}</w:rPr></w:style>`
+  );
+}
+
+const DEFAULT_THEME = {
+  accent_color: "#4A298C",
+  font_scale: 1,
+  section_rules: true,
+};
+
+const PARAGRAPH_STYLES = [
+  ["Title", "Title", { size: 40, bold: true, after: 80 }],
+  ["Subtitle", "Subtitle", { size: 21, color: "616B7D", after: 40 }],
+  [
+    "Heading1",
+    "heading 1",
+    { size: 25, bold: true, accent: true, before: 280, after: 120 },
+  ],
+  ["Heading2", "heading 2", { size: 21, bold: true, before: 160, after: 20 }],
+  ["Meta", "Meta", { size: 19, italic: true, color: "616B7D", after: 60 }],
+  ["Bullet", "Bullet", { size: 20, after: 40, indent: 360 }],
+];
+
+// styles.xml with the theme's accent colour, font scale and section rules
+function stylesXml(theme) {
+  const { accent_color, font_scale, section_rules } = {
+    ...DEFAULT_THEME,
+    ...theme,
+  };
+  const scale = (value) => Math.round(value * font_scale);
+  const styles = PARAGRAPH_STYLES.map(([id, name, options]) =>
+    paragraphStyle(id, name, {
+      ...options,
+      size: scale(options.size),
+      before: scale(options.before || 0),
+      after: scale(options.after || 0),
+      color: options.accent
+        ? String(accent_color).replace("#", "").toUpperCase()
+        : options.color,
+      border: Boolean(options.accent && section_rules),
+    })
+  );
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${WORDPROCESSING_NS}">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="${scale(
+      20
+    )}"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+  ${styles.join("\n  ")}
+</w:styles>`;
+}
+
+// A4 with 2cm margins
+const PAGE_SETUP =
+  '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>' +
+  '<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134"' +
+  ' w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>';
+
+function escapeXml(value) {
+  return (
+    String(value)
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+  );
+}
+
+function paragraph(block) {
+  const style = BLOCK_STYLES[block.type] || "Normal";
+  const text = block.type === "bullet" ? `•\t${block.text}` : block.text;
+  return (
+    `<w:p><w:pPr><w:pStyle w:val="${style}"/></w:pPr>` +
+    `<w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`
+  );
+}
+
+/**
+ * Build a .docx document from text blocks
+ * @param {{ type: string, text: string }[]} blocks - title, subtitle, heading,
+ *   entry, meta, paragraph or bullet
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title metadata
+ * @param {Date} [options.createdAt]
+ * @param {Object} [options.theme] - accent_color ("#RRGGBB"), font_scale and
+ *   section_rules (rule under section headings)
+ * @returns {Buffer}
+ */
+function createDocx(
+  blocks,
+  { title = "", createdAt = new Date(), theme = {} } = {}
+) {
+  const body = blocks.map(paragraph).join("") + PAGE_SETUP;
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${WORDPROCESSING_NS}"><w:body>${body}</w:body></w:document>`;
+
+  const created = createdAt.toISOString().replace(/\.\d{3}Z$/, "Z");
+  const core = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${escapeXml(title)}</dc:title>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>
+</cp:coreProperties>`;
+
+  return createZip(
+    [
+      { name: "[Content_Types].xml", data: CONTENT_TYPES },
+      { name: "_rels/.rels", data: PACKAGE_RELS },
+      { name: "docProps/core.xml", data: core },
+      { name: "word/_rels/document.xml.rels", data: DOCUMENT_RELS },
+      { name: "word/styles.xml", data: stylesXml(theme) },
+      { name: "word/document.xml", data: document },
+    ],
+    createdAt
+  );
+}
+
+module.exports = { createDocx };
@@ -1,3 +1,5 @@
+const logger = require("../config/logger");
+
 /**
  * Extract meaningful error message from validation errors
  * @param {Object} errors - Zod validation errors
@@ -34,6 +36,45 @@ function getValidationErrorMessage(errors) {
   return "Validation failed. Please check your input.";
 }
 
+// Route ids are UUIDs; anything else is reported as not found without a query
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Error carrying the HTTP status a controller should answer with
+ * @param {string} message - Shown to the client
+ * @param {number} status
+ * @param {Object} [extra] - More fields, e.g. code or details
+ * @returns {Error}
+ */
+function httpError(message, status, extra = {}) {
+  return Object.assign(new Error(message), { status, ...extra });
+}
+
+/**
+ * Answer a failed request: errors with a status (see httpError) are shown as
+ * they are, anything else is logged and reported as a 500
+ * @param {import("express").Response} res
+ * @param {Error} error
+ * @param {string} fnName - Controller function, for the log
+ * @param {string} failureMessage - Message for unexpected errors
+ */
+function sendError(res, error, fnName, failureMessage) {
+  const status = error.status || 500;
+  if (status === 500) {
+    logger?.error?.(`${fnName} error`, { error: error.message });
+  }
+  return res.status(status).json({
+    success: false,
+    message: status === 500 ? failureMessage : error.message,
+    error: status === 500 ? error.message : undefined,
+    details: status === 500 ? undefined : error.details,
+  });
+}
+
 module.exports = {
   getValidationErrorMessage,
+  UUID_PATTERN,
+  httpError,
+  sendError,
 };
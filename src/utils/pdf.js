@@ -0,0 +1,545 @@
+const crypto = require("crypto");
+const zlib = require("zlib");
+const fontkit = require("fontkit");
+
+// Minimal PDF 1.4 writer for text documents: A4 pages, embedded TrueType
+// fonts (subset to the glyphs used, shaped with fontkit), word wrapping and
+// page breaks. Block types match utils/docx.js so one layout renders to both
+// formats.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+const LINE_SPACING = 1.35;
+
+const GREY = "0.38 0.42 0.49";
+const DEFAULT_THEME = {
+  accent_color: "#4A298C",
+  font_scale: 1,
+  section_rules: true,
+};
+
+const BLOCK_STYLES = {
+  title: { font: "bold", size: 20, after: 4 },
+  subtitle: { font: "regular", size: 10.5, color: GREY, after: 2 },
+  heading: { font: "bold", size: 12.5, accent: true, before: 14, after: 6 },
+  entry: { font: "bold", size: 10.5, before: 8, after: 1 },
+  meta: { font: "italic", size: 9.5, color: GREY, after: 3 },
+  paragraph: { font: "regular", size: 10, after: 4 },
+  bullet: { font: "regular", size: 10, indent: 14, after: 2 },
+};
+
+// Fonts for each style, tried in order for every character: DejaVu Sans for
+// Latin, Greek, Cyrillic, Arabic and Hebrew, then Noto Sans SC and KR for
+// Chinese, Japanese and Korean. Characters none of them has show as a box.
+const DEJAVU = "dejavu-fonts-ttf/ttf";
+const NOTO_SC = "@expo-google-fonts/noto-sans-sc";
+const NOTO_KR = "@expo-google-fonts/noto-sans-kr";
+const FONT_FILES = {
+  regular: [
+    `${DEJAVU}/DejaVuSans.ttf`,
+    `${NOTO_SC}/400Regular/NotoSansSC_400Regular.ttf`,
+    `${NOTO_KR}/400Regular/NotoSansKR_400Regular.ttf`,
+  ],
+  bold: [
+    `${DEJAVU}/DejaVuSans-Bold.ttf`,
+    `${NOTO_SC}/700Bold/NotoSansSC_700Bold.ttf`,
+    `${NOTO_KR}/700Bold/NotoSansKR_700Bold.ttf`,
+  ],
+  italic: [
+    `${DEJAVU}/DejaVuSans-Oblique.ttf`,
+    `${NOTO_SC}/400Regular/NotoSansSC_400Regular.ttf`,
+    `${NOTO_KR}/400Regular/NotoSansKR_400Regular.ttf`,
+  ],
+};
+
+// Scripts written right to left (Hebrew, Arabic, Syriac, Thaana, NKo and
+// their presentation forms)
+const RTL = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/u;
+// Spaces, punctuation and symbols take the direction of the text around them
+const NEUTRAL = /[\s\p{P}\p{S}]/u;
+// Letters set the direction of a line
+const LETTER = /\p{L}/u;
+
+// Font files are parsed once per process; the CJK ones only when needed
+const loadedFonts = new Map();
+
+function loadFont(file) {
+  if (!loadedFonts.has(file)) {
+    const font = fontkit.openSync(require.resolve(file));
+    if (!font.directory.tables.glyf) {
+      throw new Error(`${file} has no TrueType outlines`);
+    }
+    loadedFonts.set(file, font);
+  }
+  return loadedFonts.get(file);
+}
+
+// First font of the style with a glyph for the character
+function fontFileFor(style, ch) {
+  const files = FONT_FILES[style];
+  const code = ch.codePointAt(0);
+  return (
+    files.find((file) => loadFont(file).hasGlyphForCodePoint(code)) || files[0]
+  );
+}
+
+/**
+ * Split text into runs of one font and one direction. Neutral characters
+ * join the run before them when its font has them.
+ * @returns {{ file: string, rtl: boolean, text: string }[]}
+ */
+function runsOf(text, style) {
+  const runs = [];
+  let run = null;
+  for (const ch of String(text)) {
+    if (
+      run &&
+      NEUTRAL.test(ch) &&
+      loadFont(run.file).hasGlyphForCodePoint(ch.codePointAt(0))
+    ) {
+      run.text += ch;
+      continue;
+    }
+    const file = fontFileFor(style, ch);
+    const rtl = RTL.test(ch);
+    if (run && run.file === file && run.rtl === rtl) {
+      run.text += ch;
+    } else {
+      run = { file, rtl, text: ch };
+      runs.push(run);
+    }
+  }
+  return runs;
+}
+
+// Shaped glyphs of a run, in visual order, with advances in text space units
+function layoutRun(run, size) {
+  const font = loadFont(run.file);
+  const { glyphs, positions } = font.layout(run.text);
+  const scale = size / font.unitsPerEm;
+  return glyphs.map((glyph, i) => ({
+    glyph,
+    advance: positions[i].xAdvance * scale,
+    defaultAdvance: glyph.advanceWidth * scale,
+  }));
+}
+
+function textWidth(text, style, size) {
+  let width = 0;
+  for (const run of runsOf(text, style)) {
+    for (const { advance } of layoutRun(run, size)) width += advance;
+  }
+  return width;
+}
+
+// Greedy word wrap; words wider than a line (and text without spaces, such
+// as Chinese) are split by character
+function wrap(text, style, size, maxWidth) {
+  const lines = [];
+  let line = "";
+  let lineWidth = 0;
+  const spaceWidth = textWidth(" ", style, size);
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const width = textWidth(word, style, size);
+    const added = line ? lineWidth + spaceWidth + width : width;
+    if (added <= maxWidth) {
+      line = line ? `${line} ${word}` : word;
+      lineWidth = added;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = "";
+    lineWidth = 0;
+    if (width <= maxWidth) {
+      line = word;
+      lineWidth = width;
+      continue;
+    }
+    for (const ch of word) {
+      const chWidth = textWidth(ch, style, size);
+      if (line && lineWidth + chWidth > maxWidth) {
+        lines.push(line);
+        line = "";
+        lineWidth = 0;
+      }
+      line += ch;
+      lineWidth += chWidth;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// "#RRGGBB" to a PDF "r g b" colour
+function rgb(hex) {
+  const value = parseInt(String(hex).replace("#", ""), 16) || 0;
+  return [value >> 16, (value >> 8) & 0xff, value & 0xff]
+    .map((channel) => fmt(channel / 255))
+    .join(" ");
+}
+
+// Block styles with the theme's accent colour, font scale and section rules
+function themedStyles(theme) {
+  const { accent_color, font_scale, section_rules } = {
+    ...DEFAULT_THEME,
+    ...theme,
+  };
+  const styles = {};
+  for (const [type, style] of Object.entries(BLOCK_STYLES)) {
+    styles[type] = {
+      ...style,
+      size: style.size * font_scale,
+      before: (style.before || 0) * font_scale,
+      after: (style.after || 0) * font_scale,
+      color: style.accent ? rgb(accent_color) : style.color,
+      rule: Boolean(style.accent && section_rules),
+    };
+  }
+  return styles;
+}
+
+function fmt(n) {
+  return Number(n.toFixed(2)).toString();
+}
+
+function hex4(n) {
+  return n.toString(16).toUpperCase().padStart(4, "0");
+}
+
+function utf16Hex(text) {
+  let out = "";
+  for (const ch of text) {
+    const code = ch.codePointAt(0);
+    if (code > 0xffff) {
+      const offset = code - 0x10000;
+      out += hex4(0xd800 + (offset >> 10)) + hex4(0xdc00 + (offset & 0x3ff));
+    } else {
+      out += hex4(code);
+    }
+  }
+  return out;
+}
+
+// PDF text string: a literal for ASCII, UTF-16BE with a BOM otherwise
+function pdfText(text) {
+  const value = String(text);
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return `(${value.replace(/[()\\]/g, "\\$&")})`;
+  }
+  return `<FEFF${utf16Hex(value)}>`;
+}
+
+/**
+ * The fonts of one document: each font file used gets a resource name and a
+ * subset that collects the glyphs drawn with it
+ */
+function createFontSet() {
+  const used = new Map();
+  return {
+    used,
+    // Resource name and subset glyph id for a glyph of a font file
+    glyphId(file, glyph) {
+      if (!used.has(file)) {
+        const font = loadFont(file);
+        used.set(file, {
+          name: `F${used.size + 1}`,
+          font,
+          subset: font.createSubset(),
+          unicode: new Map(),
+        });
+      }
+      const entry = used.get(file);
+      const id = entry.subset.includeGlyph(glyph);
+      if (!entry.unicode.has(id) && glyph.codePoints.length) {
+        entry.unicode.set(id, String.fromCodePoint(...glyph.codePoints));
+      }
+      return { name: entry.name, id };
+    },
+  };
+}
+
+/**
+ * Draw a line of text: one TJ per run, with the shaper's kerning as
+ * adjustments. Lines that start with right-to-left text run right to left,
+ * ending at the right edge.
+ * @returns {string[]} Content stream operators
+ */
+function lineOps(fonts, text, style, size, x, y, maxWidth) {
+  const runs = runsOf(text, style).map((run) => ({
+    run,
+    glyphs: layoutRun(run, size),
+  }));
+  const firstStrong = runs.find(({ run }) => LETTER.test(run.text));
+  const rtl = Boolean(firstStrong?.run.rtl);
+  if (rtl) runs.reverse();
+
+  const width = runs
+    .flatMap(({ glyphs }) => glyphs)
+    .reduce((sum, { advance }) => sum + advance, 0);
+  let cursor = rtl ? x + maxWidth - width : x;
+
+  const ops = [];
+  for (const { run, glyphs } of runs) {
+    if (!glyphs.length) continue;
+    let name;
+    const parts = [];
+    for (const { glyph, advance, defaultAdvance } of glyphs) {
+      const placed = fonts.glyphId(run.file, glyph);
+      name = placed.name;
+      parts.push(`<${hex4(placed.id)}>`);
+      const adjust = ((defaultAdvance - advance) * 1000) / size;
+      if (Math.abs(adjust) >= 0.5) parts.push(fmt(adjust));
+    }
+    ops.push(
+      `BT /${name} ${fmt(size)} Tf ${fmt(cursor)} ${fmt(y)} Td [${parts.join(
+        " "
+      )}] TJ ET`
+    );
+    cursor += glyphs.reduce((sum, { advance }) => sum + advance, 0);
+  }
+  return ops;
+}
+
+// ToUnicode CMap so text can be copied and extracted
+function toUnicodeCMap(unicode) {
+  const entries = [...unicode.entries()].sort((a, b) => a[0] - b[0]);
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += 100) {
+    const chunk = entries.slice(i, i + 100);
+    chunks.push(
+      `${chunk.length} beginbfchar`,
+      ...chunk.map(([id, text]) => `<${hex4(id)}> <${utf16Hex(text)}>`),
+      "endbfchar"
+    );
+  }
+  return [
+    "/CIDInit /ProcSet findresource begin",
+    "12 dict begin",
+    "begincmap",
+    "/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def",
+    "/CMapName /Adobe-Identity-UCS def",
+    "/CMapType 2 def",
+    "1 begincodespacerange",
+    "<0000> <FFFF>",
+    "endcodespacerange",
+    ...chunks,
+    "endcmap",
+    "CMapName currentdict /CMap defineresource pop",
+    "end",
+    "end",
+  ].join("\n");
+}
+
+// Six-letter subset tag, stable for the same glyphs
+function subsetTag(glyphIds) {
+  const digest = crypto.createHash("sha1").update(glyphIds.join(",")).digest();
+  return Array.from(digest.subarray(0, 6), (b) =>
+    String.fromCharCode(65 + (b % 26))
+  ).join("");
+}
+
+/**
+ * PDF objects of an embedded font subset: Type0 font, CID font, descriptor,
+ * font file and ToUnicode CMap
+ * @param {Object} entry - From createFontSet
+ * @param {number} firstId - Object id of the Type0 font; the others follow
+ * @returns {{ objects: string[], streams: Buffer[] }} streams line up with
+ *   objects; null for objects without one
+ */
+function fontObjects(entry, firstId) {
+  const { font, subset } = entry;
+  const [type0Id, cidId, descriptorId, fileId, cmapId] = [0, 1, 2, 3, 4].map(
+    (i) => firstId + i
+  );
+  const scale = 1000 / font.unitsPerEm;
+  const baseFont = `${subsetTag(subset.glyphs)}+${font.postscriptName}`;
+  const widths = subset.glyphs.map((gid) =>
+    Math.round(font.getGlyph(gid).advanceWidth * scale)
+  );
+  const italic = font.italicAngle !== 0;
+  const { bbox } = font;
+
+  const fontFile = Buffer.from(subset.encode());
+  const packedFont = zlib.deflateSync(fontFile);
+  const cmap = zlib.deflateSync(Buffer.from(toUnicodeCMap(entry.unicode)));
+
+  return {
+    objects: [
+      `<< /Type /Font /Subtype /Type0 /BaseFont /${baseFont}` +
+        ` /Encoding /Identity-H /DescendantFonts [${cidId} 0 R]` +
+        ` /ToUnicode ${cmapId} 0 R >>`,
+      `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${baseFont}` +
+        " /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >>" +
+        ` /FontDescriptor ${descriptorId} 0 R /CIDToGIDMap /Identity` +
+        ` /W [0 [${widths.join(" ")}]] >>`,
+      `<< /Type /FontDescriptor /FontName /${baseFont}` +
+        ` /Flags ${italic ? 68 : 4}` +
+        ` /FontBBox [${[bbox.minX, bbox.minY, bbox.maxX, bbox.maxY]
+          .map((v) => Math.round(v * scale))
+          .join(" ")}]` +
+        ` /ItalicAngle ${fmt(font.italicAngle)}` +
+        ` /Ascent ${Math.round(font.ascent * scale)}` +
+        ` /Descent ${Math.round(font.descent * scale)}` +
+        ` /CapHeight ${Math.round((font.capHeight || font.ascent) * scale)}` +
+        ` /StemV 80 /FontFile2 ${fileId} 0 R >>`,
+      `<< /Length ${packedFont.length} /Length1 ${fontFile.length}` +
+        " /Filter /FlateDecode >>",
+      `<< /Length ${cmap.length} /Filter /FlateDecode >>`,
+    ],
+    streams: [null, null, null, packedFont, cmap],
+  };
+}
+
+/**
+ * Lay out text blocks into a PDF document
+ * @param {{ type: string, text: string }[]} blocks - title, subtitle, heading,
+ *   entry, meta, paragraph or bullet
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title metadata
+ * @param {Date} [options.createdAt]
+ * @param {Object} [options.theme] - accent_color ("#RRGGBB"), font_scale and
+ *   section_rules (rule under section headings)
+ * @returns {Buffer}
+ */
+function createPdf(
+  blocks,
+  { title = "", createdAt = new Date(), theme = {} } = {}
+) {
+  const styles = themedStyles(theme);
+  const fonts = createFontSet();
+  const contentWidth = PAGE_WIDTH - MARGIN * 2;
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const newPage = () => {
+    pages.push(ops);
+    ops = [];
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  blocks.forEach((block, index) => {
+    const style = styles[block.type] || styles.paragraph;
+    const indent = style.indent || 0;
+    const lineHeight = style.size * LINE_SPACING;
+    const width = contentWidth - indent;
+    const lines = wrap(block.text, style.font, style.size, width);
+    if (!lines.length) return;
+
+    if (index > 0 && style.before) y -= style.before;
+    // Keep headings with at least two lines of what follows
+    const keep = style.accent ? lineHeight * 3 : lineHeight;
+    if (y - keep < MARGIN) newPage();
+
+    ops.push(`${style.color || "0 0 0"} rg`);
+    lines.forEach((line, lineIndex) => {
+      if (y - lineHeight < MARGIN) {
+        newPage();
+        ops.push(`${style.color || "0 0 0"} rg`);
+      }
+      y -= lineHeight;
+      const baseline = y + (lineHeight - style.size) / 2;
+      if (block.type === "bullet" && lineIndex === 0) {
+        ops.push(
+          ...lineOps(fonts, "•", "regular", style.size, MARGIN + 3, baseline, 0)
+        );
+      }
+      ops.push(
+        ...lineOps(
+          fonts,
+          line,
+          style.font,
+          style.size,
+          MARGIN + indent,
+          baseline,
+          width
+        )
+      );
+    });
+
+    if (style.rule) {
+      y -= 3;
+      const from = `${fmt(MARGIN)} ${fmt(y)} m`;
+      const to = `${fmt(PAGE_WIDTH - MARGIN)} ${fmt(y)} l`;
+      ops.push(`0.85 0.85 0.88 RG 0.6 w ${from} ${to} S`);
+    }
+    y -= style.after || 0;
+  });
+  pages.push(ops);
+
+  // Objects: 1 catalog, 2 page tree, 3 info, then page/content pairs, then
+  // five objects per font
+  const objects = [];
+  const streams = {};
+  const pageIds = pages.map((_, i) => 4 + i * 2);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds
+    .map((id) => `${id} 0 R`)
+    .join(" ")}] /Count ${pages.length} >>`;
+  const pdfDate = createdAt
+    .toISOString()
+    .replace(/[-:T]/g, "")
+    .slice(0, 14);
+  objects[3] =
+    `<< /Title ${pdfText(title)} /Producer (resume-builder)` +
+    ` /CreationDate (D:${pdfDate}Z) >>`;
+
+  const fontRefs = [];
+  let nextId = 4 + pages.length * 2;
+  for (const entry of fonts.used.values()) {
+    const font = fontObjects(entry, nextId);
+    font.objects.forEach((object, i) => {
+      objects[nextId + i] = object;
+      if (font.streams[i]) streams[nextId + i] = font.streams[i];
+    });
+    fontRefs.push(`/${entry.name} ${nextId} 0 R`);
+    nextId += font.objects.length;
+  }
+
+  pages.forEach((pageOps, i) => {
+    const pageId = pageIds[i];
+    const contentId = pageId + 1;
+    objects[pageId] =
+      "<< /Type /Page /Parent 2 0 R" +
+      ` /MediaBox [0 0 ${fmt(PAGE_WIDTH)} ${fmt(PAGE_HEIGHT)}]` +
+      ` /Resources << /Font << ${fontRefs.join(" ")} >> >>` +
+      ` /Contents ${contentId} 0 R >>`;
+    const data = zlib.deflateSync(Buffer.from(pageOps.join("\n"), "latin1"));
+    streams[contentId] = data;
+    objects[contentId] = `<< /Length ${data.length} /Filter /FlateDecode >>`;
+  });
+
+  const parts = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+  const offsets = [];
+  let length = parts[0].length;
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = length;
+    const chunks = [Buffer.from(`${id} 0 obj\n${objects[id]}\n`, "latin1")];
+    if (streams[id]) {
+      chunks.push(
+        Buffer.from("stream\n"),
+        streams[id],
+        Buffer.from("\nendstream\n")
+      );
+    }
+    chunks.push(Buffer.from("endobj\n"));
+    for (const chunk of chunks) {
+      parts.push(chunk);
+      length += chunk.length;
+    }
+  }
+
+  const xref = [`xref\n0 ${objects.length}\n`, "0000000000 65535 f \n"];
+  for (let id = 1; id < objects.length; id++) {
+    xref.push(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+  }
+  xref.push(
+    `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\n`,
+    `startxref\n${length}\n%%EOF\n`
+  );
+  parts.push(Buffer.from(xref.join(""), "latin1"));
+  return Buffer.concat(parts);
+}
+
+module.exports = { createPdf };
@@ -0,0 +1,25 @@
+const crypto = require("crypto");
+
+/**
+ * Generate a URL-safe random token
+ * @param {number} [bytes=32] - Number of random bytes
+ * @returns {string}
+ */
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+/**
+ * Hash a token for storage; only the hash is persisted so a database leak
+ * does not expose usable tokens
+ * @param {string} token
+ * @returns {string} - sha256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+};
@@ -0,0 +1,147 @@
+const crypto = require("crypto");
+
+// RFC 6238 TOTP (SHA-1, 6 digits, 30s steps) — the defaults every authenticator app supports
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random base32 TOTP secret
+ * @param {number} [bytes=20] - 160 bits as recommended by RFC 4226
+ * @returns {string}
+ */
+function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+function hotp(key, counter, digits = DIGITS) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", key).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, "0");
+}
+
+/**
+ * Current TOTP time step
+ * @param {number} [now=Date.now()]
+ * @returns {number}
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * Generate the code for a secret at a given time step
+ * @param {string} secret - base32 secret
+ * @param {number} [step]
+ * @returns {string}
+ */
+function generateTotp(secret, step = currentStep()) {
+  return hotp(base32Decode(secret), step);
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Steps accepted either side of now
+ * @param {number} [options.afterStep] - Reject steps at or before this one (replay protection)
+ * @returns {number|null} The matched time step, or null
+ */
+function verifyTotp(secret, code, { window = 1, afterStep } = {}) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const key = base32Decode(secret);
+  const now = currentStep();
+  for (let step = now - window; step <= now + window; step++) {
+    if (afterStep !== undefined && afterStep !== null && step <= afterStep) {
+      continue;
+    }
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// provisioning URI that authenticator apps read from a QR code
+ * @param {Object} params
+ * @param {string} params.secret - base32 secret
+ * @param {string} params.accountName - Usually the user's email
+ * @param {string} params.issuer - App name shown in the authenticator
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(
+    accountName
+  )}`;
+  // encodeURIComponent rather than URLSearchParams: some apps show "+" literally
+  const query = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    "algorithm=SHA1",
+    `digits=${DIGITS}`,
+    `period=${PERIOD_SECONDS}`,
+  ].join("&");
+  return `otpauth://totp/${label}?${query}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  currentStep,
+  verifyTotp,
+  buildOtpauthUri,
+};
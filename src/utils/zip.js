@@ -0,0 +1,187 @@
+const zlib = require("zlib");
+
+// Minimal ZIP (PKWARE APPNOTE) writer and reader: deflated or stored entries,
+// no ZIP64. Enough for data exports and for reading DOCX/ODT uploads, which
+// stay far below the 4 GB / 65535-entry limits.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 (IEEE) of a buffer
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time fields used by ZIP headers (local time, 2-second precision)
+function dosDateTime(date) {
+  const time =
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2);
+  const day =
+    ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a ZIP archive in memory
+ * @param {{ name: string, data: Buffer|string }[]} entries - Paths use "/" separators
+ * @param {Date} [modifiedAt] - Timestamp recorded for every entry
+ * @returns {Buffer}
+ */
+function createZip(entries, modifiedAt = new Date()) {
+  const { time, day } = dosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const data = Buffer.isBuffer(entry.data)
+      ? entry.data
+      : Buffer.from(String(entry.data), "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The end record is 22 bytes plus a comment of up to 65535 bytes
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= stop; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) return i;
+  }
+  return -1;
+}
+
+/**
+ * List the entries of a ZIP archive from its central directory. Entry data is
+ * inflated on demand by `read()`, which refuses entries larger than `maxSize`.
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {number} [options.maxSize=20971520] - Largest inflated entry in bytes
+ * @returns {{ name: string, size: number, read: () => Buffer }[]}
+ * @throws {Error} If the archive is malformed or uses unsupported features
+ */
+function readZip(buffer, { maxSize = 20 * 1024 * 1024 } = {}) {
+  const end = findEndOfCentralDirectory(buffer);
+  if (end < 0) throw new Error("Not a ZIP archive");
+
+  const count = buffer.readUInt16LE(end + 10);
+  let pointer = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (
+      pointer + 46 > buffer.length ||
+      buffer.readUInt32LE(pointer) !== 0x02014b50
+    ) {
+      throw new Error("Corrupt ZIP central directory");
+    }
+    const method = buffer.readUInt16LE(pointer + 10);
+    const crc = buffer.readUInt32LE(pointer + 16);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const size = buffer.readUInt32LE(pointer + 24);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const extraLength = buffer.readUInt16LE(pointer + 30);
+    const commentLength = buffer.readUInt16LE(pointer + 32);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+    const name = buffer.toString(
+      "utf8",
+      pointer + 46,
+      pointer + 46 + nameLength
+    );
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    entries.push({
+      name,
+      size,
+      read() {
+        if (size > maxSize) throw new Error(`ZIP entry too large: ${name}`);
+        if (buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+          throw new Error(`Corrupt ZIP entry: ${name}`);
+        }
+        const start =
+          localOffset +
+          30 +
+          buffer.readUInt16LE(localOffset + 26) +
+          buffer.readUInt16LE(localOffset + 28);
+        const raw = buffer.subarray(start, start + compressedSize);
+
+        let data;
+        if (method === 0) {
+          data = raw;
+        } else if (method === 8) {
+          data = zlib.inflateRawSync(raw, { maxOutputLength: maxSize });
+        } else {
+          throw new Error(`Unsupported ZIP compression method ${method}`);
+        }
+        if (crc32(data) !== crc) throw new Error(`ZIP CRC mismatch: ${name}`);
+        return data;
+      },
+    });
+  }
+  return entries;
+}
+
+module.exports = { crc32, createZip, readZip };
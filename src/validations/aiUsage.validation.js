@@ -0,0 +1,45 @@
+const { z } = require("zod");
+const { FEATURES } = require("../services/llm.service");
+
+const MAX_REPORT_DAYS = 366;
+
+// Admin: AI spend report
+const usageReportQuerySchema = z
+  .object({
+    from: z.coerce.date({ message: "from must be a date" }).optional(),
+    to: z.coerce.date({ message: "to must be a date" }).optional(),
+    feature: z
+      .enum(FEATURES, {
+        message: `feature must be one of: ${FEATURES.join(", ")}`,
+      })
+      .optional(),
+  })
+  .refine((d) => !d.from || !d.to || d.from <= d.to, {
+    message: "from must not be after to",
+    path: ["from"],
+  })
+  .refine(
+    (d) =>
+      !d.from ||
+      !d.to ||
+      d.to.getTime() - d.from.getTime() <= MAX_REPORT_DAYS * 86400000,
+    {
+      message: `The report covers at most ${MAX_REPORT_DAYS} days`,
+      path: ["to"],
+    }
+  );
+
+function validateAiUsageReportQuery(query) {
+  const result = usageReportQuerySchema.safeParse(query || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+module.exports = {
+  validateAiUsageReportQuery,
+};
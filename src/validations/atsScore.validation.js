@@ -0,0 +1,61 @@
+const { z } = require("zod");
+
+// Candidate: score their profile or resume file
+const atsScoreRequestSchema = z
+  .object({
+    source: z
+      .enum(["profile", "file"], {
+        message: 'source must be "profile" or "file"',
+      })
+      .default("profile"),
+    // A targeted resume; without it the resume for country_id, else the
+    // profile resume
+    resume_id: z.string().uuid("resume_id must be a resume UUID").optional(),
+    country_id: z.string().uuid("country_id must be a country UUID").optional(),
+    // Defaults to the resume's job category
+    job_category_id: z
+      .string()
+      .uuid("job_category_id must be a job category UUID")
+      .optional(),
+  })
+  .strict();
+
+// Candidate: list their scores
+const atsScoreListQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(10),
+  // A targeted resume, or "profile" for the profile resume
+  resume_id: z
+    .union([
+      z.literal("profile"),
+      z.string().uuid('resume_id must be a resume UUID or "profile"'),
+    ])
+    .optional(),
+});
+
+function validateAtsScoreRequest(body) {
+  const result = atsScoreRequestSchema.safeParse(body || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+function validateAtsScoreListQuery(query) {
+  const result = atsScoreListQuerySchema.safeParse(query || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+module.exports = {
+  validateAtsScoreRequest,
+  validateAtsScoreListQuery,
+};
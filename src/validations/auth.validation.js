@@ -2,16 +2,25 @@ const { z } = require("zod");
 
 /**
  * Validate and normalize OAuth profile data from Passport strategies
- * Supports Google/Facebook typical shapes
+ * Supports Google/Facebook/LinkedIn typical shapes. The email is optional:
+ * providers may omit it, and an unusable address is treated as missing.
  * @param {any} profile
- * @returns {{ valid: boolean, errors?: any[], cleaned?: { email: string, name: string, image_url?: string } }}
+ * @returns {{ valid: boolean, errors?: any[], cleaned?: { provider: string, provider_user_id: string, email?: string, email_verified: boolean, name: string, image_url?: string } }}
  */
 function validateOAuthProfile(profile) {
-  const email = extractEmail(profile);
+  const rawEmail = extractEmail(profile).trim().toLowerCase();
+  const emailOk = z.string().email().safeParse(rawEmail).success;
   const name = extractName(profile);
   const image_url = extractImageUrl(profile);
 
-  const parsed = oauthCleanSchema.safeParse({ email, name, image_url });
+  const parsed = oauthCleanSchema.safeParse({
+    provider: profile?.provider,
+    provider_user_id: profile?.id !== undefined ? String(profile.id) : "",
+    email: emailOk ? rawEmail : undefined,
+    email_verified: emailOk && profile?.email_verified !== false,
+    name,
+    image_url,
+  });
   if (!parsed.success) {
     const flat = parsed.error.flatten();
     const errors = Object.entries(flat.fieldErrors).flatMap(([field, msgs]) =>
@@ -61,15 +70,25 @@ function extractImageUrl(profile) {
 
 // Zod schema for normalized OAuth output
 const oauthCleanSchema = z.object({
-  email: z
+  provider: z.enum(["google", "facebook", "linkedin"], {
+    message: "Unsupported OAuth provider",
+  }),
+  provider_user_id: z
     .string()
     .trim()
-    .toLowerCase()
-    .email("Invalid email from OAuth provider"),
+    .min(1, "User id is required from OAuth provider"),
+  email: z.string().email().optional(),
+  email_verified: z.boolean(),
   name: z.string().trim().min(1, "Name is required from OAuth provider"),
   image_url: z.string().url().optional(),
 });
 
+// Fallback when the provider did not share an email
+const oauthEmailSchema = z.object({
+  token: z.string().trim().min(1, "Token is required"),
+  email: z.string().trim().toLowerCase().email("Invalid email address"),
+});
+
 // Zod schemas for form-based auth
 const registerSchema = z.object({
   full_name: z
@@ -85,6 +104,62 @@ const loginSchema = z.object({
   password: z.string().min(8, "Password must be at least 8 characters"),
 });
 
+const forgotPasswordSchema = z.object({
+  email: z.string().trim().toLowerCase().email("Invalid email address"),
+});
+
+const resendVerificationSchema = z.object({
+  email: z.string().trim().toLowerCase().email("Invalid email address"),
+});
+
+const magicLinkSchema = z.object({
+  email: z.string().trim().toLowerCase().email("Invalid email address"),
+});
+
+const magicLinkVerifySchema = z.object({
+  token: z.string().trim().min(1, "Sign-in token is required"),
+});
+
+const totpCode = z
+  .string()
+  .trim()
+  .regex(/^\d{6}$/, "Code must be 6 digits");
+
+// Either a TOTP code or a recovery code, not both
+const secondFactorSchema = z
+  .object({
+    code: totpCode.optional(),
+    recovery_code: z.string().trim().min(1).max(32).optional(),
+  })
+  .refine((d) => Boolean(d.code) !== Boolean(d.recovery_code), {
+    message: "Provide either code or recovery_code",
+  });
+
+const twoFactorCodeSchema = z.object({ code: totpCode });
+
+const twoFactorChallengeSchema = z.object({
+  challenge_token: z.string().trim().min(1, "Challenge token is required"),
+});
+
+const adminTwoFactorLoginSchema = z
+  .object({
+    challenge_token: z.string().trim().min(1, "Challenge token is required"),
+    code: totpCode.optional(),
+    recovery_code: z.string().trim().min(1).max(32).optional(),
+  })
+  .refine((d) => Boolean(d.code) !== Boolean(d.recovery_code), {
+    message: "Provide either code or recovery_code",
+  });
+
+const resetPasswordSchema = z.object({
+  token: z.string().trim().min(1, "Reset token is required"),
+  password: z.string().min(8, "Password must be at least 8 characters"),
+});
+
+const refreshTokenSchema = z.object({
+  refresh_token: z.string().trim().min(1, "Refresh token is required"),
+});
+
 /**
  * Validate candidate register request body
  * @param {any} body
@@ -111,8 +186,162 @@ function validateFormLogin(body) {
   return { valid: true, cleaned: result.data };
 }
 
+/**
+ * Validate refresh token request body
+ * @param {any} body
+ * @returns {{ valid: boolean, errors?: Record<string, string[]>, cleaned?: { refresh_token: string } }}
+ */
+function validateRefreshToken(body) {
+  const result = refreshTokenSchema.safeParse(body);
+  if (!result.success) {
+    return { valid: false, errors: result.error.flatten().fieldErrors };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+/**
+ * Validate forgot-password request body
+ * @param {any} body
+ * @returns {{ valid: boolean, errors?: Record<string, string[]>, cleaned?: { email: string } }}
+ */
+function validateForgotPassword(body) {
+  const result = forgotPasswordSchema.safeParse(body);
+  if (!result.success) {
+    return { valid: false, errors: result.error.flatten().fieldErrors };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+/**
+ * Validate reset-password request body
+ * @param {any} body
+ * @returns {{ valid: boolean, errors?: Record<string, string[]>, cleaned?: { token: string, password: string } }}
+ */
+function validateResetPassword(body) {
+  const result = resetPasswordSchema.safeParse(body);
+  if (!result.success) {
+    return { valid: false, errors: result.error.flatten().fieldErrors };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+/**
+ * Validate magic-link request body
+ * @param {any} body
+ * @returns {{ valid: boolean, errors?: Record<string, string[]>, cleaned?: { email: string } }}
+ */
+function validateMagicLinkRequest(body) {
+  const result = magicLinkSchema.safeParse(body);
+  if (!result.success) {
+    return { valid: false, errors: result.error.flatten().fieldErrors };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+/**
+ * Validate magic-link sign-in body
+ * @param {any} body
+ * @returns {{ valid: boolean, errors?: Record<string, string[]>, cleaned?: { token: string } }}
+ */
+function validateMagicLinkVerify(body) {
+  const result = magicLinkVerifySchema.safeParse(body);
+  if (!result.success) {
+    return { valid: false, errors: result.error.flatten().fieldErrors };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+/**
+ * Validate resend-verification request body
+ * @param {any} body
+ * @returns {{ valid: boolean, errors?: Record<string, string[]>, cleaned?: { email: string } }}
+ */
+function validateResendVerification(body) {
+  const result = resendVerificationSchema.safeParse(body);
+  if (!result.success) {
+    return { valid: false, errors: result.error.flatten().fieldErrors };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+/**
+ * Validate a body carrying a TOTP code or a recovery code
+ * @param {any} body
+ * @returns {{ valid: boolean, errors?: Object, cleaned?: { code?: string, recovery_code?: string } }}
+ */
+function validateSecondFactor(body) {
+  const result = secondFactorSchema.safeParse(body);
+  if (!result.success) {
+    return { valid: false, errors: result.error.flatten() };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+/**
+ * Validate a body carrying a TOTP code (enrolment confirmation)
+ * @param {any} body
+ * @returns {{ valid: boolean, errors?: Record<string, string[]>, cleaned?: { code: string } }}
+ */
+function validateTwoFactorCode(body) {
+  const result = twoFactorCodeSchema.safeParse(body);
+  if (!result.success) {
+    return { valid: false, errors: result.error.flatten().fieldErrors };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+/**
+ * Validate a body carrying only the login challenge token
+ * @param {any} body
+ * @returns {{ valid: boolean, errors?: Record<string, string[]>, cleaned?: { challenge_token: string } }}
+ */
+function validateTwoFactorChallenge(body) {
+  const result = twoFactorChallengeSchema.safeParse(body);
+  if (!result.success) {
+    return { valid: false, errors: result.error.flatten().fieldErrors };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+/**
+ * Validate the second admin login step
+ * @param {any} body
+ * @returns {{ valid: boolean, errors?: Object, cleaned?: { challenge_token: string, code?: string, recovery_code?: string } }}
+ */
+function validateAdminTwoFactorLogin(body) {
+  const result = adminTwoFactorLoginSchema.safeParse(body);
+  if (!result.success) {
+    return { valid: false, errors: result.error.flatten() };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+/**
+ * Validate the email submitted for an OAuth login that had none
+ * @param {any} body
+ * @returns {{ valid: boolean, errors?: Record<string, string[]>, cleaned?: { token: string, email: string } }}
+ */
+function validateOAuthEmail(body) {
+  const result = oauthEmailSchema.safeParse(body);
+  if (!result.success) {
+    return { valid: false, errors: result.error.flatten().fieldErrors };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
 module.exports = {
   validateOAuthProfile,
   validateFormRegister,
   validateFormLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateResendVerification,
+  validateMagicLinkRequest,
+  validateMagicLinkVerify,
+  validateSecondFactor,
+  validateTwoFactorCode,
+  validateTwoFactorChallenge,
+  validateAdminTwoFactorLogin,
+  validateOAuthEmail,
 };
@@ -17,6 +17,7 @@ const candidateProfileSchema = z
     summary: z.string().max(2000).optional().nullable(),
     // explicitly disallow password updates here
     password: z.never().optional(),
+    // email changes are re-verified via /api/candidate/account/email
     email: z.never().optional(),
     is_active: z.never().optional(),
     api_token: z.never().optional(),
@@ -74,6 +75,13 @@ const candidateResumeSchema = z
     skills: z.array(z.string().min(1)).default([]),
     education: z.array(educationItem).default([]),
     summary: z.string().max(2000).optional().nullable(),
+    // File rendered and stored as the current resume
+    format: z.enum(["pdf", "docx"]).default("pdf"),
+    // Store the file on this targeted resume instead of the profile
+    resume_id: z
+      .string()
+      .uuid({ message: "resume_id must be a valid UUID" })
+      .optional(),
   })
   .strict();
 
@@ -174,10 +182,133 @@ function validateResumeDownload(params) {
   return { valid: true, cleaned: result.data };
 }
 
+// Account deletion confirmation: password, or email for OAuth-only accounts
+const accountDeletionSchema = z
+  .object({
+    password: z.string().min(1, "Password is required").optional(),
+    email: z
+      .string()
+      .trim()
+      .toLowerCase()
+      .email("Invalid email address")
+      .optional(),
+  })
+  .strict()
+  .refine((d) => Boolean(d.password || d.email), {
+    message:
+      "Confirm with your password, or your email if you sign in with Google, Facebook or LinkedIn",
+  });
+
+function validateAccountDeletion(body) {
+  const result = accountDeletionSchema.safeParse(body || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+// Email change: the new address, plus the password for email/password accounts
+const emailChangeSchema = z
+  .object({
+    new_email: z.string().trim().toLowerCase().email("Invalid email address"),
+    password: z.string().min(1, "Password is required").optional(),
+  })
+  .strict();
+
+function validateEmailChange(body) {
+  const result = emailChangeSchema.safeParse(body || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+// Targeted resume fields; country and job category are optional targets
+const targetedResumeFields = {
+  name: z.string().trim().min(1, "Name is required").max(100),
+  country_id: z
+    .string()
+    .uuid({ message: "country_id must be a valid UUID" })
+    .nullable(),
+  job_category_id: z
+    .string()
+    .uuid({ message: "job_category_id must be a valid UUID" })
+    .nullable(),
+  summary: z.string().max(2000).nullable(),
+  skills: z.array(z.string().min(1)),
+  work_experience: z.array(experienceItem),
+  education: z.array(educationItem),
+};
+
+// Candidate: create a targeted resume
+const targetedResumeCreateSchema = z
+  .object({
+    name: targetedResumeFields.name,
+    country_id: targetedResumeFields.country_id.optional().default(null),
+    job_category_id: targetedResumeFields.job_category_id
+      .optional()
+      .default(null),
+    summary: targetedResumeFields.summary.optional(),
+    skills: targetedResumeFields.skills.optional().default([]),
+    work_experience: targetedResumeFields.work_experience
+      .optional()
+      .default([]),
+    education: targetedResumeFields.education.optional().default([]),
+  })
+  .strict();
+
+// Candidate: update any subset of a targeted resume's fields
+const targetedResumeUpdateSchema = z
+  .object({
+    name: targetedResumeFields.name.optional(),
+    country_id: targetedResumeFields.country_id.optional(),
+    job_category_id: targetedResumeFields.job_category_id.optional(),
+    summary: targetedResumeFields.summary.optional(),
+    skills: targetedResumeFields.skills.optional(),
+    work_experience: targetedResumeFields.work_experience.optional(),
+    education: targetedResumeFields.education.optional(),
+  })
+  .strict()
+  .refine((d) => Object.keys(d).length > 0, {
+    message: "Provide at least one field to update",
+  });
+
+function validateTargetedResumeCreate(body) {
+  const result = targetedResumeCreateSchema.safeParse(body || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+function validateTargetedResumeUpdate(body) {
+  const result = targetedResumeUpdateSchema.safeParse(body || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
 module.exports = {
   validateCandidateProfileUpdate,
   validateGenerateResumePayload,
   validateResumeUpload,
   validateResumeEdit,
   validateResumeDownload,
+  validateAccountDeletion,
+  validateEmailChange,
+  validateTargetedResumeCreate,
+  validateTargetedResumeUpdate,
 };
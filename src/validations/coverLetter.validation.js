@@ -0,0 +1,144 @@
+const { z } = require("zod");
+
+const instructions = z
+  .string()
+  .trim()
+  .max(1000, "instructions must not exceed 1000 characters")
+  .nullable()
+  .optional();
+
+// Candidate: generate a letter for an employer
+const coverLetterCreateSchema = z
+  .object({
+    employer_id: z.string().uuid("employer_id must be an employer UUID"),
+    // Defaults to the job category of the resume used in the employer's
+    // country
+    job_category_id: z
+      .string()
+      .uuid("job_category_id must be a job category UUID")
+      .optional(),
+    // e.g. "mention that I can relocate in March"
+    instructions,
+  })
+  .strict();
+
+// Candidate: regenerate a letter
+const coverLetterRegenerateSchema = z
+  .object({
+    job_category_id: z
+      .string()
+      .uuid("job_category_id must be a job category UUID")
+      .optional(),
+    instructions,
+  })
+  .strict();
+
+// Candidate: edit a letter by hand
+const coverLetterUpdateSchema = z
+  .object({
+    subject: z
+      .string()
+      .trim()
+      .max(255, "subject must not exceed 255 characters")
+      .nullable()
+      .optional(),
+    greeting: z
+      .string()
+      .trim()
+      .min(1, "greeting must not be empty")
+      .max(255, "greeting must not exceed 255 characters")
+      .optional(),
+    // Paragraphs separated by blank lines
+    body: z
+      .string()
+      .trim()
+      .min(1, "body must not be empty")
+      .max(10000, "body must not exceed 10000 characters")
+      .optional(),
+    closing: z
+      .string()
+      .trim()
+      .min(1, "closing must not be empty")
+      .max(255, "closing must not exceed 255 characters")
+      .optional(),
+  })
+  .strict()
+  .refine((d) => Object.keys(d).length > 0, {
+    message: "Provide subject, greeting, body or closing",
+  });
+
+// Candidate: list their letters
+const coverLetterListQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(10),
+});
+
+// Candidate: download a letter
+const coverLetterDownloadQuerySchema = z.object({
+  format: z
+    .enum(["pdf", "docx"], { message: "format must be one of: pdf, docx" })
+    .default("pdf"),
+});
+
+function validateCoverLetterCreate(body) {
+  const result = coverLetterCreateSchema.safeParse(body || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+function validateCoverLetterRegenerate(body) {
+  const result = coverLetterRegenerateSchema.safeParse(body || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+function validateCoverLetterUpdate(body) {
+  const result = coverLetterUpdateSchema.safeParse(body || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+function validateCoverLetterListQuery(query) {
+  const result = coverLetterListQuerySchema.safeParse(query || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+function validateCoverLetterDownloadQuery(query) {
+  const result = coverLetterDownloadQuerySchema.safeParse(query || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+module.exports = {
+  validateCoverLetterCreate,
+  validateCoverLetterRegenerate,
+  validateCoverLetterUpdate,
+  validateCoverLetterListQuery,
+  validateCoverLetterDownloadQuery,
+};
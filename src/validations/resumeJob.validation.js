@@ -0,0 +1,32 @@
+const { z } = require("zod");
+
+// Candidate: list their resume jobs
+const resumeJobListQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(10),
+  type: z
+    .enum(["generate", "parse"], {
+      message: "type must be one of: generate, parse",
+    })
+    .optional(),
+  status: z
+    .enum(["queued", "running", "succeeded", "failed"], {
+      message: "status must be one of: queued, running, succeeded, failed",
+    })
+    .optional(),
+});
+
+function validateResumeJobListQuery(query) {
+  const result = resumeJobListQuerySchema.safeParse(query || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+module.exports = {
+  validateResumeJobListQuery,
+};
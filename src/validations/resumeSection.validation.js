@@ -0,0 +1,60 @@
+const { z } = require("zod");
+
+// Candidate: regenerate one section of a generated resume
+const resumeSectionRegenerateSchema = z
+  .object({
+    section: z.enum(["summary", "experience", "education"], {
+      message: "section must be one of: summary, experience, education",
+    }),
+    // Start from this generated version instead of the current file
+    version_id: z
+      .string()
+      .uuid("version_id must be a resume version UUID")
+      .optional(),
+    // Targeted resume whose current file is rewritten (default: the profile)
+    resume_id: z.string().uuid("resume_id must be a resume UUID").optional(),
+    // Experience entry (required) or education entry (default: all),
+    // counting from 0
+    index: z
+      .number()
+      .int("index must be an integer")
+      .min(0, "index must be 0 or more")
+      .optional(),
+    // e.g. "more concise", "emphasise leadership"
+    instructions: z
+      .string()
+      .trim()
+      .max(1000, "instructions must not exceed 1000 characters")
+      .nullable()
+      .optional(),
+    format: z
+      .enum(["pdf", "docx"], { message: "format must be one of: pdf, docx" })
+      .optional(),
+  })
+  .strict()
+  .refine((d) => !(d.version_id && d.resume_id), {
+    message: "Provide version_id or resume_id, not both",
+  })
+  .refine((d) => d.section !== "experience" || d.index !== undefined, {
+    message: "index is required to regenerate an experience entry",
+    path: ["index"],
+  })
+  .refine((d) => d.section !== "summary" || d.index === undefined, {
+    message: "index does not apply to the summary",
+    path: ["index"],
+  });
+
+function validateResumeSectionRegenerate(data) {
+  const result = resumeSectionRegenerateSchema.safeParse(data || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+module.exports = {
+  validateResumeSectionRegenerate,
+};
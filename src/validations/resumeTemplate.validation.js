@@ -0,0 +1,135 @@
+const { z } = require("zod");
+const { SECTIONS } = require("../resumes/resumeRenderer");
+
+const sectionsMessage = `sections must contain: ${SECTIONS.join(", ")}`;
+
+const themeSchema = z
+  .object({
+    accent_color: z
+      .string()
+      .regex(
+        /^#[0-9a-fA-F]{6}$/,
+        "accent_color must be a hex colour like #4A298C"
+      )
+      .default("#4A298C"),
+    font_scale: z.number().min(0.8).max(1.2).default(1),
+    section_rules: z.boolean().default(true),
+  })
+  .strict();
+
+const templateFields = {
+  slug: z
+    .string()
+    .trim()
+    .toLowerCase()
+    .regex(
+      /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+      "slug may contain only letters, digits and single hyphens"
+    )
+    .max(100),
+  name: z.string().trim().min(1, "Name is required").max(255),
+  description: z.string().trim().max(1000).optional().nullable(),
+  // Handlebars source; see src/resumes/templates/classic.hbs for the markers
+  layout: z.string().min(1, "Layout is required").max(100000),
+  sections: z
+    .array(z.enum(SECTIONS, { message: sectionsMessage }))
+    .min(1, "At least one section is required")
+    .transform((sections) => [...new Set(sections)]),
+  is_default: z.boolean(),
+  is_active: z.boolean(),
+  sort_order: z.number().int().min(0),
+};
+
+// Admin: create a resume template
+const templateCreateSchema = z
+  .object({
+    ...templateFields,
+    theme: themeSchema.prefault({}),
+    is_default: templateFields.is_default.default(false),
+    is_active: templateFields.is_active.default(true),
+    sort_order: templateFields.sort_order.default(0),
+  })
+  .strict();
+
+// Admin: update any subset of a template's fields
+const templateUpdateSchema = z
+  .object({
+    slug: templateFields.slug.optional(),
+    name: templateFields.name.optional(),
+    description: templateFields.description,
+    layout: templateFields.layout.optional(),
+    sections: templateFields.sections.optional(),
+    theme: themeSchema.optional(),
+    is_default: templateFields.is_default.optional(),
+    is_active: templateFields.is_active.optional(),
+    sort_order: templateFields.sort_order.optional(),
+  })
+  .strict()
+  .refine((d) => Object.keys(d).length > 0, {
+    message: "Provide at least one field to update",
+  });
+
+// Candidate: template used for their resumes (null for the default)
+const templateSelectionSchema = z
+  .object({
+    template_id: z.string().uuid("template_id must be a UUID").nullable(),
+  })
+  .strict();
+
+// Sample and preview renderings
+const renderFormatSchema = z.object({
+  format: z
+    .enum(["pdf", "docx"], { message: "format must be one of: pdf, docx" })
+    .default("pdf"),
+});
+
+function validateResumeTemplateCreate(body) {
+  const result = templateCreateSchema.safeParse(body);
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+function validateResumeTemplateUpdate(body) {
+  const result = templateUpdateSchema.safeParse(body);
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+function validateResumeTemplateSelection(body) {
+  const result = templateSelectionSchema.safeParse(body);
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+function validateRenderFormat(query) {
+  const result = renderFormatSchema.safeParse(query || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+module.exports = {
+  validateResumeTemplateCreate,
+  validateResumeTemplateUpdate,
+  validateResumeTemplateSelection,
+  validateRenderFormat,
+};
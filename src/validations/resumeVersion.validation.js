@@ -0,0 +1,52 @@
+const { z } = require("zod");
+
+// Candidate: list their resume versions
+const versionListQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(10),
+  // A targeted resume, or "profile" for the profile resume
+  resume_id: z
+    .union([
+      z.literal("profile"),
+      z.string().uuid('resume_id must be a resume UUID or "profile"'),
+    ])
+    .optional(),
+});
+
+// Candidate: compare two of their versions
+const versionDiffQuerySchema = z
+  .object({
+    from: z.string().uuid("from must be a version UUID"),
+    to: z.string().uuid("to must be a version UUID"),
+  })
+  .refine((d) => d.from !== d.to, {
+    message: "from and to must be different versions",
+    path: ["to"],
+  });
+
+function validateResumeVersionListQuery(query) {
+  const result = versionListQuerySchema.safeParse(query || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+function validateResumeVersionDiffQuery(query) {
+  const result = versionDiffQuerySchema.safeParse(query || {});
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+module.exports = {
+  validateResumeVersionListQuery,
+  validateResumeVersionDiffQuery,
+};
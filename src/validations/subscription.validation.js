@@ -1,5 +1,36 @@
 const { z } = require("zod");
 
+// Monthly AI allowances per feature; null (or a missing feature) is unlimited
+const planAiQuotaSchema = z
+  .object({
+    resume: z
+      .number()
+      .int("resume quota must be an integer")
+      .min(0, "resume quota must be non-negative")
+      .nullable()
+      .optional(),
+    resume_parse: z
+      .number()
+      .int("resume_parse quota must be an integer")
+      .min(0, "resume_parse quota must be non-negative")
+      .nullable()
+      .optional(),
+    cover_letter: z
+      .number()
+      .int("cover_letter quota must be an integer")
+      .min(0, "cover_letter quota must be non-negative")
+      .nullable()
+      .optional(),
+    resume_section: z
+      .number()
+      .int("resume_section quota must be an integer")
+      .min(0, "resume_section quota must be non-negative")
+      .nullable()
+      .optional(),
+  })
+  .strict()
+  .nullable();
+
 // Subscription Plan Validations
 const createSubscriptionPlanSchema = z.object({
   name: z
@@ -22,6 +53,7 @@ const createSubscriptionPlanSchema = z.object({
     .min(0, "Price must be non-negative")
     .max(1000, "Price must not exceed 1000"),
   is_active: z.boolean().optional().default(true),
+  ai_quota: planAiQuotaSchema.optional(),
 });
 
 const updateSubscriptionPlanSchema = z.object({
@@ -48,6 +80,7 @@ const updateSubscriptionPlanSchema = z.object({
     .max(1000, "Price must not exceed 1000")
     .optional(),
   is_active: z.boolean().optional(),
+  ai_quota: planAiQuotaSchema.optional(),
 });
 
 // Subscription Validations
@@ -145,6 +178,14 @@ function validateUpdateSubscriptionPlan(data) {
   }
 }
 
+function validatePlanAiQuota(value) {
+  const result = planAiQuotaSchema.safeParse(value);
+  if (!result.success) {
+    return { valid: false, errors: result.error.flatten() };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
 function validateCalculateSubscriptionPricing(data) {
   try {
     const cleaned = calculateSubscriptionPricingSchema.parse(data);
@@ -239,6 +280,7 @@ function validatePlanQuery(data) {
 module.exports = {
   validateCreateSubscriptionPlan,
   validateUpdateSubscriptionPlan,
+  validatePlanAiQuota,
   validateCalculateSubscriptionPricing,
   validateCreateSubscription,
   validateAddCountriesToSubscription,
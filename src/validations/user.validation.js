@@ -1,4 +1,5 @@
 const { z } = require("zod");
+const { ROLES } = require("../config/permissions");
 
 // Admin (User) profile update schema
 const adminProfileSchema = z
@@ -7,12 +8,60 @@ const adminProfileSchema = z
     // Admin email change is often separate; block here by default
     email: z.never().optional(),
     is_active: z.never().optional(),
+    role: z.never().optional(),
     api_token: z.never().optional(),
     created_by: z.never().optional(),
     updated_by: z.never().optional(),
   })
   .strict();
 
+const roleMessage = `role must be one of: ${ROLES.join(", ")}`;
+
+// Invite a new admin user
+const adminInviteSchema = z
+  .object({
+    email: z.string().trim().toLowerCase().email("Invalid email address"),
+    full_name: z.string().trim().min(1, "Full name is required").max(255),
+    role: z.enum(ROLES, { message: roleMessage }),
+  })
+  .strict();
+
+// Update another admin's name and/or role
+const adminUserUpdateSchema = z
+  .object({
+    full_name: z.string().trim().min(1).max(255).optional(),
+    role: z.enum(ROLES, { message: roleMessage }).optional(),
+  })
+  .strict()
+  .refine((d) => d.full_name !== undefined || d.role !== undefined, {
+    message: "Provide full_name or role to update",
+  });
+
+// Start impersonating a candidate; the reason is kept on the audit record
+const impersonationStartSchema = z
+  .object({
+    mode: z
+      .enum(["read_only", "read_write"], {
+        message: "mode must be one of: read_only, read_write",
+      })
+      .default("read_only"),
+    reason: z
+      .string()
+      .trim()
+      .min(5, "A reason of at least 5 characters is required")
+      .max(500),
+  })
+  .strict();
+
+// Admin security settings (super-admin only)
+const securitySettingsSchema = z
+  .object({
+    admin_2fa_required: z.boolean({
+      message: "admin_2fa_required must be a boolean",
+    }),
+  })
+  .strict();
+
 function validateAdminProfileUpdate(body) {
   const result = adminProfileSchema.safeParse(body);
   if (!result.success) {
@@ -24,6 +73,54 @@ function validateAdminProfileUpdate(body) {
   return { valid: true, cleaned: result.data };
 }
 
+function validateAdminInvite(body) {
+  const result = adminInviteSchema.safeParse(body);
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+function validateAdminUserUpdate(body) {
+  const result = adminUserUpdateSchema.safeParse(body);
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+function validateSecuritySettings(body) {
+  const result = securitySettingsSchema.safeParse(body);
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
+function validateImpersonationStart(body) {
+  const result = impersonationStartSchema.safeParse(body);
+  if (!result.success) {
+    return {
+      valid: false,
+      errors: result.error.flatten(),
+    };
+  }
+  return { valid: true, cleaned: result.data };
+}
+
 module.exports = {
   validateAdminProfileUpdate,
+  validateAdminInvite,
+  validateAdminUserUpdate,
+  validateSecuritySettings,
+  validateImpersonationStart,
 };
@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createPdf } = require("../src/utils/pdf");
+const { createDocx } = require("../src/utils/docx");
+const { crc32, createZip, readZip } = require("../src/utils/zip");
+const { renderResume } = require("../src/resumes/resumeRenderer");
+const { renderCoverLetter } = require("../src/resumes/coverLetterRenderer");
+const {
+  detectDocumentType,
+  extractDocumentText,
+} = require("../src/utils/documentText");
+
+const BLOCKS = [
+  { type: "title", text: "Jane Doe" },
+  { type: "subtitle", text: "Senior Software Engineer" },
+  { type: "heading", text: "Experience" },
+  { type: "entry", text: "Acme Corp — Lead Developer" },
+  { type: "meta", text: "2019 – Present" },
+  { type: "paragraph", text: "Built résumé tooling used by 10,000 people." },
+  { type: "bullet", text: "Cut build times by 40%" },
+];
+
+test("crc32 matches the standard check value", () => {
+  assert.equal(crc32(Buffer.from("123456789")), 0xcbf43926);
+});
+
+test("readZip reads back what createZip wrote", () => {
+  const zip = createZip([
+    { name: "a.txt", data: "hello" },
+    { name: "dir/b.txt", data: Buffer.from("x".repeat(5000)) },
+  ]);
+  const entries = readZip(zip);
+  assert.deepEqual(
+    entries.map((entry) => entry.name),
+    ["a.txt", "dir/b.txt"]
+  );
+  assert.equal(entries[0].read().toString(), "hello");
+  assert.equal(entries[1].read().toString(), "x".repeat(5000));
+  assert.throws(
+    () => readZip(zip, { maxSize: 100 })[1].read(),
+    /ZIP entry too large: dir\/b.txt/
+  );
+});
+
+test("a generated PDF is detected and its text read back", async () => {
+  const pdf = createPdf(BLOCKS, { title: "Jane Doe" });
+  assert.equal(detectDocumentType(pdf), "pdf");
+
+  const text = await extractDocumentText(pdf, "pdf");
+  for (const block of BLOCKS) assert.ok(text.includes(block.text), block.text);
+});
+
+test("a PDF keeps text outside Latin-1", async () => {
+  const blocks = [
+    { type: "title", text: "Zażółć Gęślą — Çağrı Şahin" },
+    { type: "subtitle", text: "Иван Петров · Γιώργος Παπαδόπουλος" },
+    { type: "heading", text: "经验 · 経験 · 경력" },
+    { type: "paragraph", text: "مهندس برمجيات" },
+    { type: "paragraph", text: "负责支付系统的设计与开发".repeat(10) },
+  ];
+  const pdf = createPdf(blocks, { title: "Çağrı Şahin" });
+  assert.equal(detectDocumentType(pdf), "pdf");
+  assert.match(pdf.toString("latin1"), /\/FontFile2 /);
+
+  const text = (await extractDocumentText(pdf, "pdf")).replace(/\s+/g, "");
+  for (const block of blocks) {
+    assert.ok(text.includes(block.text.replace(/\s+/g, "")), block.text);
+  }
+});
+
+test("renderResume keeps the PDF format for non-Latin content", async () => {
+  const rendered = renderResume(
+    {
+      candidate_name: "Иван Петров",
+      summary: "Инженер-программист с опытом работы в финтехе.",
+      experience: [],
+      skills: ["Node.js", "数据库"],
+      education: [],
+    },
+    "pdf"
+  );
+  assert.equal(rendered.format, "pdf");
+  assert.equal(rendered.mimeType, "application/pdf");
+  assert.match(rendered.fileName, /\.pdf$/);
+  const text = await extractDocumentText(rendered.buffer, "pdf");
+  assert.ok(text.includes("Иван Петров"));
+});
+
+test("renderCoverLetter writes a PDF in the letter's language", async () => {
+  const letter = {
+    employer_name: "Ελληνική Τράπεζα",
+    subject: "Αίτηση για τη θέση μηχανικού λογισμικού",
+    greeting: "Αξιότιμε κύριε Παπαδόπουλε,",
+    body: "Με ενδιαφέρον υποβάλλω την αίτησή μου.\n\nΘα χαρώ να συζητήσουμε.",
+    closing: "Με εκτίμηση,",
+    updated_at: new Date("2026-05-04T00:00:00Z"),
+  };
+  const rendered = renderCoverLetter(
+    letter,
+    { full_name: "Γιώργος Νικολάου", email: "giorgos@example.com" },
+    { format: "pdf", employerLocation: "Αθήνα, Ελλάδα" }
+  );
+  assert.equal(rendered.format, "pdf");
+  assert.equal(rendered.mimeType, "application/pdf");
+
+  const text = await extractDocumentText(rendered.buffer, "pdf");
+  for (const part of [letter.subject, letter.greeting, "Αθήνα, Ελλάδα"]) {
+    assert.ok(text.includes(part), part);
+  }
+});
+
+test("a generated DOCX is detected and its text read back", async () => {
+  const docx = createDocx(BLOCKS, { title: "Jane Doe" });
+  assert.equal(detectDocumentType(docx), "docx");
+
+  const text = await extractDocumentText(docx, "docx");
+  for (const block of BLOCKS) assert.ok(text.includes(block.text), block.text);
+  assert.ok(text.includes("• Cut build times by 40%"));
+});
+
+test("extractDocumentText answers 400 for a file it cannot read", async () => {
+  await assert.rejects(extractDocumentText(Buffer.from("not a zip"), "docx"), {
+    status: 400,
+    message: "Could not read the DOCX file",
+  });
+});
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.JWT_SECRET = "test-secret";
+process.env.EMAIL_VERIFICATION_EXPIRES_IN = "1h";
+
+// Candidates and identities live in memory, and emails are collected instead
+// of sent
+const db = require("../src/models");
+const emailService = require("../src/services/email.service");
+
+const store = { candidates: [], identities: [], emails: [] };
+
+db.Candidate.findOne = async ({ where }) =>
+  store.candidates.find((c) =>
+    Object.entries(where).every(([key, value]) => c[key] === value)
+  ) || null;
+db.Candidate.create = async (values) => {
+  store.candidates.push(values);
+  return values;
+};
+db.CandidateIdentity.findOne = async ({ where }) =>
+  store.identities.find(
+    (i) =>
+      i.provider === where.provider &&
+      i.provider_user_id === where.provider_user_id
+  ) || null;
+db.CandidateIdentity.count = async ({ where }) =>
+  store.identities.filter((i) => i.candidate_id === where.candidate_id).length;
+db.CandidateIdentity.create = async (values) => {
+  store.identities.push(values);
+  return values;
+};
+emailService.sendVerificationEmail = async (email) => {
+  store.emails.push(email);
+};
+
+const {
+  resolveOAuthLogin,
+  requestOAuthEmailVerification,
+  completeOAuthEmailVerification,
+} = require("../src/services/identity.service");
+
+const PROFILE = {
+  provider: "facebook",
+  provider_user_id: "fb-123",
+  name: "Someone Else",
+  email: null,
+  email_verified: false,
+};
+const OWNER = {
+  candidate_id: "c0ffee00-0000-4000-8000-000000000001",
+  email: "owner@example.com",
+  full_name: "Account Owner",
+  password: "$2b$10$hash",
+};
+
+test.beforeEach(() => {
+  store.candidates = [{ ...OWNER }];
+  store.identities = [];
+  store.emails = [];
+});
+
+async function pendingToken() {
+  const { candidate, pendingToken } = await resolveOAuthLogin(PROFILE);
+  assert.equal(candidate, null);
+  return pendingToken;
+}
+
+function tokenFrom(email) {
+  return new URL(email.verifyUrl).searchParams.get("token");
+}
+
+test("a typed email creates a new account once verified", async () => {
+  await requestOAuthEmailVerification({
+    token: await pendingToken(),
+    email: "new@example.com",
+    backendBase: "https://api.example.com",
+  });
+  assert.equal(store.emails.length, 1);
+
+  const candidate = await completeOAuthEmailVerification(
+    tokenFrom(store.emails[0])
+  );
+  assert.equal(candidate.email, "new@example.com");
+  assert.deepEqual(
+    store.identities.map((i) => [i.candidate_id, i.provider_user_id]),
+    [[candidate.candidate_id, "fb-123"]]
+  );
+});
+
+test("a typed email of an existing account is refused", async () => {
+  await assert.rejects(
+    requestOAuthEmailVerification({
+      token: await pendingToken(),
+      email: OWNER.email,
+      backendBase: "https://api.example.com",
+    }),
+    (err) => err.status === 409 && err.code === "account_exists"
+  );
+  assert.equal(store.emails.length, 0);
+  assert.equal(store.identities.length, 0);
+});
+
+test("a link opened after the email was registered is refused", async () => {
+  await requestOAuthEmailVerification({
+    token: await pendingToken(),
+    email: "later@example.com",
+    backendBase: "https://api.example.com",
+  });
+  store.candidates.push({
+    candidate_id: "c0ffee00-0000-4000-8000-000000000002",
+    email: "later@example.com",
+    password: "$2b$10$hash",
+  });
+
+  await assert.rejects(
+    completeOAuthEmailVerification(tokenFrom(store.emails[0])),
+    (err) =>
+      err.status === 409 &&
+      err.code === "account_exists" &&
+      err.provider === "facebook"
+  );
+  assert.equal(store.identities.length, 0);
+});
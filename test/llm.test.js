@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+process.env.LLM_PROVIDER = "mock";
+process.env.LLM_MAX_RETRIES = "0";
+process.env.LLM_MOCK_FIXTURES_DIR = path.join(__dirname, "fixtures", "llm");
+
+// llm.service takes recordAiUsage at require time; record calls in memory
+// instead of writing the ai_usage table
+const aiUsage = require("../src/services/aiUsage.service");
+const recorded = [];
+aiUsage.recordAiUsage = async (usage, options) => {
+  recorded.push({ usage, ...options });
+  return null;
+};
+
+const { complete, completeJson } = require("../src/services/llm.service");
+const {
+  summarySectionSchema,
+  coverLetterSchema,
+  generatedResumeSchema,
+} = require("../src/llm/schemas");
+
+test.beforeEach(() => {
+  recorded.length = 0;
+});
+
+test("complete returns the mock fixture and records its usage", async (t) => {
+  t.after(() => delete process.env.LLM_MODEL_RESUME_SECTION);
+  process.env.LLM_MODEL_RESUME_SECTION = "section-model";
+
+  const { content, usage } = await complete({
+    feature: "resume_section",
+    messages: [{ role: "user", content: "Write a summary" }],
+    candidateId: "candidate-1",
+  });
+  assert.match(content, /payments experience/);
+  assert.equal(usage.feature, "resume_section");
+  assert.equal(usage.provider, "mock");
+  assert.equal(usage.model, "section-model");
+  assert.equal(usage.attempts, 1);
+  assert.ok(usage.prompt_tokens > 0 && usage.completion_tokens > 0);
+  assert.equal(
+    usage.total_tokens,
+    usage.prompt_tokens + usage.completion_tokens
+  );
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].candidateId, "candidate-1");
+});
+
+test("completeJson strips the code fence and validates the reply", async () => {
+  const { parsed, usage } = await completeJson({
+    feature: "resume_section",
+    prompt: "Write a summary",
+    schema: summarySectionSchema,
+  });
+  assert.deepEqual(parsed, {
+    summary: "Backend engineer with eight years of payments experience.",
+  });
+  assert.equal(usage.repaired, undefined);
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].succeeded, true);
+});
+
+test("completeJson sends an invalid reply back once for repair", async () => {
+  const { parsed, usage } = await completeJson({
+    feature: "cover_letter",
+    prompt: "Write a cover letter",
+    schema: coverLetterSchema,
+    candidateId: "candidate-1",
+  });
+  assert.equal(parsed.greeting, "Dear Hiring Team,");
+  assert.equal(parsed.paragraphs.length, 2);
+  assert.equal(usage.repaired, true);
+  assert.equal(usage.attempts, 2);
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].succeeded, true);
+  assert.equal(recorded[0].usage.repaired, true);
+});
+
+test("completeJson is a 502 with the issues when the repair fails", async () => {
+  await assert.rejects(
+    completeJson({
+      feature: "resume",
+      prompt: "Write a resume",
+      schema: generatedResumeSchema,
+    }),
+    (err) => {
+      assert.equal(err.status, 502);
+      assert.ok(
+        err.details.issues.some((issue) => issue.path === "candidate_name")
+      );
+      assert.equal(err.usage.repaired, true);
+      return true;
+    }
+  );
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].succeeded, false);
+});
+
+test("a missing fixture is a 500 and is not recorded", async () => {
+  await assert.rejects(
+    complete({
+      feature: "employers",
+      messages: [{ role: "user", content: "Find employers" }],
+    }),
+    (err) => err.status === 500 && /No mock LLM fixture/.test(err.message)
+  );
+  assert.equal(recorded.length, 0);
+});
+
+test("an unknown provider is a 500", async (t) => {
+  t.after(() => (process.env.LLM_PROVIDER = "mock"));
+  process.env.LLM_PROVIDER = "nope";
+  await assert.rejects(
+    complete({ feature: "resume", messages: [] }),
+    (err) =>
+      err.status === 500 && /Unknown LLM_PROVIDER "nope"/.test(err.message)
+  );
+});
@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+
+process.env.JWT_SECRET = "test-secret";
+process.env.EMAIL_VERIFICATION_EXPIRES_IN = "1h";
+process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS = "0";
+process.env.EMAIL_VERIFICATION_MAX_SENDS = "3";
+
+// Rows live in memory, and emails are collected instead of sent
+const db = require("../src/models");
+const emailService = require("../src/services/email.service");
+
+const store = { candidates: [], pending: [], emails: [] };
+
+function matches(row, where) {
+  return Object.entries(where).every(([key, value]) => row[key] === value);
+}
+
+function pendingRow(values) {
+  return {
+    pending_id: `pending-${store.pending.length + 1}`,
+    status: "pending",
+    created_at: new Date(Date.now() + store.pending.length),
+    ...values,
+    async update(changes) {
+      Object.assign(this, changes);
+      return this;
+    },
+  };
+}
+
+db.Candidate.findOne = async ({ where }) =>
+  store.candidates.find((c) => matches(c, where)) || null;
+db.Candidate.create = async (values) => {
+  store.candidates.push(values);
+  return values;
+};
+db.PendingRegistration.findAll = async ({ where }) =>
+  store.pending
+    .filter((p) => matches(p, where))
+    .sort((a, b) => b.created_at - a.created_at);
+db.PendingRegistration.findOne = async ({ where }) =>
+  store.pending.find((p) => matches(p, where)) || null;
+db.PendingRegistration.create = async (values) => {
+  const row = pendingRow(values);
+  store.pending.push(row);
+  return row;
+};
+db.PendingRegistration.update = async (changes, { where }) => {
+  const rows = store.pending.filter((p) => matches(p, where));
+  rows.forEach((row) => Object.assign(row, changes));
+  return [rows.length];
+};
+emailService.sendVerificationEmail = async (email) => {
+  store.emails.push(email);
+};
+
+const {
+  startRegistration,
+  resendVerification,
+  completeRegistration,
+} = require("../src/services/registration.service");
+
+const EMAIL = "owner@example.com";
+const BACKEND = "https://api.example.com";
+
+test.beforeEach(() => {
+  store.candidates = [];
+  store.pending = [];
+  store.emails = [];
+});
+
+function tokenFrom(email) {
+  return new URL(email.verifyUrl).searchParams.get("token");
+}
+
+test("registering again keeps the earlier link's password", async () => {
+  await startRegistration({
+    full_name: "Account Owner",
+    email: EMAIL,
+    password: "owner-password",
+    backendBase: BACKEND,
+  });
+  await startRegistration({
+    full_name: "Someone Else",
+    email: EMAIL,
+    password: "other-password",
+    backendBase: BACKEND,
+  });
+  assert.equal(store.pending.length, 2);
+  assert.equal(store.emails.length, 2);
+
+  const candidate = await completeRegistration(tokenFrom(store.emails[0]));
+  assert.equal(candidate.full_name, "Account Owner");
+  assert.ok(await bcrypt.compare("owner-password", candidate.password));
+
+  assert.deepEqual(
+    store.pending.map((p) => p.status),
+    ["verified", "consumed"]
+  );
+  await assert.rejects(
+    completeRegistration(tokenFrom(store.emails[1])),
+    (err) => err.status === 410
+  );
+  assert.equal(store.candidates.length, 1);
+});
+
+test("emails are throttled across all pending signups", async () => {
+  for (let i = 0; i < 2; i++) {
+    await startRegistration({
+      full_name: "Account Owner",
+      email: EMAIL,
+      password: "owner-password",
+      backendBase: BACKEND,
+    });
+  }
+  await resendVerification({ email: EMAIL, backendBase: BACKEND });
+  await assert.rejects(
+    startRegistration({
+      full_name: "Account Owner",
+      email: EMAIL,
+      password: "owner-password",
+      backendBase: BACKEND,
+    }),
+    (err) => err.status === 429
+  );
+  assert.equal(store.emails.length, 3);
+});
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  findDateRange,
+  sectionsOf,
+  parseResumeText,
+} = require("../src/services/resumeRuleParser.service");
+
+const RESUME = `Jane Doe
+Senior Software Engineer
+jane.doe@example.com | +44 20 7946 0958
+12 High Street, London, United Kingdom
+
+Experience
+Senior Software Engineer at Acme Ltd, London
+Jan 2020 – Present
+• Led the payments team
+• Cut build times by 40%
+Software Engineer at Widgets Inc
+03/2016 - 12/2019
+• Built the public API
+
+Education
+BSc in Computer Science
+University of Leeds
+2012 - 2015
+
+Skills
+Languages: JavaScript, TypeScript, Go
+Node.js, PostgreSQL, javascript
+`;
+
+test("findDateRange reads month, numeric and year ranges", () => {
+  assert.deepEqual(findDateRange("Jan 2020 – Present"), {
+    start_date: "2020-01-01",
+    end_date: null,
+    text: "Jan 2020 – Present",
+  });
+  assert.deepEqual(findDateRange("Sept. 2019 to now"), {
+    start_date: "2019-09-01",
+    end_date: null,
+    text: "Sept. 2019 to now",
+  });
+  assert.deepEqual(findDateRange("Acme (03/2016 - 2019-12)"), {
+    start_date: "2016-03-01",
+    end_date: "2019-12-01",
+    text: "03/2016 - 2019-12",
+  });
+  assert.equal(findDateRange("2012 - 2015").end_date, "2015-01-01");
+  assert.equal(findDateRange("Led the payments team"), null);
+});
+
+test("sectionsOf splits the text under known headings", () => {
+  const sections = sectionsOf(RESUME);
+  assert.deepEqual(Object.keys(sections), [
+    "header",
+    "experience",
+    "education",
+    "skills",
+  ]);
+  assert.equal(sections.header[0], "Jane Doe");
+  assert.deepEqual(sections.education, [
+    "BSc in Computer Science",
+    "University of Leeds",
+    "2012 - 2015",
+  ]);
+});
+
+test("parseResumeText fills the profile fields", () => {
+  const parsed = parseResumeText(RESUME, {
+    countries: ["United Kingdom", "United States"],
+    jobCategories: ["Software Engineer", "Designer"],
+  });
+  assert.equal(parsed.full_name, "Jane Doe");
+  assert.equal(parsed.email, "jane.doe@example.com");
+  assert.equal(parsed.phone_no, "+44 20 7946 0958");
+  assert.equal(parsed.address, "12 High Street, London, United Kingdom");
+  assert.equal(parsed.seniority_level, "Senior");
+  assert.deepEqual(parsed.country, { label: "United Kingdom" });
+  assert.deepEqual(parsed.job_category, { label: "Software Engineer" });
+  assert.equal(parsed.skills, "JavaScript,TypeScript,Go,Node.js,PostgreSQL");
+});
+
+test("parseResumeText groups dated experience and education entries", () => {
+  const parsed = parseResumeText(RESUME);
+  assert.deepEqual(parsed.work_experience, [
+    {
+      job_title: "Senior Software Engineer",
+      company_name: "Acme Ltd",
+      location: "London",
+      start_date: "2020-01-01",
+      end_date: null,
+      description: "Led the payments team\nCut build times by 40%",
+    },
+    {
+      job_title: "Software Engineer",
+      company_name: "Widgets Inc",
+      location: null,
+      start_date: "2016-03-01",
+      end_date: "2019-12-01",
+      description: "Built the public API",
+    },
+  ]);
+  assert.deepEqual(parsed.education, [
+    {
+      degree: "BSc in Computer Science",
+      major: "Computer Science",
+      university: "University of Leeds",
+      start_date: "2012-01-01",
+      end_date: "2015-01-01",
+      description: null,
+    },
+  ]);
+  assert.equal(parsed.country, null);
+  assert.equal(parsed.job_category, null);
+});
+
+test("parseResumeText returns empty fields for empty text", () => {
+  const parsed = parseResumeText("");
+  assert.equal(parsed.full_name, null);
+  assert.equal(parsed.email, null);
+  assert.deepEqual(parsed.work_experience, []);
+  assert.deepEqual(parsed.education, []);
+  assert.equal(parsed.skills, null);
+});
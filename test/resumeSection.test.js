@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LLM_PROVIDER = "mock";
+delete process.env.LLM_MOCK_FIXTURES_DIR;
+
+// Rows live in memory: the model statics the services call are replaced
+// before the services are required, and so are S3 uploads and AI usage
+const db = require("../src/models");
+const s3 = require("../src/services/s3.service");
+const aiUsage = require("../src/services/aiUsage.service");
+
+const CANDIDATE_ID = "8b0e7c1e-3f7a-4c55-9a57-6f1d2c0b8a01";
+const RESUME_ID = "1f4d8a2b-6c3e-4b7d-8e9f-0a1b2c3d4e5f";
+
+function row(values) {
+  return {
+    ...values,
+    async update(changes) {
+      Object.assign(this, changes);
+      return this;
+    },
+    toJSON() {
+      return { ...this };
+    },
+  };
+}
+
+const store = { resume: null, versions: [] };
+
+db.Candidate.findOne = async () =>
+  row({
+    candidate_id: CANDIDATE_ID,
+    full_name: "Jane Doe",
+    email: "jane@example.com",
+  });
+db.CandidateResume.findOne = async () => store.resume;
+db.CandidateResume.findAll = async () => [store.resume];
+db.ResumeVersion.findOne = async () =>
+  store.versions[store.versions.length - 1];
+db.ResumeVersion.max = async () => store.versions.length;
+db.ResumeVersion.create = async (values) => {
+  const version = row({
+    version_id: `version-${values.version_number}`,
+    ...values,
+  });
+  store.versions.push(version);
+  return version;
+};
+db.ResumeTemplate.findOne = async () => null;
+db.JobCategory.findByPk = async () => null;
+db.Country.findByPk = async () => null;
+s3.uploadResume = async (buffer, fileName) => ({ key: `resumes/${fileName}` });
+aiUsage.recordAiUsage = async () => null;
+
+const { updateResume } = require("../src/services/candidateResume.service");
+const {
+  regenerateResumeSection,
+} = require("../src/services/resumeSection.service");
+
+const EXPERIENCE = [
+  {
+    job_title: "Engineer",
+    company_name: "Acme Ltd",
+    location: "London",
+    start_date: "2020-01-01",
+    end_date: null,
+    description: "Built the payments API.",
+  },
+];
+const EDUCATION = [
+  {
+    degree: "BSc Computer Science",
+    institution_name: "University of Leeds",
+    location: "Leeds",
+    start_date: "2015-09-01",
+    end_date: "2018-06-01",
+    description: "Generated description.",
+  },
+];
+
+test.beforeEach(() => {
+  const generated = {
+    full_name: "Jane Doe",
+    summary: "Generated summary.",
+    skills: ["Node.js"],
+    work_experience: EXPERIENCE,
+    education: EDUCATION,
+  };
+  store.resume = row({
+    resume_id: RESUME_ID,
+    candidate_id: CANDIDATE_ID,
+    name: "UK",
+    resume_key: "resumes/generated.pdf",
+    ...generated,
+  });
+  store.versions = [
+    row({
+      version_id: "version-1",
+      version_number: 1,
+      candidate_id: CANDIDATE_ID,
+      resume_id: RESUME_ID,
+      source: "generated",
+      resume_key: "resumes/generated.pdf",
+      mime_type: "application/pdf",
+      snapshot: generated,
+    }),
+  ];
+});
+
+test("regenerating a section keeps edits made to the others", async () => {
+  await updateResume(CANDIDATE_ID, RESUME_ID, {
+    summary: "Summary the candidate wrote.",
+    skills: ["Node.js", "PostgreSQL"],
+  });
+
+  const result = await regenerateResumeSection(CANDIDATE_ID, "experience", {
+    resume_id: RESUME_ID,
+    index: 0,
+  });
+
+  assert.equal(store.resume.summary, "Summary the candidate wrote.");
+  assert.deepEqual(store.resume.skills, ["Node.js", "PostgreSQL"]);
+  assert.match(store.resume.work_experience[0].description, /^Led day-to-day/);
+  assert.equal(store.resume.resume_key, result.file.key);
+  assert.equal(result.resume.summary, "Summary the candidate wrote.");
+
+  const snapshot = store.versions[store.versions.length - 1].snapshot;
+  assert.equal(snapshot.summary, "Summary the candidate wrote.");
+  assert.deepEqual(snapshot.skills, ["Node.js", "PostgreSQL"]);
+});
+
+test("only the regenerated section is saved onto the resume", async () => {
+  await regenerateResumeSection(CANDIDATE_ID, "summary", {
+    resume_id: RESUME_ID,
+  });
+  assert.match(store.resume.summary, /^Delivery-focused professional/);
+  assert.deepEqual(store.resume.work_experience, EXPERIENCE);
+  assert.deepEqual(store.resume.education, EDUCATION);
+});
@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { WEIGHTS, scoreResume } = require("../src/ats/scoreResume");
+
+const NOW = new Date("2026-06-01T00:00:00Z");
+const CATEGORY = "Software Engineer";
+
+const BULLETS = [
+  "Led migration of 12 microservices to Kubernetes on AWS, cutting hosting costs by 30%",
+  "Built REST APIs in Node.js and TypeScript serving 2M requests per day",
+  "Introduced unit testing and CI/CD pipelines with Docker, reducing release time by 50%",
+  "Designed PostgreSQL schemas and tuned SQL queries for performance",
+  "Mentored 4 engineers through code reviews in an agile scrum team",
+].join("\n");
+
+const KEYWORDS =
+  "JavaScript TypeScript Git SQL unit testing cloud microservices CI/CD agile Node.js Python React Docker code review algorithms system design debugging performance REST API";
+
+function documentWith(overrides = {}) {
+  return {
+    text: `Jane Doe jane@example.com +44 20 7946 0958 Summary Experience Education Skills ${KEYWORDS} ${BULLETS} `.repeat(
+      8
+    ),
+    sections: {
+      summary: true,
+      experience: true,
+      education: true,
+      skills: true,
+    },
+    contact: { email: true, phone: true },
+    experience: [
+      {
+        title: "Senior Engineer",
+        start_date: "2021-01",
+        end_date: "present",
+        description: BULLETS,
+      },
+      {
+        title: "Engineer",
+        start_date: "2017-03",
+        end_date: "2020-12",
+        description: BULLETS,
+      },
+    ],
+    education: [{ title: "BSc", start_date: "2013-09", end_date: "2016-06" }],
+    ...overrides,
+  };
+}
+
+test("a complete resume gets full marks in every area", () => {
+  const result = scoreResume(documentWith(), {
+    categoryName: CATEGORY,
+    checkOrder: true,
+    now: NOW,
+  });
+  assert.equal(result.score, 100);
+  assert.equal(result.rating, "strong");
+  for (const [area, weight] of Object.entries(WEIGHTS)) {
+    assert.equal(result.breakdown[area].score, weight, area);
+    assert.equal(result.breakdown[area].max, weight, area);
+  }
+  assert.deepEqual(result.suggestions, []);
+});
+
+test("an empty resume scores 0 with high priority suggestions first", () => {
+  const result = scoreResume(
+    { text: "", sections: {}, contact: {}, experience: [], education: [] },
+    { categoryName: CATEGORY, now: NOW }
+  );
+  assert.equal(result.score, 0);
+  assert.equal(result.rating, "weak");
+  const priorities = result.suggestions.map((s) => s.priority);
+  assert.deepEqual(
+    priorities,
+    [...priorities].sort(
+      (a, b) =>
+        ["high", "medium", "low"].indexOf(a) -
+        ["high", "medium", "low"].indexOf(b)
+    )
+  );
+  assert.deepEqual(
+    new Set(result.suggestions.map((s) => s.area)),
+    new Set(Object.keys(WEIGHTS))
+  );
+});
+
+test("gaps and out-of-order experience are warnings", () => {
+  const result = scoreResume(
+    documentWith({
+      experience: [
+        {
+          title: "Engineer",
+          start_date: "2015-01",
+          end_date: "2016-01",
+          description: BULLETS,
+        },
+        {
+          title: "Senior Engineer",
+          start_date: "2018-01",
+          end_date: "present",
+          description: BULLETS,
+        },
+      ],
+    }),
+    { categoryName: CATEGORY, checkOrder: true, now: NOW }
+  );
+  const { dates } = result.breakdown;
+  assert.deepEqual(
+    dates.issues.map((issue) => [issue.severity, issue.entry]),
+    [
+      ["warning", null],
+      ["warning", "Senior Engineer"],
+    ]
+  );
+  assert.match(dates.issues[1].message, /24-month gap/);
+  assert.equal(dates.score, WEIGHTS.dates - 4);
+});
+
+test("impossible dates are errors", () => {
+  const result = scoreResume(
+    documentWith({
+      experience: [
+        { title: "Backwards", start_date: "2020-01", end_date: "2019-01" },
+        { title: "Future", start_date: "2027-01", end_date: "2028-01" },
+        { title: "Undated", start_date: null, end_date: null },
+      ],
+    }),
+    { categoryName: CATEGORY, now: NOW }
+  );
+  const { dates } = result.breakdown;
+  assert.deepEqual(
+    dates.issues.map((issue) => [issue.severity, issue.entry]),
+    [
+      ["error", "Backwards"],
+      ["error", "Future"],
+      ["error", "Undated"],
+    ]
+  );
+  assert.equal(dates.score, 0);
+  assert.ok(
+    result.suggestions.some((s) => s.area === "dates" && s.priority === "high")
+  );
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  currentStep,
+  verifyTotp,
+  buildOtpauthUri,
+} = require("../src/utils/totp");
+
+// RFC 6238 appendix B (SHA-1), last six digits of each code
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+const RFC_VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+  [20000000000, "353130"],
+];
+
+test("base32 round-trips and ignores case, padding and spaces", () => {
+  assert.equal(RFC_SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  assert.equal(
+    base32Decode("gezd gnbv gy3t qojq gezd gnbv gy3t qojq====").toString(),
+    "12345678901234567890"
+  );
+  assert.throws(() => base32Decode("GEZ1"), /Invalid base32 character/);
+});
+
+test("generateTotp matches the RFC 6238 test vectors", () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(generateTotp(RFC_SECRET, currentStep(seconds * 1000)), code);
+  }
+});
+
+test("verifyTotp accepts codes one step either side of now", (t) => {
+  t.mock.method(Date, "now", () => 1111111111 * 1000);
+  const step = currentStep();
+
+  assert.equal(verifyTotp(RFC_SECRET, "050471"), step);
+  assert.equal(verifyTotp(RFC_SECRET, "050 471"), step);
+  assert.equal(
+    verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1)),
+    step - 1
+  );
+  assert.equal(
+    verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1)),
+    step + 1
+  );
+  assert.equal(
+    verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 2)),
+    null
+  );
+  assert.equal(verifyTotp(RFC_SECRET, "12345"), null);
+  assert.equal(verifyTotp(RFC_SECRET, "abcdef"), null);
+});
+
+test("verifyTotp rejects steps at or before afterStep", (t) => {
+  t.mock.method(Date, "now", () => 1111111111 * 1000);
+  const step = currentStep();
+
+  assert.equal(verifyTotp(RFC_SECRET, "050471", { afterStep: step }), null);
+  assert.equal(verifyTotp(RFC_SECRET, "050471", { afterStep: step - 1 }), step);
+});
+
+test("buildOtpauthUri encodes the label and issuer", () => {
+  assert.equal(
+    buildOtpauthUri({
+      secret: RFC_SECRET,
+      accountName: "admin@example.com",
+      issuer: "Resume Builder",
+    }),
+    "otpauth://totp/Resume%20Builder:admin%40example.com?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ&issuer=Resume%20Builder&algorithm=SHA1&digits=6&period=30"
+  );
+});